@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI);
+
+const ChatConversation = require('../models/chatConversation');
+const User = require('../models/user');
+
+// Recompute User.activeChats (the chat slots agents hold) from the open staff
+// chats assigned to them, for chats assigned before the counter existed.
+// Run it while no chats are being assigned.
+async function backfillActiveChatCounts() {
+  try {
+    const counts = await ChatConversation.aggregate([
+      { $match: { isStaffChat: true, isActive: true, assignedStaff: { $ne: null } } },
+      { $group: { _id: '$assignedStaff', activeChats: { $sum: 1 } } }
+    ]);
+
+    await User.updateMany({}, { $set: { activeChats: 0 } });
+    for (const count of counts) {
+      await User.updateOne({ _id: count._id }, { $set: { activeChats: count.activeChats } });
+    }
+
+    console.log(`Updated activeChats for ${counts.length} agents`);
+  } catch (error) {
+    console.error('Error backfilling active chat counts:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+}
+
+backfillActiveChatCounts();
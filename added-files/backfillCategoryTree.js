@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI);
+
+const Category = require('../models/category');
+const { generateSlug } = require('../middleware/categories');
+
+// Categories created before nesting have no slug, path or depth: give each
+// one a slug from its name and make it top level. Safe to run more than once.
+async function backfillCategoryTree() {
+  try {
+    const categories = await Category.find({
+      $or: [{ slug: { $exists: false } }, { slug: null }, { path: { $exists: false } }]
+    });
+
+    for (const category of categories) {
+      const update = {};
+      if (!category.slug) {
+        update.slug = await generateSlug(category.name, category._id);
+      }
+      if (!category.parent) {
+        Object.assign(update, { parent: null, path: '/', depth: 0 });
+      }
+      // updateOne, since path and depth read back as their defaults and save() would skip them
+      await Category.updateOne({ _id: category._id }, { $set: update });
+      console.log(`${category.name} -> ${update.slug || category.slug}`);
+    }
+
+    console.log(`Updated ${categories.length} categories`);
+  } catch (error) {
+    console.error('Error backfilling categories:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+}
+
+backfillCategoryTree();
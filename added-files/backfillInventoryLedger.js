@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI);
+
+const Product = require('../models/product');
+const { reconcileInventory, recordMovements } = require('../middleware/inventoryLedger');
+
+// Bring stock from before the inventory ledger existed into it: every stock
+// item with stock but no movements gets an opening balance adjustment.
+// Items whose movements disagree with their stock are listed, not corrected,
+// so the difference can be looked into. Safe to run more than once.
+async function backfillInventoryLedger() {
+  try {
+    const { items } = await reconcileInventory();
+    const movements = [];
+
+    for (const item of items.filter(entry => entry.status === 'untracked')) {
+      movements.push({
+        product: item.productId,
+        variant: item.variantId,
+        sku: item.sku,
+        type: 'adjustment',
+        quantity: item.difference,
+        balanceAfter: item.stockQuantity,
+        reason: 'Opening balance'
+      });
+    }
+
+    items.filter(entry => entry.status === 'mismatched').forEach(item => {
+      console.log(`Mismatch: ${item.name} ${item.sku || ''} stock ${item.stockQuantity}, ledger ${item.ledgerQuantity}`);
+    });
+
+    await recordMovements(movements);
+    console.log(`Recorded ${movements.length} opening balances across ${await Product.countDocuments()} products`);
+  } catch (error) {
+    console.error('Error backfilling inventory ledger:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+}
+
+backfillInventoryLedger();
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI);
+
+const Order = require('../models/order');
+const Product = require('../models/product');
+
+// Recompute Product.unitsSold from existing orders: every order whose stock
+// was taken (not just reserved) and never put back counts as sold.
+async function backfillUnitsSold() {
+  try {
+    const totals = await Order.aggregate([
+      { $match: { stockCommitted: { $ne: false }, stockRestored: { $ne: true } } },
+      { $unwind: '$products' },
+      { $group: { _id: '$products.productId', unitsSold: { $sum: '$products.quantity' } } }
+    ]);
+
+    await Product.updateMany({}, { $set: { unitsSold: 0 } });
+    for (const total of totals) {
+      await Product.updateOne({ _id: total._id }, { $set: { unitsSold: total.unitsSold } });
+    }
+
+    console.log(`Updated unitsSold for ${totals.length} products`);
+  } catch (error) {
+    console.error('Error backfilling units sold:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+}
+
+backfillUnitsSold();
@@ -0,0 +1,110 @@
+/**
+ * 🧪 REDIS STUB SERVER
+ *
+ * Minimal local stand-in for Redis so PUBSUB_DRIVER=redis can be tried
+ * without installing it: run it, then start two API instances on
+ * different ports pointing at it, and a staff reply sent through one
+ * reaches a customer connected to the other. Data is kept in memory and
+ * lost on restart; keys never expire.
+ *
+ *   PUBSUB_DRIVER=redis
+ *   REDIS_URL=redis://localhost:6380          (in the app's .env)
+ *   node added-files/redisStub.js
+ *
+ * Supports PING, AUTH, SELECT, PUBLISH, SUBSCRIBE, UNSUBSCRIBE, HSET,
+ * HDEL, HGETALL, EXPIRE and DEL, which is all the app's adapter uses.
+ */
+
+require('dotenv').config();
+const net = require('net');
+const { parseReply } = require('../middleware/pubsub');
+
+const PORT = process.env.REDIS_STUB_PORT || 6380;
+
+const hashes = new Map(); // key -> Map(field -> value)
+const subscribers = new Map(); // channel -> Set(socket)
+
+const simple = (text) => `+${text}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.join('')}`;
+const error = (message) => `-ERR ${message}\r\n`;
+
+const commands = {
+  PING: () => simple('PONG'),
+  AUTH: () => simple('OK'),
+  SELECT: () => simple('OK'),
+  EXPIRE: ([key]) => integer(hashes.has(key) ? 1 : 0),
+
+  PUBLISH: ([channel, message]) => {
+    const sockets = subscribers.get(channel) || new Set();
+    sockets.forEach(socket => socket.write(array([bulk('message'), bulk(channel), bulk(message)])));
+    return integer(sockets.size);
+  },
+
+  SUBSCRIBE: (channels, socket) => channels.map(channel => {
+    if (!subscribers.has(channel)) {
+      subscribers.set(channel, new Set());
+    }
+    subscribers.get(channel).add(socket);
+    socket.channels.add(channel);
+    return array([bulk('subscribe'), bulk(channel), integer(socket.channels.size)]);
+  }).join(''),
+
+  UNSUBSCRIBE: (channels, socket) => channels.map(channel => {
+    (subscribers.get(channel) || new Set()).delete(socket);
+    socket.channels.delete(channel);
+    return array([bulk('unsubscribe'), bulk(channel), integer(socket.channels.size)]);
+  }).join(''),
+
+  HSET: ([key, ...pairs]) => {
+    if (!hashes.has(key)) {
+      hashes.set(key, new Map());
+    }
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hashes.get(key).has(pairs[i])) added++;
+      hashes.get(key).set(pairs[i], pairs[i + 1]);
+    }
+    return integer(added);
+  },
+
+  HDEL: ([key, ...fields]) => {
+    const hash = hashes.get(key) || new Map();
+    const removed = fields.filter(field => hash.delete(field)).length;
+    if (hash.size === 0) hashes.delete(key);
+    return integer(removed);
+  },
+
+  HGETALL: ([key]) => {
+    const hash = hashes.get(key) || new Map();
+    return array([...hash.entries()].flatMap(([field, value]) => [bulk(field), bulk(value)]));
+  },
+
+  DEL: (keys) => integer(keys.filter(key => hashes.delete(key)).length)
+};
+
+const server = net.createServer(socket => {
+  socket.channels = new Set();
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let request;
+    while (buffer.length > 0 && (request = parseReply(buffer)) !== null) {
+      buffer = buffer.subarray(request.offset);
+      const [name, ...args] = request.value;
+      const handler = commands[String(name).toUpperCase()];
+      socket.write(handler ? handler(args, socket) : error(`unknown command '${name}'`));
+    }
+  });
+
+  socket.on('close', () => {
+    socket.channels.forEach(channel => (subscribers.get(channel) || new Set()).delete(socket));
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Redis stub listening on port ${PORT}`);
+});
@@ -0,0 +1,70 @@
+/**
+ * 🧪 S3 STUB SERVER
+ *
+ * Minimal local stand-in for an S3-compatible bucket (path-style, like
+ * MinIO) so STORAGE_DRIVER=s3 can be tried without cloud credentials.
+ * Objects are kept in memory and lost on restart.
+ *
+ *   STORAGE_DRIVER=s3
+ *   S3_ENDPOINT=http://localhost:9000
+ *   S3_BUCKET=products
+ *   S3_ACCESS_KEY_ID=stub-key
+ *   S3_SECRET_ACCESS_KEY=stub-secret         (in the app's .env)
+ *   node added-files/s3Stub.js
+ *
+ *   PUT    /:bucket/:key     Store an object (requires a signed request for S3_ACCESS_KEY_ID)
+ *   GET    /:bucket/:key     Read an object (public, so image URLs work in a browser)
+ *   DELETE /:bucket/:key     Delete an object (signed)
+ *   GET    /stub/objects     List stored keys and sizes
+ */
+
+require('dotenv').config();
+const express = require('express');
+
+const PORT = process.env.S3_STUB_PORT || 9000;
+const ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+
+// "bucket/key" -> { body, contentType }
+const objects = new Map();
+
+const app = express();
+app.use(express.raw({ type: '*/*', limit: '50mb' }));
+
+// Only the credential is checked; the app's signing is exercised, not verified
+const requireSignature = (req, res, next) => {
+  const authorization = req.header('authorization') || '';
+  if (!authorization.startsWith('AWS4-HMAC-SHA256') || !authorization.includes(`Credential=${ACCESS_KEY_ID}/`)) {
+    return res.status(403).type('application/xml').send('<Error><Code>AccessDenied</Code></Error>');
+  }
+  next();
+};
+
+app.get('/stub/objects', (req, res) => {
+  res.json([...objects.entries()].map(([key, object]) => ({ key, size: object.body.length, contentType: object.contentType })));
+});
+
+app.put('/:bucket/*', requireSignature, (req, res) => {
+  const key = `${req.params.bucket}/${req.params[0]}`;
+  objects.set(key, { body: req.body, contentType: req.header('content-type') || 'application/octet-stream' });
+  console.log(`📥 PUT ${key} (${req.body.length} bytes)`);
+  res.status(200).send();
+});
+
+app.get('/:bucket/*', (req, res) => {
+  const object = objects.get(`${req.params.bucket}/${req.params[0]}`);
+  if (!object) {
+    return res.status(404).type('application/xml').send('<Error><Code>NoSuchKey</Code></Error>');
+  }
+  res.type(object.contentType).send(object.body);
+});
+
+app.delete('/:bucket/*', requireSignature, (req, res) => {
+  const key = `${req.params.bucket}/${req.params[0]}`;
+  objects.delete(key);
+  console.log(`🗑️ DELETE ${key}`);
+  res.status(204).send();
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 S3 stub listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,133 @@
+/**
+ * 🧪 ZALOPAY STUB SERVER
+ *
+ * Minimal local stand-in for the ZaloPay v2 API so payments can be tested
+ * without sandbox access. Uses the same ZALOPAY_KEY1/ZALOPAY_KEY2 as the app.
+ *
+ *   ZALOPAY_ENDPOINT=http://localhost:8888/v2   (in the app's .env)
+ *   node added-files/zaloPayStub.js
+ *
+ *   POST /v2/create                     Create a transaction (key1 MAC checked)
+ *   POST /v2/query                      Query a transaction (key1 MAC checked)
+ *   POST /stub/pay/:appTransId          Simulate the customer paying: marks the
+ *                                       transaction paid and sends a key2-signed
+ *                                       callback to its callback_url
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = process.env.ZALOPAY_STUB_PORT || 8888;
+const KEY1 = process.env.ZALOPAY_KEY1;
+const KEY2 = process.env.ZALOPAY_KEY2;
+
+const sign = (key, data) => crypto.createHmac('sha256', key).update(data).digest('hex');
+
+// app_trans_id -> transaction
+const transactions = new Map();
+let nextZpTransId = 240000000001;
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+app.post('/v2/create', (req, res) => {
+  const p = req.body;
+  const mac = sign(KEY1, [p.app_id, p.app_trans_id, p.app_user, p.amount, p.app_time, p.embed_data, p.item].join('|'));
+  if (mac !== p.mac) {
+    return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_message: 'mac not equal' });
+  }
+  if (transactions.has(p.app_trans_id)) {
+    return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_message: 'duplicate app_trans_id' });
+  }
+
+  const zpTransToken = crypto.randomBytes(12).toString('hex');
+  transactions.set(p.app_trans_id, {
+    appId: Number(p.app_id),
+    appUser: p.app_user,
+    amount: Number(p.amount),
+    embedData: p.embed_data,
+    item: p.item,
+    callbackUrl: p.callback_url,
+    zpTransToken,
+    zpTransId: null
+  });
+
+  console.log(`🧪 Created ${p.app_trans_id} for ${p.amount} VND`);
+  res.json({
+    return_code: 1,
+    return_message: 'Giao dịch thành công',
+    order_url: `http://localhost:${PORT}/stub/checkout/${p.app_trans_id}`,
+    zp_trans_token: zpTransToken
+  });
+});
+
+app.post('/v2/query', (req, res) => {
+  const p = req.body;
+  if (sign(KEY1, [p.app_id, p.app_trans_id, KEY1].join('|')) !== p.mac) {
+    return res.json({ return_code: 2, return_message: 'mac not equal' });
+  }
+
+  const transaction = transactions.get(p.app_trans_id);
+  if (!transaction) {
+    return res.json({ return_code: 2, return_message: 'Giao dịch không tồn tại' });
+  }
+  if (!transaction.zpTransId) {
+    return res.json({ return_code: 3, return_message: 'Giao dịch chưa thanh toán', is_processing: false, amount: transaction.amount });
+  }
+  res.json({
+    return_code: 1,
+    return_message: 'Giao dịch thành công',
+    is_processing: false,
+    amount: transaction.amount,
+    zp_trans_id: transaction.zpTransId
+  });
+});
+
+app.get('/stub/checkout/:appTransId', (req, res) => {
+  res.send(`Stub checkout for ${req.params.appTransId}. POST /stub/pay/${req.params.appTransId} to pay.`);
+});
+
+// ?callback=false marks the transaction paid without calling back (tests reconciliation)
+app.post('/stub/pay/:appTransId', async (req, res) => {
+  const transaction = transactions.get(req.params.appTransId);
+  if (!transaction) {
+    return res.status(404).json({ error: 'Unknown app_trans_id' });
+  }
+  transaction.zpTransId = transaction.zpTransId || nextZpTransId++;
+
+  if (req.query.callback === 'false') {
+    return res.json({ paid: true, callback: null });
+  }
+
+  const data = JSON.stringify({
+    app_id: transaction.appId,
+    app_trans_id: req.params.appTransId,
+    app_time: Date.now(),
+    app_user: transaction.appUser,
+    amount: transaction.amount,
+    embed_data: transaction.embedData,
+    item: transaction.item,
+    zp_trans_id: transaction.zpTransId,
+    server_time: Date.now(),
+    channel: 38,
+    merchant_user_id: 'stub',
+    user_fee_amount: 0,
+    discount_amount: 0
+  });
+
+  try {
+    const callback = await axios.post(transaction.callbackUrl, { data, mac: sign(KEY2, data), type: 1 });
+    console.log(`🧪 Callback for ${req.params.appTransId}:`, callback.data);
+    res.json({ paid: true, callback: callback.data });
+  } catch (error) {
+    console.error(`❌ Callback for ${req.params.appTransId} failed:`, error.message);
+    res.status(502).json({ paid: true, error: error.message });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 ZaloPay stub listening on http://localhost:${PORT}/v2`);
+});
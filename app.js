@@ -16,13 +16,24 @@ const chatRoutes = require("./routes/chatRoutes");
 const cashFlowRoutes = require("./routes/cashFlowRoutes");
 const advancedFinanceRoutes = require("./routes/advancedFinanceRoutes");
 const hrRoutes = require("./routes/hrRoutes");
+const promotionRoutes = require("./routes/promotionRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const cartRoutes = require("./routes/cartRoutes");
+const wishlistRoutes = require("./routes/wishlistRoutes");
+const inventoryRoutes = require("./routes/inventoryRoutes");
+const supplierRoutes = require("./routes/supplierRoutes");
+const purchaseOrderRoutes = require("./routes/purchaseOrderRoutes");
+const reviewRoutes = require("./routes/reviewRoutes");
+const catalogRoutes = require("./routes/catalogRoutes");
 
 const connectDB = require("./db");
+const { registerOrderEventHandlers } = require("./middleware/orderEventHandlers");
 const path = require("path"); // Import the path module
 
 const app = express();
 
 connectDB(); // Connect to MongoDB
+registerOrderEventHandlers(); // Payments and cash flow follow order status changes
 
 
 // Enable CORS for all origins
@@ -56,6 +67,15 @@ app.use("/chat", chatRoutes);
 app.use("/cashflow", cashFlowRoutes);
 app.use("/advanced-finance", advancedFinanceRoutes);
 app.use("/hr", hrRoutes);
+app.use("/promotions", promotionRoutes);
+app.use("/payments", paymentRoutes);
+app.use("/cart", cartRoutes);
+app.use("/wishlist", wishlistRoutes);
+app.use("/inventory", inventoryRoutes);
+app.use("/suppliers", supplierRoutes);
+app.use("/purchase-orders", purchaseOrderRoutes);
+app.use("/reviews", reviewRoutes);
+app.use("/catalog", catalogRoutes);
 
 // Define a route for the root URL
 app.get('/', (req, res) => {
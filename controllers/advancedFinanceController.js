@@ -2,6 +2,8 @@ const BusinessExpense = require("../models/businessExpense");
 const CashFlowTransaction = require("../models/cashFlowTransaction");
 const Order = require("../models/order");
 const Product = require("../models/product");
+const Supplier = require("../models/supplier");
+const { getSupplierPurchasingStats } = require("../middleware/purchasing");
 
 // Get comprehensive financial overview
 const getFinancialOverview = async (req, res) => {
@@ -128,6 +130,14 @@ const mapExpenseCategoryToCashFlow = (businessExpenseCategory) => {
   return categoryMapping[businessExpenseCategory] || 'operating_expenses';
 };
 
+// Helper function to fill in the vendor name of an expense linked to a supplier
+const applySupplierVendor = async (expenseData) => {
+  if (!expenseData.supplier) return;
+  const supplier = await Supplier.findById(expenseData.supplier).select("name");
+  if (!supplier) throw new Error("Supplier not found");
+  expenseData.vendor = supplier.name;
+};
+
 // Helper function to calculate next occurrence date
 const calculateNextOccurrence = (date, frequency) => {
   if (!frequency) return null;
@@ -165,6 +175,8 @@ const createBusinessExpense = async (req, res) => {
       createdBy: req.user.id
     };
 
+    await applySupplierVendor(expenseData);
+
     // Handle recurring expense nextOccurrence calculation
     if (expenseData.isRecurring && expenseData.frequency && !expenseData.nextOccurrence) {
       expenseData.nextOccurrence = calculateNextOccurrence(expenseData.date || new Date(), expenseData.frequency);
@@ -219,6 +231,8 @@ const updateBusinessExpense = async (req, res) => {
     
     const updateData = { ...req.body };
     
+    await applySupplierVendor(updateData);
+
     // Handle recurring expense nextOccurrence calculation for updates
     if (updateData.isRecurring && updateData.frequency && !updateData.nextOccurrence) {
       updateData.nextOccurrence = calculateNextOccurrence(updateData.date || new Date(), updateData.frequency);
@@ -661,6 +675,9 @@ const getExpenseTrends = async (req, res) => {
 };
 
 // Get vendor analysis
+// Expenses are grouped by supplier when they are linked to one (or their free-text
+// vendor matches a supplier's name) and by vendor name otherwise; suppliers also
+// get their purchase order figures.
 const getVendorAnalysis = async (req, res) => {
   try {
     const { period = "90" } = req.query;
@@ -670,30 +687,100 @@ const getVendorAnalysis = async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    const vendorAnalysis = await BusinessExpense.aggregate([
+    const expenseTotals = await BusinessExpense.aggregate([
       {
         $match: {
           date: { $gte: startDate, $lte: endDate },
-          vendor: { $exists: true, $ne: null, $ne: "" }
+          $or: [
+            { supplier: { $exists: true, $ne: null } },
+            { vendor: { $exists: true, $nin: [null, ""] } }
+          ]
         }
       },
       {
         $group: {
-          _id: '$vendor',
+          _id: { supplier: '$supplier', vendor: { $cond: [{ $ifNull: ['$supplier', false] }, null, '$vendor'] } },
           totalSpent: { $sum: '$amount' },
           transactionCount: { $sum: 1 },
-          averageTransaction: { $avg: '$amount' },
           categories: { $addToSet: '$category' },
           lastTransaction: { $max: '$date' }
         }
-      },
-      { $sort: { totalSpent: -1 } }
+      }
     ]);
 
+    const suppliers = await Supplier.find().select("name isActive");
+    const suppliersById = new Map(suppliers.map(supplier => [String(supplier._id), supplier]));
+    const suppliersByName = new Map(suppliers.map(supplier => [supplier.name.trim().toLowerCase(), supplier]));
+    const purchasingStats = await getSupplierPurchasingStats(startDate, endDate);
+
+    // One entry per supplier, or per free-text vendor without a supplier record
+    const vendors = new Map();
+    const vendorFor = (supplier, vendorName) => {
+      const key = supplier ? String(supplier._id) : `vendor:${vendorName.trim().toLowerCase()}`;
+      if (!vendors.has(key)) {
+        vendors.set(key, {
+          _id: supplier ? supplier.name : vendorName.trim(),
+          supplierId: supplier ? supplier._id : null,
+          isActive: supplier ? supplier.isActive : undefined,
+          expenseSpend: 0,
+          purchaseSpend: 0,
+          transactionCount: 0,
+          categories: [],
+          lastTransaction: null
+        });
+      }
+      return vendors.get(key);
+    };
+    const addActivity = (vendor, count, date) => {
+      vendor.transactionCount += count;
+      if (date && (!vendor.lastTransaction || date > vendor.lastTransaction)) {
+        vendor.lastTransaction = date;
+      }
+    };
+
+    expenseTotals.forEach(total => {
+      const supplier = total._id.supplier
+        ? suppliersById.get(String(total._id.supplier))
+        : suppliersByName.get(String(total._id.vendor).trim().toLowerCase());
+      const vendor = vendorFor(supplier, total._id.vendor || "Deleted supplier");
+      vendor.expenseSpend += total.totalSpent;
+      vendor.categories = [...new Set([...vendor.categories, ...total.categories])];
+      addActivity(vendor, total.transactionCount, total.lastTransaction);
+    });
+
+    purchasingStats.forEach((stats, supplierId) => {
+      const supplier = suppliersById.get(supplierId);
+      if (!supplier) {
+        return;
+      }
+      const vendor = vendorFor(supplier);
+      vendor.purchaseSpend = stats.purchaseSpend;
+      addActivity(vendor, stats.receipts, stats.lastReceipt);
+      vendor.purchaseOrders = stats.purchaseOrders;
+      vendor.openOrderValue = stats.openOrderValue;
+      vendor.onTimeDeliveryRate = stats.deliveriesWithDueDate > 0
+        ? Math.round(stats.onTimeDeliveries / stats.deliveriesWithDueDate * 1000) / 10
+        : null;
+      vendor.averageLeadTimeDays = stats.averageLeadTimeDays;
+    });
+
+    const vendorAnalysis = [...vendors.values()]
+      .map(vendor => {
+        const totalSpent = vendor.expenseSpend + vendor.purchaseSpend;
+        return {
+          ...vendor,
+          totalSpent,
+          averageTransaction: vendor.transactionCount > 0 ? totalSpent / vendor.transactionCount : 0
+        };
+      })
+      .filter(vendor => vendor.transactionCount > 0 || vendor.openOrderValue > 0)
+      .sort((a, b) => b.totalSpent - a.totalSpent);
+
     res.json({
       vendorAnalysis,
       period: days,
       totalVendors: vendorAnalysis.length,
+      totalSuppliers: vendorAnalysis.filter(vendor => vendor.supplierId).length,
       totalVendorSpending: vendorAnalysis.reduce((sum, v) => sum + v.totalSpent, 0)
     });
   } catch (error) {
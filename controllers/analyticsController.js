@@ -2,6 +2,7 @@ const Order = require("../models/order");
 const Product = require("../models/product");
 const User = require("../models/user");
 const Category = require("../models/category");
+const { lowStockFilter } = require("../middleware/stockForecast");
 
 // Get overall dashboard statistics
 const getDashboardStats = async (req, res) => {
@@ -24,8 +25,8 @@ const getDashboardStats = async (req, res) => {
       orderDate: { $gte: thirtyDaysAgo }
     });
 
-    // Get low stock products
-    const lowStockProducts = await Product.countDocuments({ stockQuantity: { $lt: 10 } });
+    // Get low stock products (sellable stock at or below each product's reorder point)
+    const lowStockProducts = await Product.countDocuments(lowStockFilter());
 
     res.json({
       totalOrders,
@@ -156,9 +157,9 @@ const getProductAnalytics = async (req, res) => {
       })
     );
 
-    // Get low stock products
-    const lowStockProducts = await Product.find({ stockQuantity: { $lt: 10 } })
-      .select('name stockQuantity price')
+    // Get low stock products (sellable stock at or below each product's reorder point)
+    const lowStockProducts = await Product.find(lowStockFilter())
+      .select('name stockQuantity reservedQuantity reorderPoint leadTimeDays stockForecast price')
       .sort({ stockQuantity: 1 })
       .limit(10);
 
@@ -1,6 +1,7 @@
 const User = require("../models/user");
 const jwt = require("jsonwebtoken");
 const { validationResult } = require("express-validator");
+const { mergeGuestIntoUser } = require("../middleware/carts");
 // const role = require("../middleware/role");
 
 const validAdminKey = "secret"; // Define secret admin key
@@ -55,7 +56,7 @@ exports.loginUser = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { username, password } = req.body;
+  const { username, password, sessionId } = req.body;
 
   try {
     let user = await User.findOne({ username });
@@ -70,6 +71,15 @@ exports.loginUser = async (req, res) => {
       return res.status(400).json({ msg: "Invalid Credentials" });
     }
 
+    // Carry over anything the customer saved while browsing as a guest
+    if (sessionId) {
+      try {
+        await mergeGuestIntoUser(sessionId, user.id);
+      } catch (mergeError) {
+        console.error("Error merging guest cart on login:", mergeError.message);
+      }
+    }
+
     const payload = {
       user: {
         id: user.id,
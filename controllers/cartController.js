@@ -0,0 +1,157 @@
+const Cart = require("../models/cart");
+const {
+  CartError,
+  isSameLine,
+  resolveOwner,
+  findForOwner,
+  setCartItem,
+  revalidateCart,
+  mergeGuestIntoUser
+} = require("../middleware/carts");
+const { CheckoutError, placeOrder } = require("../middleware/checkout");
+
+// Revalidated cart, plus the guest session ID so new guests can keep it
+const sendCart = async (res, cart, owner, status = 200) => {
+  const view = await revalidateCart(cart);
+  res.status(status).json({ sessionId: owner && owner.sessionId, ...view });
+};
+
+const sendCartError = (res, error, fallbackMessage) => {
+  if (error instanceof CartError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).send("Server Error");
+};
+
+// User Operation: Get the cart with current prices and stock
+exports.getCart = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const cart = await findForOwner(Cart, owner);
+    await sendCart(res, cart, owner);
+  } catch (error) {
+    sendCartError(res, error, "Error fetching cart");
+  }
+};
+
+// User Operation: Add a product (or variant) to the cart (adds to the quantity already there)
+exports.addCartItem = async (req, res) => {
+  try {
+    const { productId, variantId, quantity = 1 } = req.body;
+    const owner = resolveOwner(req, { create: true });
+    const cart = await findForOwner(Cart, owner, true);
+
+    await setCartItem(cart, productId, quantity, { increment: true, variantId });
+    await sendCart(res, cart, owner, 201);
+  } catch (error) {
+    sendCartError(res, error, "Error adding cart item");
+  }
+};
+
+// User Operation: Change the quantity of a cart line (0 removes it)
+exports.updateCartItem = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const cart = await findForOwner(Cart, owner);
+    if (!cart) {
+      return res.status(404).json({ message: "Cart not found" });
+    }
+
+    await setCartItem(cart, req.params.productId, req.body.quantity, { variantId: req.body.variantId || req.query.variantId });
+    await sendCart(res, cart, owner);
+  } catch (error) {
+    sendCartError(res, error, "Error updating cart item");
+  }
+};
+
+// User Operation: Remove a product from the cart
+exports.removeCartItem = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const cart = await findForOwner(Cart, owner);
+    if (!cart) {
+      return res.status(404).json({ message: "Cart not found" });
+    }
+
+    await setCartItem(cart, req.params.productId, 0, { variantId: req.query.variantId || (req.body && req.body.variantId) });
+    await sendCart(res, cart, owner);
+  } catch (error) {
+    sendCartError(res, error, "Error removing cart item");
+  }
+};
+
+// User Operation: Empty the cart
+exports.clearCart = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const cart = await findForOwner(Cart, owner);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+    await sendCart(res, cart, owner);
+  } catch (error) {
+    sendCartError(res, error, "Error clearing cart");
+  }
+};
+
+// User Operation: Merge a guest session's cart and wishlist into the signed-in user's
+exports.mergeCart = async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ message: "sessionId is required" });
+    }
+
+    const merged = await mergeGuestIntoUser(sessionId, req.user.id);
+    const cart = await findForOwner(Cart, { user: req.user.id });
+    const view = await revalidateCart(cart);
+    res.json({ ...merged, ...view });
+  } catch (error) {
+    sendCartError(res, error, "Error merging cart");
+  }
+};
+
+// User Operation: Turn the cart into an order
+exports.checkoutCart = async (req, res) => {
+  try {
+    const { paymentMethod, couponCode, totalPrice } = req.body;
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).send({ error: "Cart is empty" });
+    }
+
+    const view = await revalidateCart(cart);
+    if (view.hasBlockingIssues) {
+      return res.status(409).send({ error: "Some items in your cart are no longer available", cart: view });
+    }
+
+    const order = await placeOrder({
+      userId: req.user.id,
+      items: cart.items.map(item => ({ productId: item.product, variantId: item.variant, quantity: item.quantity })),
+      paymentMethod,
+      couponCode,
+      expectedTotal: totalPrice
+    });
+
+    // Take out only what was ordered; anything added meanwhile stays in the cart
+    const current = await Cart.findById(cart._id);
+    current.items = current.items.filter(item => {
+      const ordered = cart.items.find(line => isSameLine(line, item.product, item.variant));
+      item.quantity -= ordered ? ordered.quantity : 0;
+      return item.quantity > 0;
+    });
+    await current.save();
+
+    console.log(`🛒 Cart ${cart._id} checked out as order ${order._id}`);
+    res.status(201).send(order);
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.status).send({ error: error.message, ...error.details });
+    }
+    console.error("Error checking out cart:", error);
+    res.status(500).send({ error: "Internal Server Error" });
+  }
+};
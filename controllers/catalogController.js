@@ -0,0 +1,11 @@
+const { getCatalog } = require("../middleware/catalog");
+
+// Get the landing page catalog: category tree, top products per category and featured products
+exports.getCatalog = async (req, res) => {
+  try {
+    res.json(await getCatalog({ productsPerCategory: req.query.productsPerCategory }));
+  } catch (err) {
+    console.error("Error building catalog:", err);
+    res.status(500).send("Server Error");
+  }
+};
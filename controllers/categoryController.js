@@ -1,17 +1,64 @@
 const Category = require("../models/category");
+const {
+  CategoryError,
+  findCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryTree,
+  countProductsByCategory,
+  withProductCounts
+} = require("../middleware/categories");
 
+// Tree problems (unknown parent, cycles, taken slugs, categories in use) are the admin's to fix
+const sendCategoryError = (res, err) => {
+  if (err instanceof CategoryError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  if (err.code === 11000 && err.keyPattern && err.keyPattern.slug) {
+    return res.status(409).json({ message: `Slug already used by another category: ${err.keyValue.slug}` });
+  }
+  console.error("Category error:", err);
+  res.status(500).send("Server Error");
+};
+
+// Flat list with product counts, top level first
 exports.getAllCategories = async (req, res) => {
   try {
-    const categories = await Category.find();
-    res.json(categories);
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ depth: 1, order: 1, name: 1 }).lean(),
+      countProductsByCategory()
+    ]);
+    res.json(withProductCounts(categories, counts));
   } catch (err) {
     res.status(500).send("Server Error");
   }
 };
 
+// Nested categories, from the top level
+exports.getCategoryTree = async (req, res) => {
+  try {
+    res.json(await getCategoryTree());
+  } catch (err) {
+    sendCategoryError(res, err);
+  }
+};
+
+// A category with its ancestors (breadcrumbs) and nested subcategories
+exports.getCategorySubtree = async (req, res) => {
+  try {
+    res.json(await getCategoryTree(req.params.id));
+  } catch (err) {
+    sendCategoryError(res, err);
+  }
+};
+
 exports.getCategoryById = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await findCategory(req.params.id);
     if (category) {
       res.json(category);
     } else {
@@ -22,44 +69,43 @@ exports.getCategoryById = async (req, res) => {
   }
 };
 
+// Admin Operation: Create a category, optionally under a parent
 exports.createCategory = async (req, res) => {
   try {
-    const { name } = req.body;
-    const category = new Category({ name });
-    await category.save();
+    const { name, slug, parentId, order, description, image } = req.body;
+    const category = await createCategory({ name, slug, parentId, order, description, image });
     res.status(201).json(category);
   } catch (err) {
-    res.status(500).send("Server Error");
+    sendCategoryError(res, err);
   }
 };
 
+// Admin Operation: Update a category; a new parentId moves it with its subcategories
 exports.updateCategory = async (req, res) => {
   try {
-    const { name } = req.body;
-    const category = await Category.findByIdAndUpdate(
-      req.params.id,
-      { name },
-      { new: true }
-    );
-    if (category) {
-      res.json(category);
-    } else {
-      res.status(404).send("Category not found");
-    }
+    const { name, slug, parentId, order, description, image } = req.body;
+    const category = await updateCategory(req.params.id, { name, slug, parentId, order, description, image });
+    res.json(category);
   } catch (err) {
-    res.status(500).send("Server Error");
+    sendCategoryError(res, err);
   }
 };
 
+// Admin Operation: Delete a category, moving its products and subcategories to reassignTo
 exports.deleteCategory = async (req, res) => {
   try {
-    const category = await Category.findByIdAndDelete(req.params.id);
-    if (category) {
-      res.status(204).send();
-    } else {
-      res.status(404).send("Category not found");
+    const reassignTo = req.query.reassignTo || (req.body && req.body.reassignTo);
+    const result = await deleteCategory(req.params.id, { reassignTo });
+    if (result.productsMoved > 0 || result.subcategoriesMoved > 0) {
+      return res.json({
+        message: "Category deleted",
+        reassignedTo: result.reassignedTo,
+        productsMoved: result.productsMoved,
+        subcategoriesMoved: result.subcategoriesMoved
+      });
     }
+    res.status(204).send();
   } catch (err) {
-    res.status(500).send("Server Error");
+    sendCategoryError(res, err);
   }
-};
\ No newline at end of file
+};
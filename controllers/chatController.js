@@ -1,6 +1,30 @@
 const FAQ = require("../models/faq");
 const Product = require("../models/product");
 const ChatConversation = require("../models/chatConversation");
+const {
+  ChatMessageError,
+  getMessagesAfter,
+  addCustomerMessage,
+  addStaffMessage
+} = require("../middleware/chatMessages");
+const {
+  ChatLifecycleError,
+  closeConversation,
+  reopenConversation,
+  rateConversation
+} = require("../middleware/chatLifecycle");
+const { getChatPerformanceReport } = require("../middleware/chatReports");
+const {
+  ChatAssignmentError,
+  enqueueConversation,
+  getQueue,
+  claimConversation,
+  releaseConversation,
+  transferConversation,
+  getAgentWorkload,
+  freeChatSlot
+} = require("../middleware/chatAssignment");
+const { runInTransaction } = require("../middleware/transactions");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const crypto = require('crypto');
 
@@ -156,7 +180,10 @@ exports.getConversationHistory = async (req, res) => {
             waitingForStaff: false,
             isActive: true,
             hasUnreadFromCustomer: false,
-            assignedStaff: null
+            assignedStaff: null,
+            closedAt: null,
+            closedBy: null,
+            satisfaction: null
           }
         },
       });
@@ -166,6 +193,7 @@ exports.getConversationHistory = async (req, res) => {
     const messages = conversation.messages
       .slice(-parseInt(limit))
       .map(msg => ({
+        id: msg._id,
         role: msg.role,
         content: msg.content,
         timestamp: msg.timestamp,
@@ -184,7 +212,10 @@ exports.getConversationHistory = async (req, res) => {
           waitingForStaff: conversation.waitingForStaff,
           isActive: conversation.isActive,
           hasUnreadFromCustomer: conversation.hasUnreadFromCustomer,
-          assignedStaff: conversation.assignedStaff
+          assignedStaff: conversation.assignedStaff,
+          closedAt: conversation.closedAt,
+          closedBy: conversation.closedBy,
+          satisfaction: conversation.satisfaction?.rating ? conversation.satisfaction : null
         }
       },
     });
@@ -197,6 +228,21 @@ exports.getConversationHistory = async (req, res) => {
   }
 };
 
+// Questions where ratings matter, e.g. "what's your best serum?"
+const RATING_QUERY = /\b(reviews?|rat(ed|ings?)|best|top|popular|favou?rite|recommend\w*)\b/;
+
+// Enough approved reviews, and good ones, to call a product well reviewed
+const WELL_REVIEWED = { minReviews: 3, minAverage: 4 };
+
+const isWellReviewed = (product) =>
+  !!product.ratings &&
+  product.ratings.count >= WELL_REVIEWED.minReviews &&
+  product.ratings.average >= WELL_REVIEWED.minAverage;
+
+// Well-reviewed products first, then by average rating
+const ratingScore = (product) =>
+  (isWellReviewed(product) ? 10 : 0) + ((product.ratings && product.ratings.average) || 0);
+
 // Helper function: Retrieve relevant information using semantic search
 async function retrieveRelevantInformation(query) {
   try {
@@ -231,19 +277,39 @@ async function retrieveRelevantInformation(query) {
       ]
     }).populate('category', 'name').limit(5);
 
+    // Well-reviewed products, for questions about the best or most popular products
+    const asksForRatings = RATING_QUERY.test(queryLower);
+    const topRatedProducts = asksForRatings
+      ? await Product.find({
+          "ratings.count": { $gte: WELL_REVIEWED.minReviews },
+          "ratings.average": { $gte: WELL_REVIEWED.minAverage },
+        })
+        .populate('category', 'name')
+        .sort({ "ratings.average": -1, "ratings.count": -1 })
+        .limit(5)
+      : [];
+
     // Combine and deduplicate products
     const allProducts = [...products, ...skinConcernProducts];
-    const uniqueProducts = allProducts.filter((product, index, self) => 
+    let uniqueProducts = allProducts.filter((product, index, self) => 
       index === self.findIndex(p => p._id.toString() === product._id.toString())
     );
 
+    // Put the best-rated matches first; fall back to the store's top rated products
+    if (asksForRatings) {
+      uniqueProducts = uniqueProducts.length > 0
+        ? [...uniqueProducts].sort((a, b) => ratingScore(b) - ratingScore(a))
+        : topRatedProducts;
+    }
+
     return {
       faqs,
       products: uniqueProducts.slice(0, 10),
+      topRatedProducts,
     };
   } catch (error) {
     console.error('Error retrieving information:', error);
-    return { faqs: [], products: [] };
+    return { faqs: [], products: [], topRatedProducts: [] };
   }
 }
 
@@ -262,6 +328,21 @@ async function generateAIResponse(userMessage, conversationHistory, retrievedInf
         if (product.skinType?.length) context += `  Suitable for: ${product.skinType.join(', ')} skin\n`;
         if (product.benefits?.length) context += `  Benefits: ${product.benefits.join(', ')}\n`;
         if (product.skinConcerns?.length) context += `  Addresses: ${product.skinConcerns.join(', ')}\n`;
+        if (product.ratings?.count) {
+          context += `  Rating: ${product.ratings.average}/5 from ${product.ratings.count} customer review${product.ratings.count === 1 ? '' : 's'}${isWellReviewed(product) ? ' (well reviewed)' : ''}\n`;
+        }
+      });
+      context += "\n";
+    }
+
+    // Add the store's best-rated products when the customer asks about them
+    const otherTopRated = (retrievedInfo.topRatedProducts || []).filter(product =>
+      !retrievedInfo.products.some(p => p._id.toString() === product._id.toString())
+    );
+    if (otherTopRated.length > 0) {
+      context += "TOP RATED PRODUCTS:\n";
+      otherTopRated.forEach(product => {
+        context += `- ${product.name}: ${product.ratings.average}/5 from ${product.ratings.count} customer reviews\n`;
       });
       context += "\n";
     }
@@ -295,6 +376,7 @@ Instructions:
 - If you don't have specific information, suggest they contact customer service
 - Always prioritize product recommendations based on the customer's skin type and concerns
 - Include helpful skincare tips when relevant
+- When a product has a rating, you may cite it (e.g. "rated 4.7/5 by 120 customers"); never invent ratings or reviews
 - Respond in a conversational, natural tone
 
 Customer's current question: ${userMessage}
@@ -327,7 +409,7 @@ function generateFallbackResponse(userMessage, retrievedInfo) {
   let fallbackResponse = "I'm here to help you with your skincare needs! ";
   
   if (retrievedInfo.products.length > 0) {
-    fallbackResponse += `Based on your query, you might be interested in these products: ${retrievedInfo.products.slice(0, 2).map(p => p.name).join(', ')}. `;
+    fallbackResponse += `Based on your query, you might be interested in these products: ${retrievedInfo.products.slice(0, 2).map(p => p.ratings?.count ? `${p.name} (rated ${p.ratings.average}/5)` : p.name).join(', ')}. `;
   }
   
   if (retrievedInfo.faqs.length > 0) {
@@ -506,8 +588,19 @@ exports.clearConversation = async (req, res) => {
       });
     }
 
-    // Delete the conversation from the database
-    const deletedConversation = await ChatConversation.findOneAndDelete({ sessionId });
+    // Delete the conversation from the database; an open staff chat gives its agent's slot back
+    const deletedConversation = await runInTransaction(async (session) => {
+      const deleted = await ChatConversation.findOneAndDelete({ sessionId }, { session });
+      if (deleted && deleted.isStaffChat && deleted.isActive) {
+        await freeChatSlot(deleted.assignedStaff, session);
+      }
+      return deleted;
+    });
+
+    const wsManager = req.app.locals.wsManager;
+    if (wsManager && deletedConversation && deletedConversation.isStaffChat && deletedConversation.isActive) {
+      await wsManager.sendConversationClosed(deletedConversation, 'cleared');
+    }
 
     res.json({
       success: true,
@@ -528,6 +621,22 @@ exports.clearConversation = async (req, res) => {
 
 // Staff Chat Functions
 
+// Assignment, message and closing problems (taken chats, full agents, closed chats) are the caller's to fix
+const sendChatError = (res, error, action) => {
+  if (error instanceof ChatAssignmentError || error instanceof ChatMessageError || error instanceof ChatLifecycleError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: error.message,
+  });
+};
+
 // Connect customer to staff chat
 exports.connectToStaff = async (req, res) => {
   try {
@@ -560,17 +669,36 @@ exports.connectToStaff = async (req, res) => {
       }
     }
 
+    // A closed chat starts over: back to the queue, without the previous agent
+    if (!conversation.isActive && conversation.closedAt) {
+      Object.assign(conversation, {
+        assignedStaff: null,
+        assignedAt: null,
+        waitingForStaff: false,
+        closedAt: null,
+        closedBy: null,
+        closedByUser: null,
+        closeReason: null
+      });
+    }
+
     // Mark conversation as staff chat and active
     conversation.isStaffChat = true;
     conversation.isActive = true;
+    if (!conversation.assignedStaff && !(conversation.waitingForStaff && conversation.queuedAt)) {
+      conversation.queuedAt = new Date();
+    }
     conversation.waitingForStaff = true;
     
     await conversation.save();
 
+    // Hand it to an available agent, or leave it in the queue
+    conversation = await enqueueConversation(conversation, req.app.locals.wsManager);
+
     res.status(200).json({
       success: true,
       message: "Connected to staff chat",
-      data: { sessionId }
+      data: { sessionId, assigned: !!conversation.assignedStaff }
     });
 
   } catch (error) {
@@ -595,60 +723,31 @@ exports.sendMessageToStaff = async (req, res) => {
       });
     }
 
-    let conversation = await ChatConversation.findOne({ sessionId });
-    
-    if (!conversation) {
-      return res.status(404).json({
-        success: false,
-        message: "Conversation not found",
-      });
-    }
-
-    // Add customer message
-    conversation.messages.push({
-      role: 'user',
-      content: message,
-      messageType: 'text',
-      timestamp: new Date()
-    });
-
-    // Mark as having unread messages for staff
-    conversation.hasUnreadFromCustomer = true;
-    conversation.lastActivity = new Date();
-    
-    await conversation.save();
+    const { conversation, message: sent } = await addCustomerMessage(sessionId, message);
 
-    // Send message to connected admins via WebSocket
+    // Deliver via WebSocket to the customer's other tabs and to the staff side
     const wsManager = req.app.locals.wsManager;
     if (wsManager) {
-      const sent = await wsManager.broadcastCustomerMessage(sessionId, message);
-      if (sent) {
-        console.log(`✅ Customer message broadcasted to admins for session: ${sessionId}`);
-      } else {
-        console.log(`⚠️ No admins connected via WebSocket for session: ${sessionId}`);
-      }
+      await wsManager.sendChatMessage(conversation, sent);
     }
 
     res.status(200).json({
       success: true,
-      message: "Message sent to staff"
+      message: "Message sent to staff",
+      data: { messageId: String(sent._id), timestamp: sent.timestamp }
     });
 
   } catch (error) {
-    console.error('Error sending message to staff:', error);
-    res.status(500).json({
-      success: false,
-      message: "Error sending message",
-      error: error.message,
-    });
+    sendChatError(res, error, "sending message");
   }
 };
 
 // Get new messages for customer in staff chat
+// Catch-up for clients without a WebSocket: ?lastMessageId= returns the messages after it
 exports.getStaffMessages = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { lastMessageTime } = req.query; // Optional parameter to track last seen message
+    const { lastMessageId } = req.query;
     
     const conversation = await ChatConversation.findOne({ sessionId });
     
@@ -659,27 +758,14 @@ exports.getStaffMessages = async (req, res) => {
       });
     }
 
-    // Get messages since last check
-    let recentMessages;
-    if (lastMessageTime) {
-      // Get messages newer than the last seen message
-      recentMessages = conversation.messages.filter(msg => 
-        msg.role === 'assistant' && 
-        msg.messageType === 'staff' &&
-        new Date(msg.timestamp) > new Date(lastMessageTime)
-      );
-    } else {
-      // Fallback: get messages from last 10 seconds (increased from 5 to reduce risk)
-      recentMessages = conversation.messages.filter(msg => 
-        msg.role === 'assistant' && 
-        msg.messageType === 'staff' &&
-        new Date(msg.timestamp) > new Date(Date.now() - 10000)
-      );
-    }
+    const { messages, ...sync } = getMessagesAfter(conversation, lastMessageId);
 
     res.status(200).json({
       success: true,
-      data: { newMessages: recentMessages }
+      data: {
+        newMessages: messages.filter(message => message.from === 'staff'),
+        ...sync
+      }
     });
 
   } catch (error) {
@@ -692,16 +778,85 @@ exports.getStaffMessages = async (req, res) => {
   }
 };
 
+// Customer ends the staff chat
+exports.closeStaffChat = async (req, res) => {
+  try {
+    const conversation = await closeConversation(req.params.sessionId, {
+      side: 'customer',
+      user: req.user,
+      reason: (req.body && req.body.reason) || null
+    }, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: "Conversation closed",
+      data: {
+        sessionId: conversation.sessionId,
+        closedAt: conversation.closedAt,
+        canRate: !!conversation.assignedStaff
+      }
+    });
+  } catch (error) {
+    sendChatError(res, error, "closing conversation");
+  }
+};
+
+// Customer reopens a recently closed staff chat (it goes back to the queue)
+exports.reopenStaffChat = async (req, res) => {
+  try {
+    const conversation = await reopenConversation(req.params.sessionId, {
+      side: 'customer',
+      user: req.user
+    }, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: "Conversation reopened",
+      data: { sessionId: conversation.sessionId, assigned: !!conversation.assignedStaff }
+    });
+  } catch (error) {
+    sendChatError(res, error, "reopening conversation");
+  }
+};
+
+// Customer rates a closed staff chat
+exports.rateStaffChat = async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    const conversation = await rateConversation(req.params.sessionId, req.user, { rating, comment });
+    res.status(200).json({
+      success: true,
+      message: "Thank you for your feedback",
+      data: { sessionId: conversation.sessionId, satisfaction: conversation.satisfaction }
+    });
+  } catch (error) {
+    sendChatError(res, error, "rating conversation");
+  }
+};
+
 // Admin Functions for Staff Chat
 
 // Get all active customer chats for admin
+// ?assignedTo=me | unassigned | <staff ID> narrows the list
 exports.getActiveChats = async (req, res) => {
   try {
-    const conversations = await ChatConversation.find({ 
-      isStaffChat: true, 
-      isActive: true 
-    })
+    const filter = { isStaffChat: true, isActive: true };
+    const { assignedTo } = req.query;
+    if (assignedTo === 'me') {
+      filter.assignedStaff = req.user.id;
+    } else if (assignedTo === 'unassigned') {
+      filter.assignedStaff = null;
+    } else if (assignedTo) {
+      if (!/^[0-9a-fA-F]{24}$/.test(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: "assignedTo must be me, unassigned or a staff ID",
+        });
+      }
+      filter.assignedStaff = assignedTo;
+    }
+
+    const conversations = await ChatConversation.find(filter)
     .populate('userId', 'username email firstName lastName')
+    .populate('assignedStaff', 'username')
     .sort({ lastActivity: -1 })
     .limit(50);
 
@@ -739,7 +894,11 @@ exports.getActiveChats = async (req, res) => {
           'No messages yet',
         lastActivity: conv.lastActivity,
         unreadCount,
-        waitingForStaff: conv.waitingForStaff
+        waitingForStaff: conv.waitingForStaff,
+        assignedStaff: conv.assignedStaff
+          ? { id: conv.assignedStaff._id, username: conv.assignedStaff.username }
+          : null,
+        assignedAt: conv.assignedAt
       };
     });
 
@@ -749,15 +908,133 @@ exports.getActiveChats = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error getting active chats:', error);
+    sendChatError(res, error, "getting active chats");
+  }
+};
+
+// Admin Operation: Admins currently connected over WebSocket (on any instance),
+// with how many chats each holds
+exports.getOnlineStaff = async (req, res) => {
+  try {
+    const data = await getAgentWorkload(req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting online staff:', error);
     res.status(500).json({
       success: false,
-      message: "Error getting active chats",
+      message: "Error getting online staff",
       error: error.message,
     });
   }
 };
 
+// Admin Operation: Chats waiting for an agent, oldest first
+exports.getChatQueue = async (req, res) => {
+  try {
+    const queue = await getQueue();
+    res.status(200).json({
+      success: true,
+      data: queue
+    });
+  } catch (error) {
+    sendChatError(res, error, "getting chat queue");
+  }
+};
+
+// Admin Operation: Take a chat from the queue
+exports.claimChat = async (req, res) => {
+  try {
+    const conversation = await claimConversation(req.params.sessionId, req.user, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: "Chat claimed",
+      data: { sessionId: conversation.sessionId, assignedStaff: conversation.assignedStaff }
+    });
+  } catch (error) {
+    sendChatError(res, error, "claiming chat");
+  }
+};
+
+// Admin Operation: Put a chat back in the queue
+exports.releaseChat = async (req, res) => {
+  try {
+    const conversation = await releaseConversation(req.params.sessionId, req.user, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: conversation.assignedStaff ? "Chat released and reassigned" : "Chat released to the queue",
+      data: { sessionId: conversation.sessionId, assignedStaff: conversation.assignedStaff || null }
+    });
+  } catch (error) {
+    sendChatError(res, error, "releasing chat");
+  }
+};
+
+// Admin Operation: Hand a chat to another agent
+exports.transferChat = async (req, res) => {
+  try {
+    const conversation = await transferConversation(req.params.sessionId, req.body.staffId, req.user, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: "Chat transferred",
+      data: { sessionId: conversation.sessionId, assignedStaff: conversation.assignedStaff }
+    });
+  } catch (error) {
+    sendChatError(res, error, "transferring chat");
+  }
+};
+
+// Admin Operation: Close a chat (assigned agent, or any chat for admins)
+exports.closeChat = async (req, res) => {
+  try {
+    const conversation = await closeConversation(req.params.sessionId, {
+      side: 'staff',
+      user: req.user,
+      reason: (req.body && req.body.reason) || null
+    }, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: "Conversation closed",
+      data: { sessionId: conversation.sessionId, closedAt: conversation.closedAt }
+    });
+  } catch (error) {
+    sendChatError(res, error, "closing conversation");
+  }
+};
+
+// Admin Operation: Reopen a closed chat and take it
+exports.reopenChat = async (req, res) => {
+  try {
+    const conversation = await reopenConversation(req.params.sessionId, {
+      side: 'staff',
+      user: req.user
+    }, req.app.locals.wsManager);
+    res.status(200).json({
+      success: true,
+      message: "Conversation reopened",
+      data: { sessionId: conversation.sessionId, assignedStaff: conversation.assignedStaff }
+    });
+  } catch (error) {
+    sendChatError(res, error, "reopening conversation");
+  }
+};
+
+// Admin Operation: CSAT, first-response and resolution times per agent
+exports.getChatReport = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const report = await getChatPerformanceReport({ from, to });
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendChatError(res, error, "building chat report");
+  }
+};
+
 // Get messages for a specific chat (admin view)
 exports.getChatMessages = async (req, res) => {
   try {
@@ -811,6 +1088,7 @@ exports.getChatMessages = async (req, res) => {
 };
 
 // Staff replies to customer
+// Replying to a queued chat claims it; chats assigned to another agent have to be transferred first
 exports.staffReply = async (req, res) => {
   try {
     const { sessionId, message } = req.body;
@@ -822,55 +1100,22 @@ exports.staffReply = async (req, res) => {
       });
     }
 
-    let conversation = await ChatConversation.findOne({ sessionId });
-    
-    if (!conversation) {
-      return res.status(404).json({
-        success: false,
-        message: "Conversation not found",
-      });
-    }
-
-    // Add staff message
-    conversation.messages.push({
-      role: 'assistant',
-      content: message,
-      messageType: 'staff',
-      timestamp: new Date()
-    });
-
-    // Update conversation state
-    conversation.waitingForStaff = false;
-    conversation.hasUnreadFromCustomer = false;
-    // Don't update lastActivity for staff replies to prevent moving chat to top
-    // conversation.lastActivity = new Date();
-    conversation.lastStaffRead = new Date();
-    
-    await conversation.save();
+    const wsManager = req.app.locals.wsManager;
+    const { conversation, message: sent } = await addStaffMessage(sessionId, req.user, message, wsManager);
 
     // Send message via WebSocket if customer is connected
-    const wsManager = req.app.locals.wsManager;
     if (wsManager) {
-      const sent = await wsManager.sendStaffReply(sessionId, message);
-      if (sent) {
-        console.log(`✅ Staff reply sent via WebSocket to session: ${sessionId}`);
-      } else {
-        console.log(`⚠️ Customer not connected via WebSocket for session: ${sessionId}`);
-      }
+      await wsManager.sendChatMessage(conversation, sent);
     }
 
     res.status(200).json({
       success: true,
-      message: "Reply sent successfully"
+      message: "Reply sent successfully",
+      data: { messageId: String(sent._id), timestamp: sent.timestamp }
     });
 
   } catch (error) {
-    console.error('Error sending staff reply:', error);
-    res.status(500).json({
-      success: false,
-      message: "Error sending reply",
-      error: error.message,
-    });
+    sendChatError(res, error, "sending reply");
   }
 };
 
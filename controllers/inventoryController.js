@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { adjustStock } = require("../middleware/stockReservations");
+const { InventoryError, listMovements, reconcileInventory } = require("../middleware/inventoryLedger");
+const { getReorderSuggestions } = require("../middleware/stockForecast");
+
+const sendInventoryError = (res, error, fallbackMessage) => {
+  if (error instanceof InventoryError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).send("Server Error");
+};
+
+// Checks the product, variant and quantity of a stock change sent by an admin
+const validateStockChange = ({ productId, variantId, quantity }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new InventoryError(400, "A valid productId is required");
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw new InventoryError(400, "Invalid variantId");
+  }
+  const amount = Number(quantity);
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new InventoryError(400, "quantity must be a non-zero whole number");
+  }
+  return amount;
+};
+
+// Admin Operation: Receive stock into inventory
+exports.receiveStock = async (req, res) => {
+  try {
+    const { productId, variantId, quantity, reason, reference } = req.body;
+    const amount = validateStockChange({ productId, variantId, quantity });
+    if (amount < 0) {
+      throw new InventoryError(400, "Received quantity must be positive; use an adjustment to remove stock");
+    }
+
+    const result = await adjustStock({
+      productId,
+      variantId,
+      type: "restock",
+      quantity: amount,
+      actor: req.user.id,
+      reason: reason || "Stock received",
+      reference
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendInventoryError(res, error, "Error receiving stock");
+  }
+};
+
+// Admin Operation: Correct stock after a count, or write off damaged stock
+exports.createAdjustment = async (req, res) => {
+  try {
+    const { productId, variantId, quantity, type = "adjustment", reason, reference } = req.body;
+    const amount = validateStockChange({ productId, variantId, quantity });
+    if (!["adjustment", "damage"].includes(type)) {
+      throw new InventoryError(400, "type must be adjustment or damage");
+    }
+    if (type === "damage" && amount > 0) {
+      throw new InventoryError(400, "Damage removes stock; quantity must be negative");
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new InventoryError(400, "A reason is required for adjustments");
+    }
+
+    const result = await adjustStock({
+      productId,
+      variantId,
+      type,
+      quantity: amount,
+      actor: req.user.id,
+      reason: String(reason).trim(),
+      reference
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendInventoryError(res, error, "Error adjusting stock");
+  }
+};
+
+// Admin Operation: Get stock movement history
+exports.getMovements = async (req, res) => {
+  try {
+    const { productId, variantId, type, orderId, from, to, page, limit } = req.query;
+    res.json(await listMovements({ productId, variantId, type, orderId, from, to, page, limit }));
+  } catch (error) {
+    sendInventoryError(res, error, "Error retrieving stock movements");
+  }
+};
+
+// Admin Operation: Compare product stock with the inventory ledger
+exports.getReconciliation = async (req, res) => {
+  try {
+    res.json(await reconcileInventory({ includeMatched: req.query.includeMatched === "true" }));
+  } catch (error) {
+    sendInventoryError(res, error, "Error reconciling inventory");
+  }
+};
+
+// Admin Operation: Get products that need restocking and how much to order
+exports.getReorderSuggestions = async (req, res) => {
+  try {
+    const suggestions = await getReorderSuggestions();
+    res.json({ generatedAt: new Date(), total: suggestions.length, suggestions });
+  } catch (error) {
+    sendInventoryError(res, error, "Error building reorder suggestions");
+  }
+};
@@ -1,6 +1,10 @@
 const Order = require("../models/order");
-const Product = require("../models/product");
 const User = require("../models/user");
+const Payment = require("../models/payment");
+const { canTransition, transitionOrder } = require("../middleware/orderLifecycle");
+const { calculateOrderPricing, PricingError } = require("../middleware/orderPricing");
+const { TransactionAbortError } = require("../middleware/transactions");
+const { CheckoutError, placeOrder } = require("../middleware/checkout");
 
 // Admin Operation: Get all Orders
 exports.getAllOrders = async (req, res) => {
@@ -26,68 +30,60 @@ exports.getAllOrders = async (req, res) => {
 // User Operation: Create an Order
 exports.createOrder = async (req, res) => {
   try {
-    const { products, paymentMethod, status, totalPrice } = req.body;
+    const { products, paymentMethod, totalPrice, couponCode } = req.body;
     console.log("Products from request body:", products);
     console.log("Payment method from request body:", paymentMethod);
-    console.log("Status from request body:", status);
     console.log("Total price from request body:", totalPrice);
-
-    if (!products || !paymentMethod || !totalPrice) {
-      return res.status(400).send({ error: 'Products, payment method, and total price are required' });
-    }
+    console.log("Coupon code from request body:", couponCode);
 
     const userId = req.user.id;
     console.log("User ID from request:", userId);
 
-    // Validate stock for each product line
-    // Expect each item: { productId, quantity, price }
-    for (const item of products) {
-      if (!item.productId || typeof item.quantity !== 'number' || item.quantity <= 0) {
-        return res.status(400).send({ error: 'Each product requires productId and positive quantity' });
-      }
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        return res.status(400).send({ error: `Product not found: ${item.productId}` });
-      }
-      if (product.stockQuantity < item.quantity) {
-        return res.status(400).send({
-          error: `Insufficient stock for product ${product.name}. Available: ${product.stockQuantity}, requested: ${item.quantity}`,
-        });
-      }
-    }
-
-    // Decrement stock atomically per item
-    for (const item of products) {
-      const updated = await Product.findOneAndUpdate(
-        { _id: item.productId, stockQuantity: { $gte: item.quantity } },
-        { $inc: { stockQuantity: -item.quantity } },
-        { new: true }
-      );
-      if (!updated) {
-        return res.status(409).send({
-          error: 'Stock changed while processing your order. Please try again.',
-        });
-      }
-    }
-
-    const order = new Order({
-      user: userId,
-      products,
+    const order = await placeOrder({
+      userId,
+      items: products,
       paymentMethod,
-      status: status || "processing",
-      totalPrice,
-      orderDate: new Date(),
+      couponCode,
+      expectedTotal: totalPrice,
     });
 
-    await order.save();
     console.log("Order to be saved:", order);
     res.status(201).send(order);
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(error.status).send({ error: error.message, ...error.details });
+    }
     console.error('Error creating order:', error);
     res.status(500).send({ error: 'Internal Server Error' });
   }
 };
 
+// User Operation: Quote an Order
+// Prices a cart (optionally with a coupon) without placing the order or touching stock
+exports.quoteOrder = async (req, res) => {
+  try {
+    const { products, couponCode } = req.body;
+
+    if (!products) {
+      return res.status(400).send({ error: 'Products are required' });
+    }
+
+    const priced = await calculateOrderPricing(products, { couponCode, userId: req.user.id });
+
+    res.json({
+      products: priced.lines,
+      couponCode: priced.promotion ? priced.promotion.code : null,
+      pricing: priced.pricing,
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(400).send({ error: error.message });
+    }
+    console.error('Error quoting order:', error);
+    res.status(500).send({ error: 'Internal Server Error' });
+  }
+};
+
 // // User Operation: Edit an Order
 // exports.updateOrder = async (req, res) => {
 //   try {
@@ -123,43 +119,77 @@ exports.createOrder = async (req, res) => {
 //   }
 // };
 
-// User Operation: Update Order Status
-exports.updateOrderStatus = async (req, res) => {
+// Shared handler for every status change so the lifecycle rules apply everywhere
+const changeOrderStatus = async (req, res, nextStatus) => {
   try {
-    const { status } = req.body;
     const orderId = req.params.id;
+    const user = req.user;
+    const { note } = req.body || {};
 
     console.log("Order ID:", orderId);
-    console.log("New status:", status);
-
-    const userId = req.user.id;
-    console.log("User ID:", userId);
-
-    const user = req.user;
+    console.log("New status:", nextStatus);
     console.log("User:", user);
 
-    // Define the query
+    if (!nextStatus) {
+      return res.status(400).send({ error: 'Status is required' });
+    }
+
+    // Customers can only touch their own orders
     let query = { _id: orderId };
     if (user.role !== 'admin') {
-      query.user = userId;
+      query.user = user.id;
     }
-    
-    const order = await Order.findOneAndUpdate(query, { status }, { new: true });
 
-    if (order) {
-      console.log("Order status updated successfully:", order);
-      
-      res.json(order);
-    } else {
+    const order = await Order.findOne(query);
+
+    if (!order) {
       console.log("Order not found");
-      res.status(404).send("Order not found");
+      return res.status(404).send("Order not found");
+    }
+
+    // A payment that settled after cancellation makes the order refundable
+    const payment = nextStatus === "refunded" ? await Payment.findOne({ order: order._id }) : null;
+    const { allowed, reason } = canTransition(order, nextStatus, user.role, { payment });
+    if (!allowed) {
+      return res.status(400).send({ error: reason });
     }
+
+    try {
+      await transitionOrder(order, nextStatus, {
+        actor: user.id,
+        actorRole: user.role,
+        note,
+      });
+    } catch (error) {
+      if (error instanceof TransactionAbortError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      throw error;
+    }
+
+    console.log("Order status updated successfully:", order);
+    res.json(order);
   } catch (err) {
     console.error("Error updating order status:", err);
     res.status(500).send("Server Error");
   }
 };
 
+// Admin Operation: Update Order Status
+exports.updateOrderStatus = async (req, res) => {
+  return changeOrderStatus(req, res, req.body.status);
+};
+
+// User Operation: Cancel an Order
+exports.cancelOrder = async (req, res) => {
+  return changeOrderStatus(req, res, "cancelled");
+};
+
+// User Operation: Request a Return
+exports.requestReturn = async (req, res) => {
+  return changeOrderStatus(req, res, "return_requested");
+};
+
 // User Operation: Delete an Order
 exports.deleteOrderByCustomer = async (req, res) => {
   try {
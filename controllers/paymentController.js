@@ -0,0 +1,129 @@
+const Order = require("../models/order");
+const Payment = require("../models/payment");
+const { getProvider } = require("../middleware/paymentProviders");
+const {
+  PaymentError,
+  findOrCreatePayment,
+  startPayment,
+  handleProviderCallback,
+  refreshPayment
+} = require("../middleware/payments");
+
+// Customers only see their own orders
+const findOrderForUser = (orderId, user) => {
+  const query = { _id: orderId };
+  if (user.role !== "admin") {
+    query.user = user.id;
+  }
+  return Order.findOne(query);
+};
+
+// User Operation: Start or resume the payment for an order
+// Card details (credit_card) go to the gateway and are never stored
+exports.payOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const { card } = req.body || {};
+    const result = await startPayment(order, { card, appUser: req.user.username });
+
+    if (result.status === "failed") {
+      return res.status(402).json({ message: result.message, payment: result.payment });
+    }
+
+    res.json({
+      status: result.status,
+      message: result.message,
+      redirectUrl: result.payment.redirectUrl,
+      payment: result.payment
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error starting payment:", error);
+    res.status(502).json({ message: "Could not start payment", error: error.message });
+  }
+};
+
+// User Operation: Get the payment for an order
+exports.getOrderPayment = async (req, res) => {
+  try {
+    const order = await findOrderForUser(req.params.orderId, req.user);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const payment = await findOrCreatePayment(order);
+    res.json(payment);
+  } catch (error) {
+    console.error("Error fetching payment:", error);
+    res.status(500).send("Server Error");
+  }
+};
+
+// User Operation: Ask the provider for the payment status and settle it if paid
+exports.refreshOrderPayment = async (req, res) => {
+  try {
+    const order = await findOrderForUser(req.params.orderId, req.user);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const payment = await findOrCreatePayment(order);
+    const result = await refreshPayment(payment, "query");
+
+    const [refreshedPayment, refreshedOrder] = await Promise.all([
+      Payment.findById(payment._id),
+      Order.findById(order._id)
+    ]);
+
+    res.json({
+      status: result.status,
+      orderStatus: refreshedOrder.status,
+      payment: refreshedPayment
+    });
+  } catch (error) {
+    console.error("Error refreshing payment:", error);
+    res.status(502).json({ message: "Could not query payment provider", error: error.message });
+  }
+};
+
+// Admin Operation: List payments
+exports.getAllPayments = async (req, res) => {
+  try {
+    const { status, provider, requiresRefund } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+    if (requiresRefund !== undefined) query.requiresRefund = requiresRefund === "true";
+
+    const payments = await Payment.find(query)
+      .populate("user", "username")
+      .sort({ createdAt: -1 });
+    res.json(payments);
+  } catch (error) {
+    console.error("Error fetching payments:", error);
+    res.status(500).send("Server Error");
+  }
+};
+
+// Provider Callback: server-to-server notification, verified by the provider
+// Always answers in the provider's own acknowledgement format
+exports.providerCallback = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider || !provider.parseCallback) {
+    return res.status(404).json({ message: "Unknown payment provider" });
+  }
+
+  try {
+    const { outcome } = await handleProviderCallback(provider.name, req.body);
+    res.json(provider.acknowledgeCallback(outcome));
+  } catch (error) {
+    console.error(`Error handling ${provider.name} callback:`, error);
+    res.json(provider.acknowledgeCallback("error"));
+  }
+};
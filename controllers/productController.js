@@ -1,26 +1,50 @@
 const Product = require("../models/product");
-const fs = require("fs");
-const path = require("path");
-
-// Utility function to delete old image file
-const deleteImageFile = (imagePath) => {
-  if (imagePath) {
-    const fullPath = path.join(__dirname, '../', imagePath);
-    fs.unlink(fullPath, (err) => {
-      if (err) {
-        console.error('Error deleting old image file:', err);
-      } else {
-        console.log('Old image file deleted successfully:', imagePath);
-      }
-    });
+const Review = require("../models/review");
+const { CatalogQueryError, isCatalogQuery, parseCatalogQuery, searchProducts } = require("../middleware/productSearch");
+const { VariantError, parseVariants, variantUpdate } = require("../middleware/productVariants");
+const {
+  ImageUploadError,
+  getUploadedFiles,
+  storeImages,
+  removeImages,
+  getGallery,
+  assertGallerySize
+} = require("../middleware/productImages");
+const { ImportError, readImportRecords, importProducts, exportProducts } = require("../middleware/productImport");
+const { InventoryError, stockSnapshot, recordStockChanges } = require("../middleware/inventoryLedger");
+const { adjustStock } = require("../middleware/stockReservations");
+const { runInTransaction } = require("../middleware/transactions");
+
+// Variant, image and stock problems are the admin's to fix; anything else is a server error
+const sendProductError = (res, err) => {
+  if (err instanceof VariantError || err instanceof ImageUploadError || err instanceof InventoryError) {
+    return res.status(err.status).json({ message: err.message });
   }
+  if (err.code === 11000 && err.keyPattern && (err.keyPattern.sku || err.keyPattern["variants.sku"])) {
+    const sku = err.keyValue.sku || err.keyValue["variants.sku"];
+    return res.status(409).json({ message: `SKU already used by another product: ${sku}` });
+  }
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  res.status(500).send("Server Error");
 };
 
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().populate("category");
-    res.json(products);
+    // Without search parameters keep returning the full list for existing clients
+    if (!isCatalogQuery(req.query)) {
+      const products = await Product.find().populate("category");
+      return res.json(products);
+    }
+
+    const result = await searchProducts(parseCatalogQuery(req.query));
+    res.json(result);
   } catch (err) {
+    if (err instanceof CatalogQueryError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error searching products:', err);
     res.status(500).send("Server Error");
   }
 };
@@ -39,9 +63,11 @@ exports.getProductById = async (req, res) => {
 };
 
 exports.createProduct = async (req, res) => {
+  let storedImages = [];
   try {
     const { 
       name, 
+      sku,
       categoryId, 
       price, 
       description, 
@@ -51,9 +77,13 @@ exports.createProduct = async (req, res) => {
       benefits,
       tags,
       usage,
-      skinConcerns
+      skinConcerns,
+      variants,
+      reorderPoint,
+      reorderQuantity,
+      leadTimeDays,
+      preferredSupplier
     } = req.body;
-    const image = req.file ? req.file.path : null;
 
     // Debug logging
     console.log('Raw request body fields:');
@@ -78,11 +108,19 @@ exports.createProduct = async (req, res) => {
     console.log('parsedTags:', parsedTags);
     console.log('parsedSkinConcerns:', parsedSkinConcerns);
 
+    // Price and stock of a product with variants are derived from them on save
+    const parsedVariants = variants ? parseVariants(variants) : [];
+
+    // The "image" upload leads the gallery; the main image is derived from it on save
+    const { primary, gallery } = getUploadedFiles(req);
+    storedImages = await storeImages(primary ? [primary, ...gallery] : gallery);
+
     const product = new Product({ 
       name, 
+      sku: sku || undefined,
       category: categoryId, 
-      image, 
-      price, 
+      images: storedImages, 
+      price: parsedVariants.length > 0 ? undefined : price, 
       description, 
       stockQuantity,
       ingredients: parsedIngredients,
@@ -90,27 +128,36 @@ exports.createProduct = async (req, res) => {
       benefits: parsedBenefits,
       tags: parsedTags,
       usage,
-      skinConcerns: parsedSkinConcerns
+      skinConcerns: parsedSkinConcerns,
+      variants: parsedVariants,
+      reorderPoint,
+      reorderQuantity,
+      leadTimeDays,
+      preferredSupplier: preferredSupplier || undefined
     });
     
     console.log('Product object before save:', product);
-    await product.save();
+    // The opening stock goes into the inventory ledger with the product
+    await runInTransaction(async (session) => {
+      await product.save({ session });
+      await recordStockChanges(stockSnapshot(null), product, { actor: req.user.id, reason: "Product created" }, session);
+    });
     console.log('Product saved successfully:', product._id);
     res.status(201).json(product);
   } catch (err) {
     console.error("Error creating product:", err);
-    // If product creation fails and we have uploaded file, clean it up
-    if (req.file) {
-      deleteImageFile(req.file.path);
-    }
-    res.status(500).send("Server Error");
+    // If product creation fails, remove the images already stored for it
+    await removeImages(storedImages);
+    sendProductError(res, err);
   }
 };
 
 exports.updateProduct = async (req, res) => {
+  let storedImages = [];
   try {
     const { 
       name, 
+      sku,
       categoryId, 
       price, 
       description, 
@@ -120,17 +167,17 @@ exports.updateProduct = async (req, res) => {
       benefits,
       tags,
       usage,
-      skinConcerns
+      skinConcerns,
+      variants,
+      reorderPoint,
+      reorderQuantity,
+      leadTimeDays,
+      preferredSupplier
     } = req.body;
-    const newImage = req.file ? req.file.path : null;
 
-    // First, get the current product to access the old image path
+    // First, get the current product to access the old images
     const currentProduct = await Product.findById(req.params.id);
     if (!currentProduct) {
-      // If new image was uploaded but product not found, clean up the uploaded file
-      if (newImage) {
-        deleteImageFile(newImage);
-      }
       return res.status(404).send("Product not found");
     }
 
@@ -143,42 +190,89 @@ exports.updateProduct = async (req, res) => {
 
     const updateData = { 
       name, 
+      sku: sku || undefined,
       category: categoryId, 
       price, 
       description, 
-      stockQuantity,
       ingredients: parsedIngredients,
       skinType: parsedSkinType,
       benefits: parsedBenefits,
       tags: parsedTags,
       usage,
-      skinConcerns: parsedSkinConcerns
+      skinConcerns: parsedSkinConcerns,
+      reorderPoint,
+      reorderQuantity,
+      leadTimeDays,
+      // An empty value from the form clears the supplier
+      preferredSupplier: preferredSupplier === "" ? null : preferredSupplier
     };
-    
-    // If new image is uploaded, handle the old image deletion
-    if (newImage) {
-      // Set the new image path
-      updateData.image = newImage;
+
+    // Stock is never overwritten directly: a new count becomes an adjustment below
+    const stockCount = stockQuantity === undefined || stockQuantity === "" ? null : Number(stockQuantity);
+    if (stockCount !== null && (!Number.isInteger(stockCount) || stockCount < 0)) {
+      return res.status(400).json({ message: "stockQuantity must be a whole number of zero or more" });
+    }
+
+    // A new "image" replaces the main image; "images" are added to the end of the gallery
+    const { primary, gallery } = getUploadedFiles(req);
+    let replacedImages = [];
+    if (primary || gallery.length > 0) {
+      const images = getGallery(currentProduct);
+      if (primary) {
+        replacedImages = images.splice(0, 1);
+      }
+      assertGallerySize([...images, ...(primary ? [primary] : []), ...gallery]);
+
+      storedImages = await storeImages(primary ? [primary, ...gallery] : gallery);
+      const updatedImages = primary
+        ? [storedImages[0], ...images, ...storedImages.slice(1)]
+        : [...images, ...storedImages];
+      updateData.images = updatedImages;
+      updateData.image = updatedImages[0].url;
     }
 
-    // Update the product in database
-    const product = await Product.findByIdAndUpdate(req.params.id, updateData, { new: true });
+    // Update the product in database; stock edits are recorded in the inventory ledger as adjustments.
+    // Stock is read again inside the transaction so sales and reservations made meanwhile are kept.
+    const product = await runInTransaction(async (session) => {
+      const latest = await Product.findById(req.params.id).session(session);
+      if (!latest) {
+        throw new InventoryError(404, "Product not found");
+      }
+      const changes = { ...updateData };
+
+      // Variants are only replaced when sent; price and stock of a product with variants come from them
+      if (variants !== undefined) {
+        Object.assign(changes, variantUpdate(parseVariants(variants, latest)));
+      } else if (latest.variants.length > 0) {
+        delete changes.price;
+      }
+
+      let updated = await Product.findByIdAndUpdate(req.params.id, changes, { new: true, session });
+      await recordStockChanges(stockSnapshot(latest), updated, { actor: req.user.id, reason: "Product edited" }, session);
+
+      if (stockCount !== null && updated.variants.length === 0 && stockCount !== updated.stockQuantity) {
+        ({ product: updated } = await adjustStock({
+          productId: updated._id,
+          type: "adjustment",
+          quantity: stockCount - updated.stockQuantity,
+          actor: req.user.id,
+          reason: "Product edited"
+        }, session));
+      }
+      return updated;
+    });
     
     // Only delete the old image after successful database update
-    if (newImage && currentProduct.image) {
-      deleteImageFile(currentProduct.image);
-    }
+    await removeImages(replacedImages);
     
     res.json(product);
   } catch (err) {
     console.error("Error updating product:", err);
     
-    // If database update failed and we have new image, clean it up
-    if (req.file) {
-      deleteImageFile(req.file.path);
-    }
+    // If database update failed, remove the images stored for it
+    await removeImages(storedImages);
     
-    res.status(500).send("Server Error");
+    sendProductError(res, err);
   }
 };
 
@@ -189,16 +283,128 @@ exports.deleteProduct = async (req, res) => {
       return res.status(404).send("Product not found");
     }
 
-    // Delete the associated image file if it exists
-    if (product.image) {
-      deleteImageFile(product.image);
-    }
-
-    // Delete the product from database
+    // Delete the product and its reviews from database, then its image files
     await Product.findByIdAndDelete(req.params.id);
+    await Review.deleteMany({ product: product._id });
+    await removeImages(getGallery(product));
     res.status(204).send();
   } catch (err) {
     console.error("Error deleting product:", err);
     res.status(500).send("Server Error");
   }
-};
\ No newline at end of file
+};
+
+// Admin Operation: Add images to the end of a product's gallery
+exports.addProductImages = async (req, res) => {
+  let storedImages = [];
+  try {
+    const { primary, gallery } = getUploadedFiles(req);
+    const files = primary ? [primary, ...gallery] : gallery;
+    if (files.length === 0) {
+      return res.status(400).json({ message: "Upload at least one image" });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).send("Product not found");
+    }
+
+    const images = getGallery(product);
+    assertGallerySize([...images, ...files]);
+
+    storedImages = await storeImages(files);
+    product.images = [...images, ...storedImages];
+    await product.save();
+    res.status(201).json(product);
+  } catch (err) {
+    console.error("Error adding product images:", err);
+    await removeImages(storedImages);
+    sendProductError(res, err);
+  }
+};
+
+// Admin Operation: Remove one image from a product's gallery
+exports.removeProductImage = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).send("Product not found");
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    const removed = image.toObject();
+    product.images.pull(image._id);
+    if (product.images.length === 0) {
+      product.image = undefined;
+    }
+    await product.save();
+    await removeImages([removed]);
+    res.json(product);
+  } catch (err) {
+    console.error("Error removing product image:", err);
+    sendProductError(res, err);
+  }
+};
+
+// Admin Operation: Reorder a product's gallery (the first image becomes the main image)
+exports.reorderProductImages = async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).send("Product not found");
+    }
+
+    const currentIds = product.images.map(image => String(image._id));
+    const requestedIds = Array.isArray(imageIds) ? imageIds.map(String) : [];
+    const samePictures = requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === currentIds.length &&
+      requestedIds.every(id => currentIds.includes(id));
+    if (!samePictures) {
+      return res.status(400).json({ message: "imageIds must list every image of the product exactly once" });
+    }
+
+    product.images = requestedIds.map(id => product.images.id(id).toObject());
+    await product.save();
+    res.json(product);
+  } catch (err) {
+    console.error("Error reordering product images:", err);
+    sendProductError(res, err);
+  }
+};
+
+// Admin Operation: Bulk create/update products from CSV or JSON (?dryRun=true only validates)
+exports.importProducts = async (req, res) => {
+  try {
+    const records = readImportRecords(req);
+    const dryRun = req.query.dryRun === "true";
+    const report = await importProducts(records, { dryRun, actor: req.user.id });
+    res.status(!dryRun && report.summary.created > 0 ? 201 : 200).json(report);
+  } catch (err) {
+    if (err instanceof ImportError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error importing products:", err);
+    res.status(500).send("Server Error");
+  }
+};
+
+// Admin Operation: Export every product as CSV or JSON in the import format
+exports.exportProducts = async (req, res) => {
+  try {
+    const { contentType, filename, body } = await exportProducts(req.query.format || "json");
+    res.set("Content-Type", contentType);
+    res.attachment(filename);
+    res.send(body);
+  } catch (err) {
+    if (err instanceof ImportError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error exporting products:", err);
+    res.status(500).send("Server Error");
+  }
+};
@@ -0,0 +1,100 @@
+const Promotion = require("../models/promotion");
+
+// Fields an admin may set; usageCount is maintained by order placement
+const EDITABLE_FIELDS = [
+  "code", "name", "description", "type", "value", "maxDiscount",
+  "buyQuantity", "getQuantity", "minSubtotal", "products", "categories",
+  "usageLimit", "usageLimitPerUser", "startsAt", "endsAt", "isActive"
+];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+exports.getAllPromotions = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const filter = {};
+    if (active !== undefined) {
+      filter.isActive = active === "true";
+    }
+
+    const promotions = await Promotion.find(filter).sort({ createdAt: -1 });
+    res.json(promotions);
+  } catch (err) {
+    console.error("Error fetching promotions:", err);
+    res.status(500).send("Server Error");
+  }
+};
+
+exports.getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate("products", "name price")
+      .populate("categories", "name");
+    if (promotion) {
+      res.json(promotion);
+    } else {
+      res.status(404).send("Promotion not found");
+    }
+  } catch (err) {
+    res.status(500).send("Server Error");
+  }
+};
+
+exports.createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({
+      ...pickEditableFields(req.body),
+      createdBy: req.user.id
+    });
+    await promotion.save();
+    res.status(201).json(promotion);
+  } catch (err) {
+    console.error("Error creating promotion:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A promotion with this code already exists" });
+    }
+    res.status(400).json({ message: err.message });
+  }
+};
+
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).send("Promotion not found");
+    }
+
+    // Save through the document so cross-field validators see the full promotion
+    promotion.set(pickEditableFields(req.body));
+    await promotion.save();
+    res.json(promotion);
+  } catch (err) {
+    console.error("Error updating promotion:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A promotion with this code already exists" });
+    }
+    res.status(400).json({ message: err.message });
+  }
+};
+
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (promotion) {
+      res.status(204).send();
+    } else {
+      res.status(404).send("Promotion not found");
+    }
+  } catch (err) {
+    res.status(500).send("Server Error");
+  }
+};
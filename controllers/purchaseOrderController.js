@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const PurchaseOrder = require("../models/purchaseOrder");
+const { InventoryError } = require("../middleware/inventoryLedger");
+const {
+  PurchasingError,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder
+} = require("../middleware/purchasing");
+
+const sendPurchasingError = (res, error, fallbackMessage) => {
+  if (error instanceof PurchasingError || error instanceof InventoryError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).send("Server Error");
+};
+
+const findPurchaseOrder = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return PurchaseOrder.findById(id);
+};
+
+// Admin Operation: List purchase orders
+exports.getAllPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplierId, productId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (supplierId) filter.supplier = supplierId;
+    if (productId) filter["lines.product"] = productId;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate("supplier", "name")
+      .sort({ createdAt: -1 });
+    res.json(purchaseOrders);
+  } catch (error) {
+    sendPurchasingError(res, error, "Error fetching purchase orders");
+  }
+};
+
+// Admin Operation: Get a purchase order
+exports.getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).send("Purchase order not found");
+    }
+
+    await purchaseOrder.populate([
+      { path: "supplier" },
+      { path: "createdBy", select: "username" },
+      { path: "receipts.receivedBy", select: "username" }
+    ]);
+    res.json(purchaseOrder);
+  } catch (error) {
+    sendPurchasingError(res, error, "Error fetching purchase order");
+  }
+};
+
+// Admin Operation: Create a purchase order (a draft, or placed straight away with submit: true)
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, lines, expectedDeliveryDate, currency, notes, submit } = req.body;
+    const purchaseOrder = await createPurchaseOrder(
+      { supplierId, lines, expectedDeliveryDate, currency, notes, submit: submit === true },
+      req.user.id
+    );
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    sendPurchasingError(res, error, "Error creating purchase order");
+  }
+};
+
+// Admin Operation: Update a purchase order
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).send("Purchase order not found");
+    }
+
+    const { supplierId, lines, currency, expectedDeliveryDate, notes } = req.body;
+    res.json(await updatePurchaseOrder(purchaseOrder, { supplierId, lines, currency, expectedDeliveryDate, notes }));
+  } catch (error) {
+    sendPurchasingError(res, error, "Error updating purchase order");
+  }
+};
+
+// Admin Operation: Place a draft purchase order with the supplier
+exports.placePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).send("Purchase order not found");
+    }
+
+    res.json(await placePurchaseOrder(purchaseOrder));
+  } catch (error) {
+    sendPurchasingError(res, error, "Error placing purchase order");
+  }
+};
+
+// Admin Operation: Cancel a purchase order
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).send("Purchase order not found");
+    }
+
+    res.json(await cancelPurchaseOrder(purchaseOrder));
+  } catch (error) {
+    sendPurchasingError(res, error, "Error cancelling purchase order");
+  }
+};
+
+// Admin Operation: Receive a delivery against a purchase order
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).send("Purchase order not found");
+    }
+
+    const { lines, reference, receivedAt } = req.body;
+    const result = await receivePurchaseOrder(req.params.id, { lines, reference, receivedAt }, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    sendPurchasingError(res, error, "Error receiving purchase order");
+  }
+};
@@ -0,0 +1,101 @@
+const {
+  ReviewError,
+  getReviewEligibility,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  listProductReviews,
+  listReviewsForModeration,
+  listUserReviews
+} = require("../middleware/reviews");
+
+const sendReviewError = (res, error, fallbackMessage) => {
+  if (error instanceof ReviewError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).send("Server Error");
+};
+
+// Get a product's approved reviews and ratings summary
+exports.getProductReviews = async (req, res) => {
+  try {
+    const { rating, sort, page, limit } = req.query;
+    res.json(await listProductReviews(req.params.id, { rating, sort, page, limit }));
+  } catch (error) {
+    sendReviewError(res, error, "Error fetching reviews");
+  }
+};
+
+// User Operation: Check whether the signed-in customer can review a product
+exports.getReviewEligibility = async (req, res) => {
+  try {
+    res.json(await getReviewEligibility(req.user.id, req.params.id));
+  } catch (error) {
+    sendReviewError(res, error, "Error checking review eligibility");
+  }
+};
+
+// User Operation: Review a product from a completed order
+exports.createReview = async (req, res) => {
+  try {
+    const { rating, title, comment } = req.body;
+    const review = await createReview({ productId: req.params.id, userId: req.user.id, rating, title, comment });
+    res.status(201).json(review);
+  } catch (error) {
+    sendReviewError(res, error, "Error creating review");
+  }
+};
+
+// User Operation: Get the signed-in customer's reviews
+exports.getMyReviews = async (req, res) => {
+  try {
+    res.json(await listUserReviews(req.user.id));
+  } catch (error) {
+    sendReviewError(res, error, "Error fetching your reviews");
+  }
+};
+
+// User Operation: Edit own review
+exports.updateReview = async (req, res) => {
+  try {
+    const { rating, title, comment } = req.body;
+    res.json(await updateReview(req.params.id, req.user.id, { rating, title, comment }));
+  } catch (error) {
+    sendReviewError(res, error, "Error updating review");
+  }
+};
+
+// Delete own review, or any review as admin
+exports.deleteReview = async (req, res) => {
+  try {
+    await deleteReview(req.params.id, req.user);
+    res.json({ message: "Review deleted" });
+  } catch (error) {
+    sendReviewError(res, error, "Error deleting review");
+  }
+};
+
+// Admin Operation: Get the moderation queue
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const { status, productId, page, limit } = req.query;
+    res.json(await listReviewsForModeration({ status, productId, page, limit }));
+  } catch (error) {
+    sendReviewError(res, error, "Error fetching moderation queue");
+  }
+};
+
+// Admin Operation: Approve or reject a review
+exports.moderateReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    res.json(await moderateReview(req.params.id, { status, note, moderator: req.user.id }));
+  } catch (error) {
+    sendReviewError(res, error, "Error moderating review");
+  }
+};
@@ -0,0 +1,71 @@
+const Order = require("../models/order");
+const {
+  FulfillmentError,
+  createShipment,
+  addTrackingEvent,
+  getFulfillment
+} = require("../middleware/fulfillment");
+
+const sendFulfillmentError = (res, error, fallbackMessage) => {
+  if (error instanceof FulfillmentError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).send("Server Error");
+};
+
+// Admin Operation: Ship some or all of an order's remaining items
+exports.createShipment = async (req, res) => {
+  try {
+    const { carrier, trackingNumber, trackingUrl, items, shippingAddress } = req.body;
+
+    const result = await createShipment(req.params.id, {
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      items,
+      shippingAddress,
+      actor: req.user.id
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    sendFulfillmentError(res, error, "Error creating shipment");
+  }
+};
+
+// Admin Operation: Record a carrier status update on a shipment
+exports.addTrackingEvent = async (req, res) => {
+  try {
+    const { status, location, description, at } = req.body;
+    const shipment = await addTrackingEvent(req.params.id, req.params.shipmentId, {
+      status,
+      location,
+      description,
+      at
+    });
+
+    res.json(shipment);
+  } catch (error) {
+    sendFulfillmentError(res, error, "Error adding tracking event");
+  }
+};
+
+// User Operation: Get shipments and tracking history for an order
+exports.getOrderShipments = async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== "admin") {
+      query.user = req.user.id;
+    }
+
+    const order = await Order.findOne(query);
+    if (!order) {
+      return res.status(404).send("Order not found");
+    }
+
+    res.json(await getFulfillment(order));
+  } catch (error) {
+    sendFulfillmentError(res, error, "Error retrieving shipments");
+  }
+};
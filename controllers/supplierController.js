@@ -0,0 +1,118 @@
+const Supplier = require("../models/supplier");
+const PurchaseOrder = require("../models/purchaseOrder");
+
+// Fields an admin may set
+const EDITABLE_FIELDS = [
+  "name", "contactName", "email", "phone", "address", "paymentTermsDays", "isActive", "notes"
+];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+const sendSupplierError = (res, err, fallbackMessage) => {
+  if (err.code === 11000) {
+    return res.status(409).json({ message: "A supplier with this name already exists" });
+  }
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).send("Server Error");
+};
+
+// Admin Operation: List suppliers
+exports.getAllSuppliers = async (req, res) => {
+  try {
+    const { active, search } = req.query;
+
+    const filter = {};
+    if (active !== undefined) {
+      filter.isActive = active === "true";
+    }
+    if (search) {
+      filter.name = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.json(suppliers);
+  } catch (err) {
+    sendSupplierError(res, err, "Error fetching suppliers");
+  }
+};
+
+// Admin Operation: Get a supplier with its recent purchase orders
+exports.getSupplierById = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).send("Supplier not found");
+    }
+
+    const purchaseOrders = await PurchaseOrder.find({ supplier: supplier._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select("poNumber status expectedDeliveryDate orderedAt receivedAt lines");
+
+    res.json({ ...supplier.toJSON(), purchaseOrders });
+  } catch (err) {
+    sendSupplierError(res, err, "Error fetching supplier");
+  }
+};
+
+// Admin Operation: Create a supplier
+exports.createSupplier = async (req, res) => {
+  try {
+    const supplier = new Supplier({
+      ...pickEditableFields(req.body),
+      createdBy: req.user.id
+    });
+    await supplier.save();
+    res.status(201).json(supplier);
+  } catch (err) {
+    sendSupplierError(res, err, "Error creating supplier");
+  }
+};
+
+// Admin Operation: Update a supplier
+exports.updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).send("Supplier not found");
+    }
+
+    supplier.set(pickEditableFields(req.body));
+    await supplier.save();
+    res.json(supplier);
+  } catch (err) {
+    sendSupplierError(res, err, "Error updating supplier");
+  }
+};
+
+// Admin Operation: Delete a supplier (suppliers with purchase orders are deactivated instead)
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).send("Supplier not found");
+    }
+
+    if (await PurchaseOrder.exists({ supplier: supplier._id })) {
+      return res.status(409).json({
+        message: `${supplier.name} has purchase orders; set isActive to false instead of deleting it`
+      });
+    }
+
+    await supplier.deleteOne();
+    res.status(204).send();
+  } catch (err) {
+    sendSupplierError(res, err, "Error deleting supplier");
+  }
+};
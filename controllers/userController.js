@@ -31,6 +31,9 @@ exports.updateUser = async (req, res) => {
     console.log("User ID to update:", userId);
     console.log("Update data:", updateData);
 
+    // Chat slots are counted by staff chat assignment, never set by hand
+    delete updateData.activeChats;
+
     // If password is being updated, hash it before saving
     if (updateData.password) {
       const salt = await bcrypt.genSalt(10);
@@ -0,0 +1,109 @@
+const Cart = require("../models/cart");
+const Product = require("../models/product");
+const Wishlist = require("../models/wishlist");
+const {
+  CartError,
+  resolveOwner,
+  findForOwner,
+  findProduct,
+  setCartItem
+} = require("../middleware/carts");
+
+// Wishlist with each product's current price and availability
+const sendWishlist = async (res, wishlist, owner, status = 200) => {
+  const items = wishlist ? wishlist.items : [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select("name price image stockQuantity reservedQuantity");
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  res.status(status).json({
+    sessionId: owner && owner.sessionId,
+    items: items.map(item => {
+      const product = productsById.get(String(item.product));
+      return {
+        productId: item.product,
+        addedAt: item.addedAt,
+        name: product ? product.name : undefined,
+        price: product ? product.price : undefined,
+        image: product ? product.image : undefined,
+        available: !!product,
+        inStock: !!product && product.availableQuantity > 0
+      };
+    })
+  });
+};
+
+const sendWishlistError = (res, error, fallbackMessage) => {
+  if (error instanceof CartError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).send("Server Error");
+};
+
+// User Operation: Get the wishlist
+exports.getWishlist = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const wishlist = await findForOwner(Wishlist, owner);
+    await sendWishlist(res, wishlist, owner);
+  } catch (error) {
+    sendWishlistError(res, error, "Error fetching wishlist");
+  }
+};
+
+// User Operation: Save a product to the wishlist
+exports.addWishlistItem = async (req, res) => {
+  try {
+    const product = await findProduct(req.body.productId);
+    const owner = resolveOwner(req, { create: true });
+    const wishlist = await findForOwner(Wishlist, owner, true);
+
+    if (!wishlist.items.some(item => String(item.product) === String(product._id))) {
+      wishlist.items.push({ product: product._id });
+      await wishlist.save();
+    }
+
+    await sendWishlist(res, wishlist, owner, 201);
+  } catch (error) {
+    sendWishlistError(res, error, "Error adding wishlist item");
+  }
+};
+
+// User Operation: Remove a product from the wishlist
+exports.removeWishlistItem = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const wishlist = await findForOwner(Wishlist, owner);
+    if (!wishlist) {
+      return res.status(404).json({ message: "Wishlist not found" });
+    }
+
+    wishlist.items = wishlist.items.filter(item => String(item.product) !== req.params.productId);
+    await wishlist.save();
+    await sendWishlist(res, wishlist, owner);
+  } catch (error) {
+    sendWishlistError(res, error, "Error removing wishlist item");
+  }
+};
+
+// User Operation: Move a wishlist product into the cart
+exports.moveToCart = async (req, res) => {
+  try {
+    const owner = resolveOwner(req);
+    const wishlist = await findForOwner(Wishlist, owner);
+    if (!wishlist || !wishlist.items.some(item => String(item.product) === req.params.productId)) {
+      return res.status(404).json({ message: "Product is not in the wishlist" });
+    }
+
+    const cart = await findForOwner(Cart, owner, true);
+    const variantId = req.body && req.body.variantId;
+    await setCartItem(cart, req.params.productId, (req.body && req.body.quantity) || 1, { increment: true, variantId });
+
+    wishlist.items = wishlist.items.filter(item => String(item.product) !== req.params.productId);
+    await wishlist.save();
+    await sendWishlist(res, wishlist, owner);
+  } catch (error) {
+    sendWishlistError(res, error, "Error moving wishlist item to cart");
+  }
+};
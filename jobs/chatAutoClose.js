@@ -0,0 +1,25 @@
+const { closeInactiveConversations } = require("../middleware/chatLifecycle");
+
+/**
+ * 💤 CHAT AUTO-CLOSE
+ *
+ * Closes staff chats nobody has written in for CHAT_INACTIVITY_MINUTES,
+ * telling both sides over WebSocket, and hands the freed agent slots to
+ * queued chats.
+ */
+
+const SCHEDULE = "*/5 * * * *"; // Every 5 minutes
+
+const closeIdleChats = async ({ wsManager } = {}) => {
+  const closed = await closeInactiveConversations(wsManager);
+  if (closed > 0) {
+    console.log(`💤 Chat auto-close: closed ${closed} inactive chat(s)`);
+  }
+  return { closed };
+};
+
+module.exports = {
+  name: "chat-auto-close",
+  schedule: SCHEDULE,
+  run: closeIdleChats
+};
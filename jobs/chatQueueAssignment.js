@@ -0,0 +1,26 @@
+const { assignWaitingChats } = require("../middleware/chatAssignment");
+
+/**
+ * 🎧 CHAT QUEUE ASSIGNMENT
+ *
+ * Queued staff chats are normally assigned as soon as a customer joins the
+ * queue or an agent comes online or frees up. This catches the rest, e.g.
+ * agents who freed up on another instance or chats queued while the
+ * assigning request failed.
+ */
+
+const SCHEDULE = "* * * * *"; // Every minute
+
+const assignQueuedChats = async ({ wsManager } = {}) => {
+  const assigned = await assignWaitingChats(wsManager);
+  if (assigned > 0) {
+    console.log(`🎧 Chat queue: assigned ${assigned} waiting chat(s)`);
+  }
+  return { assigned };
+};
+
+module.exports = {
+  name: "chat-queue-assignment",
+  schedule: SCHEDULE,
+  run: assignQueuedChats
+};
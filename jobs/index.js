@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const stockReservationSweeper = require("./stockReservationSweeper");
+const paymentReconciliation = require("./paymentReconciliation");
+const lowStockAlerts = require("./lowStockAlerts");
+const chatQueueAssignment = require("./chatQueueAssignment");
+const chatAutoClose = require("./chatAutoClose");
+
+/**
+ * 🕒 SCHEDULED JOBS
+ *
+ * Each job module exports { name, schedule, run }. Jobs never overlap
+ * with themselves, and a failing run is logged without stopping the job.
+ * run receives the context given to startJobs (e.g. { wsManager }).
+ */
+
+const jobs = [
+  stockReservationSweeper,
+  paymentReconciliation,
+  lowStockAlerts,
+  chatQueueAssignment,
+  chatAutoClose
+];
+
+const startJobs = (context = {}) => {
+  return jobs.map(job => {
+    const task = cron.schedule(job.schedule, async () => {
+      try {
+        await job.run(context);
+      } catch (error) {
+        console.error(`❌ Scheduled job ${job.name} failed:`, error);
+      }
+    }, { name: job.name, noOverlap: true });
+
+    console.log(`🕒 Scheduled job ${job.name} (${job.schedule})`);
+    return task;
+  });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,35 @@
+const { refreshStockForecasts } = require("../middleware/stockForecast");
+
+/**
+ * 📉 LOW-STOCK ALERTS
+ *
+ * Recomputes every product's sales velocity and stock forecast, and pushes
+ * products that just became low, at risk or out of stock to the admins
+ * connected over WebSocket (as a "low_stock_alert" message).
+ */
+
+const SCHEDULE = "0 * * * *"; // Every hour
+
+const checkStockLevels = async ({ wsManager } = {}) => {
+  const { checked, alerts } = await refreshStockForecasts();
+
+  let notified = 0;
+  if (alerts.length > 0) {
+    console.log(`📉 Low-stock check: ${alerts.length} of ${checked} product(s) need restocking`);
+    if (wsManager) {
+      notified = await wsManager.sendToAdmins({
+        type: "low_stock_alert",
+        alerts,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  return { checked, alerts: alerts.length, notified };
+};
+
+module.exports = {
+  name: "low-stock-alerts",
+  schedule: SCHEDULE,
+  run: checkStockLevels
+};
@@ -0,0 +1,67 @@
+const Payment = require("../models/payment");
+const { getProvider } = require("../middleware/paymentProviders");
+const { refreshPayment } = require("../middleware/payments");
+
+/**
+ * 💳 PAYMENT RECONCILIATION
+ *
+ * Provider callbacks can be lost (network errors, server restarts).
+ * Periodically query the provider for every pending payment that has a
+ * provider transaction and settle the ones that went through. Payments
+ * cancelled recently (e.g. by the reservation sweeper) are queried too: a
+ * customer may still have completed them, and that money must be flagged
+ * for refund.
+ */
+
+const SCHEDULE = "*/5 * * * *"; // Every 5 minutes
+
+// How long after cancellation a payment is still checked for late settlement
+const LATE_PAYMENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const reconcilePayments = async () => {
+  const payments = await Payment.find({
+    providerReference: { $type: "string" },
+    $or: [
+      { status: "pending" },
+      { status: "cancelled", updatedAt: { $gte: new Date(Date.now() - LATE_PAYMENT_WINDOW_MS) } }
+    ]
+  });
+
+  let settled = 0;
+  let flagged = 0;
+  let checked = 0;
+  for (const payment of payments) {
+    const provider = getProvider(payment.provider);
+    if (!provider || !provider.queryPayment || !provider.isAvailable()) {
+      continue;
+    }
+
+    try {
+      checked++;
+      const result = await refreshPayment(payment, "reconciliation");
+      if (result.status === "settled") {
+        settled++;
+      }
+      if (result.status === "rejected") {
+        flagged++;
+      }
+    } catch (error) {
+      console.error(`❌ Payment reconciliation failed for payment ${payment._id}:`, error.message);
+    }
+  }
+
+  if (settled > 0) {
+    console.log(`💳 Payment reconciliation: ${settled} of ${checked} payment(s) settled`);
+  }
+  if (flagged > 0) {
+    console.log(`⚠️ Payment reconciliation: ${flagged} payment(s) paid after cancellation, flagged for refund`);
+  }
+
+  return { checked, settled, flagged };
+};
+
+module.exports = {
+  name: "payment-reconciliation",
+  schedule: SCHEDULE,
+  run: reconcilePayments
+};
@@ -0,0 +1,50 @@
+const Order = require("../models/order");
+const { canTransition, transitionOrder } = require("../middleware/orderLifecycle");
+const { releaseOrphanedReservations } = require("../middleware/stockReservations");
+
+/**
+ * ⏳ STOCK RESERVATION SWEEPER
+ *
+ * Cancels unpaid orders whose reservation has expired (which releases
+ * their stock through the lifecycle), then frees any expired reservation
+ * left behind by orders that no longer exist.
+ */
+
+const SCHEDULE = "* * * * *"; // Every minute
+
+const sweepExpiredReservations = async () => {
+  const expiredOrders = await Order.find({
+    status: "pending_payment",
+    reservationExpiresAt: { $lt: new Date() }
+  });
+
+  let cancelled = 0;
+  for (const order of expiredOrders) {
+    try {
+      if (!canTransition(order, "cancelled").allowed) {
+        continue;
+      }
+      await transitionOrder(order, "cancelled", {
+        actorRole: "system",
+        note: "Payment not received before the stock reservation expired"
+      });
+      cancelled++;
+    } catch (error) {
+      console.error(`❌ Failed to expire reservation for order ${order._id}:`, error);
+    }
+  }
+
+  const orphansReleased = await releaseOrphanedReservations();
+
+  if (cancelled > 0 || orphansReleased > 0) {
+    console.log(`⏳ Reservation sweep: ${cancelled} order(s) cancelled, ${orphansReleased} orphaned reservation(s) released`);
+  }
+
+  return { cancelled, orphansReleased };
+};
+
+module.exports = {
+  name: "stock-reservation-sweeper",
+  schedule: SCHEDULE,
+  run: sweepExpiredReservations
+};
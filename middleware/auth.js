@@ -1,24 +1,31 @@
 const jwt = require("jsonwebtoken");
 
-module.exports = function (req, res, next) {
-  // Only log non-polling requests to reduce noise
-  const isPollingRequest = req.originalUrl.includes('/chat/admin/active-chats') || 
-                          req.originalUrl.includes('/chat/admin/messages/') ||
-                          req.originalUrl.includes('/chat/staff/messages/');
-  
-  if (!isPollingRequest) {
-    console.log('🔍 Auth middleware called for:', req.method, req.originalUrl);
+/**
+ * Token sent with a request: Authorization "Bearer <token>", or x-auth-token
+ * @param {Object} headers - Request headers (lowercase names, as in Node's IncomingMessage)
+ * @returns {String|undefined} Token
+ */
+const getToken = (headers = {}) => {
+  const authorization = headers.authorization;
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.slice(7);
   }
+  return headers["x-auth-token"];
+};
+
+/**
+ * Verify a token issued at login
+ * @param {String} token - JWT
+ * @returns {Object} The token's user ({ id, role, username })
+ * @throws If the token is invalid or expired
+ */
+const verifyToken = (token) => jwt.verify(token, "secret").user;
+
+const auth = function (req, res, next) {
+  console.log('🔍 Auth middleware called for:', req.method, req.originalUrl);
   
-  // Try Authorization header first (Bearer token format)
-  let token = req.header("Authorization");
-  
-  if (token && token.startsWith("Bearer ")) {
-    token = token.slice(7, token.length); // Remove "Bearer " prefix
-  } else {
-    // Fallback to x-auth-token for backward compatibility
-    token = req.header("x-auth-token");
-  }
+  // Authorization header first (Bearer token format), then x-auth-token for backward compatibility
+  const token = getToken(req.headers);
 
   if (!token) {
     console.log('🔐 No token found in request headers for:', req.originalUrl);
@@ -26,17 +33,15 @@ module.exports = function (req, res, next) {
   }
 
   try {
-    const decoded = jwt.verify(token, "secret");
-    req.user = decoded.user;
-    
-    // Only log successful auth for non-polling requests
-    if (!isPollingRequest) {
-      console.log('🔐 Token verified successfully for user:', decoded.user?.username || decoded.user?.id);
-    }
-    
+    req.user = verifyToken(token);
+    console.log('🔐 Token verified successfully for user:', req.user?.username || req.user?.id);
     next();
   } catch (err) {
     console.log('🔐 Token verification failed for:', req.originalUrl, err.message);
     res.status(401).json({ msg: "Token is not valid" });
   }
-};
\ No newline at end of file
+};
+
+module.exports = auth;
+module.exports.getToken = getToken;
+module.exports.verifyToken = verifyToken;
@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+const Cart = require("../models/cart");
+const Wishlist = require("../models/wishlist");
+const Product = require("../models/product");
+const { roundCurrency } = require("./orderPricing");
+const { resolveVariant, getUnitPrice, getSellableQuantity, describeVariant } = require("./productVariants");
+
+/**
+ * 🛍️ CARTS AND WISHLISTS
+ *
+ * Both belong to a signed-in user or, for guests, to an anonymous session
+ * ID the client keeps (sent as the X-Session-Id header or `sessionId`).
+ * Guests get a session ID back the first time they save something. On
+ * login the guest's cart and wishlist are merged into the user's.
+ */
+
+// Raised for cart requests the caller can fix, with an HTTP status
+class CartError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CartError";
+    this.status = status;
+  }
+}
+
+/**
+ * Who owns the cart for this request
+ * @param {Object} req - Express request (after optionalAuth)
+ * @param {Object} options - { create } generate a session ID for guests without one
+ * @returns {Object|null} { user } or { sessionId }, or null for a guest with no session
+ */
+const resolveOwner = (req, { create = false } = {}) => {
+  if (req.user && req.user.id) {
+    return { user: req.user.id };
+  }
+
+  const sessionId = req.header("X-Session-Id") || (req.body && req.body.sessionId) || req.query.sessionId;
+  if (sessionId) {
+    return { sessionId: String(sessionId) };
+  }
+
+  return create ? { sessionId: crypto.randomUUID() } : null;
+};
+
+/**
+ * Find the owner's cart or wishlist, creating an empty one if asked
+ * @param {Model} Model - Cart or Wishlist
+ * @param {Object} owner - { user } or { sessionId }
+ * @param {Boolean} create - Create when missing
+ * @returns {Object|null} Document
+ */
+const findForOwner = async (Model, owner, create = false) => {
+  if (!owner) {
+    return null;
+  }
+  const existing = await Model.findOne(owner);
+  if (existing || !create) {
+    return existing;
+  }
+  return new Model({ ...owner, items: [] });
+};
+
+/**
+ * Load a product that can be put in a cart
+ * @param {String} productId - Product ID
+ * @returns {Object} Product document
+ * @throws {CartError} 404 when the product doesn't exist
+ */
+const findProduct = async (productId) => {
+  const product = productId && await Product.findById(productId).catch(() => null);
+  if (!product) {
+    throw new CartError(404, `Product not found: ${productId}`);
+  }
+  return product;
+};
+
+// Whether a cart line holds this product (and variant)
+const isSameLine = (item, productId, variantId) =>
+  String(item.product) === String(productId) && String(item.variant || "") === String(variantId || "");
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new CartError(400, "Quantity must be a whole number of zero or more");
+  }
+  return quantity;
+};
+
+/**
+ * Set the quantity of a product (or one of its variants) in a cart (0 removes it)
+ * @param {Object} cart - Cart document
+ * @param {String} productId - Product ID
+ * @param {Number} quantity - New quantity
+ * @param {Object} options - { increment, variantId } increment adds to the current quantity instead of replacing it
+ * @returns {Object} Saved cart
+ * @throws {CartError} For unknown products or variants, or quantities above sellable stock
+ */
+const setCartItem = async (cart, productId, quantity, { increment = false, variantId = null } = {}) => {
+  const requested = parseQuantity(quantity);
+  const existing = cart.items.find(item => isSameLine(item, productId, variantId));
+
+  if (requested === 0 && !increment) {
+    cart.items = cart.items.filter(item => item !== existing);
+    return cart.save();
+  }
+
+  const product = await findProduct(productId);
+  const { valid, reason, variant } = resolveVariant(product, variantId);
+  if (!valid) {
+    throw new CartError(400, reason);
+  }
+
+  const newQuantity = increment && existing ? existing.quantity + requested : requested;
+  if (newQuantity < 1) {
+    throw new CartError(400, "Quantity must be at least 1");
+  }
+  const available = getSellableQuantity(product, variant);
+  if (newQuantity > available) {
+    const label = variant ? `${product.name} (${describeVariant(variant)})` : product.name;
+    throw new CartError(400, `Only ${available} of ${label} available`);
+  }
+
+  const price = getUnitPrice(product, variant);
+  if (existing) {
+    existing.quantity = newQuantity;
+    existing.priceAtAdd = price;
+  } else {
+    cart.items.push({ product: product._id, variant: variant ? variant._id : undefined, quantity: newQuantity, priceAtAdd: price });
+  }
+  return cart.save();
+};
+
+/**
+ * Check a cart against current prices and stock
+ * Nothing is changed; problems are reported per line so the client can
+ * show them. Lines with blocking issues would make checkout fail.
+ * @param {Object} cart - Cart document (may be null)
+ * @returns {Object} { items, subtotal, itemCount, hasBlockingIssues }
+ */
+const revalidateCart = async (cart) => {
+  const items = cart ? cart.items : [];
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select("name price image stockQuantity reservedQuantity category variants");
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const lines = items.map(item => {
+    const product = productsById.get(String(item.product));
+    // A variant that was removed, or a product that gained variants, can't be bought as is
+    const resolved = product && resolveVariant(product, item.variant);
+    if (!resolved || !resolved.valid) {
+      return {
+        productId: item.product,
+        variantId: item.variant,
+        quantity: item.quantity,
+        issues: ["unavailable"],
+        blocking: true
+      };
+    }
+
+    const { variant } = resolved;
+    const unitPrice = getUnitPrice(product, variant);
+    const available = getSellableQuantity(product, variant);
+    const issues = [];
+    if (available <= 0) {
+      issues.push("out_of_stock");
+    } else if (available < item.quantity) {
+      issues.push("insufficient_stock");
+    }
+    if (item.priceAtAdd !== undefined && item.priceAtAdd !== unitPrice) {
+      issues.push("price_changed");
+    }
+
+    return {
+      productId: product._id,
+      variantId: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      variantName: variant ? describeVariant(variant) : undefined,
+      name: product.name,
+      image: (variant && variant.image) || product.image,
+      quantity: item.quantity,
+      unitPrice,
+      priceAtAdd: item.priceAtAdd,
+      lineTotal: roundCurrency(unitPrice * item.quantity),
+      availableQuantity: Math.max(available, 0),
+      issues,
+      blocking: issues.includes("out_of_stock") || issues.includes("insufficient_stock")
+    };
+  });
+
+  return {
+    items: lines,
+    subtotal: roundCurrency(lines.reduce((sum, line) => sum + (line.lineTotal || 0), 0)),
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    hasBlockingIssues: lines.some(line => line.blocking)
+  };
+};
+
+/**
+ * Move a guest's cart and wishlist into a user's
+ * Cart quantities for the same product and variant are added together; the guest
+ * documents are deleted afterwards. Safe to call when the guest has nothing.
+ * @param {String} sessionId - Guest session ID
+ * @param {String} userId - User ID
+ * @returns {Object} { cartItemsMerged, wishlistItemsMerged }
+ */
+const mergeGuestIntoUser = async (sessionId, userId) => {
+  const result = { cartItemsMerged: 0, wishlistItemsMerged: 0 };
+  if (!sessionId || !userId) {
+    return result;
+  }
+
+  const guestCart = await Cart.findOne({ sessionId });
+  if (guestCart && guestCart.items.length > 0) {
+    const userCart = await findForOwner(Cart, { user: userId }, true);
+    for (const guestItem of guestCart.items) {
+      const existing = userCart.items.find(item => isSameLine(item, guestItem.product, guestItem.variant));
+      if (existing) {
+        existing.quantity += guestItem.quantity;
+      } else {
+        userCart.items.push(guestItem.toObject());
+      }
+      result.cartItemsMerged++;
+    }
+    await userCart.save();
+  }
+  if (guestCart) {
+    await guestCart.deleteOne();
+  }
+
+  const guestWishlist = await Wishlist.findOne({ sessionId });
+  if (guestWishlist && guestWishlist.items.length > 0) {
+    const userWishlist = await findForOwner(Wishlist, { user: userId }, true);
+    const saved = new Set(userWishlist.items.map(item => String(item.product)));
+    for (const guestItem of guestWishlist.items) {
+      if (!saved.has(String(guestItem.product))) {
+        userWishlist.items.push(guestItem.toObject());
+        result.wishlistItemsMerged++;
+      }
+    }
+    await userWishlist.save();
+  }
+  if (guestWishlist) {
+    await guestWishlist.deleteOne();
+  }
+
+  if (result.cartItemsMerged > 0 || result.wishlistItemsMerged > 0) {
+    console.log(`🛍️ Merged guest session ${sessionId} into user ${userId}: ${result.cartItemsMerged} cart item(s), ${result.wishlistItemsMerged} wishlist item(s)`);
+  }
+  return result;
+};
+
+module.exports = {
+  CartError,
+  isSameLine,
+  resolveOwner,
+  findForOwner,
+  findProduct,
+  setCartItem,
+  revalidateCart,
+  mergeGuestIntoUser
+};
@@ -0,0 +1,86 @@
+const Category = require("../models/category");
+const Product = require("../models/product");
+const { IN_STOCK } = require("./productSearch");
+const { buildTree, countProductsByCategory, withProductCounts } = require("./categories");
+
+/**
+ * 🏬 STOREFRONT CATALOG
+ *
+ * Everything the landing page needs in one request: the category tree with
+ * product counts, the best-selling in-stock products of each top-level
+ * category (subcategories included), and store-wide best sellers, top
+ * rated products and new arrivals. Only public product fields are returned.
+ */
+
+const DEFAULT_PRODUCTS_PER_CATEGORY = 4;
+const MAX_PRODUCTS_PER_CATEGORY = 12;
+
+// Product fields safe to show to anonymous shoppers
+const PUBLIC_PRODUCT_FIELDS = "name sku category image price stockQuantity reservedQuantity unitsSold ratings skinType skinConcerns";
+
+// Rated by enough customers to be shown as top rated
+const MIN_REVIEWS_FOR_TOP_RATED = 3;
+
+const toCard = (product) => ({
+  _id: product._id,
+  name: product.name,
+  sku: product.sku,
+  category: product.category,
+  image: product.image,
+  price: product.price,
+  availableQuantity: product.stockQuantity - (product.reservedQuantity || 0),
+  unitsSold: product.unitsSold || 0,
+  ratings: product.ratings,
+  skinType: product.skinType,
+  skinConcerns: product.skinConcerns
+});
+
+const findCards = async (filter, sort, limit) => {
+  const products = await Product.find({ ...filter, ...IN_STOCK })
+    .select(PUBLIC_PRODUCT_FIELDS)
+    .sort(sort)
+    .limit(limit)
+    .lean();
+  return products.map(toCard);
+};
+
+const BEST_SELLING = { unitsSold: -1, _id: -1 };
+
+/**
+ * Build the landing page catalog
+ * @param {Object} options - { productsPerCategory }
+ * @returns {Object} { categories, featured: { bestSellers, topRated, newArrivals }, generatedAt }
+ */
+const getCatalog = async ({ productsPerCategory = DEFAULT_PRODUCTS_PER_CATEGORY } = {}) => {
+  const limit = Math.min(Math.max(parseInt(productsPerCategory, 10) || DEFAULT_PRODUCTS_PER_CATEGORY, 1), MAX_PRODUCTS_PER_CATEGORY);
+
+  const [categories, counts] = await Promise.all([Category.find().lean(), countProductsByCategory()]);
+  const tree = buildTree(withProductCounts(categories, counts));
+
+  const [topProducts, bestSellers, topRated, newArrivals] = await Promise.all([
+    Promise.all(tree.map(root => {
+      const subtree = categories
+        .filter(category => category._id.equals(root._id) || (category.path || "/").includes(`/${root._id}/`))
+        .map(category => category._id);
+      return findCards({ category: { $in: subtree } }, BEST_SELLING, limit);
+    })),
+    findCards({}, BEST_SELLING, limit),
+    findCards(
+      { "ratings.count": { $gte: MIN_REVIEWS_FOR_TOP_RATED } },
+      { "ratings.average": -1, "ratings.count": -1, _id: -1 },
+      limit
+    ),
+    // Products have no createdAt; ObjectIds are ordered by creation time
+    findCards({}, { _id: -1 }, limit)
+  ]);
+
+  return {
+    categories: tree.map((root, index) => ({ ...root, topProducts: topProducts[index] })),
+    featured: { bestSellers, topRated, newArrivals },
+    generatedAt: new Date()
+  };
+};
+
+module.exports = {
+  getCatalog
+};
@@ -0,0 +1,376 @@
+const mongoose = require("mongoose");
+const Category = require("../models/category");
+const Product = require("../models/product");
+const { runInTransaction } = require("./transactions");
+
+/**
+ * 🗂️ CATEGORY TREE
+ *
+ * Categories nest through `parent`, and each keeps a materialized `path` of
+ * its ancestor IDs so a whole subtree can be found with one prefix query.
+ * Moving a category rewrites the paths of everything below it. Siblings are
+ * shown by `order`, then name. Slugs are unique and generated from the name
+ * unless one is given.
+ *
+ * A category that still has products or subcategories is only deleted when
+ * they are reassigned to another category.
+ */
+
+// Raised for category changes the caller can fix, with an HTTP status
+class CategoryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CategoryError";
+    this.status = status;
+  }
+}
+
+/**
+ * URL-safe name: lowercase ASCII words joined by hyphens
+ * @param {String} text - e.g. "Sữa rửa mặt & Toner"
+ * @returns {String} e.g. "sua-rua-mat-toner"
+ */
+const slugify = (text) => String(text || "")
+  .normalize("NFKD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .replace(/[đĐ]/g, "d")
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, "-")
+  .replace(/^-+|-+$/g, "");
+
+/**
+ * First free slug for a name: "serums", then "serums-2", "serums-3"...
+ * @param {String} name - Category name
+ * @param {ObjectId} excludeId - Category whose own slug doesn't count as taken
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {String} Slug
+ */
+const generateSlug = async (name, excludeId = null, session = null) => {
+  const base = slugify(name) || "category";
+  const filter = { slug: new RegExp(`^${base}(-\\d+)?$`) };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  const taken = new Set((await Category.find(filter).select("slug").session(session)).map(category => category.slug));
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+/**
+ * Check a slug chosen by an admin
+ * @returns {String} Normalised slug
+ * @throws {CategoryError} 400 if empty after normalising, 409 if taken
+ */
+const claimSlug = async (slug, excludeId = null, session = null) => {
+  const normalised = slugify(slug);
+  if (!normalised) {
+    throw new CategoryError(400, "slug must contain letters or digits");
+  }
+  const filter = { slug: normalised };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  if (await Category.exists(filter).session(session)) {
+    throw new CategoryError(409, `Slug already used by another category: ${normalised}`);
+  }
+  return normalised;
+};
+
+/**
+ * Find a category by ID or slug
+ * @param {String} idOrSlug - Category ID or slug
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Object|null} Category
+ */
+const findCategory = (idOrSlug, session = null) => {
+  // ObjectId.isValid also accepts any 12-character string, which a slug can be
+  const isId = /^[0-9a-f]{24}$/i.test(String(idOrSlug));
+  const filter = isId ? { _id: idOrSlug } : { slug: String(idOrSlug).toLowerCase() };
+  return Category.findOne(filter).session(session);
+};
+
+// Parent from a request value; empty means top level
+const resolveParent = async (parentId, session = null) => {
+  if (parentId === undefined || parentId === null || parentId === "") {
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    throw new CategoryError(400, "Invalid parent category ID");
+  }
+  const parent = await Category.findById(parentId).session(session);
+  if (!parent) {
+    throw new CategoryError(404, "Parent category not found");
+  }
+  return parent;
+};
+
+// True if candidate is the category itself or somewhere below it
+const isWithin = (candidate, category) =>
+  candidate._id.equals(category._id) || (candidate.path || "/").startsWith(category.childPath());
+
+/**
+ * Put a category under a new parent (null for top level), moving its subtree with it
+ * @param {Object} category - Category document
+ * @param {Object|null} parent - New parent document
+ * @param {ClientSession} session - Transaction session
+ */
+const moveCategory = async (category, parent, session) => {
+  if (parent && isWithin(parent, category)) {
+    throw new CategoryError(400, "A category can't be moved under itself or one of its subcategories");
+  }
+
+  const oldChildPath = category.childPath();
+  const oldDepth = category.depth || 0;
+  category.parent = parent ? parent._id : null;
+  category.path = parent ? parent.childPath() : "/";
+  category.depth = parent ? (parent.depth || 0) + 1 : 0;
+  await category.save({ session });
+
+  const newChildPath = category.childPath();
+  if (newChildPath === oldChildPath && category.depth === oldDepth) {
+    return;
+  }
+  const descendants = await Category.find({ path: new RegExp(`^${oldChildPath}`) }).select("path depth").session(session);
+  if (descendants.length > 0) {
+    await Category.bulkWrite(descendants.map(descendant => ({
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: {
+          $set: {
+            path: newChildPath + descendant.path.slice(oldChildPath.length),
+            depth: (descendant.depth || 0) + category.depth - oldDepth
+          }
+        }
+      }
+    })), { session });
+  }
+};
+
+/**
+ * Create a category
+ * @param {Object} fields - { name, slug, parentId, order, description, image }
+ * @returns {Object} Category
+ */
+const createCategory = async ({ name, slug, parentId, order, description, image }) => {
+  const parent = await resolveParent(parentId);
+  const category = new Category({
+    name,
+    order,
+    description,
+    image,
+    parent: parent ? parent._id : null,
+    path: parent ? parent.childPath() : "/",
+    depth: parent ? (parent.depth || 0) + 1 : 0
+  });
+  category.slug = slug ? await claimSlug(slug) : await generateSlug(name);
+  return category.save();
+};
+
+/**
+ * Update a category; changing parentId moves it with its subcategories
+ * An empty slug regenerates it from the name.
+ * @param {ObjectId} id - Category
+ * @param {Object} changes - { name, slug, parentId, order, description, image }
+ * @returns {Object} Category
+ */
+const updateCategory = (id, { name, slug, parentId, order, description, image }) =>
+  runInTransaction(async (session) => {
+    const category = await Category.findById(id).session(session);
+    if (!category) {
+      throw new CategoryError(404, "Category not found");
+    }
+
+    if (name !== undefined) category.name = name;
+    if (order !== undefined) category.order = order;
+    if (description !== undefined) category.description = description;
+    if (image !== undefined) category.image = image;
+    if (slug !== undefined) {
+      category.slug = slug ? await claimSlug(slug, category._id, session) : await generateSlug(category.name, category._id, session);
+    } else if (!category.slug) {
+      category.slug = await generateSlug(category.name, category._id, session);
+    }
+
+    const parentChanged = parentId !== undefined && String(parentId || "") !== String(category.parent || "");
+    if (parentChanged) {
+      await moveCategory(category, await resolveParent(parentId, session), session);
+    } else {
+      await category.save({ session });
+    }
+    return category;
+  });
+
+/**
+ * Delete a category
+ * Its products and subcategories must be moved to another category first,
+ * which reassignTo does in the same transaction.
+ * @param {ObjectId} id - Category
+ * @param {Object} options - { reassignTo } category ID for products and subcategories
+ * @returns {Object} { category, reassignedTo, productsMoved, subcategoriesMoved }
+ * @throws {CategoryError} 409 when products or subcategories remain and reassignTo is missing
+ */
+const deleteCategory = (id, { reassignTo } = {}) =>
+  runInTransaction(async (session) => {
+    const category = await Category.findById(id).session(session);
+    if (!category) {
+      throw new CategoryError(404, "Category not found");
+    }
+
+    const [productCount, children] = await Promise.all([
+      Product.countDocuments({ category: category._id }).session(session),
+      Category.find({ parent: category._id }).session(session)
+    ]);
+
+    let target = null;
+    if (reassignTo) {
+      target = await resolveParent(reassignTo, session);
+      if (isWithin(target, category)) {
+        throw new CategoryError(400, "Products can't be reassigned to the category being deleted or one of its subcategories");
+      }
+    } else if (productCount > 0 || children.length > 0) {
+      throw new CategoryError(409,
+        `Category still has ${productCount} product(s) and ${children.length} subcategory(ies); ` +
+        "pass reassignTo with another category ID to move them");
+    }
+
+    if (productCount > 0) {
+      await Product.updateMany({ category: category._id }, { $set: { category: target._id } }, { session });
+    }
+    for (const child of children) {
+      await moveCategory(child, target, session);
+    }
+    await Category.deleteOne({ _id: category._id }, { session });
+
+    return {
+      category,
+      reassignedTo: target ? target._id : null,
+      productsMoved: productCount,
+      subcategoriesMoved: children.length
+    };
+  });
+
+/**
+ * Nest categories under their parents
+ * Categories whose parent isn't in the list are treated as roots.
+ * @param {Array} categories - Plain category objects (lean)
+ * @param {ObjectId} rootId - Only return the children of this category
+ * @returns {Array} [{ ...category, children: [...] }] siblings ordered by order, then name
+ */
+const buildTree = (categories, rootId = null) => {
+  const ids = new Set(categories.map(category => String(category._id)));
+  const byParent = new Map();
+  categories.forEach(category => {
+    const parent = category.parent ? String(category.parent) : "";
+    const key = ids.has(parent) || parent === String(rootId || "") ? parent : "";
+    byParent.set(key, [...(byParent.get(key) || []), category]);
+  });
+
+  const bySiblingOrder = (a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name);
+  const build = (key) => (byParent.get(key) || [])
+    .sort(bySiblingOrder)
+    .map(category => ({ ...category, children: build(String(category._id)) }));
+
+  return build(rootId ? String(rootId) : "");
+};
+
+/**
+ * IDs of categories and everything below them
+ * @param {Array} ids - Category IDs
+ * @returns {Array} ObjectIds, including the given ones
+ */
+const getSubtreeIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const descendants = await Category.find({ path: { $in: ids.map(id => new RegExp(`/${id}/`)) } }).select("_id");
+  const all = [...ids.map(id => new mongoose.Types.ObjectId(String(id))), ...descendants.map(category => category._id)];
+  return all.filter((id, index) => all.findIndex(other => other.equals(id)) === index);
+};
+
+/**
+ * Number of products filed directly under each category
+ * @returns {Map} categoryId -> count
+ */
+const countProductsByCategory = async () => {
+  const counts = await Product.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]);
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+/**
+ * Add productCount (filed directly under the category) and totalProductCount
+ * (including subcategories) to a flat list of categories
+ * @param {Array} categories - Plain category objects
+ * @param {Map} counts - From countProductsByCategory
+ * @returns {Array} Categories with counts
+ */
+const withProductCounts = (categories, counts) => {
+  const totals = new Map();
+  categories.forEach(category => {
+    const count = counts.get(String(category._id)) || 0;
+    const ids = [...(category.path || "/").split("/").filter(Boolean), String(category._id)];
+    ids.forEach(id => totals.set(id, (totals.get(id) || 0) + count));
+  });
+  return categories.map(category => ({
+    ...category,
+    productCount: counts.get(String(category._id)) || 0,
+    totalProductCount: totals.get(String(category._id)) || 0
+  }));
+};
+
+/**
+ * Ancestors of a category, root first, for breadcrumbs
+ * @param {Object} category - Category
+ * @returns {Array} [{ _id, name, slug }]
+ */
+const getAncestors = async (category) => {
+  const ids = (category.path || "/").split("/").filter(Boolean);
+  if (ids.length === 0) {
+    return [];
+  }
+  const ancestors = await Category.find({ _id: { $in: ids } }).select("name slug").lean();
+  const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+  return ids.map(ancestorId => byId.get(ancestorId)).filter(Boolean);
+};
+
+/**
+ * The whole category tree, or the subtree below one category
+ * Every node carries productCount and totalProductCount (see withProductCounts).
+ * @param {String} idOrSlug - Optional category ID or slug
+ * @returns {Array|Object} Roots with nested children, or the category with ancestors and children
+ */
+const getCategoryTree = async (idOrSlug) => {
+  if (!idOrSlug) {
+    const [categories, counts] = await Promise.all([Category.find().lean(), countProductsByCategory()]);
+    return buildTree(withProductCounts(categories, counts));
+  }
+
+  const category = await findCategory(idOrSlug);
+  if (!category) {
+    throw new CategoryError(404, "Category not found");
+  }
+  const [descendants, ancestors, counts] = await Promise.all([
+    Category.find({ path: new RegExp(`^${category.childPath()}`) }).lean(),
+    getAncestors(category),
+    countProductsByCategory()
+  ]);
+  const [node, ...below] = withProductCounts([category.toObject(), ...descendants], counts);
+  return { ...node, ancestors, children: buildTree(below, category._id) };
+};
+
+module.exports = {
+  CategoryError,
+  slugify,
+  generateSlug,
+  findCategory,
+  buildTree,
+  getSubtreeIds,
+  countProductsByCategory,
+  withProductCounts,
+  getAncestors,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryTree
+};
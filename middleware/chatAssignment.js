@@ -0,0 +1,460 @@
+const mongoose = require("mongoose");
+const ChatConversation = require("../models/chatConversation");
+const User = require("../models/user");
+const { runInTransaction } = require("./transactions");
+
+/**
+ * 🎧 STAFF CHAT ASSIGNMENT
+ *
+ * Customers who ask for a human join a queue (staff chats waiting for staff
+ * with nobody assigned), oldest first. Each conversation is handled by one
+ * agent at a time: agents claim chats from the queue, release them back to
+ * it, or transfer them to a colleague, and never hold more than the
+ * configured number of open chats. Queued chats are also handed out
+ * automatically to the online agents with room for them.
+ *
+ * Each agent's open chats are counted on the agent (User.activeChats) and
+ * a chat slot is taken with a conditional update in the same transaction as
+ * the assignment, so simultaneous claims can't take an agent past the limit.
+ * Closing, releasing, transferring away or deleting a chat frees its slot.
+ *
+ * Configuration:
+ *
+ *   CHAT_MAX_CONCURRENT        Open chats an agent can hold (default 5)
+ *   CHAT_ASSIGNMENT_STRATEGY   "least_busy" (default): fewest open chats first
+ *                              "round_robin": longest since their last assignment first
+ *                              "manual": no automatic assignment, agents claim chats
+ *
+ * WebSocket events (only to the agents concerned):
+ *
+ *   chat_assigned     { sessionId, reason: "claimed" | "auto" | "transfer", assignedBy }
+ *                     (and agent_joined to the customer)
+ *   chat_unassigned   { sessionId, reason: "released" | "transfer", by }
+ *   queue_updated     { waiting } to every online agent when the queue changes
+ */
+
+// Users who handle staff chats (the agents)
+const STAFF_ROLES = ["admin"];
+const ASSIGNMENT_STRATEGIES = ["least_busy", "round_robin", "manual"];
+const DEFAULT_MAX_CONCURRENT = 5;
+
+// Staff chats waiting in the queue
+const QUEUED = { isStaffChat: true, isActive: true, waitingForStaff: true, assignedStaff: null };
+
+// Raised for assignment requests the caller can fix, with an HTTP status
+class ChatAssignmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ChatAssignmentError";
+    this.status = status;
+  }
+}
+
+const getMaxConcurrentChats = () =>
+  Math.max(parseInt(process.env.CHAT_MAX_CONCURRENT, 10) || DEFAULT_MAX_CONCURRENT, 1);
+
+const getAssignmentStrategy = () => {
+  const strategy = process.env.CHAT_ASSIGNMENT_STRATEGY || "least_busy";
+  return ASSIGNMENT_STRATEGIES.includes(strategy) ? strategy : "least_busy";
+};
+
+const isAssignedTo = (conversation, staffId) =>
+  !!conversation.assignedStaff && String(conversation.assignedStaff) === String(staffId);
+
+// Send a WebSocket event; a failed notification never fails the assignment
+const notify = async (wsManager, send) => {
+  if (!wsManager) {
+    return;
+  }
+  try {
+    await send(wsManager);
+  } catch (error) {
+    console.error("❌ Error sending chat assignment event:", error);
+  }
+};
+
+const notifyQueueUpdated = (wsManager) => notify(wsManager, async (ws) => {
+  const waiting = await ChatConversation.countDocuments(QUEUED);
+  await ws.sendToAdmins({ type: "queue_updated", waiting, timestamp: new Date().toISOString() }, STAFF_ROLES);
+});
+
+// The agent gets chat_assigned; the customer is told who joined (agent_joined)
+const notifyAssigned = (wsManager, conversation, reason, assignedBy, username) => notify(wsManager, (ws) =>
+  Promise.all([
+    ws.sendToAdmin(conversation.assignedStaff, {
+      type: "chat_assigned",
+      sessionId: conversation.sessionId,
+      reason,
+      assignedBy,
+      timestamp: new Date().toISOString()
+    }),
+    ws.sendAgentJoined(conversation, { id: String(conversation.assignedStaff), username: username || null })
+  ])
+);
+
+const notifyUnassigned = (wsManager, staffId, sessionId, reason, by = null) => notify(wsManager, (ws) =>
+  ws.sendToAdmin(staffId, {
+    type: "chat_unassigned",
+    sessionId,
+    reason,
+    by,
+    timestamp: new Date().toISOString()
+  })
+);
+
+/**
+ * Open staff chats held by each agent (their chat slots in use)
+ * @param {Array} staffIds - Agents to count for
+ * @returns {Map} staffId -> count (agents without chats are left out)
+ */
+const countActiveChats = async (staffIds) => {
+  const ids = staffIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const agents = await User.find({ _id: { $in: ids }, activeChats: { $gt: 0 } }).select("activeChats");
+  return new Map(agents.map(agent => [String(agent._id), agent.activeChats]));
+};
+
+// When each agent was last given a chat (for round robin and tie-breaks)
+const lastAssignedAt = async (staffIds) => {
+  const ids = staffIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  const latest = await ChatConversation.aggregate([
+    { $match: { assignedStaff: { $in: ids } } },
+    { $group: { _id: "$assignedStaff", at: { $max: "$assignedAt" } } }
+  ]);
+  return new Map(latest.map(({ _id, at }) => [String(_id), at ? at.getTime() : 0]));
+};
+
+/**
+ * Take one of an agent's chat slots; the limit is checked by the update itself
+ * @param {String} staffId - Agent
+ * @param {String} name - How to call them in the error
+ * @param {ClientSession} session - Transaction the assignment runs in
+ * @throws {ChatAssignmentError} 409 if they are at CHAT_MAX_CONCURRENT
+ */
+const takeChatSlot = async (staffId, name, session = null) => {
+  const max = getMaxConcurrentChats();
+  const agent = await User.findOneAndUpdate(
+    { _id: staffId, $or: [{ activeChats: { $lt: max } }, { activeChats: { $exists: false } }] },
+    { $inc: { activeChats: 1 } },
+    { new: true, session }
+  );
+  if (!agent) {
+    throw new ChatAssignmentError(409, `${name} already has ${max} open chats (the limit)`);
+  }
+};
+
+/**
+ * Give back an agent's chat slot
+ * @param {String} staffId - Agent (nothing happens without one)
+ * @param {ClientSession} session - Transaction the change runs in
+ */
+const freeChatSlot = async (staffId, session = null) => {
+  if (!staffId) {
+    return;
+  }
+  await User.updateOne({ _id: staffId, activeChats: { $gt: 0 } }, { $inc: { activeChats: -1 } }, { session });
+};
+
+const findStaffChat = async (sessionId) => {
+  const conversation = await ChatConversation.findOne({ sessionId, isStaffChat: true });
+  if (!conversation) {
+    throw new ChatAssignmentError(404, "Conversation not found");
+  }
+  if (!conversation.isActive) {
+    throw new ChatAssignmentError(409, "Conversation is closed");
+  }
+  return conversation;
+};
+
+// Assign only if the conversation is still held by expectedStaff (null: still queued),
+// moving the chat slot from expectedStaff to the new agent; null if it changed hands
+const assignIfUnchanged = (sessionId, expectedStaff, staffId, name) =>
+  runInTransaction(async (session) => {
+    const conversation = await ChatConversation.findOneAndUpdate(
+      { sessionId, isStaffChat: true, isActive: true, assignedStaff: expectedStaff },
+      { $set: { assignedStaff: staffId, assignedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!conversation) {
+      return null;
+    }
+    await takeChatSlot(staffId, name, session);
+    await freeChatSlot(expectedStaff, session);
+    return conversation;
+  });
+
+/**
+ * Online agents who can take another chat, best candidate first
+ * @param {Object} wsManager - WebSocket manager (for presence)
+ * @param {Object} options - { exclude: staff IDs to skip }
+ * @returns {Array} [{ userId, username, activeChats }]
+ */
+const getAvailableAgents = async (wsManager, { exclude = [] } = {}) => {
+  const online = (await wsManager.getOnlineAdmins())
+    .filter(admin => STAFF_ROLES.includes(admin.role) && mongoose.Types.ObjectId.isValid(admin.userId))
+    .filter(admin => !exclude.some(id => String(id) === admin.userId));
+  if (online.length === 0) {
+    return [];
+  }
+
+  const staffIds = online.map(admin => admin.userId);
+  const [counts, lastAssigned] = await Promise.all([countActiveChats(staffIds), lastAssignedAt(staffIds)]);
+  const max = getMaxConcurrentChats();
+  const byRecency = (a, b) => (lastAssigned.get(a.userId) || 0) - (lastAssigned.get(b.userId) || 0);
+
+  const agents = online
+    .map(admin => ({ userId: admin.userId, username: admin.username, activeChats: counts.get(admin.userId) || 0 }))
+    .filter(agent => agent.activeChats < max);
+
+  return getAssignmentStrategy() === "round_robin"
+    ? agents.sort(byRecency)
+    : agents.sort((a, b) => a.activeChats - b.activeChats || byRecency(a, b));
+};
+
+/**
+ * Give a queued conversation to the best available online agent
+ * @param {String} sessionId - Conversation
+ * @param {Object} wsManager - WebSocket manager
+ * @param {Object} options - { exclude: staff IDs to skip }
+ * @returns {Object|null} The assigned conversation, or null if it stays queued
+ */
+const autoAssignConversation = async (sessionId, wsManager, { exclude = [] } = {}) => {
+  if (!wsManager || getAssignmentStrategy() === "manual") {
+    return null;
+  }
+  for (const agent of await getAvailableAgents(wsManager, { exclude })) {
+    let conversation;
+    try {
+      conversation = await assignIfUnchanged(sessionId, null, agent.userId, agent.username || "Agent");
+    } catch (error) {
+      if (error instanceof ChatAssignmentError) {
+        continue; // Their last slot was taken in the meantime
+      }
+      throw error;
+    }
+    if (!conversation) {
+      return null; // Claimed or closed in the meantime
+    }
+    console.log(`🎧 Auto-assigned chat ${sessionId} to ${agent.userId}`);
+    await notifyAssigned(wsManager, conversation, "auto", null, agent.username);
+    await notifyQueueUpdated(wsManager);
+    return conversation;
+  }
+  return null;
+};
+
+/**
+ * Hand out queued chats, oldest first, until no online agent has room
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Number} Chats assigned
+ */
+const assignWaitingChats = async (wsManager) => {
+  if (!wsManager || getAssignmentStrategy() === "manual") {
+    return 0;
+  }
+  const queued = await ChatConversation.find(QUEUED).sort({ queuedAt: 1, createdAt: 1 }).select("sessionId");
+
+  let assigned = 0;
+  for (const { sessionId } of queued) {
+    if ((await getAvailableAgents(wsManager)).length === 0) {
+      break;
+    }
+    if (await autoAssignConversation(sessionId, wsManager)) {
+      assigned++;
+    }
+  }
+  return assigned;
+};
+
+/**
+ * Put a conversation in the queue (customer asked for staff) and try to assign it
+ * @param {Object} conversation - Saved staff chat
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Object} The conversation, assigned if an agent was available
+ */
+const enqueueConversation = async (conversation, wsManager) => {
+  if (conversation.assignedStaff) {
+    return conversation;
+  }
+  const assigned = await autoAssignConversation(conversation.sessionId, wsManager);
+  if (assigned) {
+    return assigned;
+  }
+  await notifyQueueUpdated(wsManager);
+  return conversation;
+};
+
+/**
+ * The queue, oldest first
+ * @returns {Array} [{ sessionId, position, customerId, customerName, waitingSince, lastMessage }]
+ */
+const getQueue = async () => {
+  const conversations = await ChatConversation.find(QUEUED)
+    .sort({ queuedAt: 1, createdAt: 1 })
+    .populate("userId", "username")
+    .select("sessionId userId queuedAt createdAt messages");
+
+  return conversations.map((conversation, index) => {
+    const lastMessage = conversation.messages.length > 0
+      ? conversation.messages[conversation.messages.length - 1].content
+      : null;
+    return {
+      sessionId: conversation.sessionId,
+      position: index + 1,
+      customerId: conversation.userId?._id || null,
+      customerName: conversation.userId?.username || "Anonymous Customer",
+      waitingSince: conversation.queuedAt || conversation.createdAt,
+      lastMessage: lastMessage && lastMessage.length > 50 ? lastMessage.substring(0, 50) + "..." : lastMessage
+    };
+  });
+};
+
+/**
+ * Take a queued conversation
+ * @param {String} sessionId - Conversation
+ * @param {Object} user - Agent (req.user)
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Object} Conversation
+ */
+const claimConversation = async (sessionId, user, wsManager) => {
+  const conversation = await findStaffChat(sessionId);
+  if (isAssignedTo(conversation, user.id)) {
+    return conversation;
+  }
+  if (conversation.assignedStaff) {
+    throw new ChatAssignmentError(409, "Conversation is assigned to another agent");
+  }
+  const claimed = await assignIfUnchanged(sessionId, null, user.id, user.username || "Agent");
+  if (!claimed) {
+    throw new ChatAssignmentError(409, "Conversation was just taken by another agent");
+  }
+  await notifyAssigned(wsManager, claimed, "claimed", user.id, user.username);
+  await notifyQueueUpdated(wsManager);
+  return claimed;
+};
+
+/**
+ * Give a conversation back to the queue. Admins can release anyone's chat.
+ * @param {String} sessionId - Conversation
+ * @param {Object} user - Agent (req.user)
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Object} Conversation (assigned again if another agent was available)
+ */
+const releaseConversation = async (sessionId, user, wsManager) => {
+  const conversation = await findStaffChat(sessionId);
+  if (!conversation.assignedStaff) {
+    throw new ChatAssignmentError(409, "Conversation is not assigned");
+  }
+  if (!isAssignedTo(conversation, user.id) && user.role !== "admin") {
+    throw new ChatAssignmentError(403, "Only the assigned agent or an admin can release this conversation");
+  }
+
+  const previousStaff = conversation.assignedStaff;
+  const releasedByOwner = isAssignedTo(conversation, user.id);
+  const released = await runInTransaction(async (session) => {
+    const unassigned = await ChatConversation.findOneAndUpdate(
+      { sessionId, isStaffChat: true, isActive: true, assignedStaff: previousStaff },
+      // Back in the queue at its original place
+      { $set: { assignedStaff: null, waitingForStaff: true, queuedAt: conversation.queuedAt || conversation.createdAt } },
+      { new: true, session }
+    );
+    if (unassigned) {
+      await freeChatSlot(previousStaff, session);
+    }
+    return unassigned;
+  });
+  if (!released) {
+    throw new ChatAssignmentError(409, "Conversation was reassigned in the meantime");
+  }
+
+  if (!releasedByOwner) {
+    await notifyUnassigned(wsManager, previousStaff, sessionId, "released", user.id);
+  }
+  console.log(`🎧 Chat ${sessionId} released by ${user.id}`);
+
+  // Offer it to someone else first
+  const reassigned = await autoAssignConversation(sessionId, wsManager, { exclude: [previousStaff] });
+  if (reassigned) {
+    return reassigned;
+  }
+  await notifyQueueUpdated(wsManager);
+  return released;
+};
+
+/**
+ * Hand a conversation to another agent. The assigned agent can transfer
+ * their own chats; admins can transfer any chat, including queued ones.
+ * @param {String} sessionId - Conversation
+ * @param {String} staffId - Agent to receive it
+ * @param {Object} user - Agent making the transfer (req.user)
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Object} Conversation
+ */
+const transferConversation = async (sessionId, staffId, user, wsManager) => {
+  if (!staffId || !mongoose.Types.ObjectId.isValid(staffId)) {
+    throw new ChatAssignmentError(400, "A valid staffId is required");
+  }
+  const conversation = await findStaffChat(sessionId);
+  if (!isAssignedTo(conversation, user.id) && user.role !== "admin") {
+    throw new ChatAssignmentError(403, "Only the assigned agent or an admin can transfer this conversation");
+  }
+  if (isAssignedTo(conversation, staffId)) {
+    return conversation;
+  }
+
+  const target = await User.findById(staffId).select("username role");
+  if (!target) {
+    throw new ChatAssignmentError(404, "Agent not found");
+  }
+  if (!STAFF_ROLES.includes(target.role)) {
+    throw new ChatAssignmentError(400, `${target.username} is not an admin and can't take chats`);
+  }
+  const previousStaff = conversation.assignedStaff || null;
+  const transferred = await assignIfUnchanged(sessionId, previousStaff, staffId, target.username);
+  if (!transferred) {
+    throw new ChatAssignmentError(409, "Conversation was reassigned in the meantime");
+  }
+
+  if (previousStaff) {
+    await notifyUnassigned(wsManager, previousStaff, sessionId, "transfer", user.id);
+  } else {
+    await notifyQueueUpdated(wsManager);
+  }
+  await notifyAssigned(wsManager, transferred, "transfer", user.id, target.username);
+  console.log(`🎧 Chat ${sessionId} transferred to ${staffId} by ${user.id}`);
+  return transferred;
+};
+
+/**
+ * Online agents with their open chats and remaining capacity
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Array} [{ userId, role, since, connections, activeChats, maxChats, available }]
+ */
+const getAgentWorkload = async (wsManager) => {
+  const online = wsManager ? await wsManager.getOnlineAdmins() : [];
+  const counts = await countActiveChats(online.map(admin => admin.userId));
+  const max = getMaxConcurrentChats();
+  return online.map(admin => {
+    const activeChats = counts.get(admin.userId) || 0;
+    return { ...admin, activeChats, maxChats: max, available: activeChats < max };
+  });
+};
+
+module.exports = {
+  STAFF_ROLES,
+  ChatAssignmentError,
+  countActiveChats,
+  takeChatSlot,
+  freeChatSlot,
+  getAvailableAgents,
+  autoAssignConversation,
+  assignWaitingChats,
+  enqueueConversation,
+  getQueue,
+  claimConversation,
+  releaseConversation,
+  transferConversation,
+  getAgentWorkload
+};
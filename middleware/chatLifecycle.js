@@ -0,0 +1,275 @@
+const ChatConversation = require("../models/chatConversation");
+const { takeChatSlot, freeChatSlot, enqueueConversation, assignWaitingChats } = require("./chatAssignment");
+const { runInTransaction } = require("./transactions");
+
+/**
+ * 🔚 CLOSING STAFF CHATS
+ *
+ * Either party can close a staff chat: the customer, or the assigned agent
+ * (admins can close any chat). Chats nobody has written in for
+ * CHAT_INACTIVITY_MINUTES are closed by a scheduled job. Closing frees the
+ * agent's slot for queued chats; the agent stays on the conversation for
+ * reporting. Once closed, the customer can rate the chat (1-5 and a
+ * comment) and reopen it within CHAT_REOPEN_HOURS, which puts it back in
+ * the queue; an agent can reopen it at any time and takes it themselves.
+ *
+ * Configuration:
+ *
+ *   CHAT_INACTIVITY_MINUTES   Close chats idle this long (default 30)
+ *   CHAT_REOPEN_HOURS         How long customers can reopen a closed chat (default 24)
+ *
+ * WebSocket events: conversation_closed and conversation_reopened, to both sides.
+ */
+
+const DEFAULT_INACTIVITY_MINUTES = 30;
+const DEFAULT_REOPEN_HOURS = 24;
+const MAX_RATING_COMMENT = 1000;
+
+// Raised for close, reopen and rating requests the caller can fix, with an HTTP status
+class ChatLifecycleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ChatLifecycleError";
+    this.status = status;
+  }
+}
+
+const getInactivityMinutes = () =>
+  Math.max(parseInt(process.env.CHAT_INACTIVITY_MINUTES, 10) || DEFAULT_INACTIVITY_MINUTES, 1);
+
+const getReopenHours = () => {
+  const hours = parseFloat(process.env.CHAT_REOPEN_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_REOPEN_HOURS;
+};
+
+// A conversation that belongs to a user is theirs alone; guest conversations
+// are reached with their session ID (as everywhere else in staff chat)
+const isCustomerOf = (conversation, user) =>
+  !conversation.userId || (!!user && String(conversation.userId) === String(user.id));
+
+// Latest sign of life: a message, joining the queue, or an agent picking it up
+const lastActivityAt = (conversation) => {
+  const times = [conversation.lastActivity, conversation.queuedAt, conversation.assignedAt]
+    .concat(conversation.messages.length > 0 ? [conversation.messages[conversation.messages.length - 1].timestamp] : [])
+    .filter(Boolean)
+    .map(time => new Date(time).getTime());
+  return times.length > 0 ? Math.max(...times) : 0;
+};
+
+const findStaffChat = async (sessionId) => {
+  const conversation = await ChatConversation.findOne({ sessionId });
+  if (!conversation || !conversation.isStaffChat) {
+    throw new ChatLifecycleError(404, "Staff chat not found");
+  }
+  return conversation;
+};
+
+// Tell both sides; a failed notification never fails the change itself
+const notify = async (wsManager, send) => {
+  if (!wsManager) {
+    return;
+  }
+  try {
+    await send(wsManager);
+  } catch (error) {
+    console.error("❌ Error sending chat lifecycle event:", error);
+  }
+};
+
+// Close if still open, freeing the agent's chat slot; null if someone else closed it first
+const markClosed = async (conversation, { closedBy, closedByUser = null, reason = null }, wsManager) => {
+  const closed = await runInTransaction(async (session) => {
+    const updated = await ChatConversation.findOneAndUpdate(
+      { _id: conversation._id, isActive: true },
+      {
+        $set: {
+          isActive: false,
+          waitingForStaff: false,
+          closedAt: new Date(),
+          closedBy,
+          closedByUser,
+          closeReason: reason
+        }
+      },
+      { new: true, session }
+    );
+    if (updated) {
+      await freeChatSlot(updated.assignedStaff, session);
+    }
+    return updated;
+  });
+  if (closed) {
+    await notify(wsManager, (ws) => ws.sendConversationClosed(closed, reason || closedBy));
+  }
+  return closed;
+};
+
+/**
+ * Close a staff chat
+ * @param {String} sessionId - Conversation
+ * @param {Object} options - { side: "customer" | "staff", user, reason }
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Object} Closed conversation
+ */
+const closeConversation = async (sessionId, { side, user = null, reason = null }, wsManager) => {
+  const conversation = await findStaffChat(sessionId);
+  if (!conversation.isActive) {
+    throw new ChatLifecycleError(409, "Conversation is already closed");
+  }
+  if (side === "customer" && !isCustomerOf(conversation, user)) {
+    throw new ChatLifecycleError(403, "Not allowed to close this conversation");
+  }
+  if (side === "staff" && user.role !== "admin" && String(conversation.assignedStaff) !== String(user.id)) {
+    throw new ChatLifecycleError(403, "Only the assigned agent or an admin can close this conversation");
+  }
+  if (reason !== null && (typeof reason !== "string" || reason.length > 500)) {
+    throw new ChatLifecycleError(400, "reason must be text of at most 500 characters");
+  }
+
+  const closed = await markClosed(conversation, { closedBy: side, closedByUser: user ? user.id : null, reason }, wsManager);
+  if (!closed) {
+    throw new ChatLifecycleError(409, "Conversation is already closed");
+  }
+  console.log(`🔚 Chat ${sessionId} closed by ${side}`);
+
+  // The agent has room for a queued chat now
+  if (closed.assignedStaff) {
+    await assignWaitingChats(wsManager);
+  }
+  return closed;
+};
+
+/**
+ * Close staff chats idle for longer than CHAT_INACTIVITY_MINUTES
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Number} Chats closed
+ */
+const closeInactiveConversations = async (wsManager) => {
+  const cutoff = Date.now() - getInactivityMinutes() * 60 * 1000;
+  // lastActivity isn't moved by staff replies, so it only narrows the search
+  const candidates = await ChatConversation.find({
+    isStaffChat: true,
+    isActive: true,
+    lastActivity: { $lt: new Date(cutoff) }
+  });
+
+  let closed = 0;
+  for (const conversation of candidates) {
+    if (lastActivityAt(conversation) >= cutoff) {
+      continue;
+    }
+    if (await markClosed(conversation, { closedBy: "system", reason: "inactivity" }, wsManager)) {
+      closed++;
+    }
+  }
+
+  if (closed > 0) {
+    await assignWaitingChats(wsManager);
+  }
+  return closed;
+};
+
+/**
+ * Reopen a closed staff chat. Customers can do so within CHAT_REOPEN_HOURS
+ * and go back to the queue; an agent who reopens it takes it themselves.
+ * @param {String} sessionId - Conversation
+ * @param {Object} options - { side: "customer" | "staff", user }
+ * @param {Object} wsManager - WebSocket manager
+ * @returns {Object} Reopened conversation
+ */
+const reopenConversation = async (sessionId, { side, user = null }, wsManager) => {
+  const conversation = await findStaffChat(sessionId);
+  if (conversation.isActive) {
+    throw new ChatLifecycleError(409, "Conversation is open");
+  }
+
+  const now = new Date();
+  const reopened = {
+    isActive: true,
+    queuedAt: now,
+    closedAt: null,
+    closedBy: null,
+    closedByUser: null,
+    closeReason: null
+  };
+
+  if (side === "customer") {
+    if (!isCustomerOf(conversation, user)) {
+      throw new ChatLifecycleError(403, "Not allowed to reopen this conversation");
+    }
+    const closedAt = conversation.closedAt ? conversation.closedAt.getTime() : 0;
+    if (now.getTime() - closedAt > getReopenHours() * 60 * 60 * 1000) {
+      throw new ChatLifecycleError(409, "This conversation can no longer be reopened; start a new chat");
+    }
+    Object.assign(reopened, { waitingForStaff: true, assignedStaff: null, assignedAt: null });
+  } else {
+    Object.assign(reopened, { waitingForStaff: false, assignedStaff: user.id, assignedAt: now });
+  }
+
+  // An agent who reopens a chat takes one of their chat slots with it
+  let result = await runInTransaction(async (session) => {
+    const updated = await ChatConversation.findOneAndUpdate(
+      { _id: conversation._id, isActive: false },
+      { $set: reopened },
+      { new: true, session }
+    );
+    if (updated && side !== "customer") {
+      await takeChatSlot(user.id, user.username || "Agent", session);
+    }
+    return updated;
+  });
+  if (!result) {
+    throw new ChatLifecycleError(409, "Conversation is open");
+  }
+  console.log(`🔁 Chat ${sessionId} reopened by ${side}`);
+
+  await notify(wsManager, (ws) => ws.sendConversationReopened(result, side));
+  if (side === "customer") {
+    result = await enqueueConversation(result, wsManager);
+  }
+  return result;
+};
+
+/**
+ * Customer's satisfaction rating for a closed chat (can be changed while it stays closed)
+ * @param {String} sessionId - Conversation
+ * @param {Object} user - Customer (req.user, or null for guests)
+ * @param {Object} input - { rating: 1-5, comment }
+ * @returns {Object} Conversation
+ */
+const rateConversation = async (sessionId, user, { rating, comment }) => {
+  const conversation = await findStaffChat(sessionId);
+  if (!isCustomerOf(conversation, user)) {
+    throw new ChatLifecycleError(403, "Not allowed to rate this conversation");
+  }
+  if (conversation.isActive) {
+    throw new ChatLifecycleError(409, "Conversations can be rated once they are closed");
+  }
+  if (!conversation.assignedStaff) {
+    throw new ChatLifecycleError(409, "No agent took part in this conversation");
+  }
+
+  const stars = Number(rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    throw new ChatLifecycleError(400, "rating must be a whole number from 1 to 5");
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== "string") {
+    throw new ChatLifecycleError(400, "comment must be text");
+  }
+  const text = (comment || "").trim();
+  if (text.length > MAX_RATING_COMMENT) {
+    throw new ChatLifecycleError(400, `comment must be at most ${MAX_RATING_COMMENT} characters`);
+  }
+
+  conversation.satisfaction = { rating: stars, comment: text || undefined, ratedAt: new Date() };
+  await conversation.save();
+  return conversation;
+};
+
+module.exports = {
+  ChatLifecycleError,
+  closeConversation,
+  closeInactiveConversations,
+  reopenConversation,
+  rateConversation
+};
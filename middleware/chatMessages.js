@@ -0,0 +1,228 @@
+const ChatConversation = require("../models/chatConversation");
+const { claimConversation } = require("./chatAssignment");
+
+/**
+ * 💬 STAFF CHAT MESSAGES
+ *
+ * Messages between customers and agents, whether they arrive over REST or
+ * WebSocket. Every message is identified by its _id and kept in order in
+ * the conversation, so a client that reconnects sends the last ID it saw
+ * and gets exactly the messages after it. Each side acknowledges what it
+ * has received (deliveredAt) and read (readAt) on the other side's
+ * messages, up to a message ID.
+ *
+ * Sides: "customer" (role "user") and "staff" (role "assistant", type "staff").
+ */
+
+const SIDES = ["customer", "staff"];
+
+// Raised for message requests the caller can fix, with an HTTP status
+class ChatMessageError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ChatMessageError";
+    this.status = status;
+  }
+}
+
+const isFromSide = (message, side) =>
+  side === "customer" ? message.role === "user" : message.role === "assistant" && message.messageType === "staff";
+
+const otherSide = (side) => (side === "customer" ? "staff" : "customer");
+
+/**
+ * A message as sent to clients
+ * @param {Object} message - Conversation message
+ * @returns {Object} { id, role, from, content, messageType, timestamp, deliveredAt, readAt }
+ */
+const serializeMessage = (message) => ({
+  id: String(message._id),
+  role: message.role,
+  from: isFromSide(message, "customer") ? "customer" : isFromSide(message, "staff") ? "staff" : "assistant",
+  content: message.content,
+  messageType: message.messageType,
+  timestamp: message.timestamp,
+  deliveredAt: message.deliveredAt || null,
+  readAt: message.readAt || null
+});
+
+const findStaffChat = async (sessionId) => {
+  const conversation = sessionId ? await ChatConversation.findOne({ sessionId }) : null;
+  if (!conversation) {
+    throw new ChatMessageError(404, "Conversation not found");
+  }
+  return conversation;
+};
+
+const checkContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ChatMessageError(400, "Message content is required");
+  }
+};
+
+const lastMessage = (conversation) => conversation.messages[conversation.messages.length - 1];
+
+/**
+ * Messages after the one the client saw last
+ * @param {Object} conversation - Conversation
+ * @param {String} lastMessageId - Last message the client has (none: everything)
+ * @returns {Object} { messages, lastMessageId, reset } - reset is true when the ID
+ *   wasn't found and messages is the whole conversation
+ */
+const getMessagesAfter = (conversation, lastMessageId) => {
+  const messages = conversation.messages;
+  const index = lastMessageId ? messages.findIndex(message => String(message._id) === String(lastMessageId)) : -1;
+  const missed = index === -1 ? messages : messages.slice(index + 1);
+  return {
+    messages: missed.map(serializeMessage),
+    lastMessageId: messages.length > 0 ? String(lastMessage(conversation)._id) : null,
+    reset: !!lastMessageId && index === -1
+  };
+};
+
+/**
+ * Add a customer's message to their staff chat
+ * @param {String} sessionId - Conversation
+ * @param {String} content - Message text
+ * @returns {Object} { conversation, message }
+ */
+const addCustomerMessage = async (sessionId, content) => {
+  checkContent(content);
+  const conversation = await findStaffChat(sessionId);
+  if (!conversation.isStaffChat || !conversation.isActive) {
+    throw new ChatMessageError(409, "Conversation is not open for staff chat");
+  }
+
+  conversation.messages.push({
+    role: "user",
+    content,
+    messageType: "text",
+    timestamp: new Date()
+  });
+
+  // Mark as having unread messages for staff
+  conversation.hasUnreadFromCustomer = true;
+  conversation.lastActivity = new Date();
+  await conversation.save();
+
+  return { conversation, message: lastMessage(conversation) };
+};
+
+/**
+ * Add an agent's reply. Replying to a queued chat claims it; someone else's
+ * chat has to be transferred first.
+ * @param {String} sessionId - Conversation
+ * @param {Object} user - Agent (req.user or the socket's user)
+ * @param {String} content - Message text
+ * @param {Object} wsManager - WebSocket manager (for assignment events)
+ * @returns {Object} { conversation, message }
+ */
+const addStaffMessage = async (sessionId, user, content, wsManager) => {
+  checkContent(content);
+  let conversation = await findStaffChat(sessionId);
+  if (!conversation.isStaffChat || !conversation.isActive) {
+    throw new ChatMessageError(409, "Conversation is not open for staff chat");
+  }
+  if (!conversation.assignedStaff) {
+    await claimConversation(sessionId, user, wsManager);
+    conversation = await findStaffChat(sessionId);
+  } else if (String(conversation.assignedStaff) !== String(user.id)) {
+    throw new ChatMessageError(409, "Conversation is assigned to another agent");
+  }
+
+  conversation.messages.push({
+    role: "assistant",
+    content,
+    messageType: "staff",
+    timestamp: new Date()
+  });
+
+  // Update conversation state
+  conversation.waitingForStaff = false;
+  conversation.hasUnreadFromCustomer = false;
+  // Don't update lastActivity for staff replies to prevent moving chat to top
+  conversation.lastStaffRead = new Date();
+  await conversation.save();
+
+  return { conversation, message: lastMessage(conversation) };
+};
+
+/**
+ * Record that one side received (or read) the other side's messages up to a message
+ * Receipts are written with conditional updates rather than by saving the
+ * conversation, whose version check fails when a message is added meanwhile.
+ * @param {String} sessionId - Conversation
+ * @param {String} side - Side acknowledging: "customer" | "staff"
+ * @param {String} messageId - Last message received or read
+ * @param {Object} options - { read: also mark them read }
+ * @returns {Object} { conversation, messageIds: newly acknowledged messages, at }
+ */
+const acknowledgeMessages = async (sessionId, side, messageId, { read = false } = {}) => {
+  if (!SIDES.includes(side)) {
+    throw new ChatMessageError(400, "Unknown chat side");
+  }
+  const conversation = await findStaffChat(sessionId);
+  const index = conversation.messages.findIndex(message => String(message._id) === String(messageId));
+  if (index === -1) {
+    throw new ChatMessageError(404, "Message not found");
+  }
+
+  const at = new Date();
+  const field = read ? "readAt" : "deliveredAt";
+  const acknowledged = conversation.messages
+    .slice(0, index + 1)
+    .filter(message => isFromSide(message, otherSide(side)) && !message[field]);
+  const messageIds = acknowledged.map(message => String(message._id));
+
+  const update = {};
+  const arrayFilters = [];
+  if (acknowledged.length > 0) {
+    // Only messages still without the receipt are stamped, so a concurrent acknowledgement keeps its time
+    const ids = acknowledged.map(message => message._id);
+    update[`messages.$[acknowledged].${field}`] = at;
+    arrayFilters.push({ "acknowledged._id": { $in: ids }, [`acknowledged.${field}`]: null });
+    if (read) {
+      // Reading a message implies it was delivered
+      update["messages.$[undelivered].deliveredAt"] = at;
+      arrayFilters.push({ "undelivered._id": { $in: ids }, "undelivered.deliveredAt": null });
+    }
+    acknowledged.forEach(message => {
+      message.deliveredAt = message.deliveredAt || at;
+      message[field] = at;
+    });
+  }
+
+  const staffRead = read && side === "staff";
+  if (staffRead) {
+    update.lastStaffRead = at;
+    conversation.lastStaffRead = at;
+    conversation.hasUnreadFromCustomer = conversation.messages
+      .slice(index + 1)
+      .some(message => isFromSide(message, "customer"));
+    if (conversation.hasUnreadFromCustomer) {
+      update.hasUnreadFromCustomer = true;
+    }
+  }
+  if (Object.keys(update).length > 0) {
+    await ChatConversation.updateOne({ _id: conversation._id }, { $set: update }, { arrayFilters });
+  }
+  if (staffRead && !conversation.hasUnreadFromCustomer) {
+    // Only if nothing was added since the conversation was loaded: a new customer message is still unread
+    await ChatConversation.updateOne(
+      { _id: conversation._id, messages: { $size: conversation.messages.length } },
+      { $set: { hasUnreadFromCustomer: false } }
+    );
+  }
+
+  return { conversation, messageIds, at };
+};
+
+module.exports = {
+  SIDES,
+  ChatMessageError,
+  serializeMessage,
+  getMessagesAfter,
+  addCustomerMessage,
+  addStaffMessage,
+  acknowledgeMessages
+};
@@ -0,0 +1,128 @@
+const ChatConversation = require("../models/chatConversation");
+const User = require("../models/user");
+const { ChatLifecycleError } = require("./chatLifecycle");
+
+/**
+ * 📊 STAFF CHAT REPORT
+ *
+ * How well closed staff chats went, overall and per agent (the agent the
+ * chat was assigned to when it closed), from the conversations' own
+ * timestamps. A chat starts when the customer joins the queue (or, for
+ * older chats, when the conversation was created):
+ *
+ *   first response   start -> the first staff message after it
+ *   resolution       start -> closedAt
+ *   CSAT             share of ratings that are 4 or 5 stars, in percent
+ *
+ * Times are in seconds. Chats without a staff reply or a rating are left
+ * out of the averages they can't contribute to.
+ */
+
+const SATISFIED_RATING = 4;
+const DEFAULT_PERIOD_DAYS = 30;
+
+// One row per closed chat: who handled it, its rating, and its timings in ms
+const CHAT_TIMINGS = [
+  { $addFields: { start: { $ifNull: ["$queuedAt", "$createdAt"] } } },
+  {
+    $addFields: {
+      firstResponseAt: {
+        $min: {
+          $map: {
+            input: {
+              $filter: {
+                input: "$messages",
+                as: "message",
+                cond: {
+                  $and: [
+                    { $eq: ["$$message.messageType", "staff"] },
+                    { $gte: ["$$message.timestamp", "$start"] }
+                  ]
+                }
+              }
+            },
+            as: "message",
+            in: "$$message.timestamp"
+          }
+        }
+      }
+    }
+  },
+  {
+    $project: {
+      assignedStaff: 1,
+      rating: "$satisfaction.rating",
+      firstResponseMs: {
+        $cond: [{ $gt: ["$firstResponseAt", null] }, { $subtract: ["$firstResponseAt", "$start"] }, null]
+      },
+      resolutionMs: { $subtract: ["$closedAt", "$start"] }
+    }
+  }
+];
+
+const SUMMARY = {
+  conversations: { $sum: 1 },
+  responded: { $sum: { $cond: [{ $gt: ["$firstResponseMs", null] }, 1, 0] } },
+  rated: { $sum: { $cond: [{ $gt: ["$rating", null] }, 1, 0] } },
+  satisfied: { $sum: { $cond: [{ $gte: ["$rating", SATISFIED_RATING] }, 1, 0] } },
+  averageRating: { $avg: "$rating" },
+  averageFirstResponseMs: { $avg: "$firstResponseMs" },
+  averageResolutionMs: { $avg: "$resolutionMs" }
+};
+
+const seconds = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 1000));
+const round = (value, places = 2) => (value === null || value === undefined ? null : Number(value.toFixed(places)));
+
+const toMetrics = (row) => ({
+  conversations: row.conversations,
+  responded: row.responded,
+  rated: row.rated,
+  averageRating: round(row.averageRating),
+  csat: row.rated > 0 ? round((row.satisfied / row.rated) * 100, 1) : null,
+  averageFirstResponseSeconds: seconds(row.averageFirstResponseMs),
+  averageResolutionSeconds: seconds(row.averageResolutionMs)
+});
+
+/**
+ * CSAT, first-response and resolution times for chats closed in a period
+ * @param {Object} options - { from, to } closedAt range (default: last 30 days)
+ * @returns {Object} { from, to, overall, byStaff: [{ staffId, username, ...metrics }] }
+ */
+const getChatPerformanceReport = async ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new ChatLifecycleError(400, "from and to must be dates");
+  }
+
+  const [result] = await ChatConversation.aggregate([
+    { $match: { isStaffChat: true, isActive: false, closedAt: { $gte: start, $lte: end } } },
+    ...CHAT_TIMINGS,
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, ...SUMMARY } }],
+        byStaff: [
+          { $match: { assignedStaff: { $ne: null } } },
+          { $group: { _id: "$assignedStaff", ...SUMMARY } }
+        ]
+      }
+    }
+  ]);
+
+  const staff = await User.find({ _id: { $in: result.byStaff.map(row => row._id) } }).select("username");
+  const usernames = new Map(staff.map(user => [String(user._id), user.username]));
+
+  const empty = { conversations: 0, responded: 0, rated: 0, satisfied: 0 };
+  return {
+    from: start,
+    to: end,
+    overall: toMetrics(result.overall[0] || empty),
+    byStaff: result.byStaff
+      .map(row => ({ staffId: row._id, username: usernames.get(String(row._id)) || null, ...toMetrics(row) }))
+      .sort((a, b) => b.conversations - a.conversations)
+  };
+};
+
+module.exports = {
+  getChatPerformanceReport
+};
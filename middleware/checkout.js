@@ -0,0 +1,137 @@
+const Order = require("../models/order");
+const Product = require("../models/product");
+const { getInitialStatus } = require("./orderLifecycle");
+const { calculateOrderPricing, totalsMatch, PricingError } = require("./orderPricing");
+const { reservePromotionUsage } = require("./promotions");
+const { runInTransaction, TransactionAbortError } = require("./transactions");
+const { getReservationExpiry, reserveStock, decrementStock } = require("./stockReservations");
+const { getProvider } = require("./paymentProviders");
+const { createPaymentForOrder } = require("./payments");
+const { describeVariant, getSellableQuantity } = require("./productVariants");
+
+/**
+ * 🛒 CHECKOUT
+ *
+ * Turns a list of items into an order: prices it on the server, checks the
+ * client saw the same total, then takes coupon usage, stock and the order's
+ * payment record in one transaction. Used by POST /orders and by cart
+ * checkout.
+ */
+
+// Raised when an order can't be placed, with an HTTP status and optional extra response fields
+class CheckoutError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "CheckoutError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Place an order
+ * @param {Object} request - { userId, items: [{ productId, variantId, quantity }], paymentMethod, couponCode, expectedTotal }
+ * @returns {Object} Saved order
+ * @throws {CheckoutError} When the request is invalid or stock/coupons ran out
+ */
+const placeOrder = async ({ userId, items, paymentMethod, couponCode, expectedTotal }) => {
+  if (!items || !paymentMethod || expectedTotal === undefined) {
+    throw new CheckoutError(400, 'Products, payment method, and total price are required');
+  }
+
+  if (!getProvider(paymentMethod)) {
+    throw new CheckoutError(400, `Unsupported payment method: ${paymentMethod}`);
+  }
+
+  // Recompute prices from the catalogue; client-side line prices are ignored
+  let priced;
+  try {
+    priced = await calculateOrderPricing(items, { couponCode, userId });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      throw new CheckoutError(400, error.message);
+    }
+    throw error;
+  }
+
+  if (!totalsMatch(expectedTotal, priced.pricing.grandTotal)) {
+    throw new CheckoutError(
+      400,
+      `Order total mismatch. Expected ${priced.pricing.grandTotal}, received ${expectedTotal}`,
+      { pricing: priced.pricing }
+    );
+  }
+
+  // Validate stock for each priced line
+  for (const line of priced.lines) {
+    const product = await Product.findById(line.productId);
+    if (!product) {
+      throw new CheckoutError(400, `Product not found: ${line.productId}`);
+    }
+    const variant = line.variantId ? product.variants.id(line.variantId) : null;
+    const available = variant ? getSellableQuantity(product, variant) : product.availableQuantity;
+    if (available < line.quantity) {
+      const label = variant ? `${product.name} (${describeVariant(variant)})` : product.name;
+      throw new CheckoutError(
+        400,
+        `Insufficient stock for product ${label}. Available: ${available}, requested: ${line.quantity}`
+      );
+    }
+  }
+
+  // Initial status is decided by the lifecycle, never by the client
+  const initialStatus = getInitialStatus(paymentMethod);
+
+  // Coupon usage, stock and the order itself commit together or not at all
+  try {
+    return await runInTransaction(async (session) => {
+      if (priced.promotion) {
+        const { reserved, reason } = await reservePromotionUsage(priced.promotion, userId, session);
+        if (!reserved) {
+          throw new TransactionAbortError(409, reason);
+        }
+      }
+
+      // Unpaid checkouts only reserve stock; cash orders take it straight away
+      const reserveOnly = initialStatus === "pending_payment";
+
+      const newOrder = new Order({
+        user: userId,
+        products: priced.lines.map(({ productId, variantId, sku, variantOptions, quantity, price }) => ({
+          productId, variantId, sku, variantOptions, quantity, price
+        })),
+        paymentMethod,
+        status: initialStatus,
+        statusHistory: [{ from: null, to: initialStatus, actor: userId, actorRole: "customer" }],
+        totalPrice: priced.pricing.grandTotal,
+        pricing: priced.pricing,
+        stockCommitted: !reserveOnly,
+        reservationExpiresAt: reserveOnly ? getReservationExpiry() : undefined,
+        orderDate: new Date(),
+      });
+
+      const stockHeld = reserveOnly
+        ? await reserveStock(newOrder, session)
+        : await decrementStock(newOrder.products, session, { order: newOrder._id, actor: userId });
+      if (!stockHeld) {
+        throw new TransactionAbortError(409, 'Stock changed while processing your order. Please try again.');
+      }
+
+      const payment = await createPaymentForOrder(newOrder, session);
+      newOrder.payment = payment._id;
+
+      await newOrder.save({ session });
+      return newOrder;
+    });
+  } catch (error) {
+    if (error instanceof TransactionAbortError) {
+      throw new CheckoutError(error.status, error.message);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  CheckoutError,
+  placeOrder
+};
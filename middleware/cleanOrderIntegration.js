@@ -3,19 +3,32 @@ const CashFlowTransaction = require("../models/cashFlowTransaction");
 /**
  * 🚀 CLEAN REVENUE-ONLY INTEGRATION
  * 
- * Automatically creates cash flow entries for completed orders
+ * Automatically creates cash flow entries for paid orders
  * WITHOUT artificial COGS or shipping costs.
- * Only records actual revenue when orders are completed.
+ * Only records actual revenue, once, when an order's payment settles.
  */
 
 /**
- * Generate clean revenue transaction for completed order
- * @param {Object} order - The completed order object
- * @returns {Object} Created transaction
+ * Generate clean revenue transaction for a settled order
+ * Skips orders that already have a revenue transaction so every settlement
+ * path (payment callback, cash on delivery, manual sync) posts it once.
+ * @param {Object} order - The order whose payment settled
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Object|null} Created transaction, or null if one already existed
  */
-const generateRevenueTransaction = async (order) => {
+const generateRevenueTransaction = async (order, session = null) => {
   try {
-    console.log(`💰 Creating revenue transaction for completed order ${order._id}`);
+    const existingRevenue = await CashFlowTransaction.findOne({
+      orderId: order._id,
+      category: 'product_sales'
+    }).session(session);
+
+    if (existingRevenue) {
+      console.log(`⚠️ Revenue transaction already exists for order ${order._id}`);
+      return null;
+    }
+
+    console.log(`💰 Creating revenue transaction for order ${order._id}`);
     
     // Create INFLOW transaction: Actual Revenue Only
     const revenueTransaction = new CashFlowTransaction({
@@ -28,7 +41,7 @@ const generateRevenueTransaction = async (order) => {
       automated: true // Mark as automated but clean
     });
     
-    const savedTransaction = await revenueTransaction.save();
+    const savedTransaction = await revenueTransaction.save({ session });
     
     console.log(`✅ Revenue transaction created: $${order.totalPrice} from order ${order._id}`);
     
@@ -43,9 +56,89 @@ const generateRevenueTransaction = async (order) => {
   }
 };
 
+/**
+ * Generate refund outflow for a refunded (or cancelled) order
+ * Skips orders that already have a refund transaction so retries stay safe.
+ * @param {Object} order - The refunded order object
+ * @param {ClientSession} session - Optional transaction session
+ * @param {String} reason - Optional note appended to the description
+ * @returns {Object|null} Created transaction, or null if one already existed
+ */
+const generateRefundTransaction = async (order, session = null, reason = null) => {
+  try {
+    const existingRefund = await CashFlowTransaction.findOne({
+      orderId: order._id,
+      category: 'refunds'
+    }).session(session);
+
+    if (existingRefund) {
+      console.log(`⚠️ Refund transaction already exists for order ${order._id}`);
+      return null;
+    }
+
+    console.log(`💸 Creating refund transaction for order ${order._id}`);
+
+    const refundTransaction = new CashFlowTransaction({
+      type: 'outflow',
+      category: 'refunds',
+      amount: order.totalPrice,
+      description: `Refund for Order #${order._id.toString().slice(-6)}${reason ? ` (${reason})` : ''}`,
+      orderId: order._id,
+      date: new Date(),
+      automated: true
+    });
+
+    const savedTransaction = await refundTransaction.save({ session });
+
+    console.log(`✅ Refund transaction created: $${order.totalPrice} for order ${order._id}`);
+
+    return {
+      refund: savedTransaction,
+      message: `Refund transaction created: $${order.totalPrice}`
+    };
+
+  } catch (error) {
+    console.error(`❌ Error creating refund transaction for order ${order._id}:`, error);
+    throw error;
+  }
+};
+
+// Whether the order's revenue reached cash flow (a refund only reverses money that came in)
+const hasPostedRevenue = (order, session = null) =>
+  CashFlowTransaction.exists({
+    orderId: order._id,
+    category: 'product_sales'
+  }).session(session);
+
+/**
+ * Keep cash flow in step with an order status change
+ * Subscribed to order.status_changed, so it runs inside the lifecycle
+ * transaction:
+ *   completed  Post revenue if settlement hasn't already (exactly once)
+ *   cancelled  Reverse revenue that was already posted
+ *   refunded   Post the refund outflow if revenue was posted
+ * Both reversal paths share the one refund transaction per order, so a
+ * cancelled-then-refunded order is only reversed once. An order paid after
+ * it was cancelled never posted revenue, so refunding it posts nothing.
+ * @param {Object} event - { order, to, session }
+ */
+const postCashFlowForStatusChange = async ({ order, to, session = null }) => {
+  if (to === 'completed') {
+    await generateRevenueTransaction(order, session);
+  }
+
+  if (to === 'cancelled' && await hasPostedRevenue(order, session)) {
+    await generateRefundTransaction(order, session, 'order cancelled');
+  }
+
+  if (to === 'refunded' && await hasPostedRevenue(order, session)) {
+    await generateRefundTransaction(order, session);
+  }
+};
+
 /**
  * Sync all existing completed orders to cash flow
- * (One-time migration function)
+ * (One-time backfill for orders completed before postCashFlowForStatusChange existed)
  */
 const syncCompletedOrdersTocashFlow = async () => {
   try {
@@ -73,6 +166,9 @@ const syncCompletedOrdersTocashFlow = async () => {
     for (const order of ordersToSync) {
       try {
         const transaction = await generateRevenueTransaction(order);
+        if (!transaction) {
+          continue;
+        }
         results.push({
           orderId: order._id,
           amount: order.totalPrice,
@@ -110,5 +206,7 @@ const syncCompletedOrdersTocashFlow = async () => {
 
 module.exports = {
   generateRevenueTransaction,
+  generateRefundTransaction,
+  postCashFlowForStatusChange,
   syncCompletedOrdersTocashFlow
 };
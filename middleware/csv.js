@@ -0,0 +1,91 @@
+/**
+ * 📄 CSV
+ *
+ * Small RFC 4180 reader and writer: comma separated, fields quoted with
+ * double quotes when they contain commas, quotes or line breaks. Enough
+ * for spreadsheet exports; no type conversion is done here.
+ */
+
+/**
+ * Parse CSV text into rows of strings
+ * @param {String} text - CSV content (a leading byte order mark is ignored)
+ * @returns {Array} [[field, ...], ...] without fully empty lines
+ * @throws {Error} When a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV
+ * @param {Array} header - Column names
+ * @param {Array} rows - Objects keyed by column name
+ * @returns {String} CSV text with CRLF line endings
+ */
+const toCsv = (header, rows) => {
+  const lines = [header.map(escapeField).join(",")];
+  rows.forEach(row => {
+    lines.push(header.map(column => escapeField(row[column])).join(","));
+  });
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,252 @@
+const Order = require("../models/order");
+const Shipment = require("../models/shipment");
+const User = require("../models/user");
+const { canTransition, normalizeStatus, transitionOrder } = require("./orderLifecycle");
+const { runInTransaction } = require("./transactions");
+
+/**
+ * 🚚 ORDER FULFILLMENT
+ *
+ * An order is fulfilled by one or more shipments, each carrying some or
+ * all of the units of specific order lines. Order.products[].shippedQuantity
+ * tracks what has left the warehouse. The order moves to "shipped" once
+ * every unit is in a shipment, and to "delivered" once every shipment has
+ * been delivered.
+ */
+
+// Orders that may still get shipments ("shipped" covers orders marked shipped by hand)
+const SHIPPABLE_STATUSES = ["processing", "shipped"];
+
+// Raised for fulfillment requests the caller can fix, with an HTTP status
+class FulfillmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "FulfillmentError";
+    this.status = status;
+  }
+}
+
+const remainingQuantity = (line) => line.quantity - (line.shippedQuantity || 0);
+
+/**
+ * Work out which order lines a new shipment carries
+ * With no items requested, the shipment takes everything not yet shipped.
+ * @param {Object} order - Order document
+ * @param {Array} requestedItems - [{ lineId | productId, quantity }]
+ * @returns {Array} [{ lineId, productId, quantity }]
+ * @throws {FulfillmentError} When an item is unknown or exceeds what is left to ship
+ */
+const resolveShipmentItems = (order, requestedItems) => {
+  if (!requestedItems || requestedItems.length === 0) {
+    const everything = order.products
+      .filter(line => remainingQuantity(line) > 0)
+      .map(line => ({ lineId: line._id, productId: line.productId, quantity: remainingQuantity(line) }));
+    if (everything.length === 0) {
+      throw new FulfillmentError(400, "Every item in this order has already shipped");
+    }
+    return everything;
+  }
+
+  // lineId -> item, so a line requested twice is merged and checked once
+  const items = new Map();
+  for (const requested of requestedItems) {
+    const line = requested.lineId
+      ? order.products.id(requested.lineId)
+      : order.products.find(candidate => String(candidate.productId) === String(requested.productId));
+    if (!line) {
+      throw new FulfillmentError(400, `Order line not found: ${requested.lineId || requested.productId}`);
+    }
+
+    const quantity = Number(requested.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new FulfillmentError(400, `Invalid quantity for order line ${line._id}`);
+    }
+
+    const key = String(line._id);
+    const item = items.get(key) || { lineId: line._id, productId: line.productId, quantity: 0 };
+    item.quantity += quantity;
+    if (item.quantity > remainingQuantity(line)) {
+      throw new FulfillmentError(400, `Only ${remainingQuantity(line)} unit(s) of order line ${line._id} are left to ship`);
+    }
+    items.set(key, item);
+  }
+  return [...items.values()];
+};
+
+/**
+ * Address to print on the parcel, copied so later profile edits don't rewrite history
+ * @param {Object} order - Order document
+ * @param {Object} address - Optional { recipientName, phone, address, city, postalCode, country }
+ * @returns {Object} Address snapshot
+ * @throws {FulfillmentError} When no address is given and the customer has none on file
+ */
+const snapshotShippingAddress = async (order, address) => {
+  if (address && address.address) {
+    const { recipientName, phone, city, postalCode, country } = address;
+    return { recipientName, phone, address: address.address, city, postalCode, country };
+  }
+
+  const customer = await User.findById(order.user).select("username phone address");
+  if (!customer || !customer.address) {
+    throw new FulfillmentError(400, "A shipping address is required: the customer has none on file");
+  }
+  return { recipientName: customer.username, phone: customer.phone, address: customer.address };
+};
+
+/**
+ * Create a shipment for some or all of an order's remaining items
+ * @param {String} orderId - Order ID
+ * @param {Object} details - { carrier, trackingNumber, trackingUrl, items, shippingAddress, actor }
+ * @returns {Object} { shipment, order }
+ * @throws {FulfillmentError} When the order can't ship these items
+ */
+const createShipment = async (orderId, { carrier, trackingNumber, trackingUrl, items, shippingAddress, actor }) => {
+  if (!carrier) {
+    throw new FulfillmentError(400, "Carrier is required");
+  }
+
+  const existingOrder = await Order.findById(orderId);
+  if (!existingOrder) {
+    throw new FulfillmentError(404, "Order not found");
+  }
+  if (!SHIPPABLE_STATUSES.includes(normalizeStatus(existingOrder.status))) {
+    throw new FulfillmentError(400, `Cannot ship an order in status ${existingOrder.status}`);
+  }
+
+  const addressSnapshot = await snapshotShippingAddress(existingOrder, shippingAddress);
+
+  return runInTransaction(async (session) => {
+    // Re-read inside the transaction: concurrent shipments of the same order conflict here and retry
+    const order = await Order.findById(orderId).session(session);
+    if (!SHIPPABLE_STATUSES.includes(normalizeStatus(order.status))) {
+      throw new FulfillmentError(400, `Cannot ship an order in status ${order.status}`);
+    }
+    const shipmentItems = resolveShipmentItems(order, items);
+
+    for (const item of shipmentItems) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { "products.$[line].shippedQuantity": item.quantity } },
+        { arrayFilters: [{ "line._id": item.lineId }], session }
+      );
+    }
+
+    const shipment = await new Shipment({
+      order: order._id,
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      items: shipmentItems,
+      shippingAddress: addressSnapshot,
+      trackingEvents: [{ status: "label_created", description: `Handed to ${carrier}` }],
+      createdBy: actor
+    }).save({ session });
+
+    const shippedNow = new Map(shipmentItems.map(item => [String(item.lineId), item.quantity]));
+    const fullyShipped = order.products.every(line =>
+      remainingQuantity(line) - (shippedNow.get(String(line._id)) || 0) <= 0
+    );
+
+    if (fullyShipped && canTransition(order, "shipped").allowed) {
+      await transitionOrder(order, "shipped", {
+        actor,
+        actorRole: "admin",
+        note: `All items shipped (last shipment ${shipment._id})`,
+        session
+      });
+    }
+
+    console.log(`🚚 Shipment ${shipment._id} created for order ${order._id} (${carrier} ${trackingNumber || "no tracking"})`);
+    return { shipment, order: await Order.findById(order._id).session(session) };
+  });
+};
+
+/**
+ * Record a carrier update on a shipment
+ * When the last outstanding shipment is delivered the order moves to "delivered".
+ * @param {String} orderId - Order ID
+ * @param {String} shipmentId - Shipment ID
+ * @param {Object} event - { status, location, description, at }
+ * @returns {Object} Updated shipment
+ * @throws {FulfillmentError} For unknown shipments or statuses
+ */
+const addTrackingEvent = async (orderId, shipmentId, { status, location, description, at }) => {
+  const statuses = Shipment.schema.path("status").enumValues;
+  if (!statuses.includes(status)) {
+    throw new FulfillmentError(400, `Status must be one of: ${statuses.join(", ")}`);
+  }
+
+  const eventTime = at ? new Date(at) : new Date();
+  if (isNaN(eventTime.getTime())) {
+    throw new FulfillmentError(400, "Invalid event time");
+  }
+
+  return runInTransaction(async (session) => {
+    const shipment = await Shipment.findOne({ _id: shipmentId, order: orderId }).session(session);
+    if (!shipment) {
+      throw new FulfillmentError(404, "Shipment not found");
+    }
+    if (shipment.status === "delivered") {
+      throw new FulfillmentError(400, "Shipment has already been delivered");
+    }
+
+    shipment.status = status;
+    shipment.trackingEvents.push({ status, location, description, at: eventTime });
+    if (status === "delivered") {
+      shipment.deliveredAt = eventTime;
+    }
+    await shipment.save({ session });
+
+    if (status === "delivered") {
+      const order = await Order.findById(orderId).session(session);
+      const fullyShipped = order.products.every(line => remainingQuantity(line) <= 0);
+      const undelivered = await Shipment.countDocuments({
+        order: orderId,
+        status: { $ne: "delivered" }
+      }).session(session);
+
+      if (fullyShipped && undelivered === 0 && canTransition(order, "delivered").allowed) {
+        await transitionOrder(order, "delivered", {
+          actorRole: "system",
+          note: "All shipments delivered",
+          session
+        });
+      }
+    }
+
+    return shipment;
+  });
+};
+
+/**
+ * Fulfillment progress and tracking history for an order
+ * @param {Object} order - Order document
+ * @returns {Object} { orderId, status, lines, shipments }
+ */
+const getFulfillment = async (order) => {
+  const shipments = await Shipment.find({ order: order._id }).sort({ createdAt: 1 });
+
+  return {
+    orderId: order._id,
+    status: order.status,
+    lines: order.products.map(line => ({
+      lineId: line._id,
+      productId: line.productId,
+      quantity: line.quantity,
+      shippedQuantity: line.shippedQuantity || 0
+    })),
+    shipments: shipments.map(shipment => {
+      const json = shipment.toJSON();
+      json.trackingEvents = [...json.trackingEvents].sort((a, b) => new Date(a.at) - new Date(b.at));
+      return json;
+    })
+  };
+};
+
+module.exports = {
+  FulfillmentError,
+  resolveShipmentItems,
+  createShipment,
+  addTrackingEvent,
+  getFulfillment
+};
@@ -0,0 +1,261 @@
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const InventoryMovement = require("../models/inventoryMovement");
+
+/**
+ * 📒 INVENTORY LEDGER
+ *
+ * Every change to stock on hand (Product.stockQuantity, or a variant's)
+ * is recorded as an InventoryMovement with its type, actor, reason and the
+ * resulting balance:
+ *
+ *   sale         Stock leaving with an order (cash checkout, paid reservation)
+ *   return       Stock coming back from a cancelled or returned order
+ *   restock      Stock received from a supplier
+ *   adjustment   Manual correction (stock counts, product edits, imports)
+ *   damage       Stock written off as damaged or lost
+ *
+ * Reservations are not movements: reserved stock is still on hand. The sum
+ * of a stock item's movements should equal its stockQuantity; the
+ * reconciliation report lists the items where it doesn't.
+ */
+
+const MOVEMENT_TYPES = ["sale", "return", "restock", "adjustment", "damage"];
+
+// Raised for stock changes the caller can fix, with an HTTP status
+class InventoryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "InventoryError";
+    this.status = status;
+  }
+}
+
+/**
+ * Stock on hand per stock item of a product
+ * Products with variants keep stock on the variants; the others on the product.
+ * @param {Object} product - Product document (null for a product that doesn't exist yet)
+ * @returns {Map} variantId ("" for the product itself) -> { variant, sku, stockQuantity }
+ */
+const stockSnapshot = (product) => {
+  const items = new Map();
+  if (!product) {
+    return items;
+  }
+  if (product.variants && product.variants.length > 0) {
+    product.variants.forEach(variant => {
+      items.set(String(variant._id), { variant: variant._id, sku: variant.sku, stockQuantity: variant.stockQuantity || 0 });
+    });
+  } else {
+    items.set("", { variant: undefined, sku: product.sku, stockQuantity: product.stockQuantity || 0 });
+  }
+  return items;
+};
+
+/**
+ * Movement for a stock update that has just been applied
+ * @param {Object} product - Product document as it is after the update
+ * @param {ObjectId} variantId - Variant whose stock changed, or null
+ * @param {Number} quantity - Signed change to stockQuantity
+ * @param {Object} details - { type, actor, reason, order, reference }
+ * @returns {Object} Fields for an InventoryMovement
+ */
+const movementFor = (product, variantId, quantity, { type, actor, reason, order, reference }) => {
+  const item = variantId ? product.variants.id(variantId) : product;
+  return {
+    product: product._id,
+    variant: variantId || undefined,
+    sku: item.sku,
+    type,
+    quantity,
+    balanceAfter: item.stockQuantity,
+    actor,
+    reason,
+    order,
+    reference
+  };
+};
+
+/**
+ * Append movements to the ledger (zero-quantity entries are skipped)
+ * @param {Array} movements - InventoryMovement fields
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Array} Saved movements
+ */
+const recordMovements = async (movements, session = null) => {
+  const entries = movements.filter(movement => movement.quantity !== 0);
+  if (entries.length === 0) {
+    return [];
+  }
+  return InventoryMovement.insertMany(entries, { session });
+};
+
+/**
+ * Record the stock differences between two versions of a product
+ * Used where stock is set rather than incremented (product edits, imports):
+ * each stock item whose stockQuantity changed gets one movement, including
+ * variants that were added or removed.
+ * @param {Map} before - stockSnapshot of the product before the change
+ * @param {Object} product - Product document after the change
+ * @param {Object} details - { type, actor, reason, reference } (type defaults to adjustment)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Array} Saved movements
+ */
+const recordStockChanges = async (before, product, details = {}, session = null) => {
+  const after = stockSnapshot(product);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+  const movements = [];
+
+  keys.forEach(key => {
+    const previous = before.get(key);
+    const current = after.get(key);
+    const quantity = (current ? current.stockQuantity : 0) - (previous ? previous.stockQuantity : 0);
+    if (quantity === 0) {
+      return;
+    }
+    const item = current || previous;
+    movements.push({
+      product: product._id,
+      variant: item.variant,
+      sku: item.sku,
+      type: details.type || "adjustment",
+      quantity,
+      balanceAfter: current ? current.stockQuantity : 0,
+      actor: details.actor,
+      reason: current ? details.reason : `${details.reason} (${previous.variant ? "variant removed" : "stock moved to variants"})`,
+      reference: details.reference
+    });
+  });
+
+  return recordMovements(movements, session);
+};
+
+/**
+ * Page through the ledger, newest first
+ * @param {Object} filters - { productId, variantId, type, orderId, from, to, page, limit }
+ * @returns {Object} { movements, pagination: { page, limit, total, totalPages } }
+ * @throws {InventoryError} 400 for invalid filters
+ */
+const listMovements = async ({ productId, variantId, type, orderId, from, to, page = 1, limit = 50 } = {}) => {
+  const filter = {};
+  const ids = { productId, variantId, orderId };
+  for (const [name, value] of Object.entries(ids)) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      throw new InventoryError(400, `Invalid ${name}`);
+    }
+  }
+  if (productId) filter.product = productId;
+  if (variantId) filter.variant = variantId;
+  if (orderId) filter.order = orderId;
+  if (type) {
+    if (!MOVEMENT_TYPES.includes(type)) {
+      throw new InventoryError(400, `type must be one of: ${MOVEMENT_TYPES.join(", ")}`);
+    }
+    filter.type = type;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+      throw new InventoryError(400, "from and to must be dates");
+    }
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const [movements, total] = await Promise.all([
+    InventoryMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("product", "name")
+      .populate("actor", "username"),
+    InventoryMovement.countDocuments(filter)
+  ]);
+
+  return {
+    movements,
+    pagination: { page: pageNumber, limit: pageSize, total, totalPages: Math.ceil(total / pageSize) }
+  };
+};
+
+/**
+ * Compare every stock item's stockQuantity with the sum of its movements
+ * Items without any movement predate the ledger; an opening balance
+ * (added-files/backfillInventoryLedger.js) brings them in.
+ * @param {Object} options - { includeMatched } to list items that agree too
+ * @returns {Object} { generatedAt, summary, items }
+ */
+const reconcileInventory = async ({ includeMatched = false } = {}) => {
+  const totals = await InventoryMovement.aggregate([
+    {
+      $group: {
+        _id: { product: "$product", variant: { $ifNull: ["$variant", null] } },
+        ledgerQuantity: { $sum: "$quantity" },
+        movements: { $sum: 1 },
+        lastMovementAt: { $max: "$createdAt" }
+      }
+    }
+  ]);
+  const ledger = new Map(totals.map(total => [
+    `${total._id.product}:${total._id.variant || ""}`,
+    total
+  ]));
+
+  const products = await Product.find().select("name sku stockQuantity variants").sort({ name: 1 });
+  const summary = { stockItems: 0, matched: 0, mismatched: 0, untracked: 0 };
+  const items = [];
+
+  const compare = (product, key, item) => {
+    const entry = ledger.get(`${product._id}:${key}`);
+    ledger.delete(`${product._id}:${key}`);
+    const ledgerQuantity = entry ? entry.ledgerQuantity : 0;
+    const difference = item.stockQuantity - ledgerQuantity;
+    const status = !entry ? (item.stockQuantity === 0 ? "matched" : "untracked") : (difference === 0 ? "matched" : "mismatched");
+
+    summary.stockItems++;
+    summary[status]++;
+    if (status !== "matched" || includeMatched) {
+      items.push({
+        productId: product._id,
+        name: product.name,
+        variantId: item.variant,
+        sku: item.sku,
+        stockQuantity: item.stockQuantity,
+        ledgerQuantity,
+        difference,
+        movements: entry ? entry.movements : 0,
+        lastMovementAt: entry ? entry.lastMovementAt : undefined,
+        status
+      });
+    }
+  };
+
+  products.forEach(product => {
+    stockSnapshot(product).forEach((item, key) => compare(product, key, item));
+    // Ledger entries for stock items the product no longer has (e.g. a removed variant) should net to zero
+    [...ledger.keys()].filter(key => key.startsWith(`${product._id}:`)).forEach(key => {
+      const entry = ledger.get(key);
+      if (entry.ledgerQuantity !== 0) {
+        compare(product, key.slice(key.indexOf(":") + 1), { variant: entry._id.variant || undefined, stockQuantity: 0 });
+      } else {
+        ledger.delete(key);
+      }
+    });
+  });
+
+  return { generatedAt: new Date(), summary, items };
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  InventoryError,
+  stockSnapshot,
+  movementFor,
+  recordMovements,
+  recordStockChanges,
+  listMovements,
+  reconcileInventory
+};
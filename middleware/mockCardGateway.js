@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+
+/**
+ * 🧪 MOCK CARD GATEWAY
+ *
+ * Stands in for a real card processor so the credit card flow can be
+ * exercised end to end. Card data is validated and the charge is decided
+ * here; only the brand and last four digits ever leave this module.
+ *
+ * Test cards (any future expiry, any 3-4 digit CVC):
+ *   4242 4242 4242 4242  Approved
+ *   4000 0000 0000 0002  Declined (card_declined)
+ *   4000 0000 0000 9995  Declined (insufficient_funds)
+ *   Any other Luhn-valid number is approved.
+ */
+
+const DECLINED_CARDS = {
+  "4000000000000002": "card_declined",
+  "4000000000009995": "insufficient_funds"
+};
+
+const passesLuhn = (number) => {
+  let sum = 0;
+  let double = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = Number(number[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+const detectBrand = (number) => {
+  if (/^4/.test(number)) return "visa";
+  if (/^(5[1-5]|2[2-7])/.test(number)) return "mastercard";
+  if (/^3[47]/.test(number)) return "amex";
+  return "unknown";
+};
+
+const isExpired = (expMonth, expYear) => {
+  const year = expYear < 100 ? 2000 + expYear : expYear;
+  const now = new Date();
+  return year < now.getFullYear() || (year === now.getFullYear() && expMonth < now.getMonth() + 1);
+};
+
+/**
+ * Charge a card
+ * @param {Object} charge - { amount, currency, card: { number, expMonth, expYear, cvc }, description }
+ * @returns {Object} { approved, chargeId, brand, last4, declineCode, message }
+ */
+const chargeCard = async ({ amount, currency, card = {}, description }) => {
+  const number = String(card.number || "").replace(/[\s-]/g, "");
+  const expMonth = Number(card.expMonth);
+  const expYear = Number(card.expYear);
+  const cvc = String(card.cvc || "");
+
+  const decline = (declineCode, message) => ({
+    approved: false,
+    brand: detectBrand(number),
+    last4: number.slice(-4),
+    declineCode,
+    message
+  });
+
+  if (!/^\d{12,19}$/.test(number) || !passesLuhn(number)) {
+    return decline("invalid_number", "The card number is invalid");
+  }
+  if (!(expMonth >= 1 && expMonth <= 12) || !expYear || isExpired(expMonth, expYear)) {
+    return decline("expired_card", "The card has expired");
+  }
+  if (!/^\d{3,4}$/.test(cvc)) {
+    return decline("invalid_cvc", "The card security code is invalid");
+  }
+  if (!(amount > 0)) {
+    return decline("invalid_amount", "The charge amount must be positive");
+  }
+  if (DECLINED_CARDS[number]) {
+    return decline(DECLINED_CARDS[number], "The card was declined");
+  }
+
+  const chargeId = `ch_mock_${crypto.randomBytes(12).toString("hex")}`;
+  console.log(`🧪 Mock gateway charged ${amount} ${currency} (${description}) as ${chargeId}`);
+
+  return {
+    approved: true,
+    chargeId,
+    brand: detectBrand(number),
+    last4: number.slice(-4),
+    message: "Approved"
+  };
+};
+
+module.exports = {
+  chargeCard
+};
@@ -0,0 +1,19 @@
+const { ORDER_STATUS_CHANGED, subscribe } = require("./orderEvents");
+const { applyOrderStatusToPayment } = require("./payments");
+const { postCashFlowForStatusChange } = require("./cleanOrderIntegration");
+const { releasePromotionUsage } = require("./promotions");
+
+/**
+ * 📣 ORDER EVENT HANDLERS
+ *
+ * Wires order side effects to the lifecycle's events. Called once at
+ * startup (see app.js); handlers run in the order they are listed, so the
+ * payment is updated before cash flow is posted.
+ */
+const registerOrderEventHandlers = () => {
+  subscribe(ORDER_STATUS_CHANGED, "payments", applyOrderStatusToPayment);
+  subscribe(ORDER_STATUS_CHANGED, "cash-flow", postCashFlowForStatusChange);
+  subscribe(ORDER_STATUS_CHANGED, "promotions", releasePromotionUsage);
+};
+
+module.exports = { registerOrderEventHandlers };
@@ -0,0 +1,60 @@
+/**
+ * 📣 ORDER EVENTS
+ *
+ * In-process domain events for orders. The lifecycle publishes inside its
+ * transaction and awaits every handler with the same session, so side
+ * effects (payments, cash flow) commit or roll back with the status change.
+ * Handlers may run more than once if the transaction retries: pass
+ * `session` to every query and keep them idempotent.
+ *
+ *   order.status_changed  { order, from, to, actor, actorRole, session }
+ */
+
+const ORDER_STATUS_CHANGED = "order.status_changed";
+
+// event name -> [{ name, handler }]
+const subscribers = new Map();
+
+/**
+ * Register a handler for an event; registering the same name twice is a no-op
+ * @param {String} event - Event name
+ * @param {String} name - Handler name, used in logs
+ * @param {Function} handler - async (payload) => void
+ */
+const subscribe = (event, name, handler) => {
+  const handlers = subscribers.get(event) || [];
+  if (handlers.some(entry => entry.name === name)) {
+    return;
+  }
+  handlers.push({ name, handler });
+  subscribers.set(event, handlers);
+};
+
+/**
+ * Run every handler for an event in registration order
+ * A failing handler aborts the publisher's transaction.
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const publish = async (event, payload) => {
+  const handlers = subscribers.get(event) || [];
+  if (handlers.length === 0) {
+    console.warn(`⚠️ No handlers registered for ${event}`);
+    return;
+  }
+
+  for (const { name, handler } of handlers) {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`❌ Order event handler ${name} failed for ${event}:`, error.message);
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  ORDER_STATUS_CHANGED,
+  subscribe,
+  publish
+};
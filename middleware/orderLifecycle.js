@@ -0,0 +1,237 @@
+const Order = require("../models/order");
+const { ORDER_STATUS_CHANGED, publish } = require("./orderEvents");
+const { runInTransaction, TransactionAbortError } = require("./transactions");
+const { commitReservation, releaseReservation, restockLines } = require("./stockReservations");
+
+/**
+ * 📦 ORDER LIFECYCLE
+ *
+ * Single source of truth for which order status changes are allowed,
+ * who may make them, and the side effects each one triggers
+ * (reservation commit/release, stock restoration, refund outflows).
+ */
+
+const ORDER_STATUSES = [
+  "pending_payment",
+  "paid",
+  "processing",
+  "shipped",
+  "delivered",
+  "completed",
+  "cancelled",
+  "return_requested",
+  "returned",
+  "refunded",
+];
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  pending_payment: ["paid", "cancelled"],
+  paid: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["completed", "return_requested"],
+  completed: ["return_requested"],
+  cancelled: ["refunded"],
+  return_requested: ["returned", "completed"], // "completed" = return rejected
+  returned: ["refunded"],
+  refunded: [],
+};
+
+// Transitions a customer may trigger on their own order
+const CUSTOMER_TRANSITIONS = {
+  pending_payment: ["cancelled"],
+  paid: ["cancelled"],
+  processing: ["cancelled"],
+  delivered: ["return_requested"],
+  completed: ["return_requested"],
+};
+
+// Statuses stored before the lifecycle existed
+const LEGACY_STATUS_ALIASES = {
+  shipping: "shipped",
+};
+
+// Statuses that put the order's stock back on the shelf
+const STOCK_RESTORING_STATUSES = ["cancelled", "returned"];
+
+// Statuses that prove the customer's money was collected
+const PAID_STATUSES = ["paid", "delivered", "completed"];
+
+// Payment states that mean the money reached us, whatever the order's history says
+const COLLECTED_PAYMENT_STATUSES = ["succeeded"];
+
+const normalizeStatus = (status) => LEGACY_STATUS_ALIASES[status] || status;
+
+// Whether part of the order is already with a carrier (see middleware/fulfillment.js)
+const hasShippedItems = (order) => (order.products || []).some(line => (line.shippedQuantity || 0) > 0);
+
+/**
+ * Initial status for a new order
+ * Cash orders are collected on delivery so they go straight to processing.
+ * @param {String} paymentMethod - Order payment method
+ * @returns {String} Initial status
+ */
+const getInitialStatus = (paymentMethod) => {
+  return paymentMethod === "cash" ? "processing" : "pending_payment";
+};
+
+/**
+ * Whether money was ever collected for the order
+ * A payment that settled after the order was cancelled never shows up in
+ * the order's history, so the Payment record counts too.
+ * @param {Object} order - Order document
+ * @param {Object} payment - Optional Payment of the order
+ * @returns {Boolean}
+ */
+const wasPaid = (order, payment = null) => {
+  if (PAID_STATUSES.includes(normalizeStatus(order.status))) {
+    return true;
+  }
+  if (payment && COLLECTED_PAYMENT_STATUSES.includes(payment.status)) {
+    return true;
+  }
+  return (order.statusHistory || []).some(entry => PAID_STATUSES.includes(entry.to));
+};
+
+/**
+ * Check whether an order may move to a new status
+ * @param {Object} order - Order document
+ * @param {String} nextStatus - Requested status
+ * @param {String} actorRole - "admin", "customer" or "system"
+ * @param {Object} context - { payment } (needed to refund a payment that settled late)
+ * @returns {Object} { allowed, reason }
+ */
+const canTransition = (order, nextStatus, actorRole = "system", { payment = null } = {}) => {
+  const currentStatus = normalizeStatus(order.status);
+
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    return { allowed: false, reason: `Unknown order status: ${nextStatus}` };
+  }
+
+  const allowedNext = TRANSITIONS[currentStatus] || [];
+  if (!allowedNext.includes(nextStatus)) {
+    return {
+      allowed: false,
+      reason: `Cannot change order status from ${currentStatus} to ${nextStatus}`,
+    };
+  }
+
+  if (actorRole === "customer") {
+    const customerNext = CUSTOMER_TRANSITIONS[currentStatus] || [];
+    if (!customerNext.includes(nextStatus)) {
+      return { allowed: false, reason: `Customers cannot change order status to ${nextStatus}` };
+    }
+  }
+
+  // Shipped units can't be put back on the shelf by cancelling; they come back as a return
+  if (nextStatus === "cancelled" && hasShippedItems(order)) {
+    return { allowed: false, reason: "Cannot cancel an order that has already shipped items" };
+  }
+
+  if (nextStatus === "refunded" && !wasPaid(order, payment)) {
+    return { allowed: false, reason: "Cannot refund an order that was never paid" };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Put an order's quantities back into product stock
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Optional transaction session
+ * @param {Object} details - Ledger details { actor, reason }
+ */
+const restoreStock = async (order, session = null, { actor, reason } = {}) => {
+  await restockLines(order.products, session, { order: order._id, actor, reason });
+
+  console.log(`📦 Restored stock for order ${order._id}`);
+};
+
+/**
+ * Move an order to a new status, record history and run side effects
+ * Stock changes, the status change and every order.status_changed handler
+ * (payments, cash flow) commit in one transaction. Callers must check
+ * canTransition first.
+ * @param {Object} order - Order document
+ * @param {String} nextStatus - Target status
+ * @param {Object} options - { actor, actorRole, note, session } (session joins an enclosing transaction)
+ * @returns {Object} Saved order
+ * @throws {TransactionAbortError} 409 when the stock reservation has already expired,
+ *   or when items shipped while the order was being cancelled
+ */
+const transitionOrder = async (order, nextStatus, { actor, actorRole = "system", note, session: outerSession } = {}) => {
+  // Snapshot state up front: the transaction callback may run more than once
+  const previousStatus = order.status;
+  const previousHistory = order.statusHistory.map(entry => entry.toObject());
+  const wasCommitted = order.stockCommitted !== false;
+  const shouldCommitReservation = nextStatus === "paid" && !wasCommitted;
+  const shouldReleaseReservation = nextStatus === "cancelled" && !wasCommitted;
+  const shouldRestoreStock = STOCK_RESTORING_STATUSES.includes(nextStatus) && wasCommitted && !order.stockRestored;
+  const historyEntry = {
+    from: previousStatus,
+    to: nextStatus,
+    at: new Date(),
+    actor,
+    actorRole,
+    note,
+  };
+
+  await runInTransaction(async (session) => {
+    // A shipment created since the order was read would be restocked as if it never left
+    if (nextStatus === "cancelled") {
+      const shipped = await Order.exists({ _id: order._id, "products.shippedQuantity": { $gt: 0 } }).session(session);
+      if (shipped) {
+        throw new TransactionAbortError(409, "Cannot cancel an order that has already shipped items");
+      }
+    }
+
+    if (shouldCommitReservation) {
+      const committed = await commitReservation(order, session, { actor });
+      if (!committed) {
+        throw new TransactionAbortError(409, "Stock reservation for this order has expired");
+      }
+      order.stockCommitted = true;
+      order.reservationExpiresAt = undefined;
+    }
+
+    if (shouldReleaseReservation) {
+      await releaseReservation(order, session);
+      order.reservationExpiresAt = undefined;
+    }
+
+    if (shouldRestoreStock) {
+      await restoreStock(order, session, { actor, reason: `Order ${nextStatus}` });
+      order.stockRestored = true;
+    }
+
+    order.status = nextStatus;
+    order.statusHistory = [...previousHistory, historyEntry];
+    await order.save({ session });
+
+    // Payments and cash flow react to the change inside the same transaction
+    await publish(ORDER_STATUS_CHANGED, {
+      order,
+      from: previousStatus,
+      to: nextStatus,
+      actor,
+      actorRole,
+      session,
+    });
+  }, outerSession);
+
+  console.log(`🔄 Order ${order._id} moved from ${previousStatus} to ${nextStatus} (${actorRole})`);
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  CUSTOMER_TRANSITIONS,
+  normalizeStatus,
+  getInitialStatus,
+  wasPaid,
+  canTransition,
+  restoreStock,
+  transitionOrder,
+};
@@ -0,0 +1,209 @@
+const Product = require("../models/product");
+const { applyPromotionCode } = require("./promotions");
+const { resolveVariant, getUnitPrice, snapshotVariant } = require("./productVariants");
+
+/**
+ * 🧾 ORDER PRICING ENGINE
+ *
+ * Recomputes order prices from the Product collection so the client
+ * never decides what it pays. Tax and shipping come from environment
+ * configuration:
+ *
+ *   ORDER_TAX_RULES               JSON array of { name, rate, categories? }
+ *                                 (categories limits a rule to those Category IDs)
+ *   ORDER_TAX_RATE                Flat rate used when no rules are configured
+ *   ORDER_SHIPPING_FEE            Flat shipping fee per order
+ *   ORDER_FREE_SHIPPING_THRESHOLD Subtotal (after discounts) that ships free
+ *
+ * Coupon codes are resolved through ./promotions.
+ */
+
+// Allowed difference between the client's total and ours (rounding noise)
+const PRICE_TOLERANCE = 0.01;
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PricingError";
+  }
+}
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * Read tax rules from the environment
+ * @returns {Array} Tax rules [{ name, rate, categories }]
+ */
+const getTaxRules = () => {
+  if (process.env.ORDER_TAX_RULES) {
+    try {
+      const rules = JSON.parse(process.env.ORDER_TAX_RULES);
+      return rules
+        .filter(rule => rule && Number.isFinite(rule.rate) && rule.rate > 0)
+        .map(rule => ({
+          name: rule.name || "Tax",
+          rate: rule.rate,
+          categories: (rule.categories || []).map(String),
+        }));
+    } catch (error) {
+      console.error("❌ Invalid ORDER_TAX_RULES, falling back to ORDER_TAX_RATE:", error.message);
+    }
+  }
+
+  const flatRate = parseNumber(process.env.ORDER_TAX_RATE, 0);
+  return flatRate > 0 ? [{ name: "Tax", rate: flatRate, categories: [] }] : [];
+};
+
+/**
+ * Read shipping configuration from the environment
+ * @returns {Object} { fee, freeShippingThreshold }
+ */
+const getShippingConfig = () => ({
+  fee: parseNumber(process.env.ORDER_SHIPPING_FEE, 0),
+  freeShippingThreshold: parseNumber(process.env.ORDER_FREE_SHIPPING_THRESHOLD, null),
+});
+
+/**
+ * Build priced lines from the requested items using current Product prices
+ * Products sold in variants are priced per variant and need a variantId.
+ * @param {Array} items - [{ productId, variantId, quantity }]
+ * @returns {Array} Priced lines
+ */
+const buildLines = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError("Order must contain at least one product");
+  }
+
+  const lines = [];
+  for (const item of items) {
+    if (!item.productId || typeof item.quantity !== "number" || item.quantity <= 0) {
+      throw new PricingError("Each product requires productId and positive quantity");
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      throw new PricingError(`Product not found: ${item.productId}`);
+    }
+
+    const { valid, reason, variant } = resolveVariant(product, item.variantId);
+    if (!valid) {
+      throw new PricingError(reason);
+    }
+    const unitPrice = getUnitPrice(product, variant);
+
+    lines.push({
+      productId: product._id,
+      ...snapshotVariant(variant),
+      name: product.name,
+      category: product.category,
+      quantity: item.quantity,
+      price: roundCurrency(unitPrice),
+      lineTotal: roundCurrency(unitPrice * item.quantity),
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Apply tax rules to the discounted value of each line
+ * Discounts are spread across lines in proportion to their totals.
+ * @param {Array} lines - Priced lines
+ * @param {Number} subtotal - Sum of line totals
+ * @param {Number} discountTotal - Order-level discount
+ * @returns {Array} Tax entries [{ name, rate, amount }]
+ */
+const calculateTaxes = (lines, subtotal, discountTotal) => {
+  const discountRatio = subtotal > 0 ? discountTotal / subtotal : 0;
+
+  return getTaxRules()
+    .map(rule => {
+      const taxableAmount = lines
+        .filter(line => rule.categories.length === 0 || rule.categories.includes(String(line.category)))
+        .reduce((sum, line) => sum + line.lineTotal * (1 - discountRatio), 0);
+
+      return {
+        name: rule.name,
+        rate: rule.rate,
+        amount: roundCurrency(taxableAmount * rule.rate),
+      };
+    })
+    .filter(tax => tax.amount > 0);
+};
+
+/**
+ * Price an order
+ * @param {Array} items - [{ productId, variantId, quantity }]
+ * @param {Object} options - { couponCode, userId, discounts: [{ code, description, amount }], freeShipping }
+ * @returns {Object} { lines, pricing, promotion }
+ */
+const calculateOrderPricing = async (items, { couponCode, userId, discounts = [], freeShipping = false } = {}) => {
+  const lines = await buildLines(items);
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  let promotion = null;
+  if (couponCode) {
+    const result = await applyPromotionCode(couponCode, lines, { userId });
+    if (!result.valid) {
+      throw new PricingError(result.reason);
+    }
+    promotion = result.promotion;
+    discounts = [...discounts, result.discount];
+    freeShipping = freeShipping || result.freeShipping;
+  }
+
+  // Discounts can never take the order below zero
+  const requestedDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+  const discountTotal = roundCurrency(Math.min(requestedDiscount, subtotal));
+
+  const taxes = calculateTaxes(lines, subtotal, discountTotal);
+  const taxTotal = roundCurrency(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  const shipping = getShippingConfig();
+  const qualifiesForFreeShipping = freeShipping ||
+    (shipping.freeShippingThreshold !== null && subtotal - discountTotal >= shipping.freeShippingThreshold);
+  const shippingFee = qualifiesForFreeShipping ? 0 : roundCurrency(shipping.fee);
+
+  const grandTotal = roundCurrency(subtotal - discountTotal + taxTotal + shippingFee);
+
+  return {
+    lines,
+    promotion,
+    pricing: {
+      subtotal,
+      discounts: discounts.map(discount => ({
+        promotion: discount.promotion,
+        code: discount.code,
+        description: discount.description,
+        amount: roundCurrency(discount.amount),
+      })),
+      discountTotal,
+      taxes,
+      taxTotal,
+      shippingFee,
+      grandTotal,
+    },
+  };
+};
+
+/**
+ * Whether the client's total matches the server's
+ * @param {Number} clientTotal - Total sent by the client
+ * @param {Number} serverTotal - Total computed by calculateOrderPricing
+ * @returns {Boolean}
+ */
+const totalsMatch = (clientTotal, serverTotal) => {
+  return Math.abs(Number(clientTotal) - serverTotal) <= PRICE_TOLERANCE;
+};
+
+module.exports = {
+  PricingError,
+  roundCurrency,
+  calculateOrderPricing,
+  totalsMatch,
+};
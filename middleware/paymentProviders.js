@@ -0,0 +1,153 @@
+const { chargeCard } = require("./mockCardGateway");
+const zaloPayClient = require("./zaloPay");
+
+/**
+ * 💳 PAYMENT PROVIDERS
+ *
+ * Every payment method implements the same interface so checkout,
+ * callbacks and reconciliation share one flow (see middleware/payments.js):
+ *
+ *   name                 Matches Order.paymentMethod and Payment.provider
+ *   settlesOnDelivery    True if money is collected when the order is delivered
+ *   isAvailable()        False when the provider is not configured
+ *   createPayment(payment, order, details)
+ *                        Starts (or resumes) a payment. Resolves to
+ *                        { status: "pending" | "succeeded" | "failed", message,
+ *                          providerReference, providerTransactionId, redirectUrl, providerData }
+ *   queryPayment(payment)            Optional. Asks the provider for the current status:
+ *                                    { status, providerTransactionId, amount, message, raw }
+ *   parseCallback(body)              Optional. Verifies a provider notification:
+ *                                    { providerReference, providerTransactionId, amount, raw } or null
+ *   acknowledgeCallback(outcome)     Response body for the provider; outcome is
+ *                                    "settled" | "duplicate" | "ignored" | "invalid" | "error"
+ *   amountMatches(payment, amount)   Whether a reported amount covers the payment
+ */
+
+const cashOnDelivery = {
+  name: "cash",
+  settlesOnDelivery: true,
+  isAvailable: () => true,
+  createPayment: async () => ({
+    status: "pending",
+    message: "Cash will be collected on delivery"
+  }),
+  amountMatches: () => true
+};
+
+const creditCard = {
+  name: "credit_card",
+  settlesOnDelivery: false,
+  isAvailable: () => true,
+  createPayment: async (payment, order, { card } = {}) => {
+    const charge = await chargeCard({
+      amount: payment.amount,
+      currency: payment.currency,
+      card,
+      description: `Order #${order._id.toString().slice(-6)}`
+    });
+
+    return {
+      status: charge.approved ? "succeeded" : "failed",
+      message: charge.approved ? "Card charged" : `${charge.message} (${charge.declineCode})`,
+      providerReference: charge.approved ? charge.chargeId : undefined,
+      providerTransactionId: charge.approved ? charge.chargeId : undefined,
+      providerData: { brand: charge.brand, last4: charge.last4 }
+    };
+  },
+  amountMatches: (payment, amount) => Number(amount) === payment.amount
+};
+
+const zaloPay = {
+  name: "zalopay",
+  settlesOnDelivery: false,
+  isAvailable: zaloPayClient.isConfigured,
+  createPayment: async (payment, order, { appUser } = {}) => {
+    // A ZaloPay order stays payable until it expires, so resume it instead of creating another
+    if (payment.providerReference && payment.redirectUrl) {
+      return {
+        status: "pending",
+        message: "Resumed existing ZaloPay order",
+        providerReference: payment.providerReference,
+        redirectUrl: payment.redirectUrl,
+        providerData: payment.providerData
+      };
+    }
+
+    const previousTransactions = new Set(payment.attempts
+      .filter(attempt => attempt.action === "create" && attempt.providerReference)
+      .map(attempt => attempt.providerReference)).size;
+
+    const created = await zaloPayClient.createZaloPayOrder(order, {
+      amount: payment.amount,
+      appUser: appUser || String(payment.user),
+      attempt: previousTransactions + 1
+    });
+
+    return {
+      status: "pending",
+      message: "ZaloPay order created",
+      providerReference: created.appTransId,
+      redirectUrl: created.orderUrl,
+      providerData: { zpTransToken: created.zpTransToken, amountVnd: created.amount }
+    };
+  },
+  queryPayment: async (payment) => {
+    const result = await zaloPayClient.queryZaloPayOrder(payment.providerReference);
+    const status = {
+      [zaloPayClient.QUERY_STATUS.SUCCESS]: "succeeded",
+      [zaloPayClient.QUERY_STATUS.FAILED]: "failed"
+    }[result.return_code] || "pending";
+
+    return {
+      status,
+      providerTransactionId: result.zp_trans_id ? String(result.zp_trans_id) : undefined,
+      amount: result.amount,
+      message: result.return_message,
+      raw: result
+    };
+  },
+  parseCallback: (body) => {
+    const data = zaloPayClient.verifyCallback(body);
+    if (!data) {
+      return null;
+    }
+    return {
+      providerReference: data.app_trans_id,
+      providerTransactionId: String(data.zp_trans_id),
+      amount: data.amount,
+      raw: data
+    };
+  },
+  acknowledgeCallback: (outcome) => {
+    switch (outcome) {
+      case "invalid":
+        return { return_code: -1, return_message: "mac not equal" };
+      case "duplicate":
+        return { return_code: 2, return_message: "already processed" };
+      case "error":
+        // return_code 0 asks ZaloPay to retry the callback
+        return { return_code: 0, return_message: "temporary error" };
+      default:
+        return { return_code: 1, return_message: "success" };
+    }
+  },
+  amountMatches: (payment, amount) => Number(amount) === zaloPayClient.toZaloPayAmount(payment.amount)
+};
+
+const PROVIDERS = {
+  [cashOnDelivery.name]: cashOnDelivery,
+  [creditCard.name]: creditCard,
+  [zaloPay.name]: zaloPay
+};
+
+/**
+ * Look up a provider by name
+ * @param {String} name - Provider name (Order.paymentMethod)
+ * @returns {Object|null} Provider, or null if unknown
+ */
+const getProvider = (name) => PROVIDERS[name] || null;
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  getProvider
+};
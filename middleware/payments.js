@@ -0,0 +1,364 @@
+const Order = require("../models/order");
+const Payment = require("../models/payment");
+const { getProvider } = require("./paymentProviders");
+const { normalizeStatus, transitionOrder } = require("./orderLifecycle");
+const { generateRevenueTransaction } = require("./cleanOrderIntegration");
+const { runInTransaction, TransactionAbortError } = require("./transactions");
+
+/**
+ * 💵 PAYMENT FLOW
+ *
+ * Every order gets one Payment record at checkout. Providers (see
+ * middleware/paymentProviders.js) start the payment and report back;
+ * settlement is handled here the same way for all of them:
+ *
+ *   1. the payment is claimed (pending -> succeeded) exactly once,
+ *   2. an unpaid order moves to "paid" through the lifecycle,
+ *   3. revenue is posted to cash flow.
+ *
+ * All three commit together. Cash on delivery settles when the order is
+ * delivered instead (see applyOrderStatusToPayment).
+ */
+
+// Orders in these states can no longer take money; a late payment must be refunded
+const NON_PAYABLE_STATUSES = ["cancelled", "refunded"];
+
+// Raised for payment requests the caller can fix, with an HTTP status
+class PaymentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status;
+  }
+}
+
+const recordAttempt = (paymentId, attempt, session = null) => {
+  return Payment.updateOne({ _id: paymentId }, { $push: { attempts: attempt } }, { session });
+};
+
+/**
+ * Create the pending Payment for a new order
+ * @param {Object} order - Order document (not yet saved)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Object} Saved payment
+ */
+const createPaymentForOrder = (order, session = null) => {
+  const payment = new Payment({
+    order: order._id,
+    user: order.user,
+    provider: order.paymentMethod,
+    amount: order.totalPrice
+  });
+  return payment.save({ session });
+};
+
+/**
+ * Payment for an order, created on the fly for orders placed before payments existed
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Object} Payment document
+ */
+const findOrCreatePayment = async (order, session = null) => {
+  const payment = await Payment.findOne({ order: order._id }).session(session);
+  return payment || createPaymentForOrder(order, session);
+};
+
+/**
+ * Mark a payment as succeeded; only the first caller wins
+ * A cancelled payment can still be claimed: money that arrives late is
+ * recorded so it can be refunded.
+ * @returns {Object|null} Updated payment, or null if it had already settled
+ */
+const claimPayment = (paymentId, { providerTransactionId, raw, message }, session = null) => {
+  return Payment.findOneAndUpdate(
+    { _id: paymentId, status: { $in: ["pending", "cancelled"] } },
+    {
+      $set: { status: "succeeded", settledAt: new Date(), providerTransactionId, rawCallback: raw },
+      $push: { attempts: { action: "settle", success: true, message } }
+    },
+    { new: true, session }
+  );
+};
+
+const flagForRefund = (paymentId, reason, session = null) => {
+  console.error(`⚠️ Payment ${paymentId} received but ${reason}. Manual refund required.`);
+  return Payment.updateOne(
+    { _id: paymentId },
+    {
+      $set: { requiresRefund: true },
+      $push: { attempts: { action: "settle", success: false, message: `${reason}; manual refund required` } }
+    },
+    { session }
+  );
+};
+
+const postRevenue = async (payment, order, session) => {
+  const posted = await generateRevenueTransaction(order, session);
+  if (posted) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { revenueTransaction: posted.revenue._id } }, { session });
+  }
+};
+
+/**
+ * Settle a payment the provider reports as successful
+ * Safe to call from callbacks, queries and reconciliation concurrently.
+ * @param {Object} payment - Payment document
+ * @param {Object} details - { providerTransactionId, amount, raw, source }
+ * @returns {Object} { status: "settled" | "duplicate" | "amount_mismatch" | "rejected", reason }
+ */
+const settlePayment = async (payment, { providerTransactionId, amount, raw, source }) => {
+  const provider = getProvider(payment.provider);
+
+  if (amount !== undefined && !provider.amountMatches(payment, amount)) {
+    const reason = `Reported amount ${amount} does not match payment amount ${payment.amount}`;
+    console.error(`❌ Payment ${payment._id} (${source}): ${reason}`);
+    await recordAttempt(payment._id, { action: "settle", success: false, message: reason });
+    return { status: "amount_mismatch", reason };
+  }
+
+  const message = `Settled via ${source}`;
+
+  try {
+    return await runInTransaction(async (session) => {
+      const claimed = await claimPayment(payment._id, { providerTransactionId, raw, message }, session);
+      if (!claimed) {
+        return { status: "duplicate" };
+      }
+
+      const order = await Order.findById(claimed.order).session(session);
+      const orderStatus = normalizeStatus(order.status);
+
+      if (NON_PAYABLE_STATUSES.includes(orderStatus)) {
+        const reason = `order ${order._id} is ${orderStatus}`;
+        await flagForRefund(claimed._id, reason, session);
+        return { status: "rejected", reason };
+      }
+
+      if (orderStatus === "pending_payment") {
+        await transitionOrder(order, "paid", {
+          actorRole: "system",
+          note: `${provider.name} payment settled via ${source}`,
+          session
+        });
+      }
+
+      await postRevenue(claimed, order, session);
+      console.log(`✅ Payment ${claimed._id} settled for order ${order._id} (${source})`);
+      return { status: "settled" };
+    });
+  } catch (error) {
+    if (!(error instanceof TransactionAbortError)) {
+      throw error;
+    }
+
+    // The order could not be confirmed (e.g. its stock reservation expired) but the money is real
+    const claimed = await claimPayment(payment._id, { providerTransactionId, raw, message });
+    if (!claimed) {
+      return { status: "duplicate" };
+    }
+    await flagForRefund(claimed._id, error.message.toLowerCase());
+    return { status: "rejected", reason: error.message };
+  }
+};
+
+/**
+ * Start (or resume) the payment for an unpaid order
+ * @param {Object} order - Order document
+ * @param {Object} details - Provider input, e.g. { card } or { appUser }
+ * @returns {Object} { payment, status: "pending" | "succeeded" | "failed" | settlement status, message }
+ * @throws {PaymentError} When the order cannot be paid this way
+ */
+const startPayment = async (order, details = {}) => {
+  const provider = getProvider(order.paymentMethod);
+  if (!provider) {
+    throw new PaymentError(400, `Unsupported payment method: ${order.paymentMethod}`);
+  }
+  if (!provider.isAvailable()) {
+    throw new PaymentError(503, `Payment method ${provider.name} is not configured`);
+  }
+
+  const payment = await findOrCreatePayment(order);
+
+  if (provider.settlesOnDelivery) {
+    const result = await provider.createPayment(payment, order, details);
+    return { payment, status: payment.status, message: result.message };
+  }
+
+  if (payment.status !== "pending") {
+    throw new PaymentError(409, `Payment is already ${payment.status}`);
+  }
+  if (normalizeStatus(order.status) !== "pending_payment") {
+    throw new PaymentError(400, `Order cannot be paid in status ${order.status}`);
+  }
+
+  let result;
+  try {
+    result = await provider.createPayment(payment, order, details);
+  } catch (error) {
+    await recordAttempt(payment._id, { action: "create", success: false, message: error.message });
+    throw error;
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        providerReference: result.providerReference,
+        redirectUrl: result.redirectUrl,
+        providerData: result.providerData
+      },
+      $push: {
+        attempts: {
+          action: "create",
+          success: result.status !== "failed",
+          message: result.message,
+          providerReference: result.providerReference
+        }
+      }
+    }
+  );
+
+  let status = result.status;
+  if (result.status === "succeeded") {
+    const settlement = await settlePayment(payment, {
+      providerTransactionId: result.providerTransactionId,
+      source: "checkout"
+    });
+    status = settlement.status === "settled" ? "succeeded" : settlement.status;
+  }
+
+  return { payment: await Payment.findById(payment._id), status, message: result.message };
+};
+
+/**
+ * Handle a provider notification
+ * @param {String} providerName - Provider the notification claims to come from
+ * @param {Object} body - Request body
+ * @returns {Object|null} { provider, outcome }, or null for providers without callbacks
+ */
+const handleProviderCallback = async (providerName, body) => {
+  const provider = getProvider(providerName);
+  if (!provider || !provider.parseCallback) {
+    return null;
+  }
+
+  const notification = provider.parseCallback(body);
+  if (!notification) {
+    console.error(`❌ ${provider.name} callback rejected: invalid signature`);
+    return { provider, outcome: "invalid" };
+  }
+
+  // Earlier transactions of a payment are kept in its attempts
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    $or: [
+      { providerReference: notification.providerReference },
+      { "attempts.providerReference": notification.providerReference }
+    ]
+  });
+  if (!payment) {
+    console.error(`❌ ${provider.name} callback: no payment for reference ${notification.providerReference}`);
+    return { provider, outcome: "ignored" };
+  }
+
+  await recordAttempt(payment._id, {
+    action: "callback",
+    success: true,
+    providerReference: notification.providerReference
+  });
+
+  const settlement = await settlePayment(payment, { ...notification, source: "callback" });
+  const outcome = { settled: "settled", duplicate: "duplicate" }[settlement.status] || "ignored";
+  return { provider, outcome };
+};
+
+// Payments the provider may still take money for: cancelled ones were dropped
+// by us (e.g. the reservation expired), not necessarily by the customer's bank
+const QUERYABLE_STATUSES = ["pending", "cancelled"];
+
+/**
+ * Ask the provider for a payment's status and settle it if it went through
+ * A failed transaction is dropped so the customer can start a new one; a
+ * cancelled payment that went through anyway is flagged for refund.
+ * @param {Object} payment - Payment document
+ * @param {String} source - "query" or "reconciliation"
+ * @returns {Object} { status: "pending" | "failed" | settlement status | current payment status }
+ */
+const refreshPayment = async (payment, source = "query") => {
+  const provider = getProvider(payment.provider);
+  if (!QUERYABLE_STATUSES.includes(payment.status) || !provider.queryPayment || !payment.providerReference) {
+    return { status: payment.status };
+  }
+
+  const result = await provider.queryPayment(payment);
+
+  if (result.status === "succeeded") {
+    return settlePayment(payment, { ...result, source });
+  }
+
+  if (result.status === "failed") {
+    await Payment.updateOne(
+      { _id: payment._id, status: "pending", providerReference: payment.providerReference },
+      {
+        $unset: { providerReference: "", redirectUrl: "" },
+        $push: {
+          attempts: {
+            action: "query",
+            success: false,
+            message: result.message,
+            providerReference: payment.providerReference
+          }
+        }
+      }
+    );
+  }
+
+  return { status: result.status };
+};
+
+/**
+ * Keep the order's payment in step with an order status change
+ * Subscribed to order.status_changed, so it runs inside the lifecycle
+ * transaction: cash is collected on delivery, cancelling drops an unpaid
+ * payment, and refunding closes a settled one.
+ * @param {Object} event - { order, to, session }
+ */
+const applyOrderStatusToPayment = async ({ order, to: nextStatus, session = null }) => {
+  if (nextStatus === "delivered") {
+    const provider = getProvider(order.paymentMethod);
+    if (provider && provider.settlesOnDelivery) {
+      const payment = await findOrCreatePayment(order, session);
+      const claimed = await claimPayment(payment._id, { message: "Collected on delivery" }, session);
+      if (claimed) {
+        await postRevenue(claimed, order, session);
+      }
+    }
+  }
+
+  if (nextStatus === "cancelled") {
+    await Payment.updateOne(
+      { order: order._id, status: "pending" },
+      { $set: { status: "cancelled" } },
+      { session }
+    );
+  }
+
+  if (nextStatus === "refunded") {
+    await Payment.updateOne(
+      { order: order._id, status: "succeeded" },
+      { $set: { status: "refunded", requiresRefund: false } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  PaymentError,
+  createPaymentForOrder,
+  findOrCreatePayment,
+  settlePayment,
+  startPayment,
+  handleProviderCallback,
+  refreshPayment,
+  applyOrderStatusToPayment
+};
@@ -0,0 +1,229 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const sharp = require("sharp");
+const { getStorage } = require("./storage");
+
+/**
+ * 🖼️ PRODUCT IMAGES
+ *
+ * Products have an ordered gallery (Product.images); the first image is
+ * also mirrored into Product.image for older clients. Uploads are held in
+ * memory, checked by decoding them (the browser's MIME type is not
+ * trusted), and stored with a thumbnail and a medium rendition through
+ * the storage adapter. If anything fails after some files were written,
+ * they are removed again so no orphans are left behind.
+ *
+ *   PRODUCT_IMAGE_MAX_MB   Largest accepted upload (default 5)
+ */
+
+const MAX_IMAGES_PER_PRODUCT = 10;
+const DEFAULT_MAX_IMAGE_MB = 5;
+
+// Decoded format -> MIME type and file extension of the stored original
+const ALLOWED_FORMATS = {
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+  png: { contentType: "image/png", extension: "png" },
+  webp: { contentType: "image/webp", extension: "webp" },
+};
+
+// Renditions generated on upload, stored as WebP
+const RENDITIONS = {
+  thumbnail: { width: 200, height: 200, fit: "cover" },
+  medium: { width: 800, height: 800, fit: "inside", withoutEnlargement: true },
+};
+
+// Raised for uploads the caller can fix, with an HTTP status
+class ImageUploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ImageUploadError";
+    this.status = status;
+  }
+}
+
+const getMaxImageBytes = () => {
+  const megabytes = parseFloat(process.env.PRODUCT_IMAGE_MAX_MB);
+  return Math.floor((Number.isFinite(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_IMAGE_MB) * 1024 * 1024);
+};
+
+const ALLOWED_MIME_TYPES = Object.values(ALLOWED_FORMATS).map(format => format.contentType);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxImageBytes(), files: MAX_IMAGES_PER_PRODUCT },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ImageUploadError(415, `Unsupported image type ${file.mimetype}. Allowed: ${ALLOWED_MIME_TYPES.join(", ")}`));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Express middleware accepting "image" (the main image) and "images" (gallery) files
+ * Upload errors are answered here as JSON instead of reaching the default error handler.
+ */
+const uploadProductImages = (req, res, next) => {
+  upload.fields([
+    { name: "image", maxCount: 1 },
+    { name: "images", maxCount: MAX_IMAGES_PER_PRODUCT },
+  ])(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof ImageUploadError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      const message = error.code === "LIMIT_FILE_SIZE"
+        ? `Images must be at most ${Math.round(getMaxImageBytes() / 1024)} KB`
+        : error.message;
+      return res.status(status).json({ message });
+    }
+    next(error);
+  });
+};
+
+/**
+ * Files uploaded with uploadProductImages
+ * @param {Object} req - Express request
+ * @returns {Object} { primary, gallery } (primary may be undefined)
+ */
+const getUploadedFiles = (req) => ({
+  primary: req.files && req.files.image ? req.files.image[0] : undefined,
+  gallery: (req.files && req.files.images) || [],
+});
+
+/**
+ * Delete the stored files of some images; failures are logged, not thrown
+ * Images from before the gallery existed have no storage keys and point at a
+ * multer path under uploads/, which is deleted directly.
+ * @param {Array} images - Image records (Product.images entries)
+ */
+const removeImages = async (images) => {
+  const storage = getStorage();
+  for (const image of images) {
+    try {
+      if (image.storageKeys && image.storageKeys.length > 0) {
+        for (const key of image.storageKeys) {
+          await storage.remove(key);
+        }
+      } else if (image.url && image.url.startsWith("uploads/")) {
+        await fs.promises.unlink(path.join(__dirname, "../", image.url));
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`❌ Error deleting image ${image.url}:`, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Validate an upload and store it with its renditions
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Object} Image record for Product.images
+ * @throws {ImageUploadError} 415 when the file isn't a supported image
+ */
+const storeImage = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new ImageUploadError(415, `${file.originalname} is not a valid image`);
+  }
+  const format = ALLOWED_FORMATS[metadata.format];
+  if (!format) {
+    throw new ImageUploadError(415, `${file.originalname} is a ${metadata.format} image; use JPEG, PNG or WebP`);
+  }
+
+  const storage = getStorage();
+  const folder = `products/${crypto.randomUUID()}`;
+  const stored = [];
+  const save = async (name, buffer, contentType) => {
+    const key = `${folder}/${name}`;
+    const url = await storage.save(key, buffer, contentType);
+    stored.push(key);
+    return url;
+  };
+
+  try {
+    const url = await save(`original.${format.extension}`, file.buffer, format.contentType);
+
+    const renditionUrls = {};
+    for (const [name, options] of Object.entries(RENDITIONS)) {
+      const buffer = await sharp(file.buffer).rotate().resize(options).webp({ quality: 80 }).toBuffer();
+      renditionUrls[name] = await save(`${name}.webp`, buffer, "image/webp");
+    }
+
+    return {
+      url,
+      thumbnailUrl: renditionUrls.thumbnail,
+      mediumUrl: renditionUrls.medium,
+      storageKeys: stored,
+      alt: path.parse(file.originalname).name.trim(),
+      width: metadata.width,
+      height: metadata.height,
+      contentType: format.contentType,
+      size: file.size,
+    };
+  } catch (error) {
+    await removeImages([{ storageKeys: stored }]);
+    throw error;
+  }
+};
+
+/**
+ * Store several uploads; if one fails, the ones already stored are removed
+ * @param {Array} files - Multer files
+ * @returns {Array} Image records, in upload order
+ */
+const storeImages = async (files) => {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await storeImage(file));
+    }
+    return images;
+  } catch (error) {
+    await removeImages(images);
+    throw error;
+  }
+};
+
+/**
+ * Current gallery of a product, including an image set before galleries existed
+ * @param {Object} product - Product document
+ * @returns {Array} Image records
+ */
+const getGallery = (product) => {
+  if (product.images && product.images.length > 0) {
+    return product.images.map(image => (image.toObject ? image.toObject() : image));
+  }
+  return product.image ? [{ url: product.image, storageKeys: [] }] : [];
+};
+
+/**
+ * Check a gallery stays within the per-product limit
+ * @param {Array} images - Image records
+ * @throws {ImageUploadError} 400 when there are too many
+ */
+const assertGallerySize = (images) => {
+  if (images.length > MAX_IMAGES_PER_PRODUCT) {
+    throw new ImageUploadError(400, `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`);
+  }
+};
+
+module.exports = {
+  MAX_IMAGES_PER_PRODUCT,
+  ImageUploadError,
+  uploadProductImages,
+  getUploadedFiles,
+  storeImages,
+  removeImages,
+  getGallery,
+  assertGallerySize,
+};
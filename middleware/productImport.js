@@ -0,0 +1,501 @@
+const path = require("path");
+const multer = require("multer");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const Category = require("../models/category");
+const { parseCsv, toCsv } = require("./csv");
+const { VariantError, parseVariants } = require("./productVariants");
+const { stockSnapshot, recordStockChanges } = require("./inventoryLedger");
+const { runInTransaction } = require("./transactions");
+
+/**
+ * 📥 PRODUCT IMPORT AND EXPORT
+ *
+ * Bulk create/update products from CSV or JSON, and export the catalog in
+ * the same shapes so an export can be edited and imported back.
+ *
+ * JSON: an array of products, e.g.
+ *   { name, sku, category, price, stockQuantity, description, usage,
+ *     ingredients: [], skinType: [], benefits: [], tags: [], skinConcerns: [],
+ *     image, variants: [{ sku, options: { size: "50ml" }, price, stockQuantity, image }] }
+ *
+ * CSV: one row per product, with list fields separated by "|". Columns
+ * named "option:<name>" (e.g. option:size) make a row a variant: rows with
+ * the same name become one product whose variants are those rows, and
+ * their sku/price/stockQuantity/image belong to the variant.
+ *
+ * Categories are given by name, slug or ID. Existing products are matched by
+ * SKU (product or variant) first, then by name, and updated with the
+ * fields present; everything else is created. Empty CSV cells leave a
+ * product field unchanged, while the variant rows of a product replace its
+ * variants (matched by SKU, so reservations and sales are kept).
+ */
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const LIST_FIELDS = ["ingredients", "skinType", "benefits", "tags", "skinConcerns"];
+const LIST_SEPARATOR = "|";
+const OPTION_PREFIX = "option:";
+const CSV_COLUMNS = ["name", "sku", "category", "price", "stockQuantity", "description", "usage", ...LIST_FIELDS, "image"];
+
+// Raised for import files the caller can fix, with an HTTP status
+class ImportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ImportError";
+    this.status = status;
+  }
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+/**
+ * Express middleware accepting an optional "file" upload (CSV or JSON)
+ * Upload errors are answered here as JSON instead of reaching the default error handler.
+ */
+const uploadImportFile = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ message: error.code === "LIMIT_FILE_SIZE" ? "Import files must be at most 5 MB" : error.message });
+    }
+    next(error);
+  });
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+/**
+ * Group CSV rows into product records
+ * @param {String} text - CSV content with a header row
+ * @returns {Array} [{ rows, fields }]
+ * @throws {ImportError} 400 for malformed CSV or unknown columns
+ */
+const recordsFromCsv = (text) => {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw new ImportError(400, `Invalid CSV: ${error.message}`);
+  }
+  if (rows.length < 2) {
+    throw new ImportError(400, "The CSV file has no product rows");
+  }
+
+  const header = rows[0].map(column => column.trim());
+  if (!header.includes("name")) {
+    throw new ImportError(400, "The CSV file needs a name column");
+  }
+  const unknown = header.filter(column => !CSV_COLUMNS.includes(column) && !column.startsWith(OPTION_PREFIX));
+  if (unknown.length > 0) {
+    throw new ImportError(400, `Unknown CSV columns: ${unknown.join(", ")}`);
+  }
+
+  // Lower-cased name -> record, so variant rows of one product are merged
+  const records = [];
+  const byName = new Map();
+
+  rows.slice(1).forEach((cells, index) => {
+    const rowNumber = index + 2; // the header is row 1
+    const row = {};
+    header.forEach((column, position) => {
+      row[column] = cells[position] === undefined ? "" : cells[position].trim();
+    });
+
+    const fields = {};
+    CSV_COLUMNS.forEach(column => {
+      if (!isBlank(row[column])) {
+        fields[column] = LIST_FIELDS.includes(column) ? row[column].split(LIST_SEPARATOR) : row[column];
+      }
+    });
+
+    const options = {};
+    header.filter(column => column.startsWith(OPTION_PREFIX)).forEach(column => {
+      if (!isBlank(row[column])) {
+        options[column.slice(OPTION_PREFIX.length)] = row[column];
+      }
+    });
+
+    const key = (fields.name || "").toLowerCase();
+    const existing = key && byName.get(key);
+
+    // Repeated names that aren't variant rows stay separate records and are reported by importProducts
+    if (Object.keys(options).length === 0) {
+      const record = { rows: [rowNumber], fields };
+      if (key && !existing) {
+        byName.set(key, record);
+      }
+      records.push(record);
+      return;
+    }
+
+    // Variant row: its sku, price, stock and image belong to the variant
+    const { sku, price, stockQuantity, image, ...productFields } = fields;
+    const variant = { sku, options, price, stockQuantity, image };
+
+    if (existing && existing.fields.variants) {
+      existing.rows.push(rowNumber);
+      existing.fields.variants.push(variant);
+      return;
+    }
+    const record = { rows: [rowNumber], fields: { ...productFields, variants: [variant] } };
+    if (key && !existing) {
+      byName.set(key, record);
+    }
+    records.push(record);
+  });
+
+  return records;
+};
+
+/**
+ * Product records from a JSON array
+ * @param {Array} data - Parsed JSON
+ * @returns {Array} [{ rows, fields }]
+ * @throws {ImportError} 400 when the JSON isn't an array of objects
+ */
+const recordsFromJson = (data) => {
+  if (!Array.isArray(data)) {
+    throw new ImportError(400, "JSON imports must be an array of products");
+  }
+  return data.map((item, index) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { rows: [index + 1], fields: {}, errors: ["Each product must be an object"] };
+    }
+    return { rows: [index + 1], fields: item };
+  });
+};
+
+/**
+ * Read the products to import from a request
+ * Accepts an uploaded "file" (CSV or JSON, picked by ?format= or the file
+ * name) or a JSON body that is an array of products or { products: [...] }.
+ * @param {Object} req - Express request (after uploadImportFile)
+ * @returns {Array} [{ rows, fields }]
+ * @throws {ImportError} 400 when nothing usable was sent
+ */
+const readImportRecords = (req) => {
+  if (req.file) {
+    const extension = path.extname(req.file.originalname || "").toLowerCase();
+    const format = req.query.format ||
+      (extension === ".json" || req.file.mimetype === "application/json" ? "json" : "csv");
+    const text = req.file.buffer.toString("utf8");
+
+    if (format === "json") {
+      try {
+        return recordsFromJson(JSON.parse(text));
+      } catch (error) {
+        if (error instanceof ImportError) {
+          throw error;
+        }
+        throw new ImportError(400, `Invalid JSON: ${error.message}`);
+      }
+    }
+    if (format !== "csv") {
+      throw new ImportError(400, `Unsupported import format: ${format}`);
+    }
+    return recordsFromCsv(text);
+  }
+
+  if (Array.isArray(req.body)) {
+    return recordsFromJson(req.body);
+  }
+  if (req.body && Array.isArray(req.body.products)) {
+    return recordsFromJson(req.body.products);
+  }
+  throw new ImportError(400, "Upload a CSV or JSON file as 'file', or send a JSON array of products");
+};
+
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+const toNumber = (value, field, errors) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    errors.push(`${field} must be a number`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Turn imported fields into Product fields (only the ones present)
+ * @returns {Object} { update, category, variants, errors }
+ */
+const normalizeFields = (fields) => {
+  const errors = [];
+  const update = {};
+
+  if (!isBlank(fields.name)) update.name = String(fields.name).trim();
+  if (!isBlank(fields.sku)) update.sku = String(fields.sku).trim().toUpperCase();
+  if (!isBlank(fields.description)) update.description = String(fields.description);
+  if (!isBlank(fields.usage)) update.usage = String(fields.usage);
+  if (!isBlank(fields.image)) update.image = String(fields.image).trim();
+  if (!isBlank(fields.price)) update.price = toNumber(fields.price, "price", errors);
+  if (!isBlank(fields.stockQuantity)) {
+    update.stockQuantity = toNumber(fields.stockQuantity, "stockQuantity", errors);
+    if (update.stockQuantity !== undefined && !Number.isInteger(update.stockQuantity)) {
+      errors.push("stockQuantity must be a whole number");
+    }
+  }
+  LIST_FIELDS.forEach(field => {
+    if (!isBlank(fields[field])) update[field] = toList(fields[field]);
+  });
+
+  if (!update.name) {
+    errors.push("name is required");
+  }
+
+  return {
+    update,
+    category: isBlank(fields.category) ? undefined : String(fields.category).trim(),
+    variants: fields.variants,
+    errors
+  };
+};
+
+// Every SKU a product or import record claims
+const skusOf = (product) => [
+  ...(product.sku ? [product.sku] : []),
+  ...(product.variants || []).map(variant => String(variant.sku || "").trim().toUpperCase()).filter(Boolean)
+];
+
+const validationMessages = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map(detail => detail.message);
+  }
+  return [error.message];
+};
+
+/**
+ * Validate and (unless dry-running) apply imported products
+ * Records with errors are skipped; the others are created or updated.
+ * @param {Array} records - From readImportRecords
+ * Stock changes are recorded in the inventory ledger as adjustments.
+ * @param {Object} options - { dryRun, actor }
+ * @returns {Object} { dryRun, summary: { total, created, updated, failed }, results }
+ */
+const importProducts = async (records, { dryRun = false, actor } = {}) => {
+  const categories = await Category.find();
+  const categoryByKey = new Map();
+  categories.forEach(category => {
+    categoryByKey.set(String(category._id), category);
+    categoryByKey.set(category.name.trim().toLowerCase(), category);
+    if (category.slug && !categoryByKey.has(category.slug)) {
+      categoryByKey.set(category.slug, category);
+    }
+  });
+
+  const products = await Product.find();
+  const productBySku = new Map();
+  const productByName = new Map();
+  const index = (product) => {
+    skusOf(product).forEach(sku => productBySku.set(sku, product));
+    productByName.set(product.name.trim().toLowerCase(), product);
+  };
+  products.forEach(index);
+
+  // SKUs and names already used by earlier records of this import
+  const claimed = new Map();
+  const results = [];
+  const summary = { total: records.length, created: 0, updated: 0, failed: 0 };
+
+  for (const record of records) {
+    const { update, category, variants, errors } = normalizeFields(record.fields);
+    errors.unshift(...(record.errors || []));
+
+    const recordSkus = [
+      ...(update.sku ? [update.sku] : []),
+      ...(Array.isArray(variants) ? variants : []).map(variant => String((variant && variant.sku) || "").trim().toUpperCase()).filter(Boolean)
+    ];
+    const existing = recordSkus.map(sku => productBySku.get(sku)).find(Boolean) ||
+      (update.name && productByName.get(update.name.toLowerCase()));
+
+    const result = {
+      rows: record.rows,
+      name: update.name,
+      sku: update.sku || recordSkus[0],
+      action: existing ? "update" : "create",
+      productId: existing ? existing._id : undefined,
+      status: "valid",
+      errors
+    };
+    results.push(result);
+
+    const claims = [
+      ...recordSkus.map(sku => [`sku:${sku}`, `SKU ${sku}`]),
+      ...(update.name ? [[`name:${update.name.toLowerCase()}`, `Name ${update.name}`]] : [])
+    ];
+    claims.forEach(([key, label]) => {
+      if (claimed.has(key)) {
+        errors.push(`${label} is also in row ${claimed.get(key)}`);
+      } else {
+        claimed.set(key, record.rows[0]);
+      }
+    });
+
+    recordSkus.forEach(sku => {
+      const owner = productBySku.get(sku);
+      if (owner && (!existing || String(owner._id) !== String(existing._id))) {
+        errors.push(`SKU ${sku} already belongs to ${owner.name}`);
+      }
+    });
+
+    if (category) {
+      const match = categoryByKey.get(category.toLowerCase()) || categoryByKey.get(category);
+      if (match) {
+        update.category = match._id;
+      } else {
+        errors.push(`Unknown category: ${category}`);
+      }
+    } else if (!existing) {
+      errors.push("category is required");
+    }
+
+    const product = existing || new Product();
+    const stockBefore = stockSnapshot(existing);
+    if (variants !== undefined) {
+      try {
+        update.variants = parseVariants(variants, existing);
+      } catch (error) {
+        if (!(error instanceof VariantError)) {
+          throw error;
+        }
+        errors.push(error.message);
+      }
+    }
+
+    const modified = errors.length === 0;
+    if (modified) {
+      product.set(update);
+      try {
+        await product.validate();
+      } catch (error) {
+        errors.push(...validationMessages(error));
+      }
+    }
+
+    if (errors.length > 0) {
+      result.status = "error";
+      summary.failed++;
+      // An existing product may have been modified in memory; reload before anything else touches it
+      if (existing && modified) {
+        const fresh = await Product.findById(existing._id);
+        if (fresh) {
+          index(fresh);
+        }
+      }
+      continue;
+    }
+
+    if (dryRun) {
+      continue;
+    }
+
+    try {
+      await runInTransaction(async (session) => {
+        await product.save({ session });
+        await recordStockChanges(stockBefore, product, { actor, reason: "Product import" }, session);
+      });
+      index(product);
+      result.productId = product._id;
+      result.status = existing ? "updated" : "created";
+      summary[result.status]++;
+    } catch (error) {
+      result.status = "error";
+      errors.push(error.code === 11000 ? "SKU already used by another product" : error.message);
+      summary.failed++;
+    }
+  }
+
+  if (!dryRun) {
+    console.log(`📥 Product import: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+  }
+  return { dryRun, summary, results };
+};
+
+const plainOptions = (variant) => (variant.options instanceof Map ? Object.fromEntries(variant.options) : (variant.options || {}));
+
+/**
+ * Export every product as JSON or CSV, in the shape importProducts accepts
+ * @param {String} format - "json" or "csv"
+ * @returns {Object} { contentType, filename, body }
+ * @throws {ImportError} 400 for unknown formats
+ */
+const exportProducts = async (format = "json") => {
+  if (!["json", "csv"].includes(format)) {
+    throw new ImportError(400, `Unsupported export format: ${format}`);
+  }
+
+  const products = await Product.find().populate("category").sort({ name: 1 });
+  const items = products.map(product => {
+    const item = {
+      name: product.name,
+      sku: product.sku,
+      category: product.category ? product.category.name : undefined,
+      price: product.price,
+      stockQuantity: product.stockQuantity,
+      description: product.description,
+      usage: product.usage,
+      image: product.image,
+    };
+    LIST_FIELDS.forEach(field => {
+      item[field] = [...(product[field] || [])];
+    });
+    if (product.variants.length > 0) {
+      item.variants = product.variants.map(variant => ({
+        sku: variant.sku,
+        options: plainOptions(variant),
+        price: variant.price,
+        stockQuantity: variant.stockQuantity,
+        image: variant.image,
+      }));
+    }
+    return item;
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    return { contentType: "application/json", filename: `products-${date}.json`, body: JSON.stringify(items, null, 2) };
+  }
+
+  const optionNames = [...new Set(items.flatMap(item =>
+    (item.variants || []).flatMap(variant => Object.keys(variant.options))
+  ))].sort();
+  const header = [...CSV_COLUMNS, ...optionNames.map(name => `${OPTION_PREFIX}${name}`)];
+
+  const rows = items.flatMap(item => {
+    const base = { ...item };
+    LIST_FIELDS.forEach(field => {
+      base[field] = item[field].join(LIST_SEPARATOR);
+    });
+    delete base.variants;
+    if (!item.variants) {
+      return [base];
+    }
+    return item.variants.map(variant => {
+      const row = { ...base, sku: variant.sku, price: variant.price, stockQuantity: variant.stockQuantity, image: variant.image };
+      Object.entries(variant.options).forEach(([name, value]) => {
+        row[`${OPTION_PREFIX}${name}`] = value;
+      });
+      return row;
+    });
+  });
+
+  return { contentType: "text/csv; charset=utf-8", filename: `products-${date}.csv`, body: toCsv(header, rows) };
+};
+
+module.exports = {
+  ImportError,
+  uploadImportFile,
+  readImportRecords,
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,286 @@
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const { getSubtreeIds } = require("./categories");
+
+/**
+ * 🔎 PRODUCT CATALOG SEARCH
+ *
+ * Parses the storefront query string for GET /products into a Mongo
+ * filter, sort and page, and computes facet counts for the sidebar.
+ * Facets are disjunctive: the counts for one filter (e.g. skinType)
+ * ignore that filter's own selection but respect every other one, so
+ * the sidebar keeps showing the alternatives the shopper can switch to.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_INGREDIENT_FACETS = 20;
+const PRICE_BUCKETS = 5;
+
+// Query parameters that switch GET /products from the plain list to catalog search
+const SEARCH_PARAMS = [
+  "q", "category", "minPrice", "maxPrice", "skinType", "skinConcerns",
+  "ingredients", "inStock", "sort", "page", "limit"
+];
+
+const SORTS = {
+  relevance: { score: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  // Products have no createdAt; ObjectIds are ordered by creation time
+  newest: { _id: -1 },
+  best_selling: { unitsSold: -1, _id: -1 },
+  top_rated: { "ratings.average": -1, "ratings.count": -1, _id: -1 },
+  name: { name: 1, _id: 1 }
+};
+
+// Products with sellable stock left after reservations
+const IN_STOCK = { $expr: { $gt: [{ $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }] }, 0] } };
+
+// Raised for query strings the caller can fix, with an HTTP status
+class CatalogQueryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CatalogQueryError";
+    this.status = status;
+  }
+}
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+const toPrice = (value, name) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new CatalogQueryError(400, `${name} must be a number of zero or more`);
+  }
+  return price;
+};
+
+const toPositiveInteger = (value, fallback, name) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new CatalogQueryError(400, `${name} must be a whole number of 1 or more`);
+  }
+  return number;
+};
+
+const checkEnum = (values, path, name) => {
+  const allowed = Product.schema.path(path).caster.enumValues;
+  const unknown = values.filter(value => !allowed.includes(value));
+  if (unknown.length > 0) {
+    throw new CatalogQueryError(400, `Unknown ${name}: ${unknown.join(", ")}. Allowed: ${allowed.join(", ")}`);
+  }
+  return values;
+};
+
+/**
+ * Whether a request asks for catalog search rather than the plain product list
+ * @param {Object} query - req.query
+ * @returns {Boolean}
+ */
+const isCatalogQuery = (query = {}) => SEARCH_PARAMS.some(param => query[param] !== undefined);
+
+/**
+ * Validate and normalise GET /products query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { q, categories, minPrice, maxPrice, skinTypes, skinConcerns, ingredients, inStock, sort, page, limit }
+ * @throws {CatalogQueryError} 400 for malformed values
+ */
+const parseCatalogQuery = (query = {}) => {
+  const q = query.q ? String(query.q).trim() : "";
+
+  const categories = toList(query.category).map(id => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new CatalogQueryError(400, `Invalid category ID: ${id}`);
+    }
+    return new mongoose.Types.ObjectId(id);
+  });
+
+  const minPrice = toPrice(query.minPrice, "minPrice");
+  const maxPrice = toPrice(query.maxPrice, "maxPrice");
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new CatalogQueryError(400, "minPrice cannot be greater than maxPrice");
+  }
+
+  const sort = query.sort || (q ? "relevance" : "newest");
+  if (!SORTS[sort]) {
+    throw new CatalogQueryError(400, `Unknown sort: ${sort}. Allowed: ${Object.keys(SORTS).join(", ")}`);
+  }
+  if (sort === "relevance" && !q) {
+    throw new CatalogQueryError(400, "Sorting by relevance requires a search query (q)");
+  }
+
+  return {
+    q,
+    categories,
+    minPrice,
+    maxPrice,
+    skinTypes: checkEnum(toList(query.skinType), "skinType", "skinType"),
+    skinConcerns: checkEnum(toList(query.skinConcerns), "skinConcerns", "skinConcerns"),
+    ingredients: toList(query.ingredients),
+    inStock: ["true", "1", "yes"].includes(String(query.inStock).toLowerCase()),
+    sort,
+    page: toPositiveInteger(query.page, 1, "page"),
+    limit: Math.min(toPositiveInteger(query.limit, DEFAULT_PAGE_SIZE, "limit"), MAX_PAGE_SIZE)
+  };
+};
+
+/**
+ * Filter for the parameters that are not faceted (text, price)
+ * $text has to run in the first $match of an aggregation, so these form the base stage.
+ */
+const buildBaseFilter = (params) => {
+  const filter = {};
+  if (params.q) {
+    filter.$text = { $search: params.q };
+  }
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    filter.price = {};
+    if (params.minPrice !== undefined) filter.price.$gte = params.minPrice;
+    if (params.maxPrice !== undefined) filter.price.$lte = params.maxPrice;
+  }
+  return filter;
+};
+
+/**
+ * One filter per faceted parameter, keyed by facet name
+ * A product marked for "all" skin types matches any skin type selection.
+ */
+const buildFacetFilters = (params) => {
+  const filters = {};
+  if (params.categories.length > 0) {
+    filters.category = { category: { $in: params.categories } };
+  }
+  if (params.skinTypes.length > 0) {
+    filters.skinType = { skinType: { $in: [...params.skinTypes, "all"] } };
+  }
+  if (params.skinConcerns.length > 0) {
+    filters.skinConcerns = { skinConcerns: { $in: params.skinConcerns } };
+  }
+  if (params.ingredients.length > 0) {
+    filters.ingredients = { ingredients: { $all: params.ingredients } };
+  }
+  if (params.inStock) {
+    filters.inStock = IN_STOCK;
+  }
+  return filters;
+};
+
+// Combined filter of every facet except the one named
+const filtersExcept = (facetFilters, excluded) => {
+  const clauses = Object.entries(facetFilters)
+    .filter(([name]) => name !== excluded)
+    .map(([, filter]) => filter);
+  return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+const countValues = (facetFilters, facet, field, extraStages = []) => [
+  { $match: filtersExcept(facetFilters, facet) },
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...extraStages
+];
+
+/**
+ * Search the catalog
+ * @param {Object} params - Output of parseCatalogQuery
+ * @returns {Object} { products, pagination: { page, limit, total, totalPages }, facets }
+ */
+const searchProducts = async (params) => {
+  // A category also matches the products of its subcategories
+  if (params.categories.length > 0) {
+    params = { ...params, categories: await getSubtreeIds(params.categories) };
+  }
+
+  const baseFilter = buildBaseFilter(params);
+  const facetFilters = buildFacetFilters(params);
+  const allFilters = filtersExcept(facetFilters, null);
+
+  const [result] = await Product.aggregate([
+    { $match: baseFilter },
+    {
+      $facet: {
+        products: [
+          { $match: allFilters },
+          ...(params.q ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+          { $addFields: { unitsSold: { $ifNull: ["$unitsSold", 0] } } },
+          { $sort: SORTS[params.sort] },
+          { $skip: (params.page - 1) * params.limit },
+          { $limit: params.limit },
+          { $project: { reservations: 0 } }
+        ],
+        total: [{ $match: allFilters }, { $count: "count" }],
+        categories: countValues(facetFilters, "category", "category", [
+          { $lookup: { from: "categories", localField: "_id", foreignField: "_id", as: "category" } },
+          { $project: { _id: 0, value: "$_id", name: { $arrayElemAt: ["$category.name", 0] }, count: 1 } }
+        ]),
+        skinType: countValues(facetFilters, "skinType", "skinType", [
+          { $project: { _id: 0, value: "$_id", count: 1 } }
+        ]),
+        skinConcerns: countValues(facetFilters, "skinConcerns", "skinConcerns", [
+          { $project: { _id: 0, value: "$_id", count: 1 } }
+        ]),
+        ingredients: countValues(facetFilters, "ingredients", "ingredients", [
+          { $limit: MAX_INGREDIENT_FACETS },
+          { $project: { _id: 0, value: "$_id", count: 1 } }
+        ]),
+        priceRanges: [
+          { $match: allFilters },
+          { $bucketAuto: { groupBy: "$price", buckets: PRICE_BUCKETS } },
+          { $project: { _id: 0, min: "$_id.min", max: "$_id.max", count: 1 } }
+        ],
+        inStock: [
+          { $match: filtersExcept(facetFilters, "inStock") },
+          { $match: IN_STOCK },
+          { $count: "count" }
+        ]
+      }
+    }
+  ]);
+
+  const products = await Product.populate(result.products, { path: "category" });
+  products.forEach(product => {
+    product.availableQuantity = product.stockQuantity - (product.reservedQuantity || 0);
+  });
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    products,
+    pagination: {
+      page: params.page,
+      limit: params.limit,
+      total,
+      totalPages: Math.ceil(total / params.limit)
+    },
+    facets: {
+      categories: result.categories,
+      skinType: result.skinType,
+      skinConcerns: result.skinConcerns,
+      ingredients: result.ingredients,
+      priceRanges: result.priceRanges,
+      inStock: result.inStock.length > 0 ? result.inStock[0].count : 0
+    }
+  };
+};
+
+module.exports = {
+  IN_STOCK,
+  CatalogQueryError,
+  isCatalogQuery,
+  parseCatalogQuery,
+  searchProducts
+};
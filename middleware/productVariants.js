@@ -0,0 +1,195 @@
+const Product = require("../models/product");
+
+/**
+ * 🧴 PRODUCT VARIANTS
+ *
+ * A product either has no variants and is sold as is (its own price and
+ * stock), or has variants (sizes, shades) and every order or cart line
+ * must name one. Product-level price and stock of a product with
+ * variants are derived from the variants (see Product.variantTotals).
+ */
+
+// Raised for variant input the caller can fix, with an HTTP status
+class VariantError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "VariantError";
+    this.status = status;
+  }
+}
+
+const hasVariants = (product) => !!(product && product.variants && product.variants.length > 0);
+
+/**
+ * Find the variant a line refers to
+ * @param {Object} product - Product document
+ * @param {String} variantId - Variant ID (optional for products without variants)
+ * @returns {Object} { valid, reason, variant } (variant is null for products without variants)
+ */
+const resolveVariant = (product, variantId) => {
+  if (!hasVariants(product)) {
+    if (variantId) {
+      return { valid: false, reason: `${product.name} has no variants` };
+    }
+    return { valid: true, variant: null };
+  }
+
+  if (!variantId) {
+    return { valid: false, reason: `Choose a variant of ${product.name}` };
+  }
+  const variant = product.variants.find(candidate => String(candidate._id) === String(variantId));
+  if (!variant) {
+    return { valid: false, reason: `Variant ${variantId} of ${product.name} not found` };
+  }
+  return { valid: true, variant };
+};
+
+/**
+ * Price of one unit of a product or variant
+ * @param {Object} product - Product document
+ * @param {Object|null} variant - Variant subdocument
+ * @returns {Number}
+ */
+const getUnitPrice = (product, variant) => (variant ? variant.price : product.price);
+
+/**
+ * Stock that can still be sold (stock minus reservations)
+ * @param {Object} product - Product document
+ * @param {Object|null} variant - Variant subdocument
+ * @returns {Number}
+ */
+const getSellableQuantity = (product, variant) => {
+  const holder = variant || product;
+  return holder.stockQuantity - (holder.reservedQuantity || 0);
+};
+
+/**
+ * Human-readable variant name, e.g. "50ml / ivory"
+ * @param {Object|null} variant - Variant subdocument
+ * @returns {String}
+ */
+const describeVariant = (variant) => {
+  if (!variant) {
+    return "";
+  }
+  const options = variant.options instanceof Map ? [...variant.options.values()] : Object.values(variant.options || {});
+  return options.length > 0 ? options.join(" / ") : variant.sku;
+};
+
+/**
+ * Fields copied onto an order line so later catalog edits don't rewrite history
+ * @param {Object|null} variant - Variant subdocument
+ * @returns {Object} { variantId, sku, variantOptions } or {}
+ */
+const snapshotVariant = (variant) => {
+  if (!variant) {
+    return {};
+  }
+  const options = variant.options instanceof Map ? Object.fromEntries(variant.options) : (variant.options || {});
+  return { variantId: variant._id, sku: variant.sku, variantOptions: options };
+};
+
+/**
+ * Validate variants sent by an admin
+ * Variants that match an existing one (by _id or SKU) keep its reservations
+ * and sales, so editing a product never loses track of held stock.
+ * @param {String|Array} input - Array or JSON string of { _id, sku, options, price, stockQuantity, image }
+ * @param {Object} product - Product being edited (null when creating one)
+ * @returns {Array} Variants ready to store
+ * @throws {VariantError} 400 for malformed variants, 409 when removing a variant with reserved
+ *   stock or setting its stock below what is reserved
+ */
+const parseVariants = (input, product = null) => {
+  const existing = hasVariants(product) ? product.variants : [];
+  let variants = input;
+  if (typeof input === "string") {
+    try {
+      variants = JSON.parse(input);
+    } catch (error) {
+      throw new VariantError(400, "variants must be a JSON array");
+    }
+  }
+  if (!Array.isArray(variants)) {
+    throw new VariantError(400, "variants must be an array");
+  }
+
+  const seen = new Set();
+  const parsed = variants.map((variant, index) => {
+    const sku = variant && variant.sku ? String(variant.sku).trim().toUpperCase() : "";
+    if (!sku) {
+      throw new VariantError(400, `Variant ${index + 1} needs a SKU`);
+    }
+    if (seen.has(sku)) {
+      throw new VariantError(400, `Duplicate variant SKU: ${sku}`);
+    }
+    seen.add(sku);
+
+    const price = Number(variant.price);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new VariantError(400, `Variant ${sku} needs a price of zero or more`);
+    }
+    const stockQuantity = Number(variant.stockQuantity || 0);
+    if (!Number.isInteger(stockQuantity)) {
+      throw new VariantError(400, `Variant ${sku} stock must be a whole number`);
+    }
+
+    const options = {};
+    Object.entries(variant.options || {}).forEach(([name, value]) => {
+      options[String(name).trim().toLowerCase()] = String(value).trim();
+    });
+
+    const current = existing.find(candidate =>
+      (variant._id && String(candidate._id) === String(variant._id)) || candidate.sku === sku
+    );
+    if (current && stockQuantity < (current.reservedQuantity || 0)) {
+      throw new VariantError(409, `Variant ${sku} has ${current.reservedQuantity} unit(s) reserved by unpaid orders; stock can't go below that`);
+    }
+
+    return {
+      ...(current ? { _id: current._id } : {}),
+      sku,
+      options,
+      price,
+      stockQuantity,
+      reservedQuantity: current ? current.reservedQuantity : 0,
+      unitsSold: current ? current.unitsSold : 0,
+      image: variant.image || (current ? current.image : undefined)
+    };
+  });
+
+  // Reservations of a product without variants can't be moved onto one
+  if (parsed.length > 0 && product && !hasVariants(product) && product.reservedQuantity > 0) {
+    throw new VariantError(409, `${product.name} has stock reserved by unpaid orders; add variants once they are settled`);
+  }
+
+  const kept = new Set(parsed.filter(variant => variant._id).map(variant => String(variant._id)));
+  const held = existing.find(variant => !kept.has(String(variant._id)) && variant.reservedQuantity > 0);
+  if (held) {
+    throw new VariantError(409, `Variant ${held.sku} has stock reserved by unpaid orders and cannot be removed`);
+  }
+  return parsed;
+};
+
+/**
+ * Product-level fields for a set of variants, for updates that bypass validation hooks
+ * @param {Array} variants - Output of parseVariants
+ * @returns {Object} { variants, price, stockQuantity, reservedQuantity }
+ */
+const variantUpdate = (variants) => {
+  if (variants.length === 0) {
+    return { variants };
+  }
+  return { variants, ...Product.variantTotals(variants) };
+};
+
+module.exports = {
+  VariantError,
+  hasVariants,
+  resolveVariant,
+  getUnitPrice,
+  getSellableQuantity,
+  describeVariant,
+  snapshotVariant,
+  parseVariants,
+  variantUpdate
+};
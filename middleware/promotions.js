@@ -0,0 +1,233 @@
+const Promotion = require("../models/promotion");
+const PromotionRedemption = require("../models/promotionRedemption");
+const Order = require("../models/order");
+const { getSubtreeIds } = require("./categories");
+
+/**
+ * 🏷️ PROMOTIONS
+ *
+ * Validates coupon codes against a priced cart and works out the
+ * discount they give. Usage is only counted once an order is placed
+ * (see reservePromotionUsage), globally on the promotion and per customer
+ * in PromotionRedemption, and given back when the order is cancelled or
+ * refunded (see releasePromotionUsage).
+ */
+
+// Orders in these statuses no longer use up their coupon
+const RELEASED_ORDER_STATUSES = ["cancelled", "refunded"];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Live orders a customer placed with a promotion before redemptions were recorded
+const countOrderUses = (promotionId, userId, session = null) => {
+  return Order.countDocuments({
+    user: userId,
+    "pricing.discounts.promotion": promotionId,
+    status: { $nin: RELEASED_ORDER_STATUSES }
+  }).session(session);
+};
+
+/**
+ * How many live orders a customer has placed with a promotion
+ * @param {ObjectId} promotionId - Promotion
+ * @param {ObjectId} userId - Customer
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Number} Uses that count against usageLimitPerUser
+ */
+const countUserRedemptions = async (promotionId, userId, session = null) => {
+  const redemption = await PromotionRedemption.findOne({ promotion: promotionId, user: userId }).session(session);
+  return redemption ? redemption.count : countOrderUses(promotionId, userId, session);
+};
+
+/**
+ * Lines the promotion is scoped to (all lines when unscoped)
+ * @param {Object} promotion - Promotion document
+ * @param {Array} lines - Priced lines [{ productId, category, quantity, price, lineTotal }]
+ * @param {Array} categories - Categories that count as in scope (default: the promotion's own;
+ *   pass getSubtreeIds of them to include subcategories)
+ * @returns {Array} Eligible lines
+ */
+const getEligibleLines = (promotion, lines, categories = promotion.categories) => {
+  const productIds = (promotion.products || []).map(String);
+  const categoryIds = (categories || []).map(String);
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return lines;
+  }
+
+  return lines.filter(line =>
+    productIds.includes(String(line.productId)) ||
+    categoryIds.includes(String(line.category))
+  );
+};
+
+/**
+ * Discount amount a promotion gives on the eligible lines
+ * @param {Object} promotion - Promotion document
+ * @param {Array} eligibleLines - Lines returned by getEligibleLines
+ * @returns {Number} Discount amount
+ */
+const calculateDiscountAmount = (promotion, eligibleLines) => {
+  const eligibleTotal = eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  switch (promotion.type) {
+    case 'percentage': {
+      const discount = eligibleTotal * promotion.value / 100;
+      return roundCurrency(promotion.maxDiscount ? Math.min(discount, promotion.maxDiscount) : discount);
+    }
+    case 'fixed':
+      return roundCurrency(Math.min(promotion.value, eligibleTotal));
+    case 'buy_x_get_y': {
+      // Applied per line: every (buy + get) units of the same product, `get` are free
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      return roundCurrency(eligibleLines.reduce((sum, line) => {
+        const freeUnits = Math.floor(line.quantity / groupSize) * promotion.getQuantity;
+        return sum + freeUnits * line.price;
+      }, 0));
+    }
+    case 'free_shipping':
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Validate a coupon code for a cart and compute its effect
+ * @param {String} code - Coupon code entered by the customer
+ * @param {Array} lines - Priced lines
+ * @param {Object} options - { userId }
+ * @returns {Object} { valid, reason } or { valid, promotion, discount, freeShipping }
+ */
+const applyPromotionCode = async (code, lines, { userId } = {}) => {
+  const promotion = await Promotion.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!promotion || !promotion.isActive) {
+    return { valid: false, reason: `Invalid coupon code: ${code}` };
+  }
+
+  const now = new Date();
+  if (promotion.startsAt && promotion.startsAt > now) {
+    return { valid: false, reason: `Coupon ${promotion.code} is not active yet` };
+  }
+  if (promotion.endsAt && promotion.endsAt < now) {
+    return { valid: false, reason: `Coupon ${promotion.code} has expired` };
+  }
+
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return { valid: false, reason: `Coupon ${promotion.code} has reached its usage limit` };
+  }
+
+  if (promotion.usageLimitPerUser !== null && userId) {
+    const userUses = await countUserRedemptions(promotion._id, userId);
+    if (userUses >= promotion.usageLimitPerUser) {
+      return { valid: false, reason: `You have already used coupon ${promotion.code}` };
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  if (subtotal < promotion.minSubtotal) {
+    return {
+      valid: false,
+      reason: `Coupon ${promotion.code} requires a minimum subtotal of ${promotion.minSubtotal}`
+    };
+  }
+
+  // A promotion on a category covers its subcategories too
+  const categories = await getSubtreeIds(promotion.categories || []);
+  const eligibleLines = getEligibleLines(promotion, lines, categories);
+  if (eligibleLines.length === 0) {
+    return { valid: false, reason: `Coupon ${promotion.code} does not apply to any product in your cart` };
+  }
+
+  return {
+    valid: true,
+    promotion,
+    freeShipping: promotion.type === 'free_shipping',
+    discount: {
+      promotion: promotion._id,
+      code: promotion.code,
+      description: promotion.name,
+      amount: calculateDiscountAmount(promotion, eligibleLines)
+    }
+  };
+};
+
+/**
+ * Count one use of a promotion for a new order, respecting the global and
+ * per-user limits atomically (run it in the checkout transaction)
+ * @param {Object} promotion - Promotion document
+ * @param {ObjectId} userId - Customer placing the order
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Object} { reserved, reason } - reason when a limit was reached in the meantime
+ */
+const reservePromotionUsage = async (promotion, userId, session = null) => {
+  const updated = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    return { reserved: false, reason: `Coupon ${promotion.code} has reached its usage limit` };
+  }
+
+  // Recorded even without a per-user limit, so one can be added later
+  const filter = { promotion: promotion._id, user: userId };
+  const exists = await PromotionRedemption.exists(filter).session(session);
+  if (!exists) {
+    const previousUses = await countOrderUses(promotion._id, userId, session);
+    await PromotionRedemption.updateOne(filter, { $setOnInsert: { count: previousUses } }, { upsert: true, session });
+  }
+
+  const perUserLimit = updated.usageLimitPerUser;
+  const redeemed = await PromotionRedemption.findOneAndUpdate(
+    perUserLimit === null ? filter : { ...filter, count: { $lt: perUserLimit } },
+    { $inc: { count: 1 } },
+    { new: true, session }
+  );
+  if (!redeemed) {
+    return { reserved: false, reason: `You have already used coupon ${promotion.code}` };
+  }
+  return { reserved: true };
+};
+
+/**
+ * Give back the coupon usage of a cancelled or refunded order
+ * Subscribed to order.status_changed, so it runs inside the lifecycle
+ * transaction. An order is released once: a cancelled order that is later
+ * refunded already gave its usage back.
+ * @param {Object} event - { order, from, to, session }
+ */
+const releasePromotionUsage = async ({ order, from, to, session = null }) => {
+  const releases = to === "cancelled" || (to === "refunded" && from !== "cancelled");
+  const promotionIds = ((order.pricing && order.pricing.discounts) || [])
+    .map(discount => discount.promotion)
+    .filter(Boolean);
+  if (!releases || promotionIds.length === 0) {
+    return;
+  }
+
+  for (const promotionId of promotionIds) {
+    await Promotion.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }, { session });
+    await PromotionRedemption.updateOne(
+      { promotion: promotionId, user: order.user, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+  console.log(`🏷️ Released coupon usage of order ${order._id} (${to})`);
+};
+
+module.exports = {
+  getEligibleLines,
+  calculateDiscountAmount,
+  applyPromotionCode,
+  countUserRedemptions,
+  reservePromotionUsage,
+  releasePromotionUsage
+};
@@ -0,0 +1,357 @@
+const net = require("net");
+const { EventEmitter } = require("events");
+
+/**
+ * 📡 PUB/SUB AND PRESENCE
+ *
+ * Lets every API instance reach WebSocket clients connected to any other
+ * instance: messages are published on a channel and each instance delivers
+ * them to its own sockets. Presence (who is connected, from which instance)
+ * is kept in shared hashes. Every adapter has the same shape:
+ *
+ *   name                                     "memory" | "redis"
+ *   publish(channel, message)                Send a JSON-serialisable message to all subscribers
+ *   subscribe(channel, handler)              handler(message) for every message on the channel
+ *   setPresence(key, member, info, ttl)      Store info for a member; the key expires after ttl seconds
+ *   removePresence(key, member)              Forget a member
+ *   getPresence(key)                         Map member -> info
+ *   close()                                  Disconnect
+ *
+ * Configuration:
+ *
+ *   PUBSUB_DRIVER   "memory" (default, single instance) or "redis"
+ *   REDIS_URL       redis://[:password@]host:port[/db] (default redis://localhost:6379)
+ *
+ * The Redis adapter speaks RESP over a plain TCP socket (one connection
+ * for commands, one for subscriptions) and reconnects on its own. For local
+ * testing without Redis, run added-files/redisStub.js.
+ */
+
+// A failing subscriber is logged without affecting the others
+const runHandler = (channel, handler, message) => {
+  try {
+    handler(message);
+  } catch (error) {
+    console.error(`❌ Error handling message on ${channel}:`, error);
+  }
+};
+
+/**
+ * Single-process pub/sub, for running one instance
+ * @returns {Object} Pub/sub adapter
+ */
+const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const presence = new Map(); // key -> Map(member -> info)
+
+  return {
+    name: "memory",
+
+    async publish(channel, message) {
+      // Round-trip through JSON so subscribers get the same copies they would from Redis
+      const payload = JSON.stringify(message);
+      setImmediate(() => emitter.emit(channel, JSON.parse(payload)));
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, (message) => runHandler(channel, handler, message));
+    },
+
+    async setPresence(key, member, info) {
+      if (!presence.has(key)) {
+        presence.set(key, new Map());
+      }
+      presence.get(key).set(member, JSON.parse(JSON.stringify(info)));
+    },
+
+    async removePresence(key, member) {
+      const members = presence.get(key);
+      if (members) {
+        members.delete(member);
+        if (members.size === 0) {
+          presence.delete(key);
+        }
+      }
+    },
+
+    async getPresence(key) {
+      return new Map(presence.get(key) || []);
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    }
+  };
+};
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - e.g. ["PUBLISH", "chat", "{...}"]
+ * @returns {Buffer}
+ */
+const encodeCommand = (args) => {
+  const parts = [`*${args.length}\r\n`];
+  args.forEach(arg => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  });
+  return Buffer.from(parts.join(""));
+};
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {Number} offset - Where the reply starts
+ * @returns {Object|null} { value, offset } (offset after the reply), or null if incomplete.
+ *   Error replies are returned as Error values.
+ */
+const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: parseInt(line, 10), offset: next };
+    case "$": {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString("utf8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+};
+
+/**
+ * One connection to Redis that reconnects after failures
+ * Replies are matched to commands in order. In subscriber mode, pushed
+ * messages ("message", channel, payload) go to onPush instead.
+ * @param {Object} options - { url, onPush, onConnect }
+ * @returns {Object} { command(args), close() }
+ */
+const createRedisConnection = ({ url, onPush, onConnect }) => {
+  const { hostname, port, password, username, pathname } = new URL(url);
+  const db = parseInt(pathname.slice(1), 10) || 0;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+  let ready = null;
+  let closed = false;
+  let retryDelay = 500;
+
+  const failPending = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending = [];
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    while (buffer.length > 0 && (reply = parseReply(buffer)) !== null) {
+      buffer = buffer.subarray(reply.offset);
+      const { value } = reply;
+      if (onPush && Array.isArray(value) && value[0] === "message") {
+        onPush(value[1], value[2]);
+        continue;
+      }
+      const waiting = pending.shift();
+      if (waiting) {
+        value instanceof Error ? waiting.reject(value) : waiting.resolve(value);
+      }
+    }
+  };
+
+  const connect = () => {
+    ready = new Promise((resolve, reject) => {
+      buffer = Buffer.alloc(0);
+      socket = net.createConnection({ host: hostname, port: parseInt(port, 10) || 6379 });
+      socket.on("data", onData);
+      socket.once("connect", async () => {
+        try {
+          if (password) {
+            await send(username ? ["AUTH", decodeURIComponent(username), decodeURIComponent(password)] : ["AUTH", decodeURIComponent(password)]);
+          }
+          if (db) {
+            await send(["SELECT", db]);
+          }
+          retryDelay = 500;
+          if (onConnect) {
+            await onConnect(send);
+          }
+          resolve();
+        } catch (error) {
+          reject(error);
+          socket.destroy();
+        }
+      });
+      socket.on("error", (error) => {
+        console.error(`❌ Redis connection error (${hostname}:${port || 6379}):`, error.message);
+      });
+      socket.on("close", () => {
+        failPending(new Error("Redis connection closed"));
+        reject(new Error("Redis connection closed"));
+        if (!closed) {
+          const delay = retryDelay;
+          retryDelay = Math.min(retryDelay * 2, 10000);
+          setTimeout(connect, delay).unref();
+        }
+      });
+    });
+    // Callers see the failure through command(); don't crash on the unobserved promise
+    ready.catch(() => {});
+  };
+
+  connect();
+
+  return {
+    async command(args) {
+      await ready;
+      return send(args);
+    },
+
+    close() {
+      closed = true;
+      failPending(new Error("Redis connection closed"));
+      socket.end();
+    }
+  };
+};
+
+/**
+ * Pub/sub over Redis, for running several instances
+ * @param {Object} options - { url }
+ * @returns {Object} Pub/sub adapter
+ */
+const createRedisPubSub = ({ url = "redis://localhost:6379" } = {}) => {
+  const handlers = new Map(); // channel -> [handler]
+
+  const deliver = (channel, payload) => {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      console.error(`❌ Ignoring malformed message on ${channel}`);
+      return;
+    }
+    (handlers.get(channel) || []).forEach(handler => runHandler(channel, handler, message));
+  };
+
+  const commands = createRedisConnection({ url });
+  const subscriber = createRedisConnection({
+    url,
+    onPush: deliver,
+    // Subscriptions don't survive a reconnect; renew them
+    onConnect: async (send) => {
+      for (const channel of handlers.keys()) {
+        await send(["SUBSCRIBE", channel]);
+      }
+    }
+  });
+
+  return {
+    name: "redis",
+
+    async publish(channel, message) {
+      await commands.command(["PUBLISH", channel, JSON.stringify(message)]);
+    },
+
+    async subscribe(channel, handler) {
+      const isNew = !handlers.has(channel);
+      handlers.set(channel, [...(handlers.get(channel) || []), handler]);
+      if (isNew) {
+        await subscriber.command(["SUBSCRIBE", channel]);
+      }
+    },
+
+    async setPresence(key, member, info, ttl) {
+      await commands.command(["HSET", key, member, JSON.stringify(info)]);
+      if (ttl) {
+        await commands.command(["EXPIRE", key, Math.ceil(ttl)]);
+      }
+    },
+
+    async removePresence(key, member) {
+      await commands.command(["HDEL", key, member]);
+    },
+
+    async getPresence(key) {
+      const flat = (await commands.command(["HGETALL", key])) || [];
+      const members = new Map();
+      for (let i = 0; i < flat.length; i += 2) {
+        try {
+          members.set(flat[i], JSON.parse(flat[i + 1]));
+        } catch (error) {
+          // Skip entries that aren't ours
+        }
+      }
+      return members;
+    },
+
+    async close() {
+      commands.close();
+      subscriber.close();
+    }
+  };
+};
+
+let pubsub = null;
+
+/**
+ * The configured pub/sub adapter (created on first use)
+ * @returns {Object} Pub/sub adapter
+ */
+const getPubSub = () => {
+  if (!pubsub) {
+    pubsub = process.env.PUBSUB_DRIVER === "redis"
+      ? createRedisPubSub({ url: process.env.REDIS_URL || undefined })
+      : createMemoryPubSub();
+    console.log(`📡 Pub/sub driver: ${pubsub.name}`);
+  }
+  return pubsub;
+};
+
+module.exports = {
+  encodeCommand,
+  parseReply,
+  createMemoryPubSub,
+  createRedisPubSub,
+  getPubSub
+};
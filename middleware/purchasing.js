@@ -0,0 +1,424 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const Supplier = require("../models/supplier");
+const PurchaseOrder = require("../models/purchaseOrder");
+const CashFlowTransaction = require("../models/cashFlowTransaction");
+const { runInTransaction } = require("./transactions");
+const { adjustStock } = require("./stockReservations");
+
+/**
+ * 🚚 PURCHASING
+ *
+ * Restocking from suppliers through purchase orders:
+ *
+ *   draft ──▶ ordered ──▶ partially_received ──▶ received
+ *     └──────────┴──────────────┴──▶ cancelled
+ *
+ * Lines can only change while the order is a draft. Receiving books the
+ * delivered quantities into stock (restock movements in the inventory
+ * ledger) and posts their cost as a cost_of_goods_sold outflow, all in one
+ * transaction. Cancelling keeps what was already received.
+ */
+
+// Statuses whose remaining quantities are still expected
+const OPEN_STATUSES = ["ordered", "partially_received"];
+
+// Raised for purchasing requests the caller can fix, with an HTTP status
+class PurchasingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "PurchasingError";
+    this.status = status;
+  }
+}
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new PurchasingError(400, `${field} must be a date`);
+  }
+  return date;
+};
+
+/**
+ * Short unique purchase order number, e.g. PO-20260314-3F9A2C
+ * @returns {String}
+ */
+const generatePoNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `PO-${date}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+/**
+ * Active supplier by ID
+ * @throws {PurchasingError} 400 for invalid IDs or inactive suppliers, 404 when missing
+ */
+const findActiveSupplier = async (supplierId) => {
+  if (!isObjectId(supplierId)) {
+    throw new PurchasingError(400, "A valid supplierId is required");
+  }
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    throw new PurchasingError(404, "Supplier not found");
+  }
+  if (!supplier.isActive) {
+    throw new PurchasingError(400, `${supplier.name} is inactive`);
+  }
+  return supplier;
+};
+
+/**
+ * Validate purchase order lines and copy product details onto them
+ * @param {Array} input - [{ productId, variantId, quantity, unitCost }]
+ * @returns {Array} Lines for PurchaseOrder.lines
+ * @throws {PurchasingError} 400 for malformed lines, 404 for unknown products or variants
+ */
+const buildLines = async (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new PurchasingError(400, "lines must be a non-empty array");
+  }
+
+  const productIds = input.map(line => line && line.productId);
+  if (productIds.some(id => !isObjectId(id))) {
+    throw new PurchasingError(400, "Every line needs a valid productId");
+  }
+  const products = await Product.find({ _id: { $in: productIds } }).select("name sku variants");
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const seen = new Set();
+  return input.map(({ productId, variantId, quantity, unitCost }, index) => {
+    const product = productsById.get(String(productId));
+    if (!product) {
+      throw new PurchasingError(404, `Line ${index + 1}: product not found`);
+    }
+    if (product.variants.length > 0 && !variantId) {
+      throw new PurchasingError(400, `Line ${index + 1}: ${product.name} has variants; choose one with variantId`);
+    }
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) {
+      throw new PurchasingError(404, `Line ${index + 1}: variant not found`);
+    }
+
+    const key = `${product._id}:${variant ? variant._id : ""}`;
+    if (seen.has(key)) {
+      throw new PurchasingError(400, `Line ${index + 1}: ${product.name} is already on this order`);
+    }
+    seen.add(key);
+
+    const amount = Number(quantity);
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new PurchasingError(400, `Line ${index + 1}: quantity must be a whole number of at least 1`);
+    }
+    const cost = Number(unitCost);
+    if (!Number.isFinite(cost) || cost < 0) {
+      throw new PurchasingError(400, `Line ${index + 1}: unitCost must be zero or more`);
+    }
+
+    return {
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : product.sku,
+      productName: product.name,
+      quantity: amount,
+      unitCost: cost,
+      receivedQuantity: 0
+    };
+  });
+};
+
+/**
+ * Create a purchase order
+ * @param {Object} data - { supplierId, lines, expectedDeliveryDate, currency, notes, submit }
+ *   (submit places the order straight away instead of saving a draft)
+ * @param {ObjectId} actor - User creating it
+ * @returns {Object} Saved purchase order
+ */
+const createPurchaseOrder = async ({ supplierId, lines, expectedDeliveryDate, currency, notes, submit = false }, actor) => {
+  const supplier = await findActiveSupplier(supplierId);
+  const purchaseOrder = new PurchaseOrder({
+    poNumber: generatePoNumber(),
+    supplier: supplier._id,
+    status: submit ? "ordered" : "draft",
+    orderedAt: submit ? new Date() : undefined,
+    lines: await buildLines(lines),
+    expectedDeliveryDate: parseDate(expectedDeliveryDate, "expectedDeliveryDate"),
+    currency,
+    notes,
+    createdBy: actor
+  });
+
+  await purchaseOrder.save();
+  console.log(`🚚 Purchase order ${purchaseOrder.poNumber} created for ${supplier.name} (${purchaseOrder.status})`);
+  return purchaseOrder;
+};
+
+/**
+ * Change a purchase order
+ * Supplier, lines and currency can only change on drafts; the expected
+ * delivery date and notes while the order is still open.
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Object} changes - { supplierId, lines, currency, expectedDeliveryDate, notes }
+ * @returns {Object} Saved purchase order
+ * @throws {PurchasingError} 409 when the order can no longer be changed that way
+ */
+const updatePurchaseOrder = async (purchaseOrder, { supplierId, lines, currency, expectedDeliveryDate, notes }) => {
+  const editable = ["draft", ...OPEN_STATUSES];
+  if (!editable.includes(purchaseOrder.status)) {
+    throw new PurchasingError(409, `A ${purchaseOrder.status} purchase order can't be changed`);
+  }
+  const changesDraftFields = supplierId !== undefined || lines !== undefined || currency !== undefined;
+  if (changesDraftFields && purchaseOrder.status !== "draft") {
+    throw new PurchasingError(409, "Supplier, lines and currency can only change while the order is a draft");
+  }
+
+  if (supplierId !== undefined) {
+    purchaseOrder.supplier = (await findActiveSupplier(supplierId))._id;
+  }
+  if (lines !== undefined) {
+    purchaseOrder.lines = await buildLines(lines);
+  }
+  if (currency !== undefined) {
+    purchaseOrder.currency = currency;
+  }
+  if (expectedDeliveryDate !== undefined) {
+    purchaseOrder.expectedDeliveryDate = parseDate(expectedDeliveryDate, "expectedDeliveryDate");
+  }
+  if (notes !== undefined) {
+    purchaseOrder.notes = notes;
+  }
+
+  await purchaseOrder.save();
+  return purchaseOrder;
+};
+
+/**
+ * Send a draft to the supplier
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @returns {Object} Saved purchase order
+ * @throws {PurchasingError} 409 unless the order is a draft
+ */
+const placePurchaseOrder = async (purchaseOrder) => {
+  if (purchaseOrder.status !== "draft") {
+    throw new PurchasingError(409, `Only drafts can be placed; this order is ${purchaseOrder.status}`);
+  }
+  purchaseOrder.status = "ordered";
+  purchaseOrder.orderedAt = new Date();
+  await purchaseOrder.save();
+  console.log(`🚚 Purchase order ${purchaseOrder.poNumber} placed`);
+  return purchaseOrder;
+};
+
+/**
+ * Cancel a purchase order; quantities already received stay in stock
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @returns {Object} Saved purchase order
+ * @throws {PurchasingError} 409 for orders that are already received or cancelled
+ */
+const cancelPurchaseOrder = async (purchaseOrder) => {
+  if (!["draft", ...OPEN_STATUSES].includes(purchaseOrder.status)) {
+    throw new PurchasingError(409, `A ${purchaseOrder.status} purchase order can't be cancelled`);
+  }
+  purchaseOrder.status = "cancelled";
+  purchaseOrder.cancelledAt = new Date();
+  await purchaseOrder.save();
+  console.log(`🚚 Purchase order ${purchaseOrder.poNumber} cancelled`);
+  return purchaseOrder;
+};
+
+/**
+ * Book a delivery against a purchase order
+ * Each received line becomes a restock movement, and the delivery's cost
+ * a cost_of_goods_sold outflow linked to the order.
+ * @param {String} purchaseOrderId - PurchaseOrder ID
+ * @param {Object} delivery - { lines: [{ lineId, quantity }], reference, receivedAt }
+ *   (without lines, everything still outstanding is received)
+ * @param {ObjectId} actor - User receiving the goods
+ * @returns {Object} { purchaseOrder, receipt, cashFlowTransaction }
+ * @throws {PurchasingError} 404 for unknown orders, 409 unless the order is open,
+ *   400 for unknown lines or more than is outstanding
+ */
+const receivePurchaseOrder = async (purchaseOrderId, { lines, reference, receivedAt } = {}, actor) => {
+  const receiptDate = parseDate(receivedAt, "receivedAt") || new Date();
+
+  return runInTransaction(async (session) => {
+    const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).populate("supplier", "name").session(session);
+    if (!purchaseOrder) {
+      throw new PurchasingError(404, "Purchase order not found");
+    }
+    if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+      throw new PurchasingError(409, `Only ordered purchase orders can be received; this one is ${purchaseOrder.status}`);
+    }
+
+    const requested = lines === undefined
+      ? purchaseOrder.lines
+        .filter(line => line.receivedQuantity < line.quantity)
+        .map(line => ({ lineId: line._id, quantity: line.quantity - line.receivedQuantity }))
+      : lines;
+    if (!Array.isArray(requested) || requested.length === 0) {
+      throw new PurchasingError(400, "lines must list what was received");
+    }
+
+    const receiptLines = [];
+    let cost = 0;
+    for (const { lineId, quantity } of requested) {
+      const line = isObjectId(lineId) ? purchaseOrder.lines.id(lineId) : null;
+      if (!line) {
+        throw new PurchasingError(400, `Line ${lineId} is not on this purchase order`);
+      }
+      const amount = Number(quantity);
+      const outstanding = line.quantity - line.receivedQuantity;
+      if (!Number.isInteger(amount) || amount < 1) {
+        throw new PurchasingError(400, `Received quantity for ${line.productName} must be a whole number of at least 1`);
+      }
+      if (amount > outstanding) {
+        throw new PurchasingError(400, `Only ${outstanding} unit(s) of ${line.productName} are outstanding`);
+      }
+
+      await adjustStock({
+        productId: line.product,
+        variantId: line.variant,
+        type: "restock",
+        quantity: amount,
+        actor,
+        reason: `Received on ${purchaseOrder.poNumber}`,
+        reference: reference || purchaseOrder.poNumber
+      }, session);
+
+      line.receivedQuantity += amount;
+      cost += amount * line.unitCost;
+      receiptLines.push({ lineId: line._id, quantity: amount });
+    }
+
+    const [cashFlowTransaction] = await CashFlowTransaction.create([{
+      type: "outflow",
+      category: "cost_of_goods_sold",
+      amount: Math.round(cost * 100) / 100,
+      description: `Stock received on ${purchaseOrder.poNumber} from ${purchaseOrder.supplier.name}`,
+      purchaseOrderId: purchaseOrder._id,
+      date: receiptDate,
+      automated: true,
+      createdBy: actor
+    }], { session });
+
+    const receipt = {
+      receivedAt: receiptDate,
+      receivedBy: actor,
+      lines: receiptLines,
+      cost: cashFlowTransaction.amount,
+      reference,
+      cashFlowTransaction: cashFlowTransaction._id
+    };
+    purchaseOrder.receipts.push(receipt);
+
+    const complete = purchaseOrder.lines.every(line => line.receivedQuantity >= line.quantity);
+    purchaseOrder.status = complete ? "received" : "partially_received";
+    if (complete) {
+      purchaseOrder.receivedAt = receiptDate;
+    }
+    await purchaseOrder.save({ session });
+
+    console.log(`📦 Received ${receiptLines.length} line(s) on ${purchaseOrder.poNumber}, cost ${cashFlowTransaction.amount}`);
+    return { purchaseOrder, receipt, cashFlowTransaction };
+  });
+};
+
+/**
+ * Purchasing figures per supplier, for vendor analysis
+ * Spend is the cost of goods received in the period; open value is what is
+ * still outstanding on open orders. Deliveries count as on time when the
+ * order was fully received by its expected delivery date.
+ * @param {Date} startDate - Period start
+ * @param {Date} endDate - Period end
+ * @returns {Map} supplierId -> { purchaseSpend, receipts, lastReceipt, purchaseOrders,
+ *   openOrderValue, onTimeDeliveries, deliveriesWithDueDate, averageLeadTimeDays }
+ */
+const getSupplierPurchasingStats = async (startDate, endDate) => {
+  const stats = new Map();
+  const statsFor = (supplierId) => {
+    const key = String(supplierId);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        purchaseSpend: 0,
+        receipts: 0,
+        lastReceipt: null,
+        purchaseOrders: 0,
+        openOrderValue: 0,
+        onTimeDeliveries: 0,
+        deliveriesWithDueDate: 0,
+        leadTimes: []
+      });
+    }
+    return stats.get(key);
+  };
+
+  const purchaseOrders = await PurchaseOrder.find({
+    $or: [
+      { createdAt: { $gte: startDate, $lte: endDate } },
+      { "receipts.receivedAt": { $gte: startDate, $lte: endDate } },
+      { status: { $in: OPEN_STATUSES } }
+    ]
+  }).select("supplier status lines receipts orderedAt expectedDeliveryDate receivedAt createdAt");
+
+  purchaseOrders.forEach(purchaseOrder => {
+    const entry = statsFor(purchaseOrder.supplier);
+    if (purchaseOrder.createdAt >= startDate && purchaseOrder.createdAt <= endDate) {
+      entry.purchaseOrders++;
+    }
+    if (OPEN_STATUSES.includes(purchaseOrder.status)) {
+      entry.openOrderValue += purchaseOrder.outstandingCost;
+    }
+
+    purchaseOrder.receipts
+      .filter(receipt => receipt.receivedAt >= startDate && receipt.receivedAt <= endDate)
+      .forEach(receipt => {
+        entry.purchaseSpend += receipt.cost;
+        entry.receipts++;
+        if (!entry.lastReceipt || receipt.receivedAt > entry.lastReceipt) {
+          entry.lastReceipt = receipt.receivedAt;
+        }
+      });
+
+    const completedInPeriod = purchaseOrder.receivedAt &&
+      purchaseOrder.receivedAt >= startDate && purchaseOrder.receivedAt <= endDate;
+    if (completedInPeriod) {
+      if (purchaseOrder.expectedDeliveryDate) {
+        entry.deliveriesWithDueDate++;
+        // Due dates are days; anything received on the day counts as on time
+        const due = new Date(purchaseOrder.expectedDeliveryDate);
+        due.setHours(23, 59, 59, 999);
+        if (purchaseOrder.receivedAt <= due) {
+          entry.onTimeDeliveries++;
+        }
+      }
+      const firstReceipt = purchaseOrder.receipts[0];
+      if (purchaseOrder.orderedAt && firstReceipt) {
+        entry.leadTimes.push((firstReceipt.receivedAt - purchaseOrder.orderedAt) / (24 * 60 * 60 * 1000));
+      }
+    }
+  });
+
+  stats.forEach(entry => {
+    entry.averageLeadTimeDays = entry.leadTimes.length > 0
+      ? Math.round(entry.leadTimes.reduce((sum, days) => sum + days, 0) / entry.leadTimes.length * 10) / 10
+      : null;
+    delete entry.leadTimes;
+  });
+  return stats;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  PurchasingError,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+  getSupplierPurchasingStats
+};
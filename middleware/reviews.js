@@ -0,0 +1,303 @@
+const mongoose = require("mongoose");
+const Review = require("../models/review");
+const Product = require("../models/product");
+const Order = require("../models/order");
+
+/**
+ * ⭐ PRODUCT REVIEWS
+ *
+ * Customers can review a product once they have a completed order that
+ * contains it (one review per product each). New and edited reviews wait
+ * in the moderation queue; only approved reviews are shown and counted in
+ * the product's ratings (average, count and per-star distribution), which
+ * are recomputed whenever an approved review changes.
+ */
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Raised for review requests the caller can fix, with an HTTP status
+class ReviewError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ReviewError";
+    this.status = status;
+  }
+}
+
+const checkId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ReviewError(400, `Invalid ${name}`);
+  }
+};
+
+const parseRating = (rating) => {
+  const stars = Number(rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    throw new ReviewError(400, "rating must be a whole number from 1 to 5");
+  }
+  return stars;
+};
+
+const paging = (page, limit, fallback) => ({
+  page: Math.max(parseInt(page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(limit, 10) || fallback, 1), 100)
+});
+
+/**
+ * The user's most recent completed order containing the product
+ * @param {ObjectId} userId - Customer
+ * @param {ObjectId} productId - Product
+ * @returns {Object|null} Order
+ */
+const findEligibleOrder = (userId, productId) =>
+  Order.findOne({ user: userId, status: "completed", "products.productId": productId })
+    .sort({ orderDate: -1 })
+    .select("_id orderDate");
+
+/**
+ * Whether the user can review the product now
+ * @param {ObjectId} userId - Customer
+ * @param {ObjectId} productId - Product
+ * @returns {Object} { eligible, hasCompletedOrder, alreadyReviewed }
+ */
+const getReviewEligibility = async (userId, productId) => {
+  checkId(productId, "product ID");
+  const [order, review] = await Promise.all([
+    findEligibleOrder(userId, productId),
+    Review.exists({ product: productId, user: userId })
+  ]);
+  return { eligible: !!order && !review, hasCompletedOrder: !!order, alreadyReviewed: !!review };
+};
+
+/**
+ * Recompute a product's ratings from its approved reviews
+ * @param {ObjectId} productId - Product
+ * @returns {Object} { average, count, distribution }
+ */
+const refreshProductRatings = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "approved" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(entry => {
+    distribution[entry._id] = entry.count;
+  });
+  const count = counts.reduce((sum, entry) => sum + entry.count, 0);
+  const total = counts.reduce((sum, entry) => sum + entry._id * entry.count, 0);
+  const ratings = {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution
+  };
+
+  await Product.updateOne({ _id: productId }, { $set: { ratings } });
+  return ratings;
+};
+
+/**
+ * Write a review for a product the user has received
+ * @param {Object} input - { productId, userId, rating, title, comment }
+ * @returns {Object} Review (pending moderation)
+ * @throws {ReviewError} 404 unknown product, 403 no completed order, 409 already reviewed
+ */
+const createReview = async ({ productId, userId, rating, title, comment }) => {
+  checkId(productId, "product ID");
+  const stars = parseRating(rating);
+
+  if (!(await Product.exists({ _id: productId }))) {
+    throw new ReviewError(404, "Product not found");
+  }
+  if (await Review.exists({ product: productId, user: userId })) {
+    throw new ReviewError(409, "You have already reviewed this product; edit your review instead");
+  }
+  const order = await findEligibleOrder(userId, productId);
+  if (!order) {
+    throw new ReviewError(403, "Only customers with a completed order for this product can review it");
+  }
+
+  try {
+    return await Review.create({ product: productId, user: userId, order: order._id, rating: stars, title, comment });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ReviewError(409, "You have already reviewed this product; edit your review instead");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Edit the user's own review; it goes back to the moderation queue
+ * @param {ObjectId} reviewId - Review
+ * @param {ObjectId} userId - Author
+ * @param {Object} changes - { rating, title, comment }
+ * @returns {Object} Review
+ */
+const updateReview = async (reviewId, userId, { rating, title, comment }) => {
+  checkId(reviewId, "review ID");
+  const review = await Review.findOne({ _id: reviewId, user: userId });
+  if (!review) {
+    throw new ReviewError(404, "Review not found");
+  }
+
+  const wasApproved = review.status === "approved";
+  if (rating !== undefined) review.rating = parseRating(rating);
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  review.status = "pending";
+  review.moderatedBy = undefined;
+  review.moderatedAt = undefined;
+  review.moderationNote = undefined;
+  await review.save();
+
+  if (wasApproved) {
+    await refreshProductRatings(review.product);
+  }
+  return review;
+};
+
+/**
+ * Delete a review (its author, or an admin)
+ * @param {ObjectId} reviewId - Review
+ * @param {Object} user - { id, role } from the token
+ */
+const deleteReview = async (reviewId, user) => {
+  checkId(reviewId, "review ID");
+  const filter = user.role === "admin" ? { _id: reviewId } : { _id: reviewId, user: user.id };
+  const review = await Review.findOneAndDelete(filter);
+  if (!review) {
+    throw new ReviewError(404, "Review not found");
+  }
+  if (review.status === "approved") {
+    await refreshProductRatings(review.product);
+  }
+};
+
+/**
+ * Approve or reject a review
+ * @param {ObjectId} reviewId - Review
+ * @param {Object} decision - { status, note, moderator }
+ * @returns {Object} Review
+ */
+const moderateReview = async (reviewId, { status, note, moderator }) => {
+  checkId(reviewId, "review ID");
+  if (!["approved", "rejected"].includes(status)) {
+    throw new ReviewError(400, "status must be approved or rejected");
+  }
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new ReviewError(404, "Review not found");
+  }
+
+  const ratingsChange = review.status === "approved" || status === "approved";
+  review.status = status;
+  review.moderatedBy = moderator;
+  review.moderatedAt = new Date();
+  review.moderationNote = note;
+  await review.save();
+
+  if (ratingsChange) {
+    await refreshProductRatings(review.product);
+  }
+  return review;
+};
+
+/**
+ * Approved reviews of a product with its ratings summary
+ * @param {ObjectId} productId - Product
+ * @param {Object} options - { rating, sort (newest|highest|lowest), page, limit }
+ * @returns {Object} { ratings, reviews, pagination }
+ */
+const listProductReviews = async (productId, { rating, sort = "newest", page, limit } = {}) => {
+  checkId(productId, "product ID");
+  if (!REVIEW_SORTS[sort]) {
+    throw new ReviewError(400, `Unknown sort: ${sort}. Allowed: ${Object.keys(REVIEW_SORTS).join(", ")}`);
+  }
+  const product = await Product.findById(productId).select("ratings");
+  if (!product) {
+    throw new ReviewError(404, "Product not found");
+  }
+
+  const filter = { product: productId, status: "approved" };
+  if (rating !== undefined) {
+    filter.rating = parseRating(rating);
+  }
+  const pages = paging(page, limit, 10);
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort(REVIEW_SORTS[sort])
+      .skip((pages.page - 1) * pages.limit)
+      .limit(pages.limit)
+      .select("-moderatedBy -moderationNote -order")
+      .populate("user", "username"),
+    Review.countDocuments(filter)
+  ]);
+
+  return {
+    ratings: product.ratings,
+    reviews,
+    pagination: { ...pages, total, totalPages: Math.ceil(total / pages.limit) }
+  };
+};
+
+/**
+ * Reviews waiting for (or past) moderation, oldest first
+ * @param {Object} options - { status (default pending), productId, page, limit }
+ * @returns {Object} { reviews, pagination }
+ */
+const listReviewsForModeration = async ({ status = "pending", productId, page, limit } = {}) => {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new ReviewError(400, `status must be one of: ${REVIEW_STATUSES.join(", ")}`);
+  }
+  const filter = { status };
+  if (productId) {
+    checkId(productId, "product ID");
+    filter.product = productId;
+  }
+  const pages = paging(page, limit, 20);
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((pages.page - 1) * pages.limit)
+      .limit(pages.limit)
+      .populate("product", "name image")
+      .populate("user", "username email"),
+    Review.countDocuments(filter)
+  ]);
+
+  return { reviews, pagination: { ...pages, total, totalPages: Math.ceil(total / pages.limit) } };
+};
+
+/**
+ * The user's reviews in any status, newest first
+ * @param {ObjectId} userId - Author
+ * @returns {Array} Reviews
+ */
+const listUserReviews = (userId) =>
+  Review.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate("product", "name image");
+
+module.exports = {
+  REVIEW_STATUSES,
+  ReviewError,
+  findEligibleOrder,
+  getReviewEligibility,
+  refreshProductRatings,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  listProductReviews,
+  listReviewsForModeration,
+  listUserReviews
+};
@@ -0,0 +1,249 @@
+const Product = require("../models/product");
+const Order = require("../models/order");
+const PurchaseOrder = require("../models/purchaseOrder");
+const { OPEN_STATUSES } = require("./purchasing");
+
+/**
+ * 📉 STOCK FORECAST
+ *
+ * Works out which products need restocking from their sellable stock
+ * (stock on hand minus reservations), their sales velocity over recent
+ * orders and what is already on order:
+ *
+ *   out_of_stock   Nothing left to sell
+ *   at_risk        Selling fast enough to run out before a new order could
+ *                  arrive (days of stock < lead time), with nothing on order
+ *                  that is due in time
+ *   low            At or below the reorder point
+ *   ok             Everything else
+ *
+ * Each product can set its own reorderPoint, reorderQuantity and
+ * leadTimeDays; otherwise these defaults apply:
+ *
+ *   LOW_STOCK_THRESHOLD      Reorder point (default 10)
+ *   DEFAULT_LEAD_TIME_DAYS   Lead time (default 7)
+ *   SALES_VELOCITY_DAYS      Order history used for velocity (default 30)
+ *   REORDER_COVER_DAYS       Days of sales a reorder should last once it arrives (default 30)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Higher is more urgent; alerts go out when a product moves up this scale
+const SEVERITY = { ok: 0, low: 1, at_risk: 2, out_of_stock: 3 };
+
+// Orders that never turned into demand
+const NON_DEMAND_STATUSES = ["cancelled", "returned", "refunded"];
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getDefaults = () => ({
+  reorderPoint: numberFromEnv("LOW_STOCK_THRESHOLD", 10),
+  leadTimeDays: numberFromEnv("DEFAULT_LEAD_TIME_DAYS", 7),
+  velocityDays: Math.max(numberFromEnv("SALES_VELOCITY_DAYS", 30), 1),
+  coverDays: numberFromEnv("REORDER_COVER_DAYS", 30),
+});
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Query matching products whose sellable stock is at or below their reorder point
+ * @returns {Object} MongoDB filter
+ */
+const lowStockFilter = () => ({
+  $expr: {
+    $lte: [
+      { $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }] },
+      { $ifNull: ["$reorderPoint", getDefaults().reorderPoint] }
+    ]
+  }
+});
+
+/**
+ * Average units ordered per day for each product
+ * @param {Number} days - How far back to look
+ * @returns {Map} productId -> units per day
+ */
+const getSalesVelocity = async (days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const totals = await Order.aggregate([
+    { $match: { orderDate: { $gte: since }, status: { $nin: NON_DEMAND_STATUSES } } },
+    { $unwind: "$products" },
+    { $group: { _id: "$products.productId", units: { $sum: "$products.quantity" } } }
+  ]);
+  return new Map(totals.map(total => [String(total._id), total.units / days]));
+};
+
+/**
+ * Quantities still due on open purchase orders
+ * @returns {Map} productId -> [{ quantity, expectedDeliveryDate }]
+ */
+const getIncomingStock = async () => {
+  const purchaseOrders = await PurchaseOrder.find({ status: { $in: OPEN_STATUSES } })
+    .select("lines expectedDeliveryDate");
+
+  const incoming = new Map();
+  purchaseOrders.forEach(purchaseOrder => {
+    purchaseOrder.lines.forEach(line => {
+      const quantity = line.quantity - line.receivedQuantity;
+      if (quantity <= 0) {
+        return;
+      }
+      const key = String(line.product);
+      incoming.set(key, [...(incoming.get(key) || []), { quantity, expectedDeliveryDate: purchaseOrder.expectedDeliveryDate }]);
+    });
+  });
+  return incoming;
+};
+
+/**
+ * Assess one product's stock
+ * @param {Object} product - Product (stockQuantity, reservedQuantity, reorderPoint, reorderQuantity, leadTimeDays)
+ * @param {Object} context - { dailyVelocity, incoming, now, defaults }
+ * @returns {Object} { status, available, reorderPoint, leadTimeDays, dailyVelocity, daysOfStock,
+ *   projectedStockoutAt, incomingQuantity, suggestedReorderQuantity }
+ */
+const assessStock = (product, { dailyVelocity = 0, incoming = [], now = new Date(), defaults = getDefaults() } = {}) => {
+  const available = product.stockQuantity - (product.reservedQuantity || 0);
+  const reorderPoint = isSet(product.reorderPoint) ? product.reorderPoint : defaults.reorderPoint;
+  const leadTimeDays = isSet(product.leadTimeDays) ? product.leadTimeDays : defaults.leadTimeDays;
+
+  const daysOfStock = dailyVelocity > 0 ? Math.max(available, 0) / dailyVelocity : null;
+  const projectedStockoutAt = daysOfStock !== null ? new Date(now.getTime() + daysOfStock * DAY_MS) : null;
+
+  // Deliveries without a date are assumed to take the lead time from now
+  const incomingQuantity = incoming.reduce((sum, delivery) => sum + delivery.quantity, 0);
+  const arrivingInTime = projectedStockoutAt
+    ? incoming
+      .filter(delivery => (delivery.expectedDeliveryDate || new Date(now.getTime() + leadTimeDays * DAY_MS)) <= projectedStockoutAt)
+      .reduce((sum, delivery) => sum + delivery.quantity, 0)
+    : incomingQuantity;
+
+  let status = "ok";
+  if (available <= 0) {
+    status = "out_of_stock";
+  } else if (daysOfStock !== null && daysOfStock < leadTimeDays && arrivingInTime === 0) {
+    status = "at_risk";
+  } else if (available <= reorderPoint) {
+    status = "low";
+  }
+
+  // Enough to cover the lead time and the cover period on top of the reorder point
+  let suggestedReorderQuantity = 0;
+  if (status !== "ok") {
+    const target = Math.ceil(dailyVelocity * (leadTimeDays + defaults.coverDays)) + reorderPoint;
+    const needed = target - Math.max(available, 0) - incomingQuantity;
+    if (needed > 0) {
+      suggestedReorderQuantity = Math.max(needed, product.reorderQuantity || 0);
+    }
+  }
+
+  return {
+    status,
+    available,
+    reorderPoint,
+    leadTimeDays,
+    dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+    daysOfStock: daysOfStock !== null ? Math.round(daysOfStock * 10) / 10 : null,
+    projectedStockoutAt,
+    incomingQuantity,
+    suggestedReorderQuantity
+  };
+};
+
+// Assess every product against current sales and open purchase orders
+const forecastAllProducts = async () => {
+  const defaults = getDefaults();
+  const [velocity, incoming, products] = await Promise.all([
+    getSalesVelocity(defaults.velocityDays),
+    getIncomingStock(),
+    Product.find()
+      .select("name sku stockQuantity reservedQuantity reorderPoint reorderQuantity leadTimeDays preferredSupplier stockForecast")
+      .populate("preferredSupplier", "name")
+  ]);
+
+  const now = new Date();
+  return products.map(product => ({
+    product,
+    previousStatus: product.stockForecast && product.stockForecast.status,
+    forecast: assessStock(product, {
+      dailyVelocity: velocity.get(String(product._id)) || 0,
+      incoming: incoming.get(String(product._id)) || [],
+      now,
+      defaults
+    })
+  }));
+};
+
+const describe = ({ product, forecast }) => ({
+  productId: product._id,
+  name: product.name,
+  sku: product.sku,
+  preferredSupplier: product.preferredSupplier || null,
+  ...forecast
+});
+
+// Most urgent first: worst status, then soonest to run out
+const byUrgency = (a, b) =>
+  SEVERITY[b.forecast.status] - SEVERITY[a.forecast.status] ||
+  (a.forecast.daysOfStock === null ? Infinity : a.forecast.daysOfStock) -
+  (b.forecast.daysOfStock === null ? Infinity : b.forecast.daysOfStock);
+
+/**
+ * Recompute and store every product's forecast
+ * A product is alerted once when its status gets worse, not on every run.
+ * @returns {Object} { checked, alerts } (alerts most urgent first)
+ */
+const refreshStockForecasts = async () => {
+  const results = await forecastAllProducts();
+  const computedAt = new Date();
+
+  if (results.length > 0) {
+    await Product.bulkWrite(results.map(({ product, forecast }) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: {
+            stockForecast: {
+              status: forecast.status,
+              dailyVelocity: forecast.dailyVelocity,
+              daysOfStock: forecast.daysOfStock,
+              projectedStockoutAt: forecast.projectedStockoutAt,
+              incomingQuantity: forecast.incomingQuantity,
+              suggestedReorderQuantity: forecast.suggestedReorderQuantity,
+              computedAt
+            }
+          }
+        }
+      }
+    })));
+  }
+
+  const alerts = results
+    .filter(({ previousStatus, forecast }) => SEVERITY[forecast.status] > SEVERITY[previousStatus || "ok"])
+    .sort(byUrgency)
+    .map(describe);
+
+  return { checked: results.length, alerts };
+};
+
+/**
+ * Products that need restocking, with how much to order
+ * @returns {Array} Most urgent first
+ */
+const getReorderSuggestions = async () => {
+  const results = await forecastAllProducts();
+  return results
+    .filter(({ forecast }) => forecast.status !== "ok")
+    .sort(byUrgency)
+    .map(describe);
+};
+
+module.exports = {
+  lowStockFilter,
+  assessStock,
+  refreshStockForecasts,
+  getReorderSuggestions
+};
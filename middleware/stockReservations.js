@@ -0,0 +1,318 @@
+const Product = require("../models/product");
+const Order = require("../models/order");
+const { InventoryError, movementFor, recordMovements } = require("./inventoryLedger");
+const { runInTransaction } = require("./transactions");
+
+/**
+ * ⏳ STOCK RESERVATIONS
+ *
+ * Unpaid checkouts hold stock as a reservation on the Product instead of
+ * decrementing it. A reservation is committed (turned into a real
+ * decrement) when payment is confirmed, or released when the order is
+ * cancelled or the reservation expires. Changes to stock on hand are
+ * recorded in the inventory ledger.
+ *
+ *   STOCK_RESERVATION_TTL_MINUTES  How long a checkout may hold stock (default 15)
+ */
+
+const DEFAULT_TTL_MINUTES = 15;
+
+// Matches products (or the given variant) whose sellable stock covers the quantity
+const availableAtLeast = (quantity, variantId = null) => {
+  if (!variantId) {
+    return {
+      $expr: {
+        $gte: [
+          { $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }] },
+          quantity
+        ]
+      }
+    };
+  }
+  return {
+    $expr: {
+      $let: {
+        vars: {
+          variant: {
+            $arrayElemAt: [
+              { $filter: { input: { $ifNull: ["$variants", []] }, cond: { $eq: ["$$this._id", variantId] } } },
+              0
+            ]
+          }
+        },
+        in: {
+          $gte: [
+            { $subtract: [{ $ifNull: ["$$variant.stockQuantity", 0] }, { $ifNull: ["$$variant.reservedQuantity", 0] }] },
+            quantity
+          ]
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Update that changes stock counters on a product and, for a variant line,
+ * on the variant too, so product-level totals stay the sum of the variants
+ * @param {ObjectId} variantId - Variant ID, or null for products without variants
+ * @param {Object} changes - Counter -> amount, e.g. { stockQuantity: -2 }
+ * @param {Object} operators - Extra update operators (e.g. $push)
+ * @returns {Object} { update, options } for updateOne/findOneAndUpdate
+ */
+const stockUpdate = (variantId, changes, operators = {}) => {
+  const inc = { ...changes };
+  if (!variantId) {
+    return { update: { $inc: inc, ...operators }, options: {} };
+  }
+  Object.entries(changes).forEach(([field, amount]) => {
+    inc[`variants.$[variant].${field}`] = amount;
+  });
+  return { update: { $inc: inc, ...operators }, options: { arrayFilters: [{ "variant._id": variantId }] } };
+};
+
+const getReservationTTL = () => {
+  const minutes = parseFloat(process.env.STOCK_RESERVATION_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Expiry date for a reservation made now
+ * @returns {Date}
+ */
+const getReservationExpiry = () => new Date(Date.now() + getReservationTTL());
+
+/**
+ * Sum order line quantities per product and variant (an order may list one twice)
+ * @param {Array} lines - [{ productId, variantId, quantity }]
+ * @returns {Array} [{ productId, variantId, quantity }]
+ */
+const groupQuantitiesByStockItem = (lines) => {
+  const totals = new Map();
+  lines.forEach(line => {
+    const variantId = line.variantId || null;
+    const key = `${line.productId}:${variantId || ""}`;
+    const current = totals.get(key) || { productId: line.productId, variantId, quantity: 0 };
+    current.quantity += line.quantity;
+    totals.set(key, current);
+  });
+  return [...totals.values()];
+};
+
+/**
+ * Hold stock for an unpaid order
+ * @param {Object} order - Order document (products, _id, reservationExpiresAt)
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Boolean} False if any product no longer has enough sellable stock
+ */
+const reserveStock = async (order, session = null) => {
+  for (const { productId, variantId, quantity } of groupQuantitiesByStockItem(order.products)) {
+    const { update, options } = stockUpdate(variantId, { reservedQuantity: quantity }, {
+      $push: { reservations: { order: order._id, variant: variantId || undefined, quantity, expiresAt: order.reservationExpiresAt } }
+    });
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, ...availableAtLeast(quantity, variantId) },
+      update,
+      { ...options, new: true, session }
+    );
+    if (!updated) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Decrement stock immediately, leaving other orders' reservations untouched
+ * @param {Array} lines - [{ productId, variantId, quantity }]
+ * @param {ClientSession} session - Optional transaction session
+ * @param {Object} details - Ledger details { order, actor }
+ * @returns {Boolean} False if any product no longer has enough sellable stock
+ */
+const decrementStock = async (lines, session = null, { order, actor } = {}) => {
+  const movements = [];
+  for (const { productId, variantId, quantity } of groupQuantitiesByStockItem(lines)) {
+    const { update, options } = stockUpdate(variantId, { stockQuantity: -quantity, unitsSold: quantity });
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, ...availableAtLeast(quantity, variantId) },
+      update,
+      { ...options, new: true, session }
+    );
+    if (!updated) {
+      return false;
+    }
+    movements.push(movementFor(updated, variantId, -quantity, { type: "sale", actor, order, reason: "Order placed" }));
+  }
+  await recordMovements(movements, session);
+  return true;
+};
+
+/**
+ * Put sold quantities back on the shelf (cancellations and returns)
+ * @param {Array} lines - [{ productId, variantId, quantity }]
+ * @param {ClientSession} session - Optional transaction session
+ * @param {Object} details - Ledger details { order, actor, reason }
+ */
+const restockLines = async (lines, session = null, { order, actor, reason } = {}) => {
+  const movements = [];
+  for (const { productId, variantId, quantity } of groupQuantitiesByStockItem(lines)) {
+    const { update, options } = stockUpdate(variantId, { stockQuantity: quantity, unitsSold: -quantity });
+    const updated = await Product.findOneAndUpdate({ _id: productId }, update, { ...options, new: true, session });
+    // A product deleted since the sale has no stock to return to
+    if (updated && (!variantId || updated.variants.id(variantId))) {
+      movements.push(movementFor(updated, variantId, quantity, { type: "return", actor, order, reason }));
+    }
+  }
+  await recordMovements(movements, session);
+};
+
+/**
+ * Turn an order's reservations into a real stock decrement
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Optional transaction session
+ * @param {Object} details - Ledger details { actor }
+ * @returns {Boolean} False if a reservation is missing (e.g. already expired)
+ */
+const commitReservation = async (order, session = null, { actor } = {}) => {
+  const movements = [];
+  for (const { productId, variantId, quantity } of groupQuantitiesByStockItem(order.products)) {
+    const reservation = { order: order._id, variant: variantId };
+    const { update, options } = stockUpdate(
+      variantId,
+      { stockQuantity: -quantity, reservedQuantity: -quantity, unitsSold: quantity },
+      { $pull: { reservations: reservation } }
+    );
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, reservations: { $elemMatch: reservation } },
+      update,
+      { ...options, new: true, session }
+    );
+    if (!updated) {
+      return false;
+    }
+    movements.push(movementFor(updated, variantId, -quantity, { type: "sale", actor, order: order._id, reason: "Order paid" }));
+  }
+  await recordMovements(movements, session);
+  console.log(`✅ Committed stock reservation for order ${order._id}`);
+  return true;
+};
+
+/**
+ * Release an order's reservations without touching stock
+ * Products whose reservation is already gone are skipped.
+ * @param {Object} order - Order document
+ * @param {ClientSession} session - Optional transaction session
+ */
+const releaseReservation = async (order, session = null) => {
+  for (const { productId, variantId, quantity } of groupQuantitiesByStockItem(order.products)) {
+    const reservation = { order: order._id, variant: variantId };
+    const { update, options } = stockUpdate(
+      variantId,
+      { reservedQuantity: -quantity },
+      { $pull: { reservations: reservation } }
+    );
+    await Product.updateOne(
+      { _id: productId, reservations: { $elemMatch: reservation } },
+      update,
+      { ...options, session }
+    );
+  }
+  console.log(`🔓 Released stock reservation for order ${order._id}`);
+};
+
+/**
+ * Release expired reservations that no pending order is waiting on
+ * (e.g. the order was deleted). Pending orders are expired through the
+ * lifecycle instead so they end up cancelled.
+ * @returns {Number} Number of reservations released
+ */
+const releaseOrphanedReservations = async () => {
+  const now = new Date();
+  const products = await Product.find({ "reservations.expiresAt": { $lt: now } })
+    .select("reservations");
+
+  const expiredOrderIds = products.flatMap(product =>
+    product.reservations
+      .filter(reservation => reservation.expiresAt < now)
+      .map(reservation => reservation.order)
+  );
+  const pendingOrderIds = (await Order.find({
+    _id: { $in: expiredOrderIds },
+    status: "pending_payment"
+  }).distinct("_id")).map(String);
+
+  let released = 0;
+  for (const product of products) {
+    const expired = product.reservations.filter(reservation =>
+      reservation.expiresAt < now && !pendingOrderIds.includes(String(reservation.order))
+    );
+    for (const reservation of expired) {
+      const { update, options } = stockUpdate(
+        reservation.variant,
+        { reservedQuantity: -reservation.quantity },
+        { $pull: { reservations: { _id: reservation._id } } }
+      );
+      const result = await Product.updateOne(
+        { _id: product._id, "reservations._id": reservation._id },
+        update,
+        options
+      );
+      released += result.modifiedCount;
+    }
+  }
+  return released;
+};
+
+/**
+ * Change stock on hand outside of orders (receiving, stock counts, damage)
+ * Stock can't be taken below what unpaid orders have reserved. The stock
+ * update and its ledger movement commit together.
+ * @param {Object} change - { productId, variantId, type, quantity, actor, reason, reference }
+ * @param {ClientSession} outerSession - Optional session of an enclosing transaction
+ * @returns {Object} { product, movement }
+ * @throws {InventoryError} 404 for unknown products or variants, 400 when a variant is
+ *   missing, 409 when there isn't enough unreserved stock to remove
+ */
+const adjustStock = ({ productId, variantId = null, type, quantity, actor, reason, reference }, outerSession = null) => {
+  return runInTransaction(async (session) => {
+    const product = await Product.findById(productId).session(session);
+    if (!product) {
+      throw new InventoryError(404, "Product not found");
+    }
+    if (!variantId && product.variants.length > 0) {
+      throw new InventoryError(400, `${product.name} has variants; choose one with variantId`);
+    }
+    const item = variantId ? product.variants.id(variantId) : product;
+    if (!item) {
+      throw new InventoryError(404, "Variant not found");
+    }
+    const stockVariantId = variantId ? item._id : null;
+
+    const { update, options } = stockUpdate(stockVariantId, { stockQuantity: quantity });
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, ...(quantity < 0 ? availableAtLeast(-quantity, stockVariantId) : {}) },
+      update,
+      { ...options, new: true, session }
+    );
+    if (!updated) {
+      const unreserved = item.stockQuantity - (item.reservedQuantity || 0);
+      throw new InventoryError(409, `Only ${unreserved} unit(s) of ${item.sku || product.name} are not reserved by orders`);
+    }
+
+    const [movement] = await recordMovements([
+      movementFor(updated, stockVariantId, quantity, { type, actor, reason, reference })
+    ], session);
+    console.log(`📒 ${type} of ${quantity} for ${item.sku || product.name}, balance ${movement.balanceAfter}`);
+    return { product: updated, movement };
+  }, outerSession);
+};
+
+module.exports = {
+  getReservationExpiry,
+  reserveStock,
+  decrementStock,
+  restockLines,
+  commitReservation,
+  releaseReservation,
+  releaseOrphanedReservations,
+  adjustStock
+};
@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * 🗄️ FILE STORAGE
+ *
+ * Uploaded files go through a storage adapter so the local uploads/
+ * folder can be swapped for S3-compatible object storage without touching
+ * controllers. Every adapter has the same shape:
+ *
+ *   name                               "local" | "s3"
+ *   save(key, buffer, contentType)     Store a file; resolves to its public URL
+ *   remove(key)                        Delete a file (missing files are ignored)
+ *   getUrl(key)                        Public URL for a stored key
+ *
+ * Configuration:
+ *
+ *   STORAGE_DRIVER         "local" (default) or "s3"
+ *   S3_ENDPOINT            e.g. https://s3.amazonaws.com or http://localhost:9000
+ *   S3_REGION              Signing region (default us-east-1)
+ *   S3_BUCKET              Bucket name
+ *   S3_ACCESS_KEY_ID       Access key
+ *   S3_SECRET_ACCESS_KEY   Secret key
+ *   S3_PUBLIC_URL          Base URL files are served from (default endpoint/bucket)
+ *
+ * Requests are path-style and signed with AWS Signature V4, which MinIO
+ * and other S3-compatible servers accept (see added-files/s3Stub.js).
+ */
+
+const UPLOADS_DIR = path.join(__dirname, "../uploads");
+
+// Keys are generated by the server; anything else is refused so a key can't escape the bucket or folder
+const assertSafeKey = (key) => {
+  if (!key || key.startsWith("/") || key.split("/").includes("..")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Storage on the local disk, served by express.static at /uploads
+ * URLs are relative ("uploads/<key>") like the paths multer used to store.
+ * @param {Object} options - { root }
+ * @returns {Object} Storage adapter
+ */
+const createLocalStorage = ({ root = UPLOADS_DIR } = {}) => ({
+  name: "local",
+
+  getUrl(key) {
+    return `uploads/${key}`;
+  },
+
+  async save(key, buffer) {
+    assertSafeKey(key);
+    const filePath = path.join(root, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return this.getUrl(key);
+  },
+
+  async remove(key) {
+    assertSafeKey(key);
+    const filePath = path.join(root, key);
+    await fs.promises.unlink(filePath).catch(error => {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    });
+    // Drop the file's folder once it is empty
+    if (path.dirname(filePath) !== root) {
+      await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+    }
+  },
+});
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding of each path segment, as Signature V4 expects
+const encodeKey = (key) => key.split("/").map(segment =>
+  encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+).join("/");
+
+/**
+ * Sign an S3 request with AWS Signature V4
+ * @param {Object} request - { method, url, headers, body, region, accessKeyId, secretAccessKey }
+ * @returns {Object} Headers including Authorization
+ */
+const signS3Request = ({ method, url, headers = {}, body = "", region, accessKeyId, secretAccessKey }) => {
+  const target = new URL(url);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const allHeaders = {
+    ...headers,
+    host: target.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join("");
+  const signedHeaders = headerNames.join(";");
+
+  const canonicalRequest = [method, target.pathname, "", canonicalHeaders, signedHeaders, payloadHash].join("\n");
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return {
+    ...allHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Storage in an S3-compatible bucket
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl }
+ * @returns {Object} Storage adapter
+ */
+const createS3Storage = ({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey, publicUrl }) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const baseUrl = `${endpoint.replace(/\/$/, "")}/${bucket}`;
+  const filesUrl = (publicUrl || baseUrl).replace(/\/$/, "");
+
+  const send = (method, key, body, headers = {}) => {
+    assertSafeKey(key);
+    const url = `${baseUrl}/${encodeKey(key)}`;
+    return axios({
+      method,
+      url,
+      data: body,
+      headers: signS3Request({ method, url, headers, body, region, accessKeyId, secretAccessKey }),
+      maxBodyLength: Infinity,
+      timeout: 30000,
+    });
+  };
+
+  return {
+    name: "s3",
+
+    getUrl(key) {
+      return `${filesUrl}/${encodeKey(key)}`;
+    },
+
+    async save(key, buffer, contentType = "application/octet-stream") {
+      await send("PUT", key, buffer, { "content-type": contentType });
+      return this.getUrl(key);
+    },
+
+    async remove(key) {
+      try {
+        await send("DELETE", key, "");
+      } catch (error) {
+        if (!error.response || error.response.status !== 404) {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+let storage = null;
+
+/**
+ * The configured storage adapter (created on first use)
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === "s3"
+      ? createS3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL,
+      })
+      : createLocalStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  signS3Request,
+  getStorage,
+};
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+/**
+ * 🔒 MONGODB TRANSACTIONS
+ *
+ * Runs multi-document writes (order + stock + cash flow) atomically.
+ * The driver retries the whole callback on TransientTransactionError and
+ * retries the commit on UnknownTransactionCommitResult, so callbacks must
+ * be safe to run more than once: pass `session` to every query and avoid
+ * mutating in-memory state that a retry would see twice.
+ *
+ * Transactions need a replica set (Atlas clusters are one); a standalone
+ * mongod will reject them.
+ */
+
+// Thrown inside a transaction to abort it with an HTTP status for the caller
+class TransactionAbortError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "TransactionAbortError";
+    this.status = status;
+  }
+}
+
+/**
+ * Run work inside a transaction, with automatic retry on transient errors
+ * Pass the caller's session to join a transaction that is already running
+ * (MongoDB does not support nested transactions).
+ * @param {Function} work - async (session) => result
+ * @param {ClientSession} session - Optional session of an enclosing transaction
+ * @returns {*} Whatever work returns once the transaction commits
+ */
+const runInTransaction = (work, session = null) => {
+  if (session) {
+    return work(session);
+  }
+  return mongoose.connection.transaction(work);
+};
+
+module.exports = {
+  TransactionAbortError,
+  runInTransaction
+};
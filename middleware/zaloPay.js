@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const qs = require("qs");
+const moment = require("moment");
+
+/**
+ * 💳 ZALOPAY INTEGRATION (API v2)
+ *
+ *   ZALOPAY_APP_ID        Merchant app id
+ *   ZALOPAY_KEY1          Signs create/query requests
+ *   ZALOPAY_KEY2          Verifies callbacks
+ *   ZALOPAY_ENDPOINT      API base URL (sandbox by default; point at a local stub for testing)
+ *   ZALOPAY_CALLBACK_URL  Public URL of POST /payments/zalopay/callback
+ *   ZALOPAY_REDIRECT_URL  Where ZaloPay sends the customer after paying
+ *   ZALOPAY_VND_RATE      VND per unit of order currency (1 if prices are already in VND)
+ */
+
+const DEFAULT_ENDPOINT = "https://sb-openapi.zalopay.vn/v2";
+
+// ZaloPay query return codes
+const QUERY_STATUS = {
+  SUCCESS: 1,
+  FAILED: 2,
+  PROCESSING: 3
+};
+
+const getConfig = () => ({
+  appId: process.env.ZALOPAY_APP_ID,
+  key1: process.env.ZALOPAY_KEY1,
+  key2: process.env.ZALOPAY_KEY2,
+  endpoint: (process.env.ZALOPAY_ENDPOINT || DEFAULT_ENDPOINT).replace(/\/$/, ""),
+  callbackUrl: process.env.ZALOPAY_CALLBACK_URL,
+  redirectUrl: process.env.ZALOPAY_REDIRECT_URL || "",
+  vndRate: parseFloat(process.env.ZALOPAY_VND_RATE) || 1
+});
+
+const isConfigured = () => {
+  const { appId, key1, key2 } = getConfig();
+  return !!(appId && key1 && key2);
+};
+
+const sign = (key, data) => crypto.createHmac("sha256", key).update(data).digest("hex");
+
+// Constant-time comparison so MAC checks don't leak timing information
+const macMatches = (expected, received) => {
+  if (typeof received !== "string" || expected.length !== received.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * ZaloPay amount (integer VND) for an amount in the order currency
+ * @param {Number} amount - Amount in the order currency
+ * @returns {Number}
+ */
+const toZaloPayAmount = (amount) => Math.round(amount * getConfig().vndRate);
+
+/**
+ * app_trans_id must start with the transaction date in GMT+7 (yymmdd_) and
+ * can never be reused, so retries get a numbered suffix
+ * @param {Object} order - Order document
+ * @param {Number} attempt - 1 for the first transaction of this order
+ * @returns {String}
+ */
+const buildAppTransId = (order, attempt = 1) => {
+  const base = `${moment().utcOffset(420).format("YYMMDD")}_${order._id}`;
+  return attempt > 1 ? `${base}_${attempt}` : base;
+};
+
+/**
+ * Create a ZaloPay order for a pending order
+ * @param {Object} order - Order document (status pending_payment)
+ * @param {Object} options - { amount, appUser, attempt }
+ * @returns {Object} { appTransId, orderUrl, zpTransToken, amount }
+ */
+const createZaloPayOrder = async (order, { amount: orderAmount, appUser, attempt = 1 }) => {
+  const config = getConfig();
+  const appTransId = buildAppTransId(order, attempt);
+  const appTime = Date.now();
+  const amount = toZaloPayAmount(orderAmount);
+  const embedData = JSON.stringify({ redirecturl: config.redirectUrl, orderId: order._id.toString() });
+  const item = JSON.stringify(order.products.map(line => ({
+    productId: line.productId.toString(),
+    ...(line.sku ? { sku: line.sku } : {}),
+    quantity: line.quantity,
+    price: line.price
+  })));
+
+  const params = {
+    app_id: config.appId,
+    app_user: appUser,
+    app_trans_id: appTransId,
+    app_time: appTime,
+    amount,
+    item,
+    embed_data: embedData,
+    description: `Wrencos - Payment for order #${order._id.toString().slice(-6)}`,
+    bank_code: "",
+    callback_url: config.callbackUrl
+  };
+  params.mac = sign(config.key1, [
+    params.app_id, params.app_trans_id, params.app_user,
+    params.amount, params.app_time, params.embed_data, params.item
+  ].join("|"));
+
+  const response = await axios.post(`${config.endpoint}/create`, qs.stringify(params), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    timeout: 10000
+  });
+
+  if (response.data.return_code !== 1) {
+    throw new Error(`ZaloPay create order failed: ${response.data.return_message} (${response.data.sub_return_message || response.data.return_code})`);
+  }
+
+  console.log(`💳 ZaloPay order created: ${appTransId} for order ${order._id}`);
+
+  return {
+    appTransId,
+    orderUrl: response.data.order_url,
+    zpTransToken: response.data.zp_trans_token,
+    amount
+  };
+};
+
+/**
+ * Ask ZaloPay for the status of a transaction
+ * @param {String} appTransId - Our transaction id
+ * @returns {Object} Raw ZaloPay response ({ return_code, amount, zp_trans_id, ... })
+ */
+const queryZaloPayOrder = async (appTransId) => {
+  const config = getConfig();
+  const params = {
+    app_id: config.appId,
+    app_trans_id: appTransId
+  };
+  params.mac = sign(config.key1, [params.app_id, params.app_trans_id, config.key1].join("|"));
+
+  const response = await axios.post(`${config.endpoint}/query`, qs.stringify(params), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    timeout: 10000
+  });
+
+  return response.data;
+};
+
+/**
+ * Verify and decode a ZaloPay callback body ({ data, mac, type })
+ * @param {Object} body - Callback request body
+ * @returns {Object|null} Parsed callback data, or null if the MAC is invalid
+ */
+const verifyCallback = (body) => {
+  const { key2 } = getConfig();
+  if (!body || typeof body.data !== "string" || !key2) {
+    return null;
+  }
+
+  if (!macMatches(sign(key2, body.data), body.mac)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(body.data);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  QUERY_STATUS,
+  isConfigured,
+  toZaloPayAmount,
+  createZaloPayOrder,
+  queryZaloPayOrder,
+  verifyCallback
+};
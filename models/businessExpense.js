@@ -37,6 +37,11 @@ const BusinessExpenseSchema = new Schema({
     type: String,
     trim: true
   },
+  // Supplier record the vendor refers to, when there is one
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
   invoiceNumber: {
     type: String,
     trim: true
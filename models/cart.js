@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Guest carts are dropped after this long without changes
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Cart line (embedded within Cart)
+const CartItemSchema = new Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Required for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price shown when the item was last added or changed, to flag price changes
+  priceAtAdd: {
+    type: Number,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Owned by a user, or by an anonymous session (like ChatConversation.sessionId) until login
+const CartSchema = new Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  items: [CartItemSchema]
+}, {
+  timestamps: true
+});
+
+CartSchema.pre('validate', function(next) {
+  if (!this.user && !this.sessionId) {
+    return next(new Error('A cart needs a user or a session ID'));
+  }
+  next();
+});
+
+CartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+CartSchema.index({ sessionId: 1 }, { unique: true, partialFilterExpression: { sessionId: { $exists: true } } });
+CartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { user: { $exists: false } } }
+);
+
+const Cart = mongoose.model("Cart", CartSchema);
+module.exports = Cart;
@@ -32,6 +32,11 @@ const CashFlowTransactionSchema = new Schema({
     ref: 'Order',
     required: false // Not all transactions are order-related
   },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: false // Set for stock received from a supplier
+  },
   date: {
     type: Date,
     default: Date.now
@@ -53,6 +58,7 @@ const CashFlowTransactionSchema = new Schema({
 CashFlowTransactionSchema.index({ date: -1, type: 1 });
 CashFlowTransactionSchema.index({ category: 1, date: -1 });
 CashFlowTransactionSchema.index({ orderId: 1 });
+CashFlowTransactionSchema.index({ purchaseOrderId: 1 });
 
 // Virtual for formatted amount
 CashFlowTransactionSchema.virtual('formattedAmount').get(function() {
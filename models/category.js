@@ -4,9 +4,56 @@ const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
+    trim: true,
   },
+  // URL name, unique across all categories; generated from the name when not given
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // Materialized path of ancestor IDs, root first: "/" for a top-level category,
+  // "/<rootId>/<parentId>/" below it. Descendants of X have paths starting with X.path + X._id + "/".
+  path: {
+    type: String,
+    default: "/",
+  },
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  // Position among its siblings, lowest first
+  order: {
+    type: Number,
+    default: 0,
+  },
+  description: {
+    type: String,
+  },
+  image: {
+    type: String, // URL or path of the image
+  },
+}, {
+  timestamps: true,
 });
 
+categorySchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: "string" } } });
+categorySchema.index({ parent: 1, order: 1 });
+categorySchema.index({ path: 1 });
+
+/**
+ * Path that this category's children get
+ * @returns {String}
+ */
+categorySchema.methods.childPath = function () {
+  return `${this.path || "/"}${this._id}/`;
+};
+
 const Category = mongoose.model("Category", categorySchema);
 
-module.exports = Category;
\ No newline at end of file
+module.exports = Category;
@@ -29,6 +29,15 @@ const chatConversationSchema = new mongoose.Schema({
       enum: ['text', 'predefined', 'ai', 'staff'],
       default: 'text',
     },
+    // Staff chat acknowledgements from the receiving side
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
     metadata: {
       faqId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -68,6 +77,51 @@ const chatConversationSchema = new mongoose.Schema({
     ref: "User",
     required: false,
   },
+  assignedAt: {
+    type: Date,
+    default: null,
+  },
+  // When the customer joined the staff queue (kept when an agent releases the chat)
+  queuedAt: {
+    type: Date,
+    default: null,
+  },
+  // Closing (by the customer, an agent, or the inactivity job) and the customer's rating
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+  closedBy: {
+    type: String,
+    enum: ['customer', 'staff', 'system'],
+    default: null,
+  },
+  closedByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  closeReason: {
+    type: String,
+    maxlength: 500,
+    default: null,
+  },
+  satisfaction: {
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "rating must be a whole number from 1 to 5",
+      },
+    },
+    comment: {
+      type: String,
+      maxlength: 1000,
+    },
+    ratedAt: Date,
+  },
   lastActivity: {
     type: Date,
     default: Date.now,
@@ -93,5 +147,7 @@ chatConversationSchema.index({ sessionId: 1 });
 chatConversationSchema.index({ userId: 1 });
 chatConversationSchema.index({ lastActivity: -1 });
 chatConversationSchema.index({ createdAt: -1 });
+chatConversationSchema.index({ isStaffChat: 1, isActive: 1, assignedStaff: 1, queuedAt: 1 });
+chatConversationSchema.index({ isStaffChat: 1, closedAt: -1 });
 
 module.exports = mongoose.model("ChatConversation", chatConversationSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One change to a product's (or variant's) stock on hand; the ledger is append-only
+const InventoryMovementSchema = new Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when the stock belongs to a variant (Product.variants._id)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'return', 'restock', 'adjustment', 'damage'],
+    required: true
+  },
+  // Signed change to stockQuantity: negative for sales and damage
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => Number.isInteger(value) && value !== 0,
+      message: 'quantity must be a non-zero whole number'
+    }
+  },
+  // stockQuantity of the product (or variant) right after this movement
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // User who made the change; empty for changes made by the system
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Outside document the movement came from, e.g. a delivery note number
+  reference: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+InventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+InventoryMovementSchema.index({ type: 1, createdAt: -1 });
+InventoryMovementSchema.index({ order: 1 });
+
+module.exports = mongoose.model('InventoryMovement', InventoryMovementSchema);
@@ -8,6 +8,17 @@ const ProductSchema = new Schema({
     required: true,
     ref: "Product",
   },
+  // Set for products sold in variants; sku and options are copied at checkout
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
+  variantOptions: {
+    type: Map,
+    of: String,
+  },
   quantity: {
     type: Number,
     required: true,
@@ -18,8 +29,95 @@ const ProductSchema = new Schema({
     required: true,
     min: 0,
   },
+  // Units of this line already handed to a carrier (see Shipment)
+  shippedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
 });
 
+// Status history entry (embedded within Order)
+const StatusHistorySchema = new Schema({
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId, // User who triggered the transition
+    ref: "User",
+    required: false,
+  },
+  actorRole: {
+    type: String,
+    enum: ["admin", "customer", "system"],
+    default: "system",
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+}, { _id: false });
+
+// Price breakdown computed by the server (embedded within Order)
+const PricingSchema = new Schema({
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  discounts: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+    },
+    code: String,
+    description: String,
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    _id: false,
+  }],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  taxes: [{
+    name: String,
+    rate: Number,
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    _id: false,
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  shippingFee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  grandTotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
 // Order Schema
 const OrderSchema = new Schema({
   user: {
@@ -42,16 +140,54 @@ const OrderSchema = new Schema({
 
   status: {
     type: String,
-    enum: ["processing", "shipping", 'completed'],
+    enum: [
+      "pending_payment", "paid", "processing", "shipped", "delivered", "completed",
+      "cancelled", "return_requested", "returned", "refunded",
+      "shipping", // Legacy value, treated as "shipped" by the lifecycle
+    ],
     default: "processing",
   },
 
+  statusHistory: [StatusHistorySchema],
+
+  // Provider details and settlement live on the Payment record
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    required: false, // Orders placed before payments were tracked have none
+  },
+
+  // False while stock is only reserved (unpaid checkout); true once it has been decremented
+  stockCommitted: {
+    type: Boolean,
+    default: true,
+  },
+
+  reservationExpiresAt: {
+    type: Date,
+    required: false,
+  },
+
+  // Set once the order's stock has been put back (cancel/return) so it is never restored twice
+  stockRestored: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Always equal to pricing.grandTotal for orders priced by the server
   totalPrice: {
     type: Number,
     required: true,
     default: 0,
   },
+
+  pricing: {
+    type: PricingSchema,
+    required: false, // Orders created before server-side pricing have no breakdown
+  },
 });
 
+OrderSchema.index({ status: 1, reservationExpiresAt: 1 });
+
 const Order = mongoose.model("Order", OrderSchema);
 module.exports = Order;
\ No newline at end of file
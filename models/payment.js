@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One call to the provider or one notification from it (embedded within Payment)
+const PaymentAttemptSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['create', 'callback', 'query', 'settle'],
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  providerReference: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PaymentSchema = new Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true // One payment per order; retries are recorded as attempts
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['cash', 'credit_card', 'zalopay'],
+    required: true
+  },
+  // In the order's currency; providers convert when they need to (e.g. ZaloPay uses VND)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  // Our id for the current provider transaction (ZaloPay app_trans_id, gateway charge id)
+  providerReference: {
+    type: String,
+    trim: true
+  },
+  // The provider's id for the settled transaction (ZaloPay zp_trans_id)
+  providerTransactionId: {
+    type: String,
+    trim: true
+  },
+  // Where the customer completes the payment, for redirect-based providers
+  redirectUrl: {
+    type: String,
+    trim: true
+  },
+  // Provider-specific extras (ZaloPay token, card brand and last digits)
+  providerData: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Payload of the notification or query that settled the payment
+  rawCallback: {
+    type: Schema.Types.Mixed
+  },
+  attempts: [PaymentAttemptSchema],
+  settledAt: {
+    type: Date
+  },
+  revenueTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashFlowTransaction'
+  },
+  // Set when money arrived for an order that could not accept it
+  requiresRefund: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ status: 1, provider: 1 });
+PaymentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+const Payment = mongoose.model("Payment", PaymentSchema);
+module.exports = Payment;
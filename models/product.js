@@ -1,10 +1,93 @@
 const mongoose = require("mongoose");
 
+// A sellable version of a product, e.g. 50ml or a shade (embedded within Product)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  // Option name -> value, e.g. { size: "50ml", shade: "ivory" }
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  stockQuantity: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  unitsSold: {
+    type: Number,
+    default: 0,
+  },
+  image: {
+    type: String,
+  },
+});
+
+variantSchema.virtual("availableQuantity").get(function () {
+  return this.stockQuantity - (this.reservedQuantity || 0);
+});
+
+variantSchema.set("toJSON", { virtuals: true });
+
+// Gallery image with its generated renditions (embedded within Product)
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  thumbnailUrl: {
+    type: String,
+  },
+  mediumUrl: {
+    type: String,
+  },
+  // Storage adapter keys of the original and renditions, for deletion
+  storageKeys: [{
+    type: String,
+  }],
+  alt: {
+    type: String,
+  },
+  width: {
+    type: Number,
+  },
+  height: {
+    type: Number,
+  },
+  contentType: {
+    type: String,
+  },
+  size: {
+    type: Number,
+  },
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
+  // Optional; products sold in variants carry SKUs on their variants
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Category",
@@ -14,19 +97,106 @@ const productSchema = new mongoose.Schema({
     type: String, // use String to store the URL or path of the image
     required: false, // Set to true if the image is mandatory
   },
+  // Ordered gallery; the first image is mirrored into `image`
+  images: [imageSchema],
   description: {
     type: String,
     required: false,
   },
+  // For products with variants: the lowest variant price ("from" price)
   price: {
     type: Number,
     required: true,
   },
+  // For products with variants: the sum over variants
   stockQuantity: {
     type: Number,
     required: true,
     default: 0,
   },
+  // Quantity held for unpaid checkouts; sellable stock is stockQuantity - reservedQuantity
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Units sold net of cancellations and returns, for best-selling sorts
+  unitsSold: {
+    type: Number,
+    default: 0,
+  },
+  variants: [variantSchema],
+  // Restocking: sellable stock at or below reorderPoint is low (null uses LOW_STOCK_THRESHOLD)
+  reorderPoint: {
+    type: Number,
+    min: 0,
+  },
+  // Smallest quantity worth ordering; reorder suggestions are rounded up to it
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+  },
+  // Days from placing a purchase order to receiving it (null uses DEFAULT_LEAD_TIME_DAYS)
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+  },
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+  },
+  // Written by the low-stock job; see middleware/stockForecast.js
+  stockForecast: {
+    status: {
+      type: String,
+      enum: ["ok", "low", "at_risk", "out_of_stock"],
+    },
+    dailyVelocity: Number,
+    daysOfStock: Number, // null when nothing is selling
+    projectedStockoutAt: Date,
+    incomingQuantity: Number,
+    suggestedReorderQuantity: Number,
+    computedAt: Date,
+  },
+  // Approved reviews only; kept up to date by middleware/reviews.js
+  ratings: {
+    average: {
+      type: Number,
+      default: 0,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Number of reviews per star, "1" to "5"
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+  },
+  reservations: [{
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // Set when the reservation holds a variant's stock
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  }],
   // Additional fields for AI assistant
   ingredients: [{
     type: String,
@@ -65,6 +235,52 @@ productSchema.index({
   usage: 'text'
 });
 
+productSchema.index({ "reservations.expiresAt": 1 });
+productSchema.index({ unitsSold: -1 });
+productSchema.index({ "stockForecast.status": 1 });
+productSchema.index({ "ratings.average": -1, "ratings.count": -1 });
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: "string" } } });
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+/**
+ * Product-level figures for a list of variants
+ * Stock and reservations are summed; price is the cheapest variant.
+ * @param {Array} variants - Variant documents or plain objects
+ * @returns {Object} { price, stockQuantity, reservedQuantity }
+ */
+productSchema.statics.variantTotals = function (variants) {
+  const sum = (field) => variants.reduce((total, variant) => total + (variant[field] || 0), 0);
+  return {
+    price: Math.min(...variants.map(variant => variant.price)),
+    stockQuantity: sum("stockQuantity"),
+    reservedQuantity: sum("reservedQuantity"),
+  };
+};
+
+// Derived fields: the main image, and price and stock of products with variants
+productSchema.pre("validate", function (next) {
+  if (this.images && this.images.length > 0) {
+    this.image = this.images[0].url;
+  }
+  if (this.variants && this.variants.length > 0) {
+    const skus = this.variants.map(variant => variant.sku);
+    if (new Set(skus).size !== skus.length) {
+      return next(new Error("Variant SKUs must be unique"));
+    }
+    this.set(this.constructor.variantTotals(this.variants));
+  }
+  next();
+});
+
+productSchema.virtual("availableQuantity").get(function () {
+  return this.stockQuantity - (this.reservedQuantity || 0);
+});
+
+productSchema.set("toJSON", { virtuals: true });
+
 const Product = mongoose.model("Product", productSchema);
 
 module.exports = Product;
\ No newline at end of file
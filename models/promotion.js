@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const PromotionSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+    required: true
+  },
+  // Percentage (0-100) or fixed amount off, depending on type
+  value: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.type === 'percentage' || this.type === 'fixed';
+    }
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Buy-X-get-Y: buy `buyQuantity` units, get `getQuantity` more free
+  buyQuantity: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.type === 'buy_x_get_y';
+    }
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+    required: function() {
+      return this.type === 'buy_x_get_y';
+    }
+  },
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Empty lists mean the promotion applies to the whole catalogue
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null // null = unlimited
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1,
+    default: null // null = unlimited
+  },
+  usageCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PromotionSchema.path('value').validate(function(value) {
+  return this.type !== 'percentage' || value <= 100;
+}, 'Percentage value cannot exceed 100');
+
+PromotionSchema.path('endsAt').validate(function(endsAt) {
+  return !endsAt || !this.startsAt || endsAt > this.startsAt;
+}, 'endsAt must be after startsAt');
+
+// Index for better query performance
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+const Promotion = mongoose.model("Promotion", PromotionSchema);
+module.exports = Promotion;
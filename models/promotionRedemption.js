@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// How many live orders a customer has placed with a promotion; written in the
+// checkout transaction so the per-user limit can't be passed by concurrent orders
+const PromotionRedemptionSchema = new Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Orders that are not cancelled or refunded
+  count: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+PromotionRedemptionSchema.index({ promotion: 1, user: 1 }, { unique: true });
+
+const PromotionRedemption = mongoose.model("PromotionRedemption", PromotionRedemptionSchema);
+module.exports = PromotionRedemption;
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Product ordered from the supplier (embedded within PurchaseOrder)
+const PurchaseOrderLineSchema = new Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for products with variants (Product.variants._id)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  // Copied when the line is added so the order still reads right if the product changes
+  sku: {
+    type: String,
+    trim: true
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+// One delivery booked against the order (embedded within PurchaseOrder)
+const ReceiptSchema = new Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: [{
+    lineId: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the entry in PurchaseOrder.lines
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    _id: false
+  }],
+  cost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Delivery note or invoice number
+  reference: {
+    type: String,
+    trim: true
+  },
+  cashFlowTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashFlowTransaction'
+  }
+}, { _id: false });
+
+const PurchaseOrderSchema = new Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  lines: {
+    type: [PurchaseOrderLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: 'A purchase order needs at least one line'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  expectedDeliveryDate: {
+    type: Date
+  },
+  orderedAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date // When the last outstanding unit arrived
+  },
+  cancelledAt: {
+    type: Date
+  },
+  receipts: [ReceiptSchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+PurchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ status: 1, expectedDeliveryDate: 1 });
+PurchaseOrderSchema.index({ 'lines.product': 1 });
+
+// Value of everything ordered
+PurchaseOrderSchema.virtual('totalCost').get(function() {
+  return this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+});
+
+// Value of what hasn't arrived yet
+PurchaseOrderSchema.virtual('outstandingCost').get(function() {
+  return this.lines.reduce((sum, line) => sum + (line.quantity - line.receivedQuantity) * line.unitCost, 0);
+});
+
+PurchaseOrderSchema.set('toJSON', { virtuals: true });
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", PurchaseOrderSchema);
+module.exports = PurchaseOrder;
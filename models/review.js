@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A customer's rating of a product they bought; shown once approved by an admin
+const ReviewSchema = new Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // The completed order that made the user eligible
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: "Rating must be a whole number of stars",
+    },
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  moderatedAt: {
+    type: Date,
+  },
+  // Shown to the customer when a review is rejected
+  moderationNote: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// One review per product per customer; editing it sends it back to moderation
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+
+const Review = mongoose.model("Review", ReviewSchema);
+module.exports = Review;
@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Order line (or part of one) carried by a shipment (embedded within Shipment)
+const ShipmentItemSchema = new Schema({
+  lineId: {
+    type: mongoose.Schema.Types.ObjectId, // _id of the entry in Order.products
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// Where the parcel was sent, copied at shipping time (embedded within Shipment)
+const AddressSnapshotSchema = new Schema({
+  recipientName: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Carrier scan or status update (embedded within Shipment)
+const TrackingEventSchema = new Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ShipmentSchema = new Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  carrier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception'],
+    default: 'label_created'
+  },
+  items: {
+    type: [ShipmentItemSchema],
+    validate: [items => items.length > 0, 'A shipment must contain at least one item']
+  },
+  shippingAddress: {
+    type: AddressSnapshotSchema,
+    required: true
+  },
+  trackingEvents: [TrackingEventSchema],
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ShipmentSchema.index({ order: 1, createdAt: 1 });
+ShipmentSchema.index({ carrier: 1, trackingNumber: 1 });
+
+const Shipment = mongoose.model("Shipment", ShipmentSchema);
+module.exports = Shipment;
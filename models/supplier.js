@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const SupplierSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // Days after delivery the invoice is due (e.g. 30 for "net 30")
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Names are matched case-insensitively so free-text vendors can be linked to suppliers
+SupplierSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Supplier = mongoose.model("Supplier", SupplierSchema);
+module.exports = Supplier;
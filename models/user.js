@@ -28,6 +28,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // Open staff chats assigned to this agent (kept by middleware/chatAssignment.js)
+  activeChats: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
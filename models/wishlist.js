@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Guest wishlists are dropped after this long without changes
+const GUEST_WISHLIST_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Owned by a user, or by an anonymous session until login
+const WishlistSchema = new Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+WishlistSchema.pre('validate', function(next) {
+  if (!this.user && !this.sessionId) {
+    return next(new Error('A wishlist needs a user or a session ID'));
+  }
+  next();
+});
+
+WishlistSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+WishlistSchema.index({ sessionId: 1 }, { unique: true, partialFilterExpression: { sessionId: { $exists: true } } });
+WishlistSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_WISHLIST_TTL_SECONDS, partialFilterExpression: { user: { $exists: false } } }
+);
+
+const Wishlist = mongoose.model("Wishlist", WishlistSchema);
+module.exports = Wishlist;
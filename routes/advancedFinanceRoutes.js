@@ -114,6 +114,9 @@ router.get("/overview", auth, role("admin"), advancedFinanceController.getFinanc
  *                 enum: [daily, weekly, monthly, quarterly, yearly]
  *               vendor:
  *                 type: string
+ *               supplier:
+ *                 type: string
+ *                 description: Supplier ID; the vendor name is filled in from the supplier
  *               invoiceNumber:
  *                 type: string
  *               paymentMethod:
@@ -234,6 +237,11 @@ router.get("/expense-trends", auth, role("admin"), advancedFinanceController.get
  * /advanced-finance/vendor-analysis:
  *   get:
  *     summary: Get vendor spending analysis
+ *     description: >
+ *       Spending per supplier (expenses linked to it or whose vendor matches its name,
+ *       plus the cost of stock received on its purchase orders) and per free-text vendor.
+ *       Supplier entries also include purchaseOrders, openOrderValue, onTimeDeliveryRate
+ *       (percent of orders fully received by their expected date) and averageLeadTimeDays.
  *     tags: [AdvancedFinance]
  *     security:
  *       - ApiKeyAuth: []
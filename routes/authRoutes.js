@@ -61,6 +61,9 @@ router.post("/register", authController.registerUser);
  *                 type: string
  *               password:
  *                 type: string
+ *               sessionId:
+ *                 type: string
+ *                 description: Guest session whose cart and wishlist should be merged into this account
  *     responses:
  *       200:
  *         description: User logged in successfully
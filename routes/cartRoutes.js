@@ -0,0 +1,271 @@
+const express = require("express");
+const router = express.Router();
+const cartController = require("../controllers/cartController");
+const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart for signed-in users and guests
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     SessionId:
+ *       in: header
+ *       name: X-Session-Id
+ *       schema:
+ *         type: string
+ *       required: false
+ *       description: Guest session ID (returned as sessionId the first time a guest saves something). Ignored when signed in.
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           description: Guest session ID; absent for signed-in users
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               variantName:
+ *                 type: string
+ *                 description: Variant options, e.g. "50ml / ivory"
+ *               name:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *                 description: Current catalogue price
+ *               priceAtAdd:
+ *                 type: number
+ *                 description: Price when the line was last added or changed
+ *               lineTotal:
+ *                 type: number
+ *               availableQuantity:
+ *                 type: integer
+ *               issues:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: ["unavailable", "out_of_stock", "insufficient_stock", "price_changed"]
+ *               blocking:
+ *                 type: boolean
+ *                 description: True if this line would make checkout fail
+ *         subtotal:
+ *           type: number
+ *         itemCount:
+ *           type: integer
+ *         hasBlockingIssues:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Get the cart, revalidated against current prices and stock
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: The cart (empty if there is none yet)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *   delete:
+ *     summary: Empty the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: The emptied cart
+ */
+router.get("/", optionalAuth, cartController.getCart);
+router.delete("/", optionalAuth, cartController.clearCart);
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Add a product to the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products sold in variants
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Added to any quantity already in the cart
+ *     responses:
+ *       201:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Product not found
+ */
+router.post("/items", optionalAuth, cartController.addCartItem);
+
+/**
+ * @swagger
+ * /cart/items/{productId}:
+ *   put:
+ *     summary: Set the quantity of a cart line (0 removes it)
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *               variantId:
+ *                 type: string
+ *                 description: Variant of the line, for products sold in variants
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Cart or product not found
+ *   delete:
+ *     summary: Remove a product from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         description: Variant of the line, for products sold in variants
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart not found
+ */
+router.put("/items/:productId", optionalAuth, cartController.updateCartItem);
+router.delete("/items/:productId", optionalAuth, cartController.removeCartItem);
+
+/**
+ * @swagger
+ * /cart/merge:
+ *   post:
+ *     summary: Merge a guest session's cart and wishlist into the signed-in user's
+ *     description: Login does this automatically when given sessionId; use this if the client signed in another way.
+ *     tags: [Cart]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionId
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Merge counts and the user's cart
+ */
+router.post("/merge", auth, cartController.mergeCart);
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Turn the cart into an order
+ *     description: Priced and validated like POST /orders. Ordered quantities are removed from the cart.
+ *     tags: [Cart]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *               - totalPrice
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: ["cash", "credit_card", "zalopay"]
+ *               couponCode:
+ *                 type: string
+ *               totalPrice:
+ *                 type: number
+ *                 description: The total the client expects to pay (see POST /orders/quote)
+ *     responses:
+ *       201:
+ *         description: The created order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Empty cart, invalid coupon or total mismatch
+ *       409:
+ *         description: Items no longer available, or stock/coupon ran out during checkout
+ */
+router.post("/checkout", auth, role(["customer"]), cartController.checkoutCart);
+
+module.exports = router;
@@ -271,6 +271,8 @@ router.post("/sync", auth, role("admin"), async (req, res) => {
  * /cashflow/sync-orders:
  *   post:
  *     summary: Sync completed orders to cash flow transactions
+ *     description: Orders now post revenue and reversals automatically as their status changes. Only needed to backfill orders completed before that.
+ *     deprecated: true
  *     tags: [CashFlow]
  *     security:
  *       - ApiKeyAuth: []
@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+const catalogController = require("../controllers/catalogController");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Catalog
+ *   description: Public storefront browsing
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductCard:
+ *       type: object
+ *       description: Public product fields for listings
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         category:
+ *           type: string
+ *         image:
+ *           type: string
+ *         price:
+ *           type: number
+ *         availableQuantity:
+ *           type: integer
+ *         unitsSold:
+ *           type: integer
+ *         ratings:
+ *           $ref: '#/components/schemas/ProductRatings'
+ *         skinType:
+ *           type: array
+ *           items:
+ *             type: string
+ *         skinConcerns:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /catalog:
+ *   get:
+ *     summary: Get the landing page catalog
+ *     description: >
+ *       The category tree with product counts, where each top-level category carries
+ *       its best-selling in-stock products (subcategories included), plus store-wide
+ *       best sellers, top rated products and new arrivals. Public.
+ *     tags: [Catalog]
+ *     parameters:
+ *       - in: query
+ *         name: productsPerCategory
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *           maximum: 12
+ *         description: Products per category and per featured list
+ *     responses:
+ *       200:
+ *         description: The catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/CategoryTreeNode'
+ *                       - type: object
+ *                         properties:
+ *                           topProducts:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/ProductCard'
+ *                 featured:
+ *                   type: object
+ *                   properties:
+ *                     bestSellers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProductCard'
+ *                     topRated:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProductCard'
+ *                     newArrivals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProductCard'
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ */
+router.get("/", catalogController.getCatalog);
+
+module.exports = router;
@@ -16,9 +16,8 @@ const role = require("../middleware/role");
  * /categories:
  *   get:
  *     summary: Get all categories
+ *     description: Flat list, top level first. Public.
  *     tags: [Categories]
- *     security:
- *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: The list of the categories
@@ -29,7 +28,67 @@ const role = require("../middleware/role");
  *               items:
  *                 $ref: '#/components/schemas/Category'
  */
-router.get("/", auth, categoryController.getAllCategories);
+// Reads are public so anonymous shoppers can browse categories
+router.get("/", categoryController.getAllCategories);
+
+/**
+ * @swagger
+ * /categories/tree:
+ *   get:
+ *     summary: Get the category tree
+ *     description: Top-level categories with their subcategories nested in children, siblings ordered by order then name.
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: The category tree
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryTreeNode'
+ */
+router.get("/tree", categoryController.getCategoryTree);
+
+/**
+ * @swagger
+ * /categories/{id}/tree:
+ *   get:
+ *     summary: Get a category with its breadcrumbs and nested subcategories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The category ID or slug
+ *     responses:
+ *       200:
+ *         description: The category subtree
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CategoryTreeNode'
+ *                 - type: object
+ *                   properties:
+ *                     ancestors:
+ *                       type: array
+ *                       description: From the top-level category down to the parent
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           slug:
+ *                             type: string
+ *       404:
+ *         description: Category not found
+ */
+router.get("/:id/tree", categoryController.getCategorySubtree);
 
 /**
  * @swagger
@@ -37,15 +96,13 @@ router.get("/", auth, categoryController.getAllCategories);
  *   get:
  *     summary: Get a category by ID
  *     tags: [Categories]
- *     security:
- *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
  *           type: string
  *         required: true
- *         description: The category ID
+ *         description: The category ID or slug
  *     responses:
  *       200:
  *         description: The category description by ID
@@ -56,7 +113,7 @@ router.get("/", auth, categoryController.getAllCategories);
  *       404:
  *         description: Category not found
  */
-router.get("/:id", auth, categoryController.getCategoryById);
+router.get("/:id", categoryController.getCategoryById);
 
 /**
  * @swagger
@@ -73,12 +130,18 @@ router.get("/:id", auth, categoryController.getCategoryById);
  *           schema:
  *             $ref: '#/components/schemas/Category'
  *     responses:
- *       200:
+ *       201:
  *         description: The category was successfully created
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid input or parent category
+ *       404:
+ *         description: Parent category not found
+ *       409:
+ *         description: Slug already used
  *       500:
  *         description: Some server error
  */
@@ -112,8 +175,12 @@ router.post("/", auth, role(["admin"]), categoryController.createCategory);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid input, or a move under the category itself or one of its subcategories
  *       404:
- *         description: Category not found
+ *         description: Category or parent category not found
+ *       409:
+ *         description: Slug already used
  *       500:
  *         description: Some server error
  */
@@ -124,6 +191,9 @@ router.put("/:id", auth, role(["admin"]), categoryController.updateCategory);
  * /categories/{id}:
  *   delete:
  *     summary: Remove a category
+ *     description: >
+ *       A category that still has products or subcategories is only deleted when
+ *       reassignTo is given; its products and subcategories are then moved there.
  *     tags: [Categories]
  *     security:
  *       - ApiKeyAuth: []
@@ -134,11 +204,35 @@ router.put("/:id", auth, role(["admin"]), categoryController.updateCategory);
  *           type: string
  *         required: true
  *         description: The category ID
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Category ID that takes over the products and subcategories
  *     responses:
  *       200:
- *         description: The category was deleted
+ *         description: The category was deleted after moving its products and subcategories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 reassignedTo:
+ *                   type: string
+ *                 productsMoved:
+ *                   type: integer
+ *                 subcategoriesMoved:
+ *                   type: integer
+ *       204:
+ *         description: The category was deleted (it had no products or subcategories)
+ *       400:
+ *         description: reassignTo is the category itself or one of its subcategories
  *       404:
- *         description: The category was not found
+ *         description: The category or the reassignTo category was not found
+ *       409:
+ *         description: The category still has products or subcategories and no reassignTo was given
  */
 router.delete("/:id", auth, role(["admin"]), categoryController.deleteCategory);
 
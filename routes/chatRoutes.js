@@ -3,6 +3,7 @@ const router = express.Router();
 const chatController = require("../controllers/chatController");
 const authenticateToken = require("../middleware/auth");
 const optionalAuth = require("../middleware/optionalAuth");
+const role = require("../middleware/role");
 
 /**
  * @swagger
@@ -28,9 +29,15 @@ const optionalAuth = require("../middleware/optionalAuth");
  *     ChatMessage:
  *       type: object
  *       properties:
+ *         id:
+ *           type: string
+ *           description: Message ID, used to acknowledge messages and resume after reconnecting
  *         role:
  *           type: string
  *           enum: [user, assistant]
+ *         from:
+ *           type: string
+ *           enum: [customer, staff, assistant]
  *         content:
  *           type: string
  *         timestamp:
@@ -38,7 +45,51 @@ const optionalAuth = require("../middleware/optionalAuth");
  *           format: date-time
  *         messageType:
  *           type: string
- *           enum: [text, predefined, ai]
+ *           enum: [text, predefined, ai, staff]
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ChatSatisfaction:
+ *       type: object
+ *       required:
+ *         - rating
+ *       properties:
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *           maxLength: 1000
+ *     ChatPerformance:
+ *       type: object
+ *       properties:
+ *         conversations:
+ *           type: integer
+ *           description: Chats closed in the period
+ *         responded:
+ *           type: integer
+ *           description: Chats with a staff reply
+ *         rated:
+ *           type: integer
+ *         averageRating:
+ *           type: number
+ *           nullable: true
+ *         csat:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage of ratings that are 4 or 5 stars
+ *         averageFirstResponseSeconds:
+ *           type: integer
+ *           nullable: true
+ *         averageResolutionSeconds:
+ *           type: integer
+ *           nullable: true
  */
 
 /**
@@ -330,7 +381,11 @@ router.post("/staff/connect", optionalAuth, chatController.connectToStaff);
  *                 type: string
  *     responses:
  *       200:
- *         description: Message sent to staff
+ *         description: Message sent to staff (data.messageId identifies it in WebSocket events)
+ *       404:
+ *         description: Conversation not found
+ *       409:
+ *         description: Conversation is not open for staff chat
  */
 router.post("/staff/message", optionalAuth, chatController.sendMessageToStaff);
 
@@ -339,6 +394,10 @@ router.post("/staff/message", optionalAuth, chatController.sendMessageToStaff);
  * /chat/staff/messages/{sessionId}:
  *   get:
  *     summary: Get new staff messages for customer
+ *     description: >
+ *       Catch-up for clients without a WebSocket (which receive message events and
+ *       resume with lastMessageId instead). Returns the staff messages after lastMessageId,
+ *       or all of them; reset is true when lastMessageId wasn't found.
  *     tags: [Staff Chat]
  *     parameters:
  *       - in: path
@@ -346,12 +405,124 @@ router.post("/staff/message", optionalAuth, chatController.sendMessageToStaff);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: lastMessageId
+ *         schema:
+ *           type: string
+ *         description: ID of the last message the client has
  *     responses:
  *       200:
  *         description: New staff messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     newMessages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ChatMessage'
+ *                     lastMessageId:
+ *                       type: string
+ *                       nullable: true
+ *                     reset:
+ *                       type: boolean
  */
 router.get("/staff/messages/:sessionId", chatController.getStaffMessages);
 
+/**
+ * @swagger
+ * /chat/staff/{sessionId}/close:
+ *   post:
+ *     summary: Customer ends the staff chat
+ *     description: Conversations that belong to a user can only be closed by that user.
+ *     tags: [Staff Chat]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Conversation closed; canRate tells whether an agent took part
+ *       403:
+ *         description: Not your conversation
+ *       404:
+ *         description: Staff chat not found
+ *       409:
+ *         description: Already closed
+ */
+router.post("/staff/:sessionId/close", optionalAuth, chatController.closeStaffChat);
+
+/**
+ * @swagger
+ * /chat/staff/{sessionId}/reopen:
+ *   post:
+ *     summary: Customer reopens a closed staff chat
+ *     description: Allowed within CHAT_REOPEN_HOURS of closing (default 24). The chat goes back to the queue.
+ *     tags: [Staff Chat]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation reopened
+ *       403:
+ *         description: Not your conversation
+ *       409:
+ *         description: Conversation is open or was closed too long ago
+ */
+router.post("/staff/:sessionId/reopen", optionalAuth, chatController.reopenStaffChat);
+
+/**
+ * @swagger
+ * /chat/staff/{sessionId}/rating:
+ *   post:
+ *     summary: Customer rates a closed staff chat
+ *     description: The rating can be changed while the conversation stays closed.
+ *     tags: [Staff Chat]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatSatisfaction'
+ *     responses:
+ *       200:
+ *         description: Rating saved
+ *       400:
+ *         description: Invalid rating or comment
+ *       403:
+ *         description: Not your conversation
+ *       409:
+ *         description: Conversation is still open, or no agent took part
+ */
+router.post("/staff/:sessionId/rating", optionalAuth, chatController.rateStaffChat);
+
 // Admin routes for staff chat management
 /**
  * @swagger
@@ -361,11 +532,309 @@ router.get("/staff/messages/:sessionId", chatController.getStaffMessages);
  *     tags: [Staff Chat Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: "me, unassigned, or an admin user ID"
+ *     responses:
+ *       200:
+ *         description: List of active customer chats, with the assigned agent
+ */
+router.get("/admin/active-chats", authenticateToken, role(["admin"]), chatController.getActiveChats);
+
+/**
+ * @swagger
+ * /chat/admin/queue:
+ *   get:
+ *     summary: Chats waiting for an agent, oldest first (Admin only)
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queued chats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sessionId:
+ *                         type: string
+ *                       position:
+ *                         type: integer
+ *                       customerId:
+ *                         type: string
+ *                         nullable: true
+ *                       customerName:
+ *                         type: string
+ *                       waitingSince:
+ *                         type: string
+ *                         format: date-time
+ *                       lastMessage:
+ *                         type: string
+ *                         nullable: true
+ */
+router.get("/admin/queue", authenticateToken, role(["admin"]), chatController.getChatQueue);
+
+/**
+ * @swagger
+ * /chat/admin/chats/{sessionId}/claim:
+ *   post:
+ *     summary: Take a queued chat (Admin only)
+ *     description: Fails with 409 if another agent has it or you already hold CHAT_MAX_CONCURRENT open chats.
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chat assigned to you
+ *       404:
+ *         description: Conversation not found
+ *       409:
+ *         description: Already assigned, closed, or you are at your chat limit
+ */
+router.post("/admin/chats/:sessionId/claim", authenticateToken, role(["admin"]), chatController.claimChat);
+
+/**
+ * @swagger
+ * /chat/admin/chats/{sessionId}/release:
+ *   post:
+ *     summary: Put a chat back in the queue (assigned agent or admin)
+ *     description: The chat keeps its place in the queue and is offered to another available agent.
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of active customer chats
+ *         description: Chat released (and possibly reassigned)
+ *       403:
+ *         description: Not your chat
+ *       409:
+ *         description: Chat is not assigned or is closed
+ */
+router.post("/admin/chats/:sessionId/release", authenticateToken, role(["admin"]), chatController.releaseChat);
+
+/**
+ * @swagger
+ * /chat/admin/chats/{sessionId}/transfer:
+ *   post:
+ *     summary: Hand a chat to another agent (assigned agent or admin)
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staffId
+ *             properties:
+ *               staffId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Chat transferred
+ *       400:
+ *         description: Missing staffId or the user is not staff
+ *       403:
+ *         description: Not your chat
+ *       404:
+ *         description: Conversation or agent not found
+ *       409:
+ *         description: The agent is at their chat limit, or the chat changed hands meanwhile
+ */
+router.post("/admin/chats/:sessionId/transfer", authenticateToken, role(["admin"]), chatController.transferChat);
+
+/**
+ * @swagger
+ * /chat/admin/chats/{sessionId}/close:
+ *   post:
+ *     summary: Close a chat (assigned agent or admin)
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Conversation closed
+ *       403:
+ *         description: Not your chat
+ *       409:
+ *         description: Already closed
+ */
+router.post("/admin/chats/:sessionId/close", authenticateToken, role(["admin"]), chatController.closeChat);
+
+/**
+ * @swagger
+ * /chat/admin/chats/{sessionId}/reopen:
+ *   post:
+ *     summary: Reopen a closed chat and take it (Admin only)
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation reopened and assigned to you
+ *       409:
+ *         description: Conversation is open, or you are at your chat limit
+ */
+router.post("/admin/chats/:sessionId/reopen", authenticateToken, role(["admin"]), chatController.reopenChat);
+
+/**
+ * @swagger
+ * /chat/admin/reports/performance:
+ *   get:
+ *     summary: CSAT, first-response and resolution times per agent (Admin only)
+ *     description: >
+ *       Covers staff chats closed in the period, attributed to the agent assigned when they closed.
+ *       Times run from when the customer joined the queue; CSAT is the percentage of 4 and 5 star ratings.
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days before to
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     overall:
+ *                       $ref: '#/components/schemas/ChatPerformance'
+ *                     byStaff:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - type: object
+ *                             properties:
+ *                               staffId:
+ *                                 type: string
+ *                               username:
+ *                                 type: string
+ *                           - $ref: '#/components/schemas/ChatPerformance'
+ *       400:
+ *         description: from or to is not a date
+ *       403:
+ *         description: Access denied
+ */
+router.get("/admin/reports/performance", authenticateToken, role(["admin"]), chatController.getChatReport);
+
+/**
+ * @swagger
+ * /chat/admin/presence:
+ *   get:
+ *     summary: Admins currently online for chat (Admin only)
+ *     description: Connections on every server instance are included; connections is the number of instances a user is connected to.
+ *     tags: [Staff Chat Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Online admins and staff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       since:
+ *                         type: string
+ *                         format: date-time
+ *                       connections:
+ *                         type: integer
+ *                       activeChats:
+ *                         type: integer
+ *                       maxChats:
+ *                         type: integer
+ *                       available:
+ *                         type: boolean
+ *       403:
+ *         description: Access denied
  */
-router.get("/admin/active-chats", authenticateToken, chatController.getActiveChats);
+router.get("/admin/presence", authenticateToken, role(["admin"]), chatController.getOnlineStaff);
 
 /**
  * @swagger
@@ -385,13 +854,14 @@ router.get("/admin/active-chats", authenticateToken, chatController.getActiveCha
  *       200:
  *         description: Chat messages
  */
-router.get("/admin/messages/:sessionId", authenticateToken, chatController.getChatMessages);
+router.get("/admin/messages/:sessionId", authenticateToken, role(["admin"]), chatController.getChatMessages);
 
 /**
  * @swagger
  * /chat/admin/reply:
  *   post:
  *     summary: Staff replies to customer (Admin only)
+ *     description: Replying to a queued chat claims it. Chats assigned to another agent return 409.
  *     tags: [Staff Chat Admin]
  *     security:
  *       - bearerAuth: []
@@ -411,9 +881,11 @@ router.get("/admin/messages/:sessionId", authenticateToken, chatController.getCh
  *                 type: string
  *     responses:
  *       200:
- *         description: Reply sent successfully
+ *         description: Reply sent successfully (data.messageId identifies it in WebSocket events)
+ *       409:
+ *         description: Assigned to another agent, or you are at your chat limit
  */
-router.post("/admin/reply", authenticateToken, chatController.staffReply);
+router.post("/admin/reply", authenticateToken, role(["admin"]), chatController.staffReply);
 
 /**
  * @swagger
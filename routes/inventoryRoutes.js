@@ -0,0 +1,362 @@
+const express = require("express");
+const router = express.Router();
+const inventoryController = require("../controllers/inventoryController");
+const auth = require("../middleware/auth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock receiving, adjustments and the inventory ledger
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *           description: Product ID (populated with its name in listings)
+ *         variant:
+ *           type: string
+ *           description: Variant ID, for products with variants
+ *         sku:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [sale, return, restock, adjustment, damage]
+ *         quantity:
+ *           type: integer
+ *           description: Signed change to stock on hand
+ *         balanceAfter:
+ *           type: integer
+ *           description: Stock on hand right after the movement
+ *         actor:
+ *           type: string
+ *           description: User who made the change (empty for system changes)
+ *         reason:
+ *           type: string
+ *         order:
+ *           type: string
+ *         reference:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     StockChange:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - quantity
+ *       properties:
+ *         productId:
+ *           type: string
+ *         variantId:
+ *           type: string
+ *           description: Required for products with variants
+ *         quantity:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *         reference:
+ *           type: string
+ *           description: e.g. a delivery note or stock count number
+ *     ReorderSuggestion:
+ *       type: object
+ *       properties:
+ *         productId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         preferredSupplier:
+ *           type: object
+ *           description: Supplier ID and name, when the product has one
+ *         status:
+ *           type: string
+ *           enum: [low, at_risk, out_of_stock]
+ *         available:
+ *           type: integer
+ *           description: Stock on hand minus reserved stock
+ *         reorderPoint:
+ *           type: integer
+ *         leadTimeDays:
+ *           type: number
+ *         dailyVelocity:
+ *           type: number
+ *           description: Average units ordered per day
+ *         daysOfStock:
+ *           type: number
+ *           nullable: true
+ *           description: Days until sellable stock runs out at the current velocity (null without sales)
+ *         projectedStockoutAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         incomingQuantity:
+ *           type: integer
+ *           description: Still due on open purchase orders
+ *         suggestedReorderQuantity:
+ *           type: integer
+ *     StockChangeResult:
+ *       type: object
+ *       properties:
+ *         product:
+ *           $ref: '#/components/schemas/Product'
+ *         movement:
+ *           $ref: '#/components/schemas/InventoryMovement'
+ */
+
+/**
+ * @swagger
+ * /inventory/receive:
+ *   post:
+ *     summary: Receive stock into inventory
+ *     tags: [Inventory]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockChange'
+ *     responses:
+ *       201:
+ *         description: Stock was added and a restock movement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockChangeResult'
+ *       400:
+ *         description: Invalid product, variant or quantity
+ *       404:
+ *         description: Product or variant not found
+ */
+router.post("/receive", auth, role(["admin"]), inventoryController.receiveStock);
+
+/**
+ * @swagger
+ * /inventory/adjustments:
+ *   post:
+ *     summary: Correct stock after a count, or write off damaged stock
+ *     description: Quantity is signed; damage must be negative. Stock reserved by unpaid orders can't be removed.
+ *     tags: [Inventory]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/StockChange'
+ *               - type: object
+ *                 required:
+ *                   - reason
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [adjustment, damage]
+ *                     default: adjustment
+ *     responses:
+ *       201:
+ *         description: Stock was changed and the movement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockChangeResult'
+ *       400:
+ *         description: Invalid input or missing reason
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Not enough unreserved stock to remove
+ */
+router.post("/adjustments", auth, role(["admin"]), inventoryController.createAdjustment);
+
+/**
+ * @swagger
+ * /inventory/movements:
+ *   get:
+ *     summary: Get stock movement history, newest first
+ *     tags: [Inventory]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, return, restock, adjustment, damage]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: A page of movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filters
+ */
+router.get("/movements", auth, role(["admin"]), inventoryController.getMovements);
+
+/**
+ * @swagger
+ * /inventory/reconciliation:
+ *   get:
+ *     summary: Compare product stock with the sum of its ledger movements
+ *     description: >
+ *       Lists stock items (products, or variants of products that have them) whose
+ *       stockQuantity differs from their ledger sum. "untracked" items have stock
+ *       but no movements yet (stock from before the ledger).
+ *     tags: [Inventory]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeMatched
+ *         schema:
+ *           type: boolean
+ *         description: Also list items whose stock agrees with the ledger
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     stockItems:
+ *                       type: integer
+ *                     matched:
+ *                       type: integer
+ *                     mismatched:
+ *                       type: integer
+ *                     untracked:
+ *                       type: integer
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       variantId:
+ *                         type: string
+ *                       sku:
+ *                         type: string
+ *                       stockQuantity:
+ *                         type: integer
+ *                       ledgerQuantity:
+ *                         type: integer
+ *                       difference:
+ *                         type: integer
+ *                       movements:
+ *                         type: integer
+ *                       lastMovementAt:
+ *                         type: string
+ *                         format: date-time
+ *                       status:
+ *                         type: string
+ *                         enum: [matched, mismatched, untracked]
+ */
+router.get("/reconciliation", auth, role(["admin"]), inventoryController.getReconciliation);
+
+/**
+ * @swagger
+ * /inventory/reorder-suggestions:
+ *   get:
+ *     summary: Get products that need restocking, most urgent first
+ *     description: >
+ *       Based on sellable stock (on hand minus reserved), each product's reorder point
+ *       and lead time, sales velocity over recent orders and quantities still due on
+ *       open purchase orders. Products with status "ok" are left out.
+ *     tags: [Inventory]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Reorder suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 total:
+ *                   type: integer
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReorderSuggestion'
+ */
+router.get("/reorder-suggestions", auth, role(["admin"]), inventoryController.getReorderSuggestions);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/orderController");
+const shipmentController = require("../controllers/shipmentController");
 const auth = require("../middleware/auth");
 const role = require("../middleware/role");
 
@@ -33,27 +34,105 @@ const role = require("../middleware/role");
  *               productId:
  *                 type: string
  *                 description: The product ID
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products sold in variants (size, shade)
+ *               sku:
+ *                 type: string
+ *                 readOnly: true
+ *                 description: Variant SKU at the time of the order
+ *               variantOptions:
+ *                 type: object
+ *                 readOnly: true
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: "Variant options at the time of the order, e.g. size: 50ml"
  *               quantity:
  *                 type: integer
  *                 description: The quantity of the product
+ *               shippedQuantity:
+ *                 type: integer
+ *                 readOnly: true
+ *                 description: Units already in a shipment
  *         paymentMethod:
  *           type: string
  *           enum: ["cash", "credit_card", "zalopay"]
  *           description: The payment method
  *         status:
  *           type: string
- *           enum: ["processing", "shipping", "completed"]
- *           description: The order status
+ *           enum: ["pending_payment", "paid", "processing", "shipped", "delivered", "completed", "cancelled", "return_requested", "returned", "refunded"]
+ *           description: The order status (set by the server on creation)
+ *         statusHistory:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               actor:
+ *                 type: string
+ *               actorRole:
+ *                 type: string
+ *                 enum: ["admin", "customer", "system"]
+ *               note:
+ *                 type: string
+ *         couponCode:
+ *           type: string
+ *           writeOnly: true
+ *           description: Optional promotion code to apply
  *         totalPrice:
  *           type: number
- *           description: The total price of the order
+ *           description: The total the client expects to pay; rejected if it differs from the server-computed grand total
+ *         pricing:
+ *           type: object
+ *           readOnly: true
+ *           description: Server-computed price breakdown
+ *           properties:
+ *             subtotal:
+ *               type: number
+ *             discounts:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *             discountTotal:
+ *               type: number
+ *             taxes:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   rate:
+ *                     type: number
+ *                   amount:
+ *                     type: number
+ *             taxTotal:
+ *               type: number
+ *             shippingFee:
+ *               type: number
+ *             grandTotal:
+ *               type: number
  *       example:
  *         user: "60d0fe4f5311236168a109ca"
  *         products:
  *           - productId: "60d0fe4f5311236168a109cb"
  *             quantity: 2
  *         paymentMethod: "credit_card"
- *         status: "processing"
+ *         status: "pending_payment"
  *         totalPrice: 100.0
  */
 
@@ -94,14 +173,54 @@ router.get("/", auth, role(["admin", "customer"]), orderController.getAllOrders)
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid products, insufficient stock or total mismatch
+ *       409:
+ *         description: Stock changed while processing the order
  */
 router.post("/", auth, role(["customer"]), orderController.createOrder);
 
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     summary: Price a cart without placing an order
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - products
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Priced lines and price breakdown, including any coupon discount
+ *       400:
+ *         description: Invalid products or coupon code
+ */
+router.post("/quote", auth, role(["customer"]), orderController.quoteOrder);
+
 /**
  * @swagger
  * /orders/{id}:
  *   put:
- *     summary: Update an existing order
+ *     summary: Move an order to a new status (Admin only)
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -115,7 +234,15 @@ router.post("/", auth, role(["customer"]), orderController.createOrder);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Order'
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Target status, must be a valid transition from the current one
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
  *         description: The updated order
@@ -123,11 +250,81 @@ router.post("/", auth, role(["customer"]), orderController.createOrder);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Transition not allowed
  *       404:
  *         description: Order not found
  */
 router.put("/:id", auth, role(["admin"]), orderController.updateOrderStatus);
 
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order and restore its stock
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Cancellation reason
+ *     responses:
+ *       200:
+ *         description: The cancelled order
+ *       400:
+ *         description: Order can no longer be cancelled (e.g. some items have shipped)
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Items shipped while the order was being cancelled
+ */
+router.post("/:id/cancel", auth, role(["admin", "customer"]), orderController.cancelOrder);
+
+/**
+ * @swagger
+ * /orders/{id}/return-request:
+ *   post:
+ *     summary: Request a return for a delivered or completed order
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Return reason
+ *     responses:
+ *       200:
+ *         description: The order with status return_requested
+ *       400:
+ *         description: Order is not eligible for return
+ *       404:
+ *         description: Order not found
+ */
+router.post("/:id/return-request", auth, role(["admin", "customer"]), orderController.requestReturn);
+
 /**
  * @swagger
  * /orders/{id}:
@@ -226,4 +423,236 @@ router.get("/user/:id", auth, role(["admin", "customer"]), orderController.getOr
  */
 router.get("/order/:id", auth, role(["admin", "customer"]), orderController.getOrderByOrderId);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shipment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         carrier:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *         trackingUrl:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: ["label_created", "in_transit", "out_for_delivery", "delivered", "exception"]
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               lineId:
+ *                 type: string
+ *                 description: ID of the entry in the order's products
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *         shippingAddress:
+ *           $ref: '#/components/schemas/ShippingAddress'
+ *         trackingEvents:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *     ShippingAddress:
+ *       type: object
+ *       required:
+ *         - address
+ *       properties:
+ *         recipientName:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         address:
+ *           type: string
+ *         city:
+ *           type: string
+ *         postalCode:
+ *           type: string
+ *         country:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /orders/{id}/shipments:
+ *   post:
+ *     summary: Ship some or all of an order's remaining items
+ *     description: With no items, every unit not yet shipped goes in this shipment. The order moves to shipped once every unit has shipped.
+ *     tags: [Orders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                     productId:
+ *                       type: string
+ *                       description: Alternative to lineId
+ *                     quantity:
+ *                       type: integer
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/ShippingAddress'
+ *     responses:
+ *       201:
+ *         description: Shipment created, with the updated order
+ *       400:
+ *         description: Order cannot ship these items
+ *       404:
+ *         description: Order not found
+ */
+router.post("/:id/shipments", auth, role(["admin"]), shipmentController.createShipment);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments/{shipmentId}/events:
+ *   post:
+ *     summary: Record a carrier status update on a shipment
+ *     description: When the last shipment of a fully shipped order is delivered, the order moves to delivered.
+ *     tags: [Orders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The order ID
+ *       - in: path
+ *         name: shipmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The shipment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: ["in_transit", "out_for_delivery", "delivered", "exception"]
+ *               location:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Updated shipment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shipment'
+ *       400:
+ *         description: Invalid status or shipment already delivered
+ *       404:
+ *         description: Shipment not found
+ */
+router.post("/:id/shipments/:shipmentId/events", auth, role(["admin"]), shipmentController.addTrackingEvent);
+
+/**
+ * @swagger
+ * /orders/order/{id}/shipments:
+ *   get:
+ *     summary: Get shipments and tracking history for an order
+ *     tags: [Orders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The order ID
+ *     responses:
+ *       200:
+ *         description: Shipped quantity per order line and every shipment with its tracking events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       lineId:
+ *                         type: string
+ *                       productId:
+ *                         type: string
+ *                       quantity:
+ *                         type: integer
+ *                       shippedQuantity:
+ *                         type: integer
+ *                 shipments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shipment'
+ *       404:
+ *         description: Order not found
+ */
+router.get("/order/:id/shipments", auth, role(["admin", "customer"]), shipmentController.getOrderShipments);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,233 @@
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../controllers/paymentController");
+const auth = require("../middleware/auth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Order payments (cash on delivery, credit card, ZaloPay)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         user:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           enum: ["cash", "credit_card", "zalopay"]
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: ["pending", "succeeded", "cancelled", "refunded"]
+ *         providerReference:
+ *           type: string
+ *           description: Our id for the provider transaction (e.g. ZaloPay app_trans_id)
+ *         providerTransactionId:
+ *           type: string
+ *           description: The provider's id for the settled transaction
+ *         redirectUrl:
+ *           type: string
+ *           description: Where the customer completes a redirect-based payment
+ *         providerData:
+ *           type: object
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: ["create", "callback", "query", "settle"]
+ *               success:
+ *                 type: boolean
+ *               message:
+ *                 type: string
+ *               providerReference:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ *         revenueTransaction:
+ *           type: string
+ *         requiresRefund:
+ *           type: boolean
+ *           description: Money arrived for an order that could no longer accept it
+ */
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     summary: List payments
+ *     tags: [Payments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requiresRefund
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of payments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Payment'
+ */
+router.get("/", auth, role(["admin"]), paymentController.getAllPayments);
+
+/**
+ * @swagger
+ * /payments/{provider}/callback:
+ *   post:
+ *     summary: Payment provider callback (e.g. ZaloPay, verified with its key2 MAC)
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: ["zalopay"]
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Provider-specific payload; ZaloPay sends { data, mac, type }
+ *     responses:
+ *       200:
+ *         description: Acknowledgement in the provider's format (ZaloPay { return_code, return_message })
+ *       404:
+ *         description: Unknown provider
+ */
+router.post("/:provider/callback", paymentController.providerCallback);
+
+/**
+ * @swagger
+ * /payments/orders/{orderId}:
+ *   get:
+ *     summary: Get the payment for an order
+ *     tags: [Payments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Order not found
+ *   post:
+ *     summary: Pay for an order (charge a card, or get the ZaloPay redirect URL)
+ *     tags: [Payments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               card:
+ *                 type: object
+ *                 description: Required for credit_card orders (mock gateway; 4242424242424242 is approved)
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                   expMonth:
+ *                     type: integer
+ *                   expYear:
+ *                     type: integer
+ *                   cvc:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Payment started (pending, with redirectUrl) or succeeded
+ *       400:
+ *         description: Order cannot be paid in its current status
+ *       402:
+ *         description: Card declined
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Payment already settled
+ *       502:
+ *         description: Provider error
+ *       503:
+ *         description: Provider not configured
+ */
+router.get("/orders/:orderId", auth, role(["admin", "customer"]), paymentController.getOrderPayment);
+router.post("/orders/:orderId", auth, role(["customer"]), paymentController.payOrder);
+
+/**
+ * @swagger
+ * /payments/orders/{orderId}/refresh:
+ *   post:
+ *     summary: Ask the provider for the payment status and settle it if paid
+ *     tags: [Payments]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Payment status and current order status
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: Provider error
+ */
+router.post("/orders/:orderId/refresh", auth, role(["admin", "customer"]), paymentController.refreshOrderPayment);
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const productController = require("../controllers/productController");
+const reviewController = require("../controllers/reviewController");
 const auth = require("../middleware/auth");
 const role = require("../middleware/role");
-const multer = require("multer");
+const { uploadProductImages } = require("../middleware/productImages");
+const { uploadImportFile } = require("../middleware/productImport");
 const path = require("path");
 const fs = require("fs");
 
@@ -13,22 +15,15 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/"); // Set the destination folder for uploaded files
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + "-" + file.originalname); // Set the file name
-  },
-});
-const upload = multer({ storage: storage });
+router.post("/", auth, role(["admin"]), uploadProductImages, productController.createProduct);
 
-router.post("/", auth, role(["admin"]), upload.single("image"), productController.createProduct);
+// Bulk import/export (declared before /:id so "export" isn't taken for an ID)
+router.post("/import", auth, role(["admin"]), uploadImportFile, productController.importProducts);
+router.get("/export", auth, role(["admin"]), productController.exportProducts);
 
 
 
-router.put("/:id", auth, role(["admin"]), upload.single("image"), productController.updateProduct);
+router.put("/:id", auth, role(["admin"]), uploadProductImages, productController.updateProduct);
 
 // Allow unauthenticated requests to get all products and get product by ID
 router.get("/", productController.getAllProducts);
@@ -36,6 +31,16 @@ router.get("/:id", productController.getProductById);
 
 router.delete("/:id", auth, role(["admin"]), productController.deleteProduct);
 
+// Gallery management
+router.post("/:id/images", auth, role(["admin"]), uploadProductImages, productController.addProductImages);
+router.put("/:id/images/order", auth, role(["admin"]), productController.reorderProductImages);
+router.delete("/:id/images/:imageId", auth, role(["admin"]), productController.removeProductImage);
+
+// Reviews
+router.get("/:id/reviews", reviewController.getProductReviews);
+router.get("/:id/reviews/eligibility", auth, role(["customer"]), reviewController.getReviewEligibility);
+router.post("/:id/reviews", auth, role(["customer"]), reviewController.createReview);
+
 module.exports = router;
 
 /**
@@ -49,19 +54,153 @@ module.exports = router;
  * @swagger
  * /products:
  *   get:
- *     summary: Get all products
+ *     summary: Get all products, or search the catalog
+ *     description: >
+ *       Without query parameters every product is returned as a plain array.
+ *       With any of the parameters below the response is a page of results
+ *       with pagination and facet counts for a storefront sidebar. Facet counts
+ *       for a filter ignore that filter's own selection.
  *     tags: [Products]
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over name, description, ingredients, benefits, tags and usage
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category IDs (products in their subcategories match too)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: skinType
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skin types; products for "all" skin types always match
+ *       - in: query
+ *         name: skinConcerns
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skin concerns (any may match)
+ *       - in: query
+ *         name: ingredients
+ *         schema:
+ *           type: string
+ *         description: Comma-separated ingredients (all must be present)
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with sellable stock
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: ["relevance", "price_asc", "price_desc", "newest", "best_selling", "top_rated", "name"]
+ *         description: Defaults to relevance when q is given, otherwise newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: The list of the products
+ *         description: The list of the products, or a page of search results
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 - type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Product'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         total:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         categories:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                         skinType:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FacetCount'
+ *                         skinConcerns:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FacetCount'
+ *                         ingredients:
+ *                           type: array
+ *                           description: The 20 most common ingredients
+ *                           items:
+ *                             $ref: '#/components/schemas/FacetCount'
+ *                         priceRanges:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
+ *                               count:
+ *                                 type: integer
+ *                         inStock:
+ *                           type: integer
+ *       400:
+ *         description: Invalid search parameters
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FacetCount:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *         count:
+ *           type: integer
  */
 
 /**
@@ -107,17 +246,40 @@ module.exports = router;
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
  *               categoryId:
  *                 type: string
  *               image:
  *                 type: string
  *                 format: binary
+ *                 description: Main image (JPEG, PNG or WebP, up to PRODUCT_IMAGE_MAX_MB); on update it replaces the current main image
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Extra gallery images, added after the existing ones (at most 10 per product)
  *               price:
  *                 type: number
  *               description:
  *                 type: string
  *               stockQuantity:
  *                 type: number
+ *               variants:
+ *                 type: string
+ *                 description: >
+ *                   JSON array of { sku, options, price, stockQuantity, image }. When present,
+ *                   price and stockQuantity are derived from the variants (lowest price, total stock).
+ *               reorderPoint:
+ *                 type: number
+ *               reorderQuantity:
+ *                 type: number
+ *               leadTimeDays:
+ *                 type: number
+ *               preferredSupplier:
+ *                 type: string
+ *                 description: Supplier ID
  *     responses:
  *       200:
  *         description: The product was successfully created
@@ -153,17 +315,43 @@ module.exports = router;
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
  *               categoryId:
  *                 type: string
  *               image:
  *                 type: string
  *                 format: binary
+ *                 description: Main image (JPEG, PNG or WebP, up to PRODUCT_IMAGE_MAX_MB); on update it replaces the current main image
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Extra gallery images, added after the existing ones (at most 10 per product)
  *               price:
  *                 type: number
  *               description:
  *                 type: string
  *               stockQuantity:
  *                 type: number
+ *                 description: >
+ *                   New stock count for a product without variants, recorded as an inventory
+ *                   adjustment. It can't go below the stock reserved by unpaid orders.
+ *               variants:
+ *                 type: string
+ *                 description: >
+ *                   JSON array of { sku, options, price, stockQuantity, image }. When present,
+ *                   price and stockQuantity are derived from the variants (lowest price, total stock).
+ *               reorderPoint:
+ *                 type: number
+ *               reorderQuantity:
+ *                 type: number
+ *               leadTimeDays:
+ *                 type: number
+ *               preferredSupplier:
+ *                 type: string
+ *                 description: Supplier ID
  *     responses:
  *       200:
  *         description: The product was successfully updated
@@ -173,6 +361,8 @@ module.exports = router;
  *               $ref: '#/components/schemas/Product'
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: The new stock is below what unpaid orders have reserved
  *       500:
  *         description: Some server error
  */
@@ -197,4 +387,467 @@ module.exports = router;
  *         description: The product was deleted
  *       404:
  *         description: The product was not found
- */
\ No newline at end of file
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         thumbnailUrl:
+ *           type: string
+ *           description: 200x200 WebP
+ *         mediumUrl:
+ *           type: string
+ *           description: Up to 800px WebP
+ *         alt:
+ *           type: string
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         contentType:
+ *           type: string
+ *         size:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Add images to the end of a product's gallery
+ *     tags: [Products]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: The product with its updated gallery
+ *       400:
+ *         description: No images, or more than 10 images in the gallery
+ *       404:
+ *         description: Product not found
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Not a JPEG, PNG or WebP image
+ */
+
+/**
+ * @swagger
+ * /products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product's gallery (the first image becomes the main image)
+ *     tags: [Products]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every image ID of the product, in the new order
+ *     responses:
+ *       200:
+ *         description: The product with its reordered gallery
+ *       400:
+ *         description: imageIds doesn't match the gallery
+ *       404:
+ *         description: Product not found
+ */
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Remove an image from a product's gallery and delete its files
+ *     tags: [Products]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: imageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The product with its updated gallery
+ *       404:
+ *         description: Product or image not found
+ */
+
+/**
+ * @swagger
+ * /products/import:
+ *   post:
+ *     summary: Bulk create or update products from CSV or JSON
+ *     description: >
+ *       Products are matched by SKU (product or variant) and then by name; matches are
+ *       updated with the fields given and the rest are created. Categories are given by
+ *       name. In CSV, list fields (ingredients, skinType, benefits, tags, skinConcerns)
+ *       are separated by "|", empty cells leave a field unchanged, and "option:<name>"
+ *       columns turn rows with the same name into variants of one product. Rows with
+ *       errors are skipped and reported; the others are saved unless dryRun is set.
+ *     tags: [Products]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report without saving anything
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *         description: Format of the uploaded file (default from its extension)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or JSON file, up to 5 MB
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/ProductImportItem'
+ *     responses:
+ *       200:
+ *         description: Validation report (dry run, or nothing created)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImportReport'
+ *       201:
+ *         description: Products were created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductImportReport'
+ *       400:
+ *         description: The file couldn't be read (bad CSV/JSON, unknown columns)
+ *       413:
+ *         description: The file is too large
+ */
+
+/**
+ * @swagger
+ * /products/export:
+ *   get:
+ *     summary: Export all products in the import format
+ *     tags: [Products]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: A file download; CSV has one row per product or per variant
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductImportItem'
+ *       400:
+ *         description: Unsupported format
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductImportItem:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         category:
+ *           type: string
+ *           description: Category name (or ID)
+ *         price:
+ *           type: number
+ *         stockQuantity:
+ *           type: integer
+ *         description:
+ *           type: string
+ *         usage:
+ *           type: string
+ *         image:
+ *           type: string
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             type: string
+ *         skinType:
+ *           type: array
+ *           items:
+ *             type: string
+ *         benefits:
+ *           type: array
+ *           items:
+ *             type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         skinConcerns:
+ *           type: array
+ *           items:
+ *             type: string
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               price:
+ *                 type: number
+ *               stockQuantity:
+ *                 type: integer
+ *               image:
+ *                 type: string
+ *     ProductImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             created:
+ *               type: integer
+ *             updated:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: CSV rows (header is row 1) or JSON array positions (from 1)
+ *               name:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [create, update]
+ *               productId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [valid, created, updated, error]
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   get:
+ *     summary: Get a product's approved reviews and its ratings
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Only reviews with this many stars
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ratings:
+ *                   $ref: '#/components/schemas/ProductRatings'
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filters
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Review a product from a completed order
+ *     description: The review is shown once an admin approves it. Each customer can review a product once.
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewInput'
+ *     responses:
+ *       201:
+ *         description: The review, pending moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid rating
+ *       403:
+ *         description: No completed order containing this product
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Already reviewed
+ */
+
+/**
+ * @swagger
+ * /products/{id}/reviews/eligibility:
+ *   get:
+ *     summary: Check whether the signed-in customer can review a product
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product ID
+ *     responses:
+ *       200:
+ *         description: Eligible when the customer has a completed order containing the product and hasn't reviewed it yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eligible:
+ *                   type: boolean
+ *                 hasCompletedOrder:
+ *                   type: boolean
+ *                 alreadyReviewed:
+ *                   type: boolean
+ */
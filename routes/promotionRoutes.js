@@ -0,0 +1,219 @@
+const express = require("express");
+const router = express.Router();
+const promotionController = require("../controllers/promotionController");
+const auth = require("../middleware/auth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Coupon and promotion management
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - type
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Coupon code entered by customers (stored uppercase)
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping, buy_x_get_y]
+ *         value:
+ *           type: number
+ *           description: Percentage (0-100) or fixed amount off
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap for percentage discounts
+ *         buyQuantity:
+ *           type: integer
+ *           description: Units to buy for buy_x_get_y
+ *         getQuantity:
+ *           type: integer
+ *           description: Free units for buy_x_get_y
+ *         minSubtotal:
+ *           type: number
+ *         products:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Product IDs the promotion is limited to
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Category IDs the promotion is limited to, subcategories included
+ *         usageLimit:
+ *           type: integer
+ *           description: Total uses allowed (null = unlimited)
+ *         usageLimitPerUser:
+ *           type: integer
+ *           description: Uses allowed per customer (null = unlimited)
+ *         usageCount:
+ *           type: integer
+ *           readOnly: true
+ *           description: Orders placed with the promotion, not counting cancelled or refunded ones
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         code: "SUMMER20"
+ *         name: "Summer 20% off serums"
+ *         type: "percentage"
+ *         value: 20
+ *         maxDiscount: 50
+ *         categories: ["60d0fe4f5311236168a109cc"]
+ *         usageLimit: 500
+ *         usageLimitPerUser: 1
+ *         startsAt: "2025-06-01T00:00:00.000Z"
+ *         endsAt: "2025-08-31T23:59:59.000Z"
+ */
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     summary: Get all promotions (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active flag
+ *     responses:
+ *       200:
+ *         description: The list of promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ */
+router.get("/", auth, role(["admin"]), promotionController.getAllPromotions);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     summary: Get a promotion by ID (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The promotion ID
+ *     responses:
+ *       200:
+ *         description: The promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       404:
+ *         description: Promotion not found
+ */
+router.get("/:id", auth, role(["admin"]), promotionController.getPromotionById);
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     summary: Create a promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: The created promotion
+ *       400:
+ *         description: Validation error or duplicate code
+ */
+router.post("/", auth, role(["admin"]), promotionController.createPromotion);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   put:
+ *     summary: Update a promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The promotion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: The updated promotion
+ *       400:
+ *         description: Validation error or duplicate code
+ *       404:
+ *         description: Promotion not found
+ */
+router.put("/:id", auth, role(["admin"]), promotionController.updatePromotion);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   delete:
+ *     summary: Delete a promotion (Admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The promotion ID
+ *     responses:
+ *       204:
+ *         description: Promotion deleted
+ *       404:
+ *         description: Promotion not found
+ */
+router.delete("/:id", auth, role(["admin"]), promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,379 @@
+const express = require("express");
+const router = express.Router();
+const purchaseOrderController = require("../controllers/purchaseOrderController");
+const auth = require("../middleware/auth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: PurchaseOrders
+ *   description: Restocking from suppliers
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrderLineInput:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - quantity
+ *         - unitCost
+ *       properties:
+ *         productId:
+ *           type: string
+ *         variantId:
+ *           type: string
+ *           description: Required for products with variants
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *         unitCost:
+ *           type: number
+ *           minimum: 0
+ *     PurchaseOrder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         poNumber:
+ *           type: string
+ *         supplier:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               productName:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitCost:
+ *                 type: number
+ *               receivedQuantity:
+ *                 type: integer
+ *         currency:
+ *           type: string
+ *         expectedDeliveryDate:
+ *           type: string
+ *           format: date-time
+ *         orderedAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         receipts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               receivedAt:
+ *                 type: string
+ *                 format: date-time
+ *               receivedBy:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               cost:
+ *                 type: number
+ *               reference:
+ *                 type: string
+ *               cashFlowTransaction:
+ *                 type: string
+ *         totalCost:
+ *           type: number
+ *         outstandingCost:
+ *           type: number
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /purchase-orders:
+ *   get:
+ *     summary: List purchase orders
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase orders, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PurchaseOrder'
+ */
+router.get("/", auth, role(["admin"]), purchaseOrderController.getAllPurchaseOrders);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The purchase order with its supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get("/:id", auth, role(["admin"]), purchaseOrderController.getPurchaseOrderById);
+
+/**
+ * @swagger
+ * /purchase-orders:
+ *   post:
+ *     summary: Create a purchase order
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *               - lines
+ *             properties:
+ *               supplierId:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PurchaseOrderLineInput'
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
+ *               currency:
+ *                 type: string
+ *                 default: USD
+ *               notes:
+ *                 type: string
+ *               submit:
+ *                 type: boolean
+ *                 description: Place the order straight away instead of saving a draft
+ *     responses:
+ *       201:
+ *         description: The created purchase order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         description: Invalid supplier or lines
+ *       404:
+ *         description: Supplier, product or variant not found
+ */
+router.post("/", auth, role(["admin"]), purchaseOrderController.createPurchaseOrder);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}:
+ *   put:
+ *     summary: Update a purchase order
+ *     description: Supplier, lines and currency can only change on drafts; the expected delivery date and notes while the order is open.
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplierId:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PurchaseOrderLineInput'
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
+ *               currency:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated purchase order
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The order can no longer be changed that way
+ */
+router.put("/:id", auth, role(["admin"]), purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/place:
+ *   post:
+ *     summary: Place a draft purchase order with the supplier
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The order, now ordered
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The order is not a draft
+ */
+router.post("/:id/place", auth, role(["admin"]), purchaseOrderController.placePurchaseOrder);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Receive a delivery against a purchase order
+ *     description: >
+ *       Adds the received quantities to stock (restock movements in the inventory ledger)
+ *       and posts their cost as a cost_of_goods_sold cash flow outflow. Without lines,
+ *       everything still outstanding is received.
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                       description: _id of the purchase order line
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reference:
+ *                 type: string
+ *                 description: Delivery note or invoice number
+ *               receivedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Delivery booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchaseOrder:
+ *                   $ref: '#/components/schemas/PurchaseOrder'
+ *                 receipt:
+ *                   type: object
+ *                 cashFlowTransaction:
+ *                   type: object
+ *       400:
+ *         description: Unknown lines or more than is outstanding
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The order is not open for receiving
+ */
+router.post("/:id/receive", auth, role(["admin"]), purchaseOrderController.receivePurchaseOrder);
+
+/**
+ * @swagger
+ * /purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a purchase order (received quantities stay in stock)
+ *     tags: [PurchaseOrders]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled order
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The order is already received or cancelled
+ */
+router.post("/:id/cancel", auth, role(["admin"]), purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
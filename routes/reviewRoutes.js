@@ -0,0 +1,262 @@
+const express = require("express");
+const router = express.Router();
+const reviewController = require("../controllers/reviewController");
+const auth = require("../middleware/auth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Product reviews by customers who bought the product, with admin moderation
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductRatings:
+ *       type: object
+ *       description: Computed from approved reviews
+ *       properties:
+ *         average:
+ *           type: number
+ *           description: Average stars, one decimal (0 without reviews)
+ *         count:
+ *           type: integer
+ *         distribution:
+ *           type: object
+ *           description: Number of reviews per star
+ *           properties:
+ *             1:
+ *               type: integer
+ *             2:
+ *               type: integer
+ *             3:
+ *               type: integer
+ *             4:
+ *               type: integer
+ *             5:
+ *               type: integer
+ *     ReviewInput:
+ *       type: object
+ *       required:
+ *         - rating
+ *       properties:
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *           maxLength: 120
+ *         comment:
+ *           type: string
+ *           maxLength: 2000
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         user:
+ *           type: string
+ *           description: Populated with the username in listings
+ *         rating:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         moderationNote:
+ *           type: string
+ *           description: Reason given when a review is rejected
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /reviews/mine:
+ *   get:
+ *     summary: Get the signed-in customer's reviews, in any status
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The customer's reviews, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Review'
+ */
+router.get("/mine", auth, role(["customer"]), reviewController.getMyReviews);
+
+/**
+ * @swagger
+ * /reviews/moderation:
+ *   get:
+ *     summary: Get reviews to moderate, oldest first
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of reviews with their product and author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filters
+ */
+router.get("/moderation", auth, role(["admin"]), reviewController.getModerationQueue);
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   put:
+ *     summary: Edit own review
+ *     description: The edited review goes back to the moderation queue and leaves the product's ratings until approved again.
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewInput'
+ *     responses:
+ *       200:
+ *         description: The updated review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid rating
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete own review (admins can delete any review)
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The review ID
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       404:
+ *         description: Review not found
+ */
+router.put("/:id", auth, role(["customer"]), reviewController.updateReview);
+router.delete("/:id", auth, role(["admin", "customer"]), reviewController.deleteReview);
+
+/**
+ * @swagger
+ * /reviews/{id}/moderation:
+ *   put:
+ *     summary: Approve or reject a review
+ *     tags: [Reviews]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               note:
+ *                 type: string
+ *                 description: Reason shown to the customer
+ *     responses:
+ *       200:
+ *         description: The moderated review; the product's ratings are updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Review not found
+ */
+router.put("/:id/moderation", auth, role(["admin"]), reviewController.moderateReview);
+
+module.exports = router;
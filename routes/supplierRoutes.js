@@ -0,0 +1,174 @@
+const express = require("express");
+const router = express.Router();
+const supplierController = require("../controllers/supplierController");
+const auth = require("../middleware/auth");
+const role = require("../middleware/role");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppliers
+ *   description: Supplier management
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Supplier:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Unique (case-insensitive)
+ *         contactName:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         address:
+ *           type: string
+ *         paymentTermsDays:
+ *           type: integer
+ *           description: Days after delivery the invoice is due
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /suppliers:
+ *   get:
+ *     summary: List suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the supplier name
+ *     responses:
+ *       200:
+ *         description: Suppliers sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Supplier'
+ */
+router.get("/", auth, role(["admin"]), supplierController.getAllSuppliers);
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier with its 20 most recent purchase orders
+ *     tags: [Suppliers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The supplier
+ *       404:
+ *         description: Supplier not found
+ */
+router.get("/:id", auth, role(["admin"]), supplierController.getSupplierById);
+
+/**
+ * @swagger
+ * /suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ *     responses:
+ *       201:
+ *         description: The created supplier
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A supplier with this name already exists
+ */
+router.post("/", auth, role(["admin"]), supplierController.createSupplier);
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Supplier'
+ *     responses:
+ *       200:
+ *         description: The updated supplier
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: A supplier with this name already exists
+ */
+router.put("/:id", auth, role(["admin"]), supplierController.updateSupplier);
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier without purchase orders
+ *     tags: [Suppliers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Supplier deleted
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: The supplier has purchase orders; deactivate it instead
+ */
+router.delete("/:id", auth, role(["admin"]), supplierController.deleteSupplier);
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require("express");
+const router = express.Router();
+const wishlistController = require("../controllers/wishlistController");
+const optionalAuth = require("../middleware/optionalAuth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wishlist
+ *   description: Saved products for signed-in users and guests
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wishlist:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           description: Guest session ID; absent for signed-in users
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ *               name:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               image:
+ *                 type: string
+ *               available:
+ *                 type: boolean
+ *                 description: False if the product has been removed from the catalogue
+ *               inStock:
+ *                 type: boolean
+ */
+
+/**
+ * @swagger
+ * /wishlist:
+ *   get:
+ *     summary: Get the wishlist
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: The wishlist (empty if there is none yet)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ */
+router.get("/", optionalAuth, wishlistController.getWishlist);
+
+/**
+ * @swagger
+ * /wishlist/items:
+ *   post:
+ *     summary: Save a product to the wishlist
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The updated wishlist
+ *       404:
+ *         description: Product not found
+ */
+router.post("/items", optionalAuth, wishlistController.addWishlistItem);
+
+/**
+ * @swagger
+ * /wishlist/items/{productId}:
+ *   delete:
+ *     summary: Remove a product from the wishlist
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The updated wishlist
+ *       404:
+ *         description: Wishlist not found
+ */
+router.delete("/items/:productId", optionalAuth, wishlistController.removeWishlistItem);
+
+/**
+ * @swagger
+ * /wishlist/items/{productId}/move-to-cart:
+ *   post:
+ *     summary: Move a wishlist product into the cart
+ *     tags: [Wishlist]
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               variantId:
+ *                 type: string
+ *                 description: Required for products sold in variants
+ *     responses:
+ *       200:
+ *         description: The updated wishlist
+ *       400:
+ *         description: Not enough stock, or a variant is required
+ *       404:
+ *         description: Product is not in the wishlist
+ */
+router.post("/items/:productId/move-to-cart", optionalAuth, wishlistController.moveToCart);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const app = require("./app");
 const WebSocketManager = require("./websocket");
+const { startJobs } = require("./jobs");
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, '0.0.0.0', () => {
@@ -13,8 +14,11 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   }
 });
 
-// Initialize WebSocket server
+// Initialize WebSocket server on the same HTTP server (upgrades on /ws)
 const wsManager = new WebSocketManager(server);
 
 // Make WebSocket manager available to other modules
-app.locals.wsManager = wsManager;
\ No newline at end of file
+app.locals.wsManager = wsManager;
+
+// Start scheduled background jobs
+startJobs({ wsManager });
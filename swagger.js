@@ -30,9 +30,84 @@ const options = {
               type: "string",
               description: "Product name",
             },
+            sku: {
+              type: "string",
+              description: "Stock keeping unit for products without variants, unique across products",
+            },
             price: {
               type: "number",
-              description: "Product price",
+              description: "Product price (lowest variant price for products with variants)",
+            },
+            image: {
+              type: "string",
+              description: "Main image (the first gallery image)",
+            },
+            images: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/ProductImage",
+              },
+            },
+            variants: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/ProductVariant",
+              },
+            },
+            reorderPoint: {
+              type: "number",
+              description: "Low-stock level (defaults to LOW_STOCK_THRESHOLD)",
+            },
+            reorderQuantity: {
+              type: "number",
+              description: "Smallest quantity to reorder",
+            },
+            leadTimeDays: {
+              type: "number",
+              description: "Days a reorder takes to arrive (defaults to DEFAULT_LEAD_TIME_DAYS)",
+            },
+            preferredSupplier: {
+              type: "string",
+              description: "Supplier ID to reorder from",
+            },
+            ratings: {
+              $ref: "#/components/schemas/ProductRatings",
+            },
+            stockForecast: {
+              type: "object",
+              description: "Last stock assessment by the low-stock job (status, dailyVelocity, daysOfStock, projectedStockoutAt, incomingQuantity, suggestedReorderQuantity, computedAt)",
+            },
+          },
+        },
+        ProductVariant: {
+          type: "object",
+          properties: {
+            sku: {
+              type: "string",
+              description: "Stock keeping unit, unique across products",
+            },
+            options: {
+              type: "object",
+              additionalProperties: {
+                type: "string",
+              },
+              description: "Option values, e.g. size 50ml, shade ivory",
+            },
+            price: {
+              type: "number",
+              description: "Variant price",
+            },
+            stockQuantity: {
+              type: "number",
+              description: "Variant stock",
+            },
+            availableQuantity: {
+              type: "number",
+              description: "Stock not held by unpaid orders",
+            },
+            image: {
+              type: "string",
+              description: "Variant image path or URL",
             },
           },
         },
@@ -48,8 +123,69 @@ const options = {
               type: "string",
               description: "Category name",
             },
+            slug: {
+              type: "string",
+              description: "Unique URL name, generated from the name when not given",
+            },
+            parentId: {
+              type: "string",
+              description: "Parent category ID (empty for a top-level category); returned as parent",
+            },
+            path: {
+              type: "string",
+              description: "Ancestor IDs from the top level down, e.g. /<rootId>/<parentId>/ (read-only)",
+            },
+            depth: {
+              type: "integer",
+              description: "0 for top-level categories (read-only)",
+            },
+            order: {
+              type: "number",
+              description: "Position among sibling categories, lowest first",
+            },
+            description: {
+              type: "string",
+            },
+            image: {
+              type: "string",
+              description: "Image path or URL",
+            },
           },
         },
+        CategoryWithCounts: {
+          allOf: [
+            { $ref: "#/components/schemas/Category" },
+            {
+              type: "object",
+              properties: {
+                productCount: {
+                  type: "integer",
+                  description: "Products filed directly under the category",
+                },
+                totalProductCount: {
+                  type: "integer",
+                  description: "Products in the category and all its subcategories",
+                },
+              },
+            },
+          ],
+        },
+        CategoryTreeNode: {
+          allOf: [
+            { $ref: "#/components/schemas/CategoryWithCounts" },
+            {
+              type: "object",
+              properties: {
+                children: {
+                  type: "array",
+                  items: {
+                    $ref: "#/components/schemas/CategoryTreeNode",
+                  },
+                },
+              },
+            },
+          ],
+        },
       },
     },
     security: [
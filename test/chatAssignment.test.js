@@ -0,0 +1,276 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ChatConversation = require("../models/chatConversation");
+const User = require("../models/user");
+const {
+  ChatAssignmentError,
+  enqueueConversation,
+  assignWaitingChats,
+  claimConversation,
+  releaseConversation,
+  transferConversation
+} = require("../middleware/chatAssignment");
+
+const agentId = () => String(new mongoose.Types.ObjectId());
+
+const sameValue = (actual, expected) => (expected === null ? actual == null : String(actual) === String(expected));
+const matches = (doc, filter) => Object.entries(filter).every(([field, expected]) => {
+  if (expected && expected.$in) {
+    return expected.$in.some(value => sameValue(doc[field], value));
+  }
+  return sameValue(doc[field], expected);
+});
+
+/**
+ * Staff chats held in memory, with online agents on a fake WebSocket manager
+ * that records the events it is asked to send
+ */
+const mockChats = (t, { online = [], chats = [] } = {}) => {
+  const conversations = chats.map((chat, index) => ({
+    sessionId: `s${index + 1}`,
+    isStaffChat: true,
+    isActive: true,
+    waitingForStaff: !chat.assignedStaff,
+    assignedStaff: null,
+    createdAt: new Date(Date.UTC(2024, 0, 1, 0, index)),
+    messages: [],
+    ...chat
+  }));
+  const events = [];
+  const wsManager = {
+    getOnlineAdmins: async () => online.map(userId => ({ userId, role: "admin" })),
+    sendToAdmin: async (userId, message) => events.push({ to: String(userId), ...message }),
+    sendToAdmins: async (message) => events.push({ to: "agents", ...message })
+  };
+  const find = (filter) => conversations.find(conversation => matches(conversation, filter)) || null;
+
+  t.mock.method(ChatConversation, "findOne", async (filter) => find(filter));
+  t.mock.method(ChatConversation, "findOneAndUpdate", async (filter, update) => {
+    const conversation = find(filter);
+    if (conversation) {
+      Object.assign(conversation, update.$set);
+    }
+    return conversation;
+  });
+  t.mock.method(ChatConversation, "countDocuments", async (filter) =>
+    conversations.filter(conversation => matches(conversation, filter)).length);
+  t.mock.method(ChatConversation, "find", (filter) => {
+    const queued = conversations
+      .filter(conversation => matches(conversation, filter))
+      .sort((a, b) => (a.queuedAt || a.createdAt) - (b.queuedAt || b.createdAt));
+    return { sort: () => ({ select: async () => queued }) };
+  });
+  // When each agent was last given a chat
+  t.mock.method(ChatConversation, "aggregate", async ([{ $match }]) => {
+    const latest = new Map();
+    conversations.filter(conversation => matches(conversation, $match)).forEach(conversation => {
+      const key = String(conversation.assignedStaff);
+      const at = latest.has(key) && latest.get(key).at > conversation.assignedAt ? latest.get(key).at : conversation.assignedAt;
+      latest.set(key, { _id: conversation.assignedStaff, at: at || null });
+    });
+    return [...latest.values()];
+  });
+
+  // Agents' chat slots (User.activeChats), starting from the chats they hold
+  const slots = new Map();
+  conversations.filter(conversation => conversation.isActive && conversation.assignedStaff).forEach(conversation => {
+    const key = String(conversation.assignedStaff);
+    slots.set(key, (slots.get(key) || 0) + 1);
+  });
+  t.mock.method(User, "find", (filter) => ({
+    select: async () => filter._id.$in
+      .filter(agent => slots.get(String(agent)) > 0)
+      .map(agent => ({ _id: agent, activeChats: slots.get(String(agent)) }))
+  }));
+  t.mock.method(User, "findOneAndUpdate", async (filter) => {
+    const taken = slots.get(String(filter._id)) || 0;
+    if (taken >= filter.$or[0].activeChats.$lt) {
+      return null;
+    }
+    slots.set(String(filter._id), taken + 1);
+    return { _id: filter._id, activeChats: taken + 1 };
+  });
+  t.mock.method(User, "updateOne", async (filter) => {
+    const taken = slots.get(String(filter._id)) || 0;
+    if (taken > 0) {
+      slots.set(String(filter._id), taken - 1);
+    }
+    return { modifiedCount: taken > 0 ? 1 : 0 };
+  });
+  // A failed transaction rolls back the chats and slots it changed
+  t.mock.method(mongoose.connection, "transaction", async (work) => {
+    const chatsBefore = conversations.map(conversation => ({ ...conversation }));
+    const slotsBefore = new Map(slots);
+    try {
+      return await work(null);
+    } catch (error) {
+      conversations.forEach((conversation, index) => Object.assign(conversation, chatsBefore[index]));
+      slots.clear();
+      slotsBefore.forEach((taken, agent) => slots.set(agent, taken));
+      throw error;
+    }
+  });
+
+  return { conversations, wsManager, events, slots };
+};
+
+const statusOf = (status) => (error) => error instanceof ChatAssignmentError && error.status === status;
+
+test.afterEach(() => {
+  delete process.env.CHAT_MAX_CONCURRENT;
+  delete process.env.CHAT_ASSIGNMENT_STRATEGY;
+});
+
+test("a chat stays queued while no agent is online", async (t) => {
+  const { conversations, wsManager, events } = mockChats(t, { chats: [{}] });
+
+  const queued = await enqueueConversation(conversations[0], wsManager);
+
+  assert.equal(queued.assignedStaff, null);
+  assert.deepEqual(events.map(event => [event.to, event.type, event.waiting]), [["agents", "queue_updated", 1]]);
+});
+
+test("a queued chat goes to the least busy online agent", async (t) => {
+  const busy = agentId();
+  const free = agentId();
+  const { conversations, wsManager, events } = mockChats(t, {
+    online: [busy, free],
+    chats: [{}, { assignedStaff: busy }, { assignedStaff: busy }]
+  });
+
+  const assigned = await enqueueConversation(conversations[0], wsManager);
+
+  assert.equal(String(assigned.assignedStaff), free);
+  assert.deepEqual(events.slice(0, 1).map(event => [event.to, event.type, event.reason]), [[free, "chat_assigned", "auto"]]);
+});
+
+test("agents at their limit and the manual strategy leave chats in the queue", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const agent = agentId();
+  const { conversations, wsManager } = mockChats(t, { online: [agent], chats: [{}, { assignedStaff: agent }] });
+
+  assert.equal((await enqueueConversation(conversations[0], wsManager)).assignedStaff, null);
+
+  delete process.env.CHAT_MAX_CONCURRENT;
+  process.env.CHAT_ASSIGNMENT_STRATEGY = "manual";
+  assert.equal((await enqueueConversation(conversations[0], wsManager)).assignedStaff, null);
+});
+
+test("queued chats are handed out oldest first until agents are full", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const first = agentId();
+  const second = agentId();
+  const { conversations, wsManager } = mockChats(t, {
+    online: [first, second],
+    chats: [{ queuedAt: new Date("2024-01-03") }, { queuedAt: new Date("2024-01-01") }, { queuedAt: new Date("2024-01-02") }]
+  });
+
+  assert.equal(await assignWaitingChats(wsManager), 2);
+  assert.deepEqual(conversations.map(conversation => conversation.assignedStaff !== null), [false, true, true]);
+});
+
+test("an agent whose last slot was taken meanwhile is skipped for the next one", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const first = agentId();
+  const second = agentId();
+  const { conversations, wsManager, slots } = mockChats(t, { online: [first, second], chats: [{}] });
+  // Counted as free when the agents were listed, then a claim elsewhere took the slot
+  slots.set(first, 1);
+  t.mock.method(User, "find", () => ({ select: async () => [] }));
+
+  const assigned = await enqueueConversation(conversations[0], wsManager);
+
+  assert.equal(String(assigned.assignedStaff), second);
+  assert.deepEqual([slots.get(first), slots.get(second)], [1, 1]);
+});
+
+test("an agent claims a queued chat, and nobody else can take it", async (t) => {
+  const agent = agentId();
+  const colleague = agentId();
+  const { conversations, wsManager, events, slots } = mockChats(t, { chats: [{}] });
+
+  const claimed = await claimConversation("s1", { id: agent, username: "ana" }, wsManager);
+
+  assert.equal(String(claimed.assignedStaff), agent);
+  assert.equal(slots.get(agent), 1);
+  assert.equal(events[0].reason, "claimed");
+  assert.equal(await claimConversation("s1", { id: agent }, wsManager), conversations[0]);
+  await assert.rejects(claimConversation("s1", { id: colleague }, wsManager), /assigned to another agent/);
+  await assert.rejects(claimConversation("missing", { id: agent }, wsManager), statusOf(404));
+});
+
+test("an agent at the chat limit can't claim another", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const agent = agentId();
+  const { conversations, wsManager, slots } = mockChats(t, { chats: [{}, { assignedStaff: agent }] });
+
+  await assert.rejects(
+    claimConversation("s1", { id: agent, username: "ana" }, wsManager),
+    (error) => statusOf(409)(error) && /ana already has 1 open chats \(the limit\)/.test(error.message)
+  );
+  // The assignment is rolled back with the slot it couldn't take
+  assert.equal(conversations[0].assignedStaff, null);
+  assert.equal(slots.get(agent), 1);
+});
+
+test("a released chat returns to its place in the queue or goes to another agent", async (t) => {
+  const agent = agentId();
+  const colleague = agentId();
+  const queuedAt = new Date("2024-01-01");
+  const { conversations, wsManager, slots } = mockChats(t, { chats: [{ assignedStaff: agent, queuedAt }] });
+
+  await assert.rejects(releaseConversation("s1", { id: colleague, role: "customer" }, wsManager), statusOf(403));
+
+  const released = await releaseConversation("s1", { id: agent }, wsManager);
+  assert.equal(released.assignedStaff, null);
+  assert.deepEqual([released.waitingForStaff, released.queuedAt], [true, queuedAt]);
+  assert.equal(slots.get(agent), 0);
+
+  conversations[0].assignedStaff = agent;
+  slots.set(agent, 1);
+  t.mock.method(wsManager, "getOnlineAdmins", async () => [
+    { userId: agent, role: "admin" },
+    { userId: colleague, role: "admin" }
+  ]);
+  const reassigned = await releaseConversation("s1", { id: agent }, wsManager);
+  assert.equal(String(reassigned.assignedStaff), colleague);
+  assert.deepEqual([slots.get(agent), slots.get(colleague)], [0, 1]);
+});
+
+test("a transfer moves the chat and tells both agents", async (t) => {
+  const agent = agentId();
+  const colleague = agentId();
+  const { conversations, wsManager, events, slots } = mockChats(t, { chats: [{ assignedStaff: agent }] });
+  t.mock.method(User, "findById", () => ({ select: async () => ({ _id: colleague, username: "bo", role: "admin" }) }));
+
+  await transferConversation("s1", colleague, { id: agent }, wsManager);
+
+  assert.equal(String(conversations[0].assignedStaff), colleague);
+  // The chat slot moves with the chat
+  assert.deepEqual([slots.get(agent), slots.get(colleague)], [0, 1]);
+  assert.deepEqual(events.map(event => [event.to, event.type, event.reason]), [
+    [agent, "chat_unassigned", "transfer"],
+    [colleague, "chat_assigned", "transfer"]
+  ]);
+});
+
+test("transfers need a valid agent with room for the chat", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const agent = agentId();
+  const colleague = agentId();
+  const { conversations, wsManager, slots } = mockChats(t, { chats: [{ assignedStaff: agent }, { assignedStaff: colleague }] });
+  const target = t.mock.method(User, "findById", () => ({ select: async () => ({ username: "bo", role: "admin" }) }));
+
+  await assert.rejects(transferConversation("s1", "nope", { id: agent }, wsManager), statusOf(400));
+  await assert.rejects(transferConversation("s1", colleague, { id: agentId(), role: "customer" }, wsManager), statusOf(403));
+  await assert.rejects(transferConversation("s1", colleague, { id: agent }, wsManager), /bo already has 1 open chats/);
+  assert.equal(String(conversations[0].assignedStaff), agent);
+  assert.deepEqual([slots.get(agent), slots.get(colleague)], [1, 1]);
+
+  target.mock.mockImplementation(() => ({ select: async () => ({ username: "cy", role: "customer" }) }));
+  await assert.rejects(transferConversation("s1", agentId(), { id: agent }, wsManager), /cy is not an admin and can.t take chats/);
+
+  target.mock.mockImplementation(() => ({ select: async () => null }));
+  await assert.rejects(transferConversation("s1", agentId(), { id: agent }, wsManager), statusOf(404));
+});
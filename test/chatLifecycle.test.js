@@ -0,0 +1,266 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ChatConversation = require("../models/chatConversation");
+const User = require("../models/user");
+const { ChatAssignmentError } = require("../middleware/chatAssignment");
+const {
+  ChatLifecycleError,
+  closeConversation,
+  reopenConversation,
+  rateConversation
+} = require("../middleware/chatLifecycle");
+const chatAutoClose = require("../jobs/chatAutoClose");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const newId = () => String(new mongoose.Types.ObjectId());
+
+const sameValue = (actual, expected) => (expected === null ? actual == null : String(actual) === String(expected));
+const matches = (doc, filter) => Object.entries(filter).every(([field, expected]) => {
+  if (expected && expected.$in) {
+    return expected.$in.some(value => sameValue(doc[field], value));
+  }
+  if (expected && expected.$lt) {
+    return doc[field] < expected.$lt;
+  }
+  return sameValue(doc[field], expected);
+});
+
+/**
+ * Staff chats held in memory, with online agents on a fake WebSocket manager
+ * that records the events it is asked to send
+ */
+const mockChats = (t, { online = [], chats = [] } = {}) => {
+  const conversations = chats.map((chat, index) => ({
+    _id: newId(),
+    sessionId: `s${index + 1}`,
+    userId: null,
+    isStaffChat: true,
+    isActive: true,
+    waitingForStaff: !chat.assignedStaff,
+    assignedStaff: null,
+    createdAt: new Date(Date.now() - HOUR_MS),
+    lastActivity: new Date(),
+    messages: [],
+    save: async function () {
+      return this;
+    },
+    ...chat
+  }));
+  const events = [];
+  const record = (type) => async (conversation, by) => events.push({ type, sessionId: conversation.sessionId, by });
+  const wsManager = {
+    getOnlineAdmins: async () => online.map(userId => ({ userId, role: "admin" })),
+    sendToAdmin: async (userId, message) => events.push({ to: String(userId), ...message }),
+    sendToAdmins: async (message) => events.push({ to: "agents", ...message }),
+    sendConversationClosed: record("conversation_closed"),
+    sendConversationReopened: record("conversation_reopened")
+  };
+  const find = (filter) => conversations.find(conversation => matches(conversation, filter)) || null;
+  const findAll = (filter) => conversations.filter(conversation => matches(conversation, filter));
+
+  t.mock.method(ChatConversation, "findOne", async (filter) => find(filter));
+  t.mock.method(ChatConversation, "findOneAndUpdate", async (filter, update) => {
+    const conversation = find(filter);
+    if (conversation) {
+      Object.assign(conversation, update.$set);
+    }
+    return conversation;
+  });
+  t.mock.method(ChatConversation, "countDocuments", async (filter) => findAll(filter).length);
+  // Awaited directly by the auto-close job, chained by the assignment queue
+  t.mock.method(ChatConversation, "find", (filter) => Object.assign(Promise.resolve(findAll(filter)), {
+    sort: () => ({ select: async () => findAll(filter) })
+  }));
+  // When each agent was last given a chat
+  t.mock.method(ChatConversation, "aggregate", async ([{ $match }]) => {
+    const latest = new Map();
+    findAll($match).forEach(conversation => {
+      const key = String(conversation.assignedStaff);
+      const at = latest.has(key) && latest.get(key).at > conversation.assignedAt ? latest.get(key).at : conversation.assignedAt;
+      latest.set(key, { _id: conversation.assignedStaff, at: at || null });
+    });
+    return [...latest.values()];
+  });
+
+  // Agents' chat slots (User.activeChats), starting from the chats they hold
+  const slots = new Map();
+  conversations.filter(conversation => conversation.isActive && conversation.assignedStaff).forEach(conversation => {
+    const key = String(conversation.assignedStaff);
+    slots.set(key, (slots.get(key) || 0) + 1);
+  });
+  t.mock.method(User, "find", (filter) => ({
+    select: async () => filter._id.$in
+      .filter(agent => slots.get(String(agent)) > 0)
+      .map(agent => ({ _id: agent, activeChats: slots.get(String(agent)) }))
+  }));
+  t.mock.method(User, "findOneAndUpdate", async (filter) => {
+    const taken = slots.get(String(filter._id)) || 0;
+    if (taken >= filter.$or[0].activeChats.$lt) {
+      return null;
+    }
+    slots.set(String(filter._id), taken + 1);
+    return { _id: filter._id, activeChats: taken + 1 };
+  });
+  t.mock.method(User, "updateOne", async (filter) => {
+    const taken = slots.get(String(filter._id)) || 0;
+    if (taken > 0) {
+      slots.set(String(filter._id), taken - 1);
+    }
+    return { modifiedCount: taken > 0 ? 1 : 0 };
+  });
+  // A failed transaction rolls back the chats and slots it changed
+  t.mock.method(mongoose.connection, "transaction", async (work) => {
+    const chatsBefore = conversations.map(conversation => ({ ...conversation }));
+    const slotsBefore = new Map(slots);
+    try {
+      return await work(null);
+    } catch (error) {
+      conversations.forEach((conversation, index) => Object.assign(conversation, chatsBefore[index]));
+      slots.clear();
+      slotsBefore.forEach((taken, agent) => slots.set(agent, taken));
+      throw error;
+    }
+  });
+
+  return { conversations, wsManager, events, slots };
+};
+
+const statusOf = (status) => (error) => error instanceof ChatLifecycleError && error.status === status;
+
+test.afterEach(() => {
+  ["CHAT_MAX_CONCURRENT", "CHAT_INACTIVITY_MINUTES", "CHAT_REOPEN_HOURS"].forEach(name => delete process.env[name]);
+});
+
+test("closing a chat tells both sides and gives the agent's slot to the queue", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const agent = newId();
+  const customer = newId();
+  const { conversations, wsManager, events, slots } = mockChats(t, {
+    online: [agent],
+    chats: [{ userId: customer, assignedStaff: agent }, { queuedAt: new Date() }]
+  });
+
+  const closed = await closeConversation("s1", { side: "customer", user: { id: customer } }, wsManager);
+
+  assert.deepEqual([closed.isActive, closed.closedBy, String(closed.closedByUser)], [false, "customer", customer]);
+  assert.equal(String(closed.assignedStaff), agent);
+  assert.deepEqual(events[0], { type: "conversation_closed", sessionId: "s1", by: "customer" });
+  assert.equal(String(conversations[1].assignedStaff), agent);
+  assert.equal(slots.get(agent), 1);
+});
+
+test("only the customer, the assigned agent or an admin can close a chat, once", async (t) => {
+  const agent = newId();
+  const { wsManager } = mockChats(t, { chats: [{ userId: newId(), assignedStaff: agent }] });
+
+  await assert.rejects(closeConversation("s1", { side: "customer", user: { id: newId() } }, wsManager), statusOf(403));
+  await assert.rejects(closeConversation("s1", { side: "staff", user: { id: newId(), role: "staff" } }, wsManager), statusOf(403));
+  await assert.rejects(closeConversation("s1", { side: "staff", user: { id: agent }, reason: "x".repeat(501) }, wsManager), statusOf(400));
+  await assert.rejects(closeConversation("missing", { side: "staff", user: { id: agent } }, wsManager), statusOf(404));
+
+  const closed = await closeConversation("s1", { side: "staff", user: { id: agent }, reason: "Resolved" }, wsManager);
+  assert.equal(closed.closeReason, "Resolved");
+  await assert.rejects(closeConversation("s1", { side: "staff", user: { id: agent } }, wsManager), statusOf(409));
+});
+
+test("a customer reopening a chat goes back to the queue", async (t) => {
+  const agent = newId();
+  const { conversations, wsManager, events } = mockChats(t, {
+    chats: [{ isActive: false, assignedStaff: agent, closedAt: new Date(Date.now() - HOUR_MS), closedBy: "staff" }]
+  });
+
+  const reopened = await reopenConversation("s1", { side: "customer" }, wsManager);
+
+  assert.equal(reopened, conversations[0]);
+  assert.deepEqual(
+    [reopened.isActive, reopened.assignedStaff, reopened.waitingForStaff, reopened.closedAt, reopened.closedBy],
+    [true, null, true, null, null]
+  );
+  assert.deepEqual(events.map(event => event.type), ["conversation_reopened", "queue_updated"]);
+  await assert.rejects(reopenConversation("s1", { side: "customer" }, wsManager), statusOf(409));
+});
+
+test("customers can only reopen their own chat, within the reopen window", async (t) => {
+  process.env.CHAT_REOPEN_HOURS = "2";
+  const customer = newId();
+  const { wsManager } = mockChats(t, {
+    chats: [{ userId: customer, isActive: false, closedAt: new Date(Date.now() - 3 * HOUR_MS) }]
+  });
+
+  await assert.rejects(reopenConversation("s1", { side: "customer", user: { id: newId() } }, wsManager), statusOf(403));
+  await assert.rejects(reopenConversation("s1", { side: "customer", user: null }, wsManager), statusOf(403));
+  await assert.rejects(
+    reopenConversation("s1", { side: "customer", user: { id: customer } }, wsManager),
+    (error) => statusOf(409)(error) && /no longer be reopened/.test(error.message)
+  );
+});
+
+test("an agent reopening a chat takes it, if they have room", async (t) => {
+  process.env.CHAT_MAX_CONCURRENT = "1";
+  const agent = newId();
+  const busy = newId();
+  const closedAt = new Date(Date.now() - 48 * HOUR_MS);
+  const { conversations, wsManager, slots } = mockChats(t, {
+    chats: [{ isActive: false, closedAt }, { assignedStaff: busy }]
+  });
+
+  await assert.rejects(
+    reopenConversation("s1", { side: "staff", user: { id: busy, username: "bo" } }, wsManager),
+    (error) => error instanceof ChatAssignmentError && error.status === 409
+  );
+  assert.equal(conversations[0].isActive, false);
+  assert.equal(slots.get(busy), 1);
+
+  const reopened = await reopenConversation("s1", { side: "staff", user: { id: agent } }, wsManager);
+  assert.deepEqual([reopened.isActive, String(reopened.assignedStaff), reopened.waitingForStaff], [true, agent, false]);
+  assert.equal(slots.get(agent), 1);
+});
+
+test("customers rate closed chats from 1 to 5 stars", async (t) => {
+  const customer = newId();
+  const { conversations } = mockChats(t, {
+    chats: [
+      { userId: customer, isActive: false, assignedStaff: newId() },
+      { userId: customer, isActive: true, assignedStaff: newId() },
+      { userId: customer, isActive: false }
+    ]
+  });
+  const user = { id: customer };
+
+  const rated = await rateConversation("s1", user, { rating: "5", comment: "  Quick and kind  " });
+  assert.deepEqual([rated.satisfaction.rating, rated.satisfaction.comment], [5, "Quick and kind"]);
+  assert.ok(rated.satisfaction.ratedAt instanceof Date);
+
+  for (const rating of [0, 6, 4.5, "good"]) {
+    await assert.rejects(rateConversation("s1", user, { rating }), statusOf(400));
+  }
+  await assert.rejects(rateConversation("s1", user, { rating: 3, comment: 42 }), statusOf(400));
+  await assert.rejects(rateConversation("s1", user, { rating: 3, comment: "x".repeat(1001) }), statusOf(400));
+  await assert.rejects(rateConversation("s1", { id: newId() }, { rating: 3 }), statusOf(403));
+  await assert.rejects(rateConversation("s2", user, { rating: 3 }), /once they are closed/);
+  await assert.rejects(rateConversation("s3", user, { rating: 3 }), /No agent took part/);
+  assert.equal(conversations[0].satisfaction.rating, 5);
+});
+
+test("the auto-close job closes chats idle past the inactivity limit", async (t) => {
+  process.env.CHAT_INACTIVITY_MINUTES = "10";
+  const longAgo = new Date(Date.now() - 20 * MINUTE_MS);
+  const { conversations, wsManager, events } = mockChats(t, {
+    chats: [
+      { lastActivity: longAgo, queuedAt: longAgo },
+      // The customer went quiet but an agent replied recently
+      { lastActivity: longAgo, messages: [{ messageType: "staff", timestamp: new Date(Date.now() - MINUTE_MS) }] },
+      { lastActivity: new Date() }
+    ]
+  });
+
+  assert.deepEqual(await chatAutoClose.run({ wsManager }), { closed: 1 });
+
+  assert.deepEqual(conversations.map(conversation => conversation.isActive), [false, true, true]);
+  assert.deepEqual([conversations[0].closedBy, conversations[0].closeReason], ["system", "inactivity"]);
+  assert.deepEqual(events[0], { type: "conversation_closed", sessionId: "s1", by: "inactivity" });
+  assert.deepEqual(await chatAutoClose.run({ wsManager }), { closed: 0 });
+});
@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ChatConversation = require("../models/chatConversation");
+const {
+  ChatMessageError,
+  serializeMessage,
+  getMessagesAfter,
+  acknowledgeMessages
+} = require("../middleware/chatMessages");
+
+const message = (role, messageType, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role,
+  messageType,
+  content: `${role} ${messageType}`,
+  timestamp: new Date(),
+  ...fields
+});
+
+// customer, bot, customer, staff, customer
+const conversation = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sessionId: "session-1",
+  isStaffChat: true,
+  isActive: true,
+  hasUnreadFromCustomer: true,
+  messages: [
+    message("user", "text"),
+    message("assistant", "text"),
+    message("user", "text"),
+    message("assistant", "staff"),
+    message("user", "text")
+  ],
+  ...fields
+});
+
+// Acknowledgements update the conversation in place; the updates are recorded, not applied
+const mockConversation = (t, chat) => {
+  t.mock.method(ChatConversation, "findOne", async ({ sessionId }) => (sessionId === chat.sessionId ? chat : null));
+  const updateOne = t.mock.method(ChatConversation, "updateOne", async () => ({ modifiedCount: 1 }));
+  return () => updateOne.mock.calls.map(call => call.arguments);
+};
+
+test("serializes messages with their side", () => {
+  const [customer, bot, , staff] = conversation().messages;
+
+  assert.equal(serializeMessage(customer).from, "customer");
+  assert.equal(serializeMessage(bot).from, "assistant");
+  assert.equal(serializeMessage(staff).from, "staff");
+  assert.equal(serializeMessage(staff).id, String(staff._id));
+  assert.equal(serializeMessage(staff).readAt, null);
+});
+
+test("resumes after the last message the client saw", () => {
+  const chat = conversation();
+  const ids = chat.messages.map(entry => String(entry._id));
+
+  const resumed = getMessagesAfter(chat, ids[2]);
+  assert.deepEqual(resumed.messages.map(entry => entry.id), ids.slice(3));
+  assert.equal(resumed.lastMessageId, ids[4]);
+  assert.equal(resumed.reset, false);
+
+  const upToDate = getMessagesAfter(chat, ids[4]);
+  assert.deepEqual(upToDate.messages, []);
+  assert.equal(upToDate.reset, false);
+});
+
+test("sends everything when the client has no or an unknown last message", () => {
+  const chat = conversation();
+
+  const first = getMessagesAfter(chat);
+  assert.equal(first.messages.length, 5);
+  assert.equal(first.reset, false);
+
+  const unknown = getMessagesAfter(chat, new mongoose.Types.ObjectId());
+  assert.equal(unknown.messages.length, 5);
+  assert.equal(unknown.reset, true);
+
+  assert.deepEqual(getMessagesAfter(conversation({ messages: [] })), { messages: [], lastMessageId: null, reset: false });
+});
+
+test("staff acknowledge only customer messages, once", async (t) => {
+  const chat = conversation();
+  const updates = mockConversation(t, chat);
+  const [first, , second, , third] = chat.messages;
+
+  const delivered = await acknowledgeMessages("session-1", "staff", second._id);
+  assert.deepEqual(delivered.messageIds, [String(first._id), String(second._id)]);
+  assert.ok(first.deliveredAt);
+  assert.equal(third.deliveredAt, undefined);
+  assert.equal(chat.messages[1].deliveredAt, undefined);
+
+  const again = await acknowledgeMessages("session-1", "staff", second._id);
+  assert.deepEqual(again.messageIds, []);
+  assert.equal(updates().length, 1);
+});
+
+test("receipts are stamped with one update on just the unacknowledged messages", async (t) => {
+  const chat = conversation();
+  const updates = mockConversation(t, chat);
+  const [first, , second] = chat.messages;
+
+  const { at } = await acknowledgeMessages("session-1", "staff", second._id, { read: true });
+
+  const [[filter, update, options]] = updates();
+  assert.deepEqual(filter, { _id: chat._id });
+  assert.deepEqual(update.$set, {
+    "messages.$[acknowledged].readAt": at,
+    "messages.$[undelivered].deliveredAt": at,
+    lastStaffRead: at,
+    hasUnreadFromCustomer: true
+  });
+  assert.deepEqual(options.arrayFilters, [
+    { "acknowledged._id": { $in: [first._id, second._id] }, "acknowledged.readAt": null },
+    { "undelivered._id": { $in: [first._id, second._id] }, "undelivered.deliveredAt": null }
+  ]);
+});
+
+test("unread is cleared only if no message arrived since the conversation was loaded", async (t) => {
+  const chat = conversation();
+  const updates = mockConversation(t, chat);
+
+  await acknowledgeMessages("session-1", "staff", chat.messages[4]._id, { read: true });
+
+  assert.equal(chat.hasUnreadFromCustomer, false);
+  const [, [filter, update]] = updates();
+  assert.deepEqual(filter, { _id: chat._id, messages: { $size: 5 } });
+  assert.deepEqual(update, { $set: { hasUnreadFromCustomer: false } });
+});
+
+test("reading marks messages delivered and clears unread up to that message", async (t) => {
+  const chat = conversation();
+  mockConversation(t, chat);
+  const [, , second, , third] = chat.messages;
+
+  await acknowledgeMessages("session-1", "staff", second._id, { read: true });
+  assert.ok(second.readAt);
+  assert.equal(second.deliveredAt, second.readAt);
+  assert.ok(chat.lastStaffRead);
+  assert.equal(chat.hasUnreadFromCustomer, true, "the last customer message is still unread");
+
+  await acknowledgeMessages("session-1", "staff", third._id, { read: true });
+  assert.equal(chat.hasUnreadFromCustomer, false);
+});
+
+test("customers acknowledge staff messages", async (t) => {
+  const chat = conversation();
+  mockConversation(t, chat);
+  const staffReply = chat.messages[3];
+
+  const { messageIds } = await acknowledgeMessages("session-1", "customer", chat.messages[4]._id, { read: true });
+  assert.deepEqual(messageIds, [String(staffReply._id)]);
+  assert.ok(staffReply.readAt);
+});
+
+test("rejects unknown sides, conversations and messages", async (t) => {
+  const chat = conversation();
+  mockConversation(t, chat);
+
+  await assert.rejects(acknowledgeMessages("session-1", "bot", chat.messages[0]._id), { status: 400 });
+  await assert.rejects(acknowledgeMessages("missing", "staff", chat.messages[0]._id), { status: 404 });
+  await assert.rejects(
+    acknowledgeMessages("session-1", "staff", new mongoose.Types.ObjectId()),
+    (error) => error instanceof ChatMessageError && error.status === 404
+  );
+});
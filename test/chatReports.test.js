@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const ChatConversation = require("../models/chatConversation");
+const User = require("../models/user");
+const { ChatLifecycleError } = require("../middleware/chatLifecycle");
+const { getChatPerformanceReport } = require("../middleware/chatReports");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ana = new mongoose.Types.ObjectId();
+const bo = new mongoose.Types.ObjectId();
+
+// Totals as the report's $group stages produce them
+const row = (fields) => ({ conversations: 0, responded: 0, rated: 0, satisfied: 0, ...fields });
+
+const mockReport = (t, { overall = [], byStaff = [] }) => {
+  const aggregate = t.mock.method(ChatConversation, "aggregate", async () => [{ overall, byStaff }]);
+  t.mock.method(User, "find", () => ({ select: async () => [{ _id: ana, username: "ana" }] }));
+  return aggregate;
+};
+
+test("turns the grouped totals into CSAT, average rating and times in seconds", async (t) => {
+  mockReport(t, {
+    overall: [row({
+      _id: null,
+      conversations: 4,
+      responded: 3,
+      rated: 3,
+      satisfied: 2,
+      averageRating: 11 / 3,
+      averageFirstResponseMs: 90499,
+      averageResolutionMs: 3600500
+    })]
+  });
+
+  const { overall } = await getChatPerformanceReport({ from: "2024-01-01", to: "2024-02-01" });
+
+  assert.deepEqual(overall, {
+    conversations: 4,
+    responded: 3,
+    rated: 3,
+    averageRating: 3.67,
+    csat: 66.7,
+    averageFirstResponseSeconds: 90,
+    averageResolutionSeconds: 3601
+  });
+});
+
+test("metrics nothing contributed to are null rather than zero", async (t) => {
+  mockReport(t, {
+    overall: [row({ _id: null, conversations: 2, averageRating: null, averageFirstResponseMs: null, averageResolutionMs: 60000 })]
+  });
+
+  const { overall } = await getChatPerformanceReport();
+
+  assert.deepEqual(
+    [overall.csat, overall.averageRating, overall.averageFirstResponseSeconds, overall.averageResolutionSeconds],
+    [null, null, null, 60]
+  );
+});
+
+test("an empty period reports zero conversations", async (t) => {
+  mockReport(t, {});
+
+  const report = await getChatPerformanceReport();
+
+  assert.deepEqual(report.overall, {
+    conversations: 0,
+    responded: 0,
+    rated: 0,
+    averageRating: null,
+    csat: null,
+    averageFirstResponseSeconds: null,
+    averageResolutionSeconds: null
+  });
+  assert.deepEqual(report.byStaff, []);
+});
+
+test("lists agents by chats handled, with their usernames", async (t) => {
+  mockReport(t, {
+    overall: [row({ _id: null, conversations: 5 })],
+    byStaff: [
+      row({ _id: bo, conversations: 1, rated: 1, satisfied: 0, averageRating: 2 }),
+      row({ _id: ana, conversations: 4, rated: 2, satisfied: 2, averageRating: 4.5 })
+    ]
+  });
+
+  const { byStaff } = await getChatPerformanceReport();
+
+  assert.deepEqual(byStaff.map(agent => [agent.username, agent.conversations, agent.csat, agent.averageRating]), [
+    ["ana", 4, 100, 4.5],
+    [null, 1, 0, 2]
+  ]);
+  assert.equal(byStaff[0].staffId, ana);
+});
+
+test("covers closed staff chats of the last 30 days unless a period is given", async (t) => {
+  const aggregate = mockReport(t, {});
+
+  const report = await getChatPerformanceReport({ to: "2024-03-31T00:00:00Z" });
+
+  const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual([$match.isStaffChat, $match.isActive], [true, false]);
+  assert.deepEqual($match.closedAt, { $gte: report.from, $lte: report.to });
+  assert.equal(report.to.getTime() - report.from.getTime(), 30 * DAY_MS);
+});
+
+test("rejects periods that aren't dates", async (t) => {
+  const aggregate = mockReport(t, {});
+
+  await assert.rejects(
+    getChatPerformanceReport({ from: "last week" }),
+    (error) => error instanceof ChatLifecycleError && error.status === 400
+  );
+  assert.equal(aggregate.mock.callCount(), 0);
+});
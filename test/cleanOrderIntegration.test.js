@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const CashFlowTransaction = require("../models/cashFlowTransaction");
+const { postCashFlowForStatusChange } = require("../middleware/cleanOrderIntegration");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Resolves like a query and also supports .session()
+const query = (value) => Object.assign(Promise.resolve(value), { session: async () => value });
+
+const order = () => ({ _id: id(), totalPrice: 42.5, orderDate: new Date("2024-01-01") });
+
+// Cash flow entries held in memory, looked up by order and category
+const mockLedger = (t, entries = []) => {
+  const find = (filter) => entries.find(entry => (
+    String(entry.orderId) === String(filter.orderId) && entry.category === filter.category
+  ));
+
+  t.mock.method(CashFlowTransaction, "findOne", (filter) => query(find(filter) || null));
+  t.mock.method(CashFlowTransaction, "exists", (filter) => query(find(filter) ? { _id: find(filter)._id } : null));
+  t.mock.method(CashFlowTransaction.prototype, "save", async function () {
+    entries.push(this);
+    return this;
+  });
+
+  return entries;
+};
+
+const categories = (entries) => entries.map(entry => `${entry.type}:${entry.category}`);
+
+test("completing an order posts its revenue once", async (t) => {
+  const entries = mockLedger(t);
+  const completed = order();
+
+  await postCashFlowForStatusChange({ order: completed, to: "completed" });
+  await postCashFlowForStatusChange({ order: completed, to: "completed" });
+
+  assert.deepEqual(categories(entries), ["inflow:product_sales"]);
+  assert.equal(entries[0].amount, 42.5);
+  assert.deepEqual(entries[0].date, completed.orderDate);
+});
+
+test("cancelling reverses revenue only if it was posted", async (t) => {
+  const entries = mockLedger(t);
+  const unpaid = order();
+  const paid = order();
+
+  await postCashFlowForStatusChange({ order: unpaid, to: "cancelled" });
+  assert.deepEqual(entries, []);
+
+  await postCashFlowForStatusChange({ order: paid, to: "completed" });
+  await postCashFlowForStatusChange({ order: paid, to: "cancelled" });
+
+  assert.deepEqual(categories(entries), ["inflow:product_sales", "outflow:refunds"]);
+  assert.equal(entries[1].amount, 42.5);
+  assert.match(entries[1].description, /\(order cancelled\)$/);
+});
+
+test("refunding posts the refund outflow when revenue was posted", async (t) => {
+  const refunded = order();
+  const entries = mockLedger(t, [{ _id: id(), orderId: refunded._id, type: "inflow", category: "product_sales" }]);
+
+  await postCashFlowForStatusChange({ order: refunded, to: "refunded" });
+
+  assert.deepEqual(categories(entries), ["inflow:product_sales", "outflow:refunds"]);
+  assert.doesNotMatch(entries[1].description, /order cancelled/);
+});
+
+test("refunding an order whose revenue was never posted leaves cash flow alone", async (t) => {
+  const entries = mockLedger(t);
+  // Paid after it was cancelled: the settlement was rejected and flagged for refund
+  const paidLate = order();
+
+  await postCashFlowForStatusChange({ order: paidLate, to: "cancelled" });
+  await postCashFlowForStatusChange({ order: paidLate, to: "refunded" });
+
+  assert.deepEqual(entries, []);
+});
+
+test("a cancelled-then-refunded order is only reversed once", async (t) => {
+  const entries = mockLedger(t);
+  const returned = order();
+
+  await postCashFlowForStatusChange({ order: returned, to: "completed" });
+  await postCashFlowForStatusChange({ order: returned, to: "cancelled" });
+  await postCashFlowForStatusChange({ order: returned, to: "refunded" });
+
+  assert.deepEqual(categories(entries), ["inflow:product_sales", "outflow:refunds"]);
+});
+
+test("other status changes leave cash flow alone", async (t) => {
+  const entries = mockLedger(t);
+  const shipped = order();
+
+  for (const to of ["paid", "processing", "shipped", "delivered", "return_requested", "returned"]) {
+    await postCashFlowForStatusChange({ order: shipped, to });
+  }
+
+  assert.deepEqual(entries, []);
+});
@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const InventoryMovement = require("../models/inventoryMovement");
+const { InventoryError, stockSnapshot, recordStockChanges } = require("../middleware/inventoryLedger");
+const {
+  decrementStock,
+  restockLines,
+  commitReservation,
+  releaseReservation,
+  adjustStock
+} = require("../middleware/stockReservations");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Resolves like a query and also supports .session()
+const query = (value) => Object.assign(Promise.resolve(value), { session: async () => value });
+
+const serum = (fields = {}) => new Product({ name: "Serum", sku: "SERUM", price: 20, stockQuantity: 10, ...fields });
+
+const cream = (stock = {}) => new Product({
+  name: "Cream",
+  price: 30,
+  variants: [
+    { _id: stock.smallId || id(), sku: "CREAM-50", price: 30, stockQuantity: stock.small ?? 4, reservedQuantity: stock.smallReserved || 0 },
+    { _id: stock.largeId || id(), sku: "CREAM-100", price: 50, stockQuantity: stock.large ?? 6 }
+  ]
+});
+
+const summarize = (movements) => movements.map(movement => [movement.sku, movement.type, movement.quantity, movement.balanceAfter]);
+
+test.beforeEach((t) => {
+  t.mock.method(InventoryMovement, "insertMany", async (movements) => movements);
+  t.mock.method(mongoose.connection, "transaction", async (work) => work(null));
+});
+
+const recorded = () => InventoryMovement.insertMany.mock.calls.flatMap(call => call.arguments[0]);
+
+test("snapshots stock per variant, or on the product without variants", () => {
+  const withVariants = cream();
+
+  assert.deepEqual([...stockSnapshot(serum()).entries()], [["", { variant: undefined, sku: "SERUM", stockQuantity: 10 }]]);
+  assert.deepEqual(
+    [...stockSnapshot(withVariants).values()].map(item => [item.variant, item.sku, item.stockQuantity]),
+    [[withVariants.variants[0]._id, "CREAM-50", 4], [withVariants.variants[1]._id, "CREAM-100", 6]]
+  );
+  assert.equal(stockSnapshot(null).size, 0);
+});
+
+test("product edits record the stock difference as an adjustment", async () => {
+  const actor = id();
+  const before = stockSnapshot(serum());
+
+  await recordStockChanges(before, serum({ stockQuantity: 15 }), { actor, reason: "Product edited" });
+  await recordStockChanges(before, serum(), { actor, reason: "Product edited" });
+
+  assert.equal(InventoryMovement.insertMany.mock.callCount(), 1);
+  const [movement] = recorded();
+  assert.deepEqual(summarize([movement]), [["SERUM", "adjustment", 5, 15]]);
+  assert.deepEqual([movement.actor, movement.reason], [actor, "Product edited"]);
+});
+
+test("moving stock onto variants and removing a variant balance the ledger", async () => {
+  const product = cream();
+  const [small, large] = product.variants;
+
+  await recordStockChanges(stockSnapshot(serum({ _id: product._id })), product, { reason: "Product edited" });
+  const withoutLarge = new Product({ _id: product._id, name: "Cream", price: 30, variants: [small.toObject()] });
+  await recordStockChanges(stockSnapshot(product), withoutLarge, { reason: "Product edited" });
+
+  const movements = recorded();
+  assert.deepEqual(summarize(movements), [
+    ["SERUM", "adjustment", -10, 0],
+    ["CREAM-50", "adjustment", 4, 4],
+    ["CREAM-100", "adjustment", 6, 6],
+    ["CREAM-100", "adjustment", -6, 0]
+  ]);
+  assert.equal(movements[0].reason, "Product edited (stock moved to variants)");
+  assert.equal(movements[3].reason, "Product edited (variant removed)");
+  assert.equal(movements[3].variant, large._id);
+});
+
+test("received stock is added and recorded with its balance", async (t) => {
+  const product = serum();
+  t.mock.method(Product, "findById", () => query(product));
+  const update = t.mock.method(Product, "findOneAndUpdate", async () => serum({ _id: product._id, stockQuantity: 15 }));
+
+  const { movement } = await adjustStock({ productId: product._id, type: "restock", quantity: 5, reason: "PO-1", reference: "PO-1" });
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(filter.$expr, undefined);
+  assert.deepEqual(change.$inc, { stockQuantity: 5 });
+  assert.deepEqual(summarize([movement]), [["SERUM", "restock", 5, 15]]);
+  assert.equal(movement.reference, "PO-1");
+});
+
+test("stock can't be written off below what orders have reserved", async (t) => {
+  const product = serum({ reservedQuantity: 8 });
+  t.mock.method(Product, "findById", () => query(product));
+  const update = t.mock.method(Product, "findOneAndUpdate", async () => null);
+
+  await assert.rejects(
+    adjustStock({ productId: product._id, type: "damage", quantity: -3, reason: "Broken" }),
+    (error) => error instanceof InventoryError && error.status === 409 && /Only 2 unit\(s\) of SERUM/.test(error.message)
+  );
+  assert.equal(update.mock.calls[0].arguments[0].$expr.$gte[1], 3);
+  assert.equal(InventoryMovement.insertMany.mock.callCount(), 0);
+});
+
+test("adjusting a variant updates it and the product total", async (t) => {
+  const smallId = id();
+  const product = cream({ smallId });
+  t.mock.method(Product, "findById", () => query(product));
+  const update = t.mock.method(Product, "findOneAndUpdate", async () => cream({ smallId, small: 1 }));
+
+  const { movement } = await adjustStock({ productId: product._id, variantId: String(smallId), type: "adjustment", quantity: -3 });
+
+  const [, change, options] = update.mock.calls[0].arguments;
+  assert.deepEqual(change.$inc, { stockQuantity: -3, "variants.$[variant].stockQuantity": -3 });
+  assert.deepEqual(options.arrayFilters, [{ "variant._id": smallId }]);
+  assert.deepEqual(summarize([movement]), [["CREAM-50", "adjustment", -3, 1]]);
+});
+
+test("adjustments need a known product and, for variant products, a variant", async (t) => {
+  const product = cream();
+  const findById = t.mock.method(Product, "findById", () => query(null));
+  const status = (error) => error.status;
+
+  await assert.rejects(adjustStock({ productId: id(), type: "restock", quantity: 1 }), (error) => status(error) === 404);
+
+  findById.mock.mockImplementation(() => query(product));
+  await assert.rejects(adjustStock({ productId: product._id, type: "restock", quantity: 1 }), (error) => status(error) === 400);
+  await assert.rejects(
+    adjustStock({ productId: product._id, variantId: id(), type: "restock", quantity: 1 }),
+    /Variant not found/
+  );
+});
+
+test("sales are recorded when stock is taken or a reservation is committed", async (t) => {
+  const orderId = id();
+  const actor = id();
+  t.mock.method(Product, "findOneAndUpdate", async () => serum({ stockQuantity: 7 }));
+
+  await decrementStock([{ productId: id(), quantity: 3 }], null, { order: orderId, actor });
+  await commitReservation({ _id: orderId, products: [{ productId: id(), quantity: 3 }] }, null, { actor });
+
+  const movements = recorded();
+  assert.deepEqual(summarize(movements), [["SERUM", "sale", -3, 7], ["SERUM", "sale", -3, 7]]);
+  assert.deepEqual(movements.map(movement => movement.reason), ["Order placed", "Order paid"]);
+  movements.forEach(movement => assert.deepEqual([movement.order, movement.actor], [orderId, actor]));
+});
+
+test("releasing a reservation leaves the ledger alone", async (t) => {
+  t.mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  await releaseReservation({ _id: id(), products: [{ productId: id(), quantity: 2 }] });
+
+  assert.equal(InventoryMovement.insertMany.mock.callCount(), 0);
+});
+
+test("returned stock is recorded, except for products or variants that are gone", async (t) => {
+  const kept = id();
+  const restock = t.mock.method(Product, "findOneAndUpdate", async (filter) => {
+    if (String(filter._id) === String(kept)) {
+      return serum({ _id: kept, stockQuantity: 12 });
+    }
+    return null;
+  });
+
+  await restockLines([
+    { productId: kept, quantity: 2 },
+    { productId: id(), quantity: 1 }
+  ], null, { reason: "Order cancelled" });
+
+  restock.mock.mockImplementation(async () => cream());
+  await restockLines([{ productId: id(), variantId: id(), quantity: 1 }], null, { reason: "Order returned" });
+
+  assert.deepEqual(summarize(recorded()), [["SERUM", "return", 2, 12]]);
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Order = require("../models/order");
+const {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  CUSTOMER_TRANSITIONS,
+  normalizeStatus,
+  getInitialStatus,
+  wasPaid,
+  canTransition,
+  transitionOrder
+} = require("../middleware/orderLifecycle");
+
+const order = (status, fields = {}) => ({ status, statusHistory: [], products: [], ...fields });
+
+test("every transition targets a known status", () => {
+  for (const [from, next] of Object.entries(TRANSITIONS)) {
+    assert.ok(ORDER_STATUSES.includes(from), from);
+    next.forEach(status => assert.ok(ORDER_STATUSES.includes(status), `${from} -> ${status}`));
+  }
+});
+
+test("customer transitions are a subset of the allowed transitions", () => {
+  for (const [from, next] of Object.entries(CUSTOMER_TRANSITIONS)) {
+    next.forEach(status => assert.ok(TRANSITIONS[from].includes(status), `${from} -> ${status}`));
+  }
+});
+
+test("cash orders start in processing, others wait for payment", () => {
+  assert.equal(getInitialStatus("cash"), "processing");
+  assert.equal(getInitialStatus("zalopay"), "pending_payment");
+  assert.equal(getInitialStatus("credit_card"), "pending_payment");
+});
+
+test("legacy statuses are normalized", () => {
+  assert.equal(normalizeStatus("shipping"), "shipped");
+  assert.equal(normalizeStatus("paid"), "paid");
+  assert.equal(canTransition(order("shipping"), "delivered").allowed, true);
+});
+
+test("rejects unknown statuses and transitions outside the table", () => {
+  assert.equal(canTransition(order("paid"), "lost").allowed, false);
+  assert.equal(canTransition(order("pending_payment"), "shipped").allowed, false);
+  assert.equal(canTransition(order("delivered"), "cancelled").allowed, false);
+  assert.equal(canTransition(order("refunded"), "paid").allowed, false);
+});
+
+test("customers can cancel before shipping and request returns after delivery only", () => {
+  assert.equal(canTransition(order("paid"), "cancelled", "customer").allowed, true);
+  assert.equal(canTransition(order("delivered"), "return_requested", "customer").allowed, true);
+  assert.equal(canTransition(order("paid"), "processing", "customer").allowed, false);
+  assert.equal(canTransition(order("return_requested"), "returned", "customer").allowed, false);
+  assert.equal(canTransition(order("paid"), "processing", "admin").allowed, true);
+});
+
+test("an order with shipped items can't be cancelled", () => {
+  const partlyShipped = order("processing", {
+    products: [{ quantity: 2, shippedQuantity: 1 }, { quantity: 1, shippedQuantity: 0 }]
+  });
+  const result = canTransition(partlyShipped, "cancelled", "admin");
+  assert.equal(result.allowed, false);
+  assert.match(result.reason, /shipped/);
+
+  const unshipped = order("processing", { products: [{ quantity: 2, shippedQuantity: 0 }] });
+  assert.equal(canTransition(unshipped, "cancelled", "admin").allowed, true);
+});
+
+test("a cancellation loses to a shipment created after the order was read", async (t) => {
+  t.mock.method(mongoose.connection, "transaction", async (work) => work(null));
+  const exists = t.mock.method(Order, "exists", () => ({ session: async () => ({ _id: "o1" }) }));
+  const stale = order("processing", { _id: "o1", stockCommitted: true, save: t.mock.fn(async () => {}) });
+
+  await assert.rejects(
+    transitionOrder(stale, "cancelled", { actorRole: "admin" }),
+    (error) => error.status === 409 && /shipped items/.test(error.message)
+  );
+  assert.deepEqual(exists.mock.calls[0].arguments[0], { _id: "o1", "products.shippedQuantity": { $gt: 0 } });
+  assert.equal(stale.save.mock.callCount(), 0);
+  assert.equal(stale.status, "processing");
+});
+
+test("only orders that were paid can be refunded", () => {
+  const neverPaid = order("cancelled", {
+    statusHistory: [{ from: "pending_payment", to: "cancelled" }]
+  });
+  assert.equal(canTransition(neverPaid, "refunded", "admin").allowed, false);
+
+  const cancelledAfterPaying = order("cancelled", {
+    statusHistory: [{ from: "pending_payment", to: "paid" }, { from: "paid", to: "cancelled" }]
+  });
+  assert.equal(canTransition(cancelledAfterPaying, "refunded", "admin").allowed, true);
+
+  const returned = order("returned", {
+    statusHistory: [{ to: "delivered" }, { to: "return_requested" }, { to: "returned" }]
+  });
+  assert.equal(canTransition(returned, "refunded", "admin").allowed, true);
+});
+
+test("a payment that settled after cancellation makes the order refundable", () => {
+  const cancelled = order("cancelled", {
+    statusHistory: [{ from: "pending_payment", to: "cancelled" }]
+  });
+
+  assert.equal(wasPaid(cancelled), false);
+  assert.equal(wasPaid(cancelled, { status: "cancelled" }), false);
+  assert.equal(wasPaid(cancelled, { status: "succeeded" }), true);
+  assert.equal(canTransition(cancelled, "refunded", "admin", { payment: { status: "succeeded" } }).allowed, true);
+});
@@ -0,0 +1,185 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const Promotion = require("../models/promotion");
+const Category = require("../models/category");
+const { PricingError, calculateOrderPricing, totalsMatch } = require("../middleware/orderPricing");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const skincare = id();
+const serums = id(); // subcategory of skincare
+const makeup = id();
+
+const serum = { _id: id(), name: "Serum", price: 20, category: serums, variants: [] };
+const lipstick = { _id: id(), name: "Lipstick", price: 12.5, category: makeup, variants: [] };
+const cream = {
+  _id: id(),
+  name: "Cream",
+  price: 0,
+  category: skincare,
+  variants: [
+    { _id: id(), sku: "CREAM-50", options: { size: "50ml" }, price: 30 },
+    { _id: id(), sku: "CREAM-100", options: { size: "100ml" }, price: 50 }
+  ]
+};
+const catalog = [serum, lipstick, cream];
+
+const PRICING_ENV = ["ORDER_TAX_RULES", "ORDER_TAX_RATE", "ORDER_SHIPPING_FEE", "ORDER_FREE_SHIPPING_THRESHOLD"];
+
+test.beforeEach((t) => {
+  PRICING_ENV.forEach(name => delete process.env[name]);
+  t.mock.method(Product, "findById", async (productId) => {
+    return catalog.find(product => String(product._id) === String(productId)) || null;
+  });
+  // serums is the only subcategory in the tree
+  t.mock.method(Category, "find", () => ({
+    select: async () => [{ _id: serums }]
+  }));
+});
+
+test.afterEach(() => {
+  PRICING_ENV.forEach(name => delete process.env[name]);
+});
+
+test("prices lines from the catalog, not the client", async () => {
+  const { lines, pricing } = await calculateOrderPricing([
+    { productId: serum._id, quantity: 2, price: 1 },
+    { productId: lipstick._id, quantity: 1 }
+  ]);
+
+  assert.deepEqual(lines.map(line => [line.name, line.price, line.lineTotal]), [
+    ["Serum", 20, 40],
+    ["Lipstick", 12.5, 12.5]
+  ]);
+  assert.equal(pricing.subtotal, 52.5);
+  assert.equal(pricing.grandTotal, 52.5);
+});
+
+test("prices variant lines at the variant's price and keeps its SKU", async () => {
+  const { lines, pricing } = await calculateOrderPricing([
+    { productId: cream._id, variantId: cream.variants[1]._id, quantity: 2 }
+  ]);
+
+  assert.deepEqual(lines.map(line => [line.name, line.sku, line.price, line.lineTotal]), [["Cream", "CREAM-100", 50, 100]]);
+  assert.deepEqual(lines[0].variantOptions, { size: "100ml" });
+  assert.equal(pricing.subtotal, 100);
+});
+
+test("adds category-scoped taxes on the discounted value and the shipping fee", async () => {
+  process.env.ORDER_TAX_RULES = JSON.stringify([
+    { name: "VAT", rate: 0.1 },
+    { name: "Cosmetics", rate: 0.05, categories: [String(makeup)] }
+  ]);
+  process.env.ORDER_SHIPPING_FEE = "4.99";
+
+  const { pricing } = await calculateOrderPricing(
+    [
+      { productId: serum._id, quantity: 3 },
+      { productId: lipstick._id, quantity: 2 }
+    ],
+    { discounts: [{ code: "STAFF", description: "Staff", amount: 17 }] }
+  );
+
+  // subtotal 85, discount 17 spread evenly (20%): taxable 68 for VAT, 20 for cosmetics
+  assert.equal(pricing.subtotal, 85);
+  assert.equal(pricing.discountTotal, 17);
+  assert.deepEqual(pricing.taxes, [
+    { name: "VAT", rate: 0.1, amount: 6.8 },
+    { name: "Cosmetics", rate: 0.05, amount: 1 }
+  ]);
+  assert.equal(pricing.taxTotal, 7.8);
+  assert.equal(pricing.shippingFee, 4.99);
+  assert.equal(pricing.grandTotal, 80.79);
+});
+
+test("falls back to the flat tax rate and ships free above the threshold", async () => {
+  process.env.ORDER_TAX_RATE = "0.08";
+  process.env.ORDER_SHIPPING_FEE = "5";
+  process.env.ORDER_FREE_SHIPPING_THRESHOLD = "50";
+
+  const below = await calculateOrderPricing([{ productId: serum._id, quantity: 2 }]);
+  assert.equal(below.pricing.taxTotal, 3.2);
+  assert.equal(below.pricing.shippingFee, 5);
+  assert.equal(below.pricing.grandTotal, 48.2);
+
+  const above = await calculateOrderPricing([{ productId: serum._id, quantity: 3 }]);
+  assert.equal(above.pricing.shippingFee, 0);
+  assert.equal(above.pricing.grandTotal, 64.8);
+
+  const waived = await calculateOrderPricing([{ productId: serum._id, quantity: 1 }], { freeShipping: true });
+  assert.equal(waived.pricing.shippingFee, 0);
+});
+
+test("ignores invalid tax rules in favour of the flat rate", async () => {
+  process.env.ORDER_TAX_RULES = "not json";
+  process.env.ORDER_TAX_RATE = "0.1";
+
+  const { pricing } = await calculateOrderPricing([{ productId: serum._id, quantity: 1 }]);
+  assert.deepEqual(pricing.taxes, [{ name: "Tax", rate: 0.1, amount: 2 }]);
+});
+
+test("discounts never take the order below zero", async () => {
+  const { pricing } = await calculateOrderPricing(
+    [{ productId: lipstick._id, quantity: 1 }],
+    { discounts: [{ code: "BIG", description: "Big", amount: 100 }] }
+  );
+
+  assert.equal(pricing.discountTotal, 12.5);
+  assert.equal(pricing.grandTotal, 0);
+});
+
+test("applies a category coupon to its subcategories too, before tax", async (t) => {
+  process.env.ORDER_TAX_RATE = "0.1";
+  const coupon = {
+    _id: id(),
+    code: "SAVE",
+    name: "Save",
+    type: "percentage",
+    value: 10,
+    isActive: true,
+    usageLimit: null,
+    usageLimitPerUser: null,
+    minSubtotal: 0,
+    products: [],
+    categories: [skincare]
+  };
+  t.mock.method(Promotion, "findOne", async () => coupon);
+
+  const { pricing, promotion } = await calculateOrderPricing(
+    [
+      { productId: serum._id, quantity: 1 },
+      { productId: lipstick._id, quantity: 2 }
+    ],
+    { couponCode: "save" }
+  );
+
+  assert.equal(promotion, coupon);
+  // 10% of the serum, filed under a subcategory of skincare
+  assert.deepEqual(pricing.discounts, [{ promotion: coupon._id, code: "SAVE", description: "Save", amount: 2 }]);
+  assert.equal(pricing.taxTotal, 4.3);
+  assert.equal(pricing.grandTotal, 47.3);
+});
+
+test("rejects invalid input with a PricingError", async (t) => {
+  await assert.rejects(calculateOrderPricing([]), PricingError);
+  await assert.rejects(calculateOrderPricing([{ productId: serum._id, quantity: 0 }]), PricingError);
+  await assert.rejects(calculateOrderPricing([{ productId: serum._id, quantity: "2" }]), PricingError);
+  await assert.rejects(calculateOrderPricing([{ productId: id(), quantity: 1 }]), /Product not found/);
+  await assert.rejects(calculateOrderPricing([{ productId: cream._id, quantity: 1 }]), /Choose a variant of Cream/);
+  await assert.rejects(calculateOrderPricing([{ productId: cream._id, variantId: id(), quantity: 1 }]), /not found/);
+  await assert.rejects(calculateOrderPricing([{ productId: serum._id, variantId: id(), quantity: 1 }]), /has no variants/);
+
+  t.mock.method(Promotion, "findOne", async () => null);
+  await assert.rejects(
+    calculateOrderPricing([{ productId: serum._id, quantity: 1 }], { couponCode: "NOPE" }),
+    (error) => error instanceof PricingError && /Invalid coupon code/.test(error.message)
+  );
+});
+
+test("totals match within a cent", () => {
+  assert.equal(totalsMatch("80.79", 80.79), true);
+  assert.equal(totalsMatch(80.8, 80.79), true);
+  assert.equal(totalsMatch(80.81, 80.79), false);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const qs = require("qs");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const { PROVIDER_NAMES, getProvider } = require("../middleware/paymentProviders");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const payment = (fields = {}) => ({ _id: id(), user: id(), amount: 10, currency: "USD", attempts: [], ...fields });
+const order = () => ({ _id: id(), products: [{ productId: id(), quantity: 1, price: 10 }] });
+
+const card = (number) => ({ number, expMonth: 12, expYear: 2099, cvc: "123" });
+
+test.beforeEach(() => {
+  process.env.ZALOPAY_APP_ID = "2553";
+  process.env.ZALOPAY_KEY1 = "test-key-1";
+  process.env.ZALOPAY_KEY2 = "test-key-2";
+  process.env.ZALOPAY_VND_RATE = "25000";
+});
+
+test.afterEach(() => {
+  ["ZALOPAY_APP_ID", "ZALOPAY_KEY1", "ZALOPAY_KEY2", "ZALOPAY_VND_RATE"].forEach(name => delete process.env[name]);
+});
+
+test("every order payment method has a provider", () => {
+  assert.deepEqual(PROVIDER_NAMES, ["cash", "credit_card", "zalopay"]);
+  assert.equal(getProvider("paypal"), null);
+});
+
+test("cash stays pending until the order is delivered", async () => {
+  const cash = getProvider("cash");
+
+  const result = await cash.createPayment(payment(), order());
+
+  assert.equal(cash.settlesOnDelivery, true);
+  assert.equal(result.status, "pending");
+  assert.equal(cash.amountMatches(payment(), 0), true);
+});
+
+test("an approved card settles at checkout and keeps only the brand and last digits", async () => {
+  const creditCard = getProvider("credit_card");
+
+  const result = await creditCard.createPayment(payment(), order(), { card: card("4242 4242 4242 4242") });
+
+  assert.equal(result.status, "succeeded");
+  assert.match(result.providerReference, /^ch_mock_/);
+  assert.equal(result.providerTransactionId, result.providerReference);
+  assert.deepEqual(result.providerData, { brand: "visa", last4: "4242" });
+});
+
+test("declined and invalid cards fail with the gateway's reason", async () => {
+  const creditCard = getProvider("credit_card");
+
+  const declined = await creditCard.createPayment(payment(), order(), { card: card("4000000000000002") });
+  assert.equal(declined.status, "failed");
+  assert.equal(declined.providerReference, undefined);
+  assert.match(declined.message, /card_declined/);
+
+  const broke = await creditCard.createPayment(payment(), order(), { card: card("4000000000009995") });
+  assert.match(broke.message, /insufficient_funds/);
+
+  const invalid = await creditCard.createPayment(payment(), order(), { card: card("4242424242424241") });
+  assert.match(invalid.message, /invalid_number/);
+
+  const missing = await creditCard.createPayment(payment(), order());
+  assert.equal(missing.status, "failed");
+});
+
+test("card amounts must match the payment exactly", () => {
+  const creditCard = getProvider("credit_card");
+
+  assert.equal(creditCard.amountMatches(payment(), "10"), true);
+  assert.equal(creditCard.amountMatches(payment(), 9.99), false);
+});
+
+test("ZaloPay resumes an open order instead of creating another", async (t) => {
+  const post = t.mock.method(axios, "post", async () => ({ data: { return_code: 1 } }));
+  const open = payment({ providerReference: "240101_abc", redirectUrl: "https://pay.example/x", providerData: { zpTransToken: "tok" } });
+
+  const result = await getProvider("zalopay").createPayment(open, order());
+
+  assert.equal(post.mock.callCount(), 0);
+  assert.equal(result.status, "pending");
+  assert.deepEqual([result.providerReference, result.redirectUrl], ["240101_abc", "https://pay.example/x"]);
+});
+
+test("ZaloPay numbers each new transaction of a payment", async (t) => {
+  const post = t.mock.method(axios, "post", async () => ({
+    data: { return_code: 1, order_url: "https://pay.example/y", zp_trans_token: "tok" }
+  }));
+  const retried = payment({
+    attempts: [
+      { action: "create", providerReference: "240101_first" },
+      { action: "query", providerReference: "240101_first" },
+      { action: "create", providerReference: "240101_first" }
+    ]
+  });
+
+  const result = await getProvider("zalopay").createPayment(retried, order());
+
+  const params = qs.parse(post.mock.calls[0].arguments[1]);
+  assert.match(result.providerReference, /_2$/);
+  assert.equal(params.app_user, String(retried.user));
+  assert.deepEqual(result.providerData, { zpTransToken: "tok", amountVnd: 250000 });
+});
+
+test("ZaloPay query results map onto payment statuses", async (t) => {
+  const post = t.mock.method(axios, "post", async () => ({
+    data: { return_code: 1, zp_trans_id: 987, amount: 250000, return_message: "ok" }
+  }));
+  const zaloPay = getProvider("zalopay");
+  const pending = payment({ providerReference: "240101_abc" });
+
+  const succeeded = await zaloPay.queryPayment(pending);
+  assert.deepEqual([succeeded.status, succeeded.providerTransactionId, succeeded.amount], ["succeeded", "987", 250000]);
+
+  post.mock.mockImplementation(async () => ({ data: { return_code: 2, return_message: "failed" } }));
+  assert.equal((await zaloPay.queryPayment(pending)).status, "failed");
+
+  post.mock.mockImplementation(async () => ({ data: { return_code: 3 } }));
+  const processing = await zaloPay.queryPayment(pending);
+  assert.equal(processing.status, "pending");
+  assert.equal(processing.providerTransactionId, undefined);
+});
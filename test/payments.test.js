@@ -0,0 +1,263 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Order = require("../models/order");
+const Payment = require("../models/payment");
+const Product = require("../models/product");
+const CashFlowTransaction = require("../models/cashFlowTransaction");
+const InventoryMovement = require("../models/inventoryMovement");
+const {
+  settlePayment,
+  refreshPayment,
+  applyOrderStatusToPayment
+} = require("../middleware/payments");
+const { getProvider } = require("../middleware/paymentProviders");
+const paymentReconciliation = require("../jobs/paymentReconciliation");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Resolves like a query and also supports .session()
+const query = (value) => Object.assign(Promise.resolve(value), { session: async () => value });
+
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set || {});
+  Object.keys(update.$unset || {}).forEach(field => delete doc[field]);
+  if (update.$push && update.$push.attempts) {
+    doc.attempts = [...doc.attempts, update.$push.attempts];
+  }
+};
+
+const statusMatches = (doc, filter) => {
+  if (filter.status === undefined) {
+    return true;
+  }
+  return filter.status.$in ? filter.status.$in.includes(doc.status) : filter.status === doc.status;
+};
+
+/**
+ * One order with its payment held in memory. Filters on status are honoured
+ * the way MongoDB would, and the transaction rolls the payment back when the
+ * work throws.
+ */
+const mockStore = (t, { orderStatus, paymentStatus = "pending", stockCommitted = true, provider = "zalopay" }) => {
+  const order = new Order({
+    user: id(),
+    products: [{ productId: id(), quantity: 1, price: 10 }],
+    totalPrice: 10,
+    paymentMethod: provider,
+    status: orderStatus,
+    stockCommitted
+  });
+  const payment = {
+    _id: id(),
+    order: order._id,
+    user: order.user,
+    provider,
+    amount: 10,
+    status: paymentStatus,
+    providerReference: "240101_abc",
+    requiresRefund: false,
+    attempts: []
+  };
+  const revenue = [];
+
+  t.mock.method(mongoose.connection, "transaction", async (work) => {
+    const snapshot = { ...payment };
+    try {
+      return await work(null);
+    } catch (error) {
+      Object.keys(payment).forEach(field => delete payment[field]);
+      Object.assign(payment, snapshot);
+      throw error;
+    }
+  });
+  t.mock.method(Payment, "findOne", () => query({ ...payment }));
+  t.mock.method(Payment, "findById", async () => ({ ...payment }));
+  t.mock.method(Payment, "findOneAndUpdate", async (filter, update) => {
+    if (!statusMatches(payment, filter)) {
+      return null;
+    }
+    applyUpdate(payment, update);
+    return { ...payment };
+  });
+  t.mock.method(Payment, "updateOne", async (filter, update) => {
+    if (!statusMatches(payment, filter)) {
+      return { modifiedCount: 0 };
+    }
+    applyUpdate(payment, update);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Order, "findById", () => query(order));
+  t.mock.method(Order.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(Product, "findOneAndUpdate", async () => new Product({ name: "Serum", price: 10, stockQuantity: 4 }));
+  t.mock.method(InventoryMovement, "insertMany", async (movements) => movements);
+  t.mock.method(CashFlowTransaction, "findOne", () => query(revenue[0] || null));
+  t.mock.method(CashFlowTransaction.prototype, "save", async function () {
+    revenue.push(this);
+    return this;
+  });
+
+  return { order, payment, revenue };
+};
+
+const callback = { providerTransactionId: "987", amount: 250000, source: "callback" };
+
+test.beforeEach(() => {
+  process.env.ZALOPAY_VND_RATE = "25000";
+});
+
+test.afterEach(() => {
+  delete process.env.ZALOPAY_VND_RATE;
+});
+
+test("settling confirms the unpaid order and posts its revenue together", async (t) => {
+  const { order, payment, revenue } = mockStore(t, { orderStatus: "pending_payment", stockCommitted: false });
+
+  const result = await settlePayment({ ...payment }, callback);
+
+  assert.equal(result.status, "settled");
+  assert.equal(payment.status, "succeeded");
+  assert.equal(payment.providerTransactionId, "987");
+  assert.equal(order.status, "paid");
+  assert.equal(order.stockCommitted, true);
+  assert.equal(revenue.length, 1);
+  assert.equal(revenue[0].amount, 10);
+  assert.equal(payment.revenueTransaction, revenue[0]._id);
+});
+
+test("a payment settles only once", async (t) => {
+  const { payment, revenue } = mockStore(t, { orderStatus: "pending_payment", stockCommitted: false });
+
+  await settlePayment({ ...payment }, callback);
+  const repeated = await settlePayment({ ...payment }, { ...callback, source: "query" });
+
+  assert.equal(repeated.status, "duplicate");
+  assert.equal(revenue.length, 1);
+  assert.equal(payment.attempts.filter(attempt => attempt.action === "settle").length, 1);
+});
+
+test("money that arrives after cancellation is kept and flagged for refund", async (t) => {
+  const { order, payment, revenue } = mockStore(t, { orderStatus: "cancelled", paymentStatus: "cancelled" });
+
+  const result = await settlePayment({ ...payment }, callback);
+
+  assert.equal(result.status, "rejected");
+  assert.match(result.reason, /is cancelled/);
+  assert.equal(payment.status, "succeeded");
+  assert.equal(payment.requiresRefund, true);
+  assert.equal(order.status, "cancelled");
+  assert.equal(revenue.length, 0);
+});
+
+test("a payment whose order can't be confirmed is still recorded for refund", async (t) => {
+  const { order, payment, revenue } = mockStore(t, { orderStatus: "pending_payment", stockCommitted: false });
+  Product.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+  const result = await settlePayment({ ...payment }, callback);
+
+  assert.equal(result.status, "rejected");
+  assert.match(result.reason, /reservation for this order has expired/);
+  assert.equal(payment.status, "succeeded");
+  assert.equal(payment.requiresRefund, true);
+  assert.equal(order.status, "pending_payment");
+  assert.equal(revenue.length, 0);
+
+  const repeated = await settlePayment({ ...payment }, callback);
+  assert.equal(repeated.status, "duplicate");
+});
+
+test("a reported amount that doesn't match is recorded but not settled", async (t) => {
+  const { payment } = mockStore(t, { orderStatus: "pending_payment" });
+
+  const result = await settlePayment({ ...payment }, { ...callback, amount: 1000 });
+
+  assert.equal(result.status, "amount_mismatch");
+  assert.equal(payment.status, "pending");
+  assert.equal(payment.attempts[0].success, false);
+});
+
+test("refreshing settles a payment the provider reports as paid", async (t) => {
+  const { payment } = mockStore(t, { orderStatus: "pending_payment", stockCommitted: false });
+  const zaloPay = getProvider("zalopay");
+  const queried = t.mock.method(zaloPay, "queryPayment", async () => ({ status: "pending" }));
+
+  assert.equal((await refreshPayment({ ...payment })).status, "pending");
+  assert.equal(payment.status, "pending");
+
+  queried.mock.mockImplementation(async () => ({ status: "succeeded", providerTransactionId: "987", amount: 250000 }));
+  assert.equal((await refreshPayment({ ...payment }, "reconciliation")).status, "settled");
+  assert.equal(payment.attempts.at(-1).message, "Settled via reconciliation");
+
+  assert.equal((await refreshPayment({ ...payment })).status, "succeeded");
+  assert.equal(queried.mock.callCount(), 2);
+});
+
+test("refreshing drops a failed transaction so the customer can pay again", async (t) => {
+  const { payment } = mockStore(t, { orderStatus: "pending_payment" });
+  t.mock.method(getProvider("zalopay"), "queryPayment", async () => ({ status: "failed", message: "expired" }));
+
+  const result = await refreshPayment({ ...payment, redirectUrl: "https://pay.example/x" });
+
+  assert.equal(result.status, "failed");
+  assert.equal(payment.providerReference, undefined);
+  assert.equal(payment.redirectUrl, undefined);
+  assert.deepEqual(
+    [payment.attempts[0].action, payment.attempts[0].providerReference],
+    ["query", "240101_abc"]
+  );
+});
+
+test("a cancelled payment the customer completed anyway is flagged for refund", async (t) => {
+  const { payment, revenue } = mockStore(t, { orderStatus: "cancelled", paymentStatus: "cancelled" });
+  t.mock.method(getProvider("zalopay"), "queryPayment", async () => ({ status: "succeeded", providerTransactionId: "987", amount: 250000 }));
+
+  const result = await refreshPayment({ ...payment });
+
+  assert.equal(result.status, "rejected");
+  assert.deepEqual([payment.status, payment.requiresRefund], ["succeeded", true]);
+  assert.equal(revenue.length, 0);
+});
+
+test("reconciliation checks pending and recently cancelled payments", async (t) => {
+  ["ZALOPAY_APP_ID", "ZALOPAY_KEY1", "ZALOPAY_KEY2"].forEach(name => {
+    process.env[name] = "test";
+  });
+  t.after(() => ["ZALOPAY_APP_ID", "ZALOPAY_KEY1", "ZALOPAY_KEY2"].forEach(name => delete process.env[name]));
+  const { payment } = mockStore(t, { orderStatus: "cancelled", paymentStatus: "cancelled" });
+  const find = t.mock.method(Payment, "find", async () => [{ ...payment }, { ...payment, _id: id(), provider: "cash" }]);
+  t.mock.method(getProvider("zalopay"), "queryPayment", async () => ({ status: "succeeded", providerTransactionId: "987", amount: 250000 }));
+
+  assert.deepEqual(await paymentReconciliation.run(), { checked: 1, settled: 0, flagged: 1 });
+
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepEqual(filter.$or[0], { status: "pending" });
+  assert.equal(filter.$or[1].status, "cancelled");
+  assert.ok(Date.now() - filter.$or[1].updatedAt.$gte < 24 * 60 * 60 * 1000 + 1000);
+});
+
+test("cash is collected and its revenue posted when the order is delivered", async (t) => {
+  const { order, payment, revenue } = mockStore(t, { orderStatus: "delivered", provider: "cash" });
+
+  await applyOrderStatusToPayment({ order, to: "delivered" });
+  await applyOrderStatusToPayment({ order, to: "delivered" });
+
+  assert.equal(payment.status, "succeeded");
+  assert.equal(revenue.length, 1);
+});
+
+test("cancelling drops an unpaid payment and refunding closes a settled one", async (t) => {
+  const { order, payment } = mockStore(t, { orderStatus: "cancelled" });
+
+  await applyOrderStatusToPayment({ order, to: "refunded" });
+  assert.equal(payment.status, "pending");
+
+  await applyOrderStatusToPayment({ order, to: "cancelled" });
+  assert.equal(payment.status, "cancelled");
+
+  Object.assign(payment, { status: "succeeded", requiresRefund: true });
+  await applyOrderStatusToPayment({ order, to: "refunded" });
+  assert.equal(payment.status, "refunded");
+  assert.equal(payment.requiresRefund, false);
+});
@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const InventoryMovement = require("../models/inventoryMovement");
+const { updateProduct } = require("../controllers/productController");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const serum = (fields = {}) => new Product({ name: "Serum", sku: "SERUM", price: 20, stockQuantity: 10, ...fields });
+
+const response = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = res.json;
+  return res;
+};
+
+const editRequest = (productId, body) => ({ params: { id: String(productId) }, body, user: { id: id() } });
+
+// Resolves like an awaited query and also supports .session()
+const query = (value) => Object.assign(Promise.resolve(value), { session: async () => value });
+
+/**
+ * One product held in memory: edits replace its fields and stock adjustments
+ * apply their $inc, failing like the guarded update when stock is reserved
+ */
+const mockProduct = (t, product, { latest = product } = {}) => {
+  const store = { current: product };
+  t.mock.method(Product, "findById", () => {
+    const found = store.current;
+    store.current = latest;
+    return query(found);
+  });
+  const update = t.mock.method(Product, "findByIdAndUpdate", async (productId, changes) => {
+    store.current = new Product({ ...store.current.toObject(), ...changes });
+    return store.current;
+  });
+  const adjust = t.mock.method(Product, "findOneAndUpdate", async (filter, { $inc }) => {
+    const available = store.current.stockQuantity - (store.current.reservedQuantity || 0);
+    if (filter.$expr && available < -$inc.stockQuantity) {
+      return null;
+    }
+    store.current = new Product({ ...store.current.toObject(), stockQuantity: store.current.stockQuantity + $inc.stockQuantity });
+    return store.current;
+  });
+  return { update, adjust };
+};
+
+const movements = () => InventoryMovement.insertMany.mock.calls.flatMap(call => call.arguments[0]);
+
+test.beforeEach((t) => {
+  t.mock.method(InventoryMovement, "insertMany", async (entries) => entries);
+  t.mock.method(mongoose.connection, "transaction", async (work) => work(null));
+});
+
+test("editing the stock count records an adjustment for the difference", async (t) => {
+  const current = serum();
+  const { update, adjust } = mockProduct(t, current);
+  const req = editRequest(current._id, { name: "Serum", price: 20, stockQuantity: 14 });
+  const res = response();
+
+  await updateProduct(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.stockQuantity, 14);
+  assert.equal("stockQuantity" in update.mock.calls[0].arguments[1], false);
+  assert.deepEqual(adjust.mock.calls[0].arguments[1], { $inc: { stockQuantity: 4 } });
+  const [movement] = movements();
+  assert.deepEqual([movement.type, movement.quantity, movement.balanceAfter], ["adjustment", 4, 14]);
+  assert.deepEqual([movement.actor, movement.reason], [req.user.id, "Product edited"]);
+});
+
+test("the new count is measured against stock read inside the transaction", async (t) => {
+  const current = serum();
+  // Two units sold between loading the edit and saving it
+  mockProduct(t, current, { latest: serum({ _id: current._id, stockQuantity: 8 }) });
+  const res = response();
+
+  await updateProduct(editRequest(current._id, { name: "Serum", price: 20, stockQuantity: 14 }), res);
+
+  assert.equal(res.body.stockQuantity, 14);
+  assert.deepEqual(movements().map(movement => [movement.quantity, movement.balanceAfter]), [[6, 14]]);
+});
+
+test("an edit that leaves stock alone adds nothing to the ledger", async (t) => {
+  const current = serum();
+  const { adjust } = mockProduct(t, current);
+  const res = response();
+
+  await updateProduct(editRequest(current._id, { name: "Renamed", price: 25, stockQuantity: 10 }), res);
+
+  assert.equal(res.body.name, "Renamed");
+  assert.equal(adjust.mock.callCount(), 0);
+  assert.equal(InventoryMovement.insertMany.mock.callCount(), 0);
+});
+
+test("stock can't be counted below what unpaid orders have reserved", async (t) => {
+  const current = serum({ reservedQuantity: 6 });
+  mockProduct(t, current);
+  const res = response();
+
+  await updateProduct(editRequest(current._id, { name: "Serum", price: 20, stockQuantity: 3 }), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.message, /Only 4 unit\(s\) of Serum/);
+  assert.equal(InventoryMovement.insertMany.mock.callCount(), 0);
+});
+
+test("stock counts must be whole numbers of zero or more", async (t) => {
+  const current = serum();
+  const { update } = mockProduct(t, current);
+
+  for (const stockQuantity of [-1, 2.5, "many"]) {
+    const res = response();
+    await updateProduct(editRequest(current._id, { name: "Serum", stockQuantity }), res);
+    assert.equal(res.statusCode, 400);
+  }
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("price and stock of a product with variants can't be set directly", async (t) => {
+  const current = new Product({
+    name: "Cream",
+    price: 30,
+    stockQuantity: 4,
+    variants: [{ sku: "CREAM-50", price: 30, stockQuantity: 4 }]
+  });
+  const { update, adjust } = mockProduct(t, current);
+
+  await updateProduct(editRequest(current._id, { name: "Cream", price: 1, stockQuantity: 99 }), response());
+
+  const [, changes] = update.mock.calls[0].arguments;
+  assert.equal("price" in changes, false);
+  assert.equal("stockQuantity" in changes, false);
+  assert.equal(adjust.mock.callCount(), 0);
+  assert.equal(InventoryMovement.insertMany.mock.callCount(), 0);
+});
+
+test("a variant's stock can't be set below what is reserved", async (t) => {
+  const current = new Product({
+    name: "Cream",
+    price: 30,
+    stockQuantity: 4,
+    reservedQuantity: 3,
+    variants: [{ sku: "CREAM-50", price: 30, stockQuantity: 4, reservedQuantity: 3 }]
+  });
+  const { update } = mockProduct(t, current);
+  const res = response();
+  const variants = JSON.stringify([{ _id: current.variants[0]._id, sku: "CREAM-50", price: 30, stockQuantity: 2 }]);
+
+  await updateProduct(editRequest(current._id, { name: "Cream", variants }), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.message, /CREAM-50 has 3 unit\(s\) reserved/);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("editing a missing product is a 404", async (t) => {
+  t.mock.method(Product, "findById", () => query(null));
+  const update = t.mock.method(Product, "findByIdAndUpdate", async () => null);
+  const res = response();
+
+  await updateProduct(editRequest(id(), { name: "Ghost" }), res);
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(update.mock.callCount(), 0);
+});
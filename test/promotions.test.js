@@ -0,0 +1,219 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Promotion = require("../models/promotion");
+const PromotionRedemption = require("../models/promotionRedemption");
+const Order = require("../models/order");
+const {
+  getEligibleLines,
+  calculateDiscountAmount,
+  applyPromotionCode,
+  reservePromotionUsage,
+  releasePromotionUsage
+} = require("../middleware/promotions");
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolves like a query and also supports .session()
+const query = (value) => Object.assign(Promise.resolve(value), { session: async () => value });
+
+const skincare = id();
+const makeup = id();
+const serumId = id();
+const lipstickId = id();
+
+const lines = [
+  { productId: serumId, category: skincare, quantity: 5, price: 20, lineTotal: 100 },
+  { productId: lipstickId, category: makeup, quantity: 2, price: 12.5, lineTotal: 25 }
+];
+
+const promotion = (fields = {}) => ({
+  _id: id(),
+  code: "SAVE",
+  name: "Save",
+  isActive: true,
+  usageLimit: null,
+  usageCount: 0,
+  usageLimitPerUser: null,
+  minSubtotal: 0,
+  products: [],
+  categories: [],
+  type: "percentage",
+  value: 10,
+  ...fields
+});
+
+test("discount amounts per promotion type", () => {
+  assert.equal(calculateDiscountAmount(promotion({ type: "percentage", value: 15 }), lines), 18.75);
+  assert.equal(calculateDiscountAmount(promotion({ type: "percentage", value: 50, maxDiscount: 30 }), lines), 30);
+  assert.equal(calculateDiscountAmount(promotion({ type: "fixed", value: 200 }), lines), 125);
+  assert.equal(calculateDiscountAmount(promotion({ type: "fixed", value: 7.5 }), lines), 7.5);
+  // buy 2 get 1: 5 serums -> 1 free, 2 lipsticks -> none
+  assert.equal(calculateDiscountAmount(promotion({ type: "buy_x_get_y", buyQuantity: 2, getQuantity: 1 }), lines), 20);
+  assert.equal(calculateDiscountAmount(promotion({ type: "free_shipping" }), lines), 0);
+});
+
+test("scoped promotions only count their products and categories", () => {
+  assert.equal(getEligibleLines(promotion(), lines).length, 2);
+  assert.deepEqual(getEligibleLines(promotion({ products: [lipstickId] }), lines), [lines[1]]);
+  assert.deepEqual(getEligibleLines(promotion({ categories: [skincare] }), lines), [lines[0]]);
+  assert.deepEqual(getEligibleLines(promotion({ categories: [id()] }), lines), []);
+  // Subcategories only count when passed in as part of the scope
+  const serums = id();
+  const serumLine = { ...lines[0], category: serums };
+  assert.deepEqual(getEligibleLines(promotion({ categories: [skincare] }), [serumLine]), []);
+  assert.deepEqual(getEligibleLines(promotion({ categories: [skincare] }), [serumLine], [skincare, serums]), [serumLine]);
+});
+
+test("applies a valid coupon whatever its case", async (t) => {
+  const coupon = promotion({ type: "fixed", value: 10 });
+  t.mock.method(Promotion, "findOne", async () => coupon);
+
+  const result = await applyPromotionCode(" save ", lines);
+
+  assert.deepEqual(Promotion.findOne.mock.calls[0].arguments[0], { code: "SAVE" });
+  assert.equal(result.valid, true);
+  assert.equal(result.freeShipping, false);
+  assert.deepEqual(result.discount, { promotion: coupon._id, code: "SAVE", description: "Save", amount: 10 });
+});
+
+test("a free shipping coupon waives shipping without a discount", async (t) => {
+  t.mock.method(Promotion, "findOne", async () => promotion({ type: "free_shipping" }));
+
+  const result = await applyPromotionCode("SAVE", lines);
+
+  assert.equal(result.freeShipping, true);
+  assert.equal(result.discount.amount, 0);
+});
+
+test("rejects coupons that can't be used", async (t) => {
+  const now = Date.now();
+  const cases = [
+    [null, /Invalid coupon code/],
+    [promotion({ isActive: false }), /Invalid coupon code/],
+    [promotion({ startsAt: new Date(now + DAY_MS) }), /not active yet/],
+    [promotion({ endsAt: new Date(now - DAY_MS) }), /expired/],
+    [promotion({ usageLimit: 3, usageCount: 3 }), /usage limit/],
+    [promotion({ minSubtotal: 200 }), /minimum subtotal of 200/],
+    [promotion({ products: [id()] }), /does not apply/]
+  ];
+  const mock = t.mock.method(Promotion, "findOne", async () => null);
+
+  for (const [found, reason] of cases) {
+    mock.mock.mockImplementation(async () => found);
+    const result = await applyPromotionCode("SAVE", lines);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, reason);
+  }
+});
+
+test("a customer can't use a coupon more often than its per-user limit", async (t) => {
+  t.mock.method(Promotion, "findOne", async () => promotion({ usageLimitPerUser: 2 }));
+  const redemption = t.mock.method(PromotionRedemption, "findOne", () => query({ count: 2 }));
+  const orderUses = t.mock.method(Order, "countDocuments", () => query(1));
+
+  const used = await applyPromotionCode("SAVE", lines, { userId: "user-1" });
+  assert.equal(used.valid, false);
+  assert.match(used.reason, /already used/);
+  assert.equal(orderUses.mock.callCount(), 0);
+
+  // Customers without a redemption record yet are counted from their live orders
+  redemption.mock.mockImplementation(() => query(null));
+  assert.equal((await applyPromotionCode("SAVE", lines, { userId: "user-1" })).valid, true);
+  assert.deepEqual(orderUses.mock.calls[0].arguments[0].status, { $nin: ["cancelled", "refunded"] });
+});
+
+/**
+ * Promotion usage and per-customer redemptions held in memory; the updates
+ * honour the limit filters the way MongoDB would
+ */
+const mockUsage = (t, coupon, { previousOrders = 0 } = {}) => {
+  const redemptions = new Map();
+  const key = (filter) => `${filter.promotion}:${filter.user}`;
+
+  t.mock.method(Promotion, "findOneAndUpdate", async () => {
+    if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+      return null;
+    }
+    coupon.usageCount++;
+    return { ...coupon };
+  });
+  t.mock.method(Promotion, "updateOne", async (filter, update) => {
+    if (coupon.usageCount > 0) {
+      coupon.usageCount += update.$inc.usageCount;
+    }
+  });
+  t.mock.method(Order, "countDocuments", () => query(previousOrders));
+  t.mock.method(PromotionRedemption, "exists", (filter) => query(redemptions.has(key(filter)) ? {} : null));
+  t.mock.method(PromotionRedemption, "updateOne", async (filter, update) => {
+    const count = redemptions.get(key(filter));
+    if (update.$setOnInsert && count === undefined) {
+      redemptions.set(key(filter), update.$setOnInsert.count);
+    }
+    if (update.$inc && count > 0) {
+      redemptions.set(key(filter), count + update.$inc.count);
+    }
+  });
+  t.mock.method(PromotionRedemption, "findOneAndUpdate", async (filter) => {
+    const count = redemptions.get(key(filter));
+    if (filter.count && !(count < filter.count.$lt)) {
+      return null;
+    }
+    redemptions.set(key(filter), count + 1);
+    return { count: count + 1 };
+  });
+
+  return redemptions;
+};
+
+test("usage is reserved only while the global limit has room", async (t) => {
+  const coupon = promotion({ usageLimit: 2 });
+  mockUsage(t, coupon);
+
+  assert.deepEqual(await reservePromotionUsage(coupon, id()), { reserved: true });
+  const [filter, update] = Promotion.findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter._id, coupon._id);
+  assert.deepEqual(filter.$or, [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }]);
+  assert.deepEqual(update, { $inc: { usageCount: 1 } });
+
+  await reservePromotionUsage(coupon, id());
+  const full = await reservePromotionUsage(coupon, id());
+  assert.equal(full.reserved, false);
+  assert.match(full.reason, /Coupon SAVE has reached its usage limit/);
+});
+
+test("the per-user limit is enforced when the order is placed, counting earlier orders", async (t) => {
+  const coupon = promotion({ usageLimitPerUser: 2 });
+  const customer = id();
+  const redemptions = mockUsage(t, coupon, { previousOrders: 1 });
+
+  assert.deepEqual(await reservePromotionUsage(coupon, customer), { reserved: true });
+  const second = await reservePromotionUsage(coupon, customer);
+
+  assert.deepEqual(second, { reserved: false, reason: "You have already used coupon SAVE" });
+  assert.equal(redemptions.get(`${coupon._id}:${customer}`), 2);
+  assert.deepEqual(await reservePromotionUsage(coupon, id()), { reserved: true });
+});
+
+test("cancelling or refunding an order gives its coupon usage back once", async (t) => {
+  const coupon = promotion({ usageCount: 0 });
+  const customer = id();
+  const redemptions = mockUsage(t, coupon);
+  const order = { _id: id(), user: customer, pricing: { discounts: [{ promotion: coupon._id, amount: 5 }] } };
+
+  await reservePromotionUsage(coupon, customer);
+  await releasePromotionUsage({ order, from: "paid", to: "cancelled" });
+  await releasePromotionUsage({ order, from: "cancelled", to: "refunded" });
+
+  assert.equal(coupon.usageCount, 0);
+  assert.equal(redemptions.get(`${coupon._id}:${customer}`), 0);
+
+  await reservePromotionUsage(coupon, customer);
+  await releasePromotionUsage({ order, from: "paid", to: "processing" });
+  assert.equal(coupon.usageCount, 1);
+  await releasePromotionUsage({ order, from: "returned", to: "refunded" });
+  assert.equal(coupon.usageCount, 0);
+  await releasePromotionUsage({ order: { _id: id(), user: customer }, from: "paid", to: "cancelled" });
+  assert.equal(Promotion.updateOne.mock.callCount(), 2);
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const Order = require("../models/order");
+const PurchaseOrder = require("../models/purchaseOrder");
+const { lowStockFilter, assessStock, refreshStockForecasts } = require("../middleware/stockForecast");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FORECAST_ENV = ["LOW_STOCK_THRESHOLD", "DEFAULT_LEAD_TIME_DAYS", "SALES_VELOCITY_DAYS", "REORDER_COVER_DAYS"];
+
+const now = new Date("2024-06-01T00:00:00Z");
+const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+
+test.beforeEach(() => {
+  FORECAST_ENV.forEach(name => delete process.env[name]);
+});
+
+test.afterEach(() => {
+  FORECAST_ENV.forEach(name => delete process.env[name]);
+});
+
+test("stock above the reorder point with no sales is ok", () => {
+  const forecast = assessStock({ stockQuantity: 50 }, { now });
+
+  assert.equal(forecast.status, "ok");
+  assert.equal(forecast.daysOfStock, null);
+  assert.equal(forecast.projectedStockoutAt, null);
+  assert.equal(forecast.suggestedReorderQuantity, 0);
+});
+
+test("reserved stock doesn't count towards the reorder point", () => {
+  const forecast = assessStock({ stockQuantity: 12, reservedQuantity: 4, reorderQuantity: 24 }, { now });
+
+  // target 10 (reorder point, no sales) - 8 available = 2, raised to the reorder quantity
+  assert.deepEqual([forecast.status, forecast.available, forecast.suggestedReorderQuantity], ["low", 8, 24]);
+});
+
+test("a product that runs out before a reorder could arrive is at risk", () => {
+  const forecast = assessStock({ stockQuantity: 20 }, { dailyVelocity: 5, now });
+
+  assert.equal(forecast.status, "at_risk");
+  assert.equal(forecast.daysOfStock, 4);
+  assert.deepEqual(forecast.projectedStockoutAt, inDays(4));
+  // 5/day over 7 days lead + 30 days cover = 185, + reorder point 10, - 20 available
+  assert.equal(forecast.suggestedReorderQuantity, 175);
+});
+
+test("only deliveries due before the stockout take a product out of risk", () => {
+  const product = { stockQuantity: 20 };
+
+  const inTime = assessStock(product, { dailyVelocity: 5, now, incoming: [{ quantity: 50, expectedDeliveryDate: inDays(2) }] });
+  assert.equal(inTime.status, "ok");
+  assert.equal(inTime.incomingQuantity, 50);
+
+  const late = assessStock(product, { dailyVelocity: 5, now, incoming: [{ quantity: 50, expectedDeliveryDate: inDays(10) }] });
+  assert.equal(late.status, "at_risk");
+  assert.equal(late.suggestedReorderQuantity, 125);
+
+  // Without a date the delivery is assumed to take the lead time (7 days)
+  const undated = assessStock(product, { dailyVelocity: 5, now, incoming: [{ quantity: 50 }] });
+  assert.equal(undated.status, "at_risk");
+});
+
+test("nothing left to sell is out of stock, even with reservations over stock", () => {
+  const forecast = assessStock({ stockQuantity: 3, reservedQuantity: 5 }, { dailyVelocity: 1, now });
+
+  assert.deepEqual([forecast.status, forecast.available, forecast.daysOfStock], ["out_of_stock", -2, 0]);
+  // 1/day over 37 days + 10, nothing available to subtract
+  assert.equal(forecast.suggestedReorderQuantity, 47);
+});
+
+test("per-product settings override the defaults, including zero", () => {
+  const forecast = assessStock({ stockQuantity: 5, reorderPoint: 0, leadTimeDays: 2 }, { dailyVelocity: 1, now });
+
+  assert.deepEqual([forecast.status, forecast.reorderPoint, forecast.leadTimeDays], ["ok", 0, 2]);
+});
+
+test("velocity and days of stock are rounded for display", () => {
+  const forecast = assessStock({ stockQuantity: 100 }, { dailyVelocity: 1 / 3, now });
+
+  assert.equal(forecast.dailyVelocity, 0.33);
+  assert.equal(forecast.daysOfStock, 300);
+  assert.equal(assessStock({ stockQuantity: 10 }, { dailyVelocity: 3, now }).daysOfStock, 3.3);
+});
+
+test("defaults come from the environment and ignore invalid values", () => {
+  process.env.LOW_STOCK_THRESHOLD = "5";
+  process.env.DEFAULT_LEAD_TIME_DAYS = "-1";
+  process.env.REORDER_COVER_DAYS = "0";
+
+  const forecast = assessStock({ stockQuantity: 5 }, { dailyVelocity: 1, now });
+
+  assert.deepEqual([forecast.status, forecast.reorderPoint, forecast.leadTimeDays], ["at_risk", 5, 7]);
+  assert.equal(forecast.suggestedReorderQuantity, 7);
+  assert.deepEqual(lowStockFilter().$expr.$lte[1], { $ifNull: ["$reorderPoint", 5] });
+});
+
+test("products are alerted once, when their status gets worse", async (t) => {
+  const product = (name, stockQuantity, previousStatus) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    stockQuantity,
+    stockForecast: previousStatus ? { status: previousStatus } : undefined
+  });
+  const products = [
+    product("Already low", 5, "low"),
+    product("Newly low", 5, "ok"),
+    product("Sold out", 0, "low"),
+    product("Fine", 50)
+  ];
+  t.mock.method(Order, "aggregate", async () => []);
+  t.mock.method(PurchaseOrder, "find", () => ({ select: async () => [] }));
+  t.mock.method(Product, "find", () => ({ select: () => ({ populate: async () => products }) }));
+  const bulkWrite = t.mock.method(Product, "bulkWrite", async () => ({}));
+
+  const { checked, alerts } = await refreshStockForecasts();
+
+  assert.equal(checked, 4);
+  assert.deepEqual(alerts.map(alert => [alert.name, alert.status]), [["Sold out", "out_of_stock"], ["Newly low", "low"]]);
+  const [operations] = bulkWrite.mock.calls[0].arguments;
+  assert.deepEqual(operations.map(operation => operation.updateOne.update.$set.stockForecast.status), ["low", "low", "out_of_stock", "ok"]);
+});
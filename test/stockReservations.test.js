@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Product = require("../models/product");
+const Order = require("../models/order");
+const InventoryMovement = require("../models/inventoryMovement");
+const {
+  getReservationExpiry,
+  reserveStock,
+  decrementStock,
+  commitReservation,
+  releaseReservation,
+  releaseOrphanedReservations
+} = require("../middleware/stockReservations");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const order = (products) => ({ _id: id(), products, reservationExpiresAt: new Date("2030-01-01") });
+
+const argumentsOf = (mock) => mock.mock.calls.map(call => call.arguments);
+
+// Product as the stock update returns it, for the ledger movement
+const updatedProduct = (fields = {}) => new Product({ name: "Serum", price: 20, stockQuantity: 5, ...fields });
+
+test.beforeEach((t) => {
+  t.mock.method(InventoryMovement, "insertMany", async (movements) => movements);
+});
+
+test.afterEach(() => {
+  delete process.env.STOCK_RESERVATION_TTL_MINUTES;
+});
+
+test("reservations expire after the configured TTL", () => {
+  const within = (expiry, minutes) => Math.abs(expiry - Date.now() - minutes * 60 * 1000) < 1000;
+
+  assert.ok(within(getReservationExpiry(), 15));
+  process.env.STOCK_RESERVATION_TTL_MINUTES = "30";
+  assert.ok(within(getReservationExpiry(), 30));
+  process.env.STOCK_RESERVATION_TTL_MINUTES = "-5";
+  assert.ok(within(getReservationExpiry(), 15));
+});
+
+test("reserves each product once for the total quantity, only if sellable stock covers it", async (t) => {
+  const reserve = t.mock.method(Product, "findOneAndUpdate", async () => ({}));
+  const productId = id();
+  const checkout = order([
+    { productId, quantity: 2 },
+    { productId, quantity: 3 }
+  ]);
+
+  assert.equal(await reserveStock(checkout), true);
+
+  const [[filter, update, options]] = argumentsOf(reserve);
+  assert.equal(reserve.mock.callCount(), 1);
+  assert.equal(filter._id, productId);
+  assert.deepEqual(filter.$expr.$gte, [{ $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }] }, 5]);
+  assert.deepEqual(update.$inc, { reservedQuantity: 5 });
+  assert.deepEqual(update.$push.reservations, {
+    order: checkout._id,
+    variant: undefined,
+    quantity: 5,
+    expiresAt: checkout.reservationExpiresAt
+  });
+  assert.equal(options.arrayFilters, undefined);
+});
+
+test("reserves variants separately and on the product total", async (t) => {
+  const reserve = t.mock.method(Product, "findOneAndUpdate", async () => ({}));
+  const productId = id();
+  const small = id();
+  const large = id();
+
+  await reserveStock(order([
+    { productId, variantId: small, quantity: 1 },
+    { productId, variantId: large, quantity: 2 },
+    { productId, variantId: large, quantity: 1 }
+  ]));
+
+  const calls = argumentsOf(reserve);
+  assert.equal(calls.length, 2);
+  const [filter, update, options] = calls[1];
+  assert.deepEqual(filter.$expr.$let.in.$gte[1], 3);
+  assert.deepEqual(update.$inc, { reservedQuantity: 3, "variants.$[variant].reservedQuantity": 3 });
+  assert.equal(update.$push.reservations.variant, large);
+  assert.deepEqual(options.arrayFilters, [{ "variant._id": large }]);
+});
+
+test("fails when a product no longer has enough sellable stock", async (t) => {
+  const short = id();
+  t.mock.method(Product, "findOneAndUpdate", async (filter) => (filter._id === short ? null : updatedProduct()));
+
+  assert.equal(await reserveStock(order([{ productId: id(), quantity: 1 }, { productId: short, quantity: 1 }])), false);
+  assert.equal(await decrementStock([{ productId: short, quantity: 1 }]), false);
+});
+
+test("cash orders take stock straight away without touching reservations", async (t) => {
+  const decrement = t.mock.method(Product, "findOneAndUpdate", async () => updatedProduct());
+  const productId = id();
+
+  assert.equal(await decrementStock([{ productId, quantity: 2 }]), true);
+
+  const [[filter, update]] = argumentsOf(decrement);
+  assert.equal(filter.$expr.$gte[1], 2);
+  assert.equal(update.$inc.stockQuantity, -2);
+  assert.equal(update.$inc.unitsSold, 2);
+  assert.equal(update.$inc.reservedQuantity, undefined);
+  assert.equal(update.$pull, undefined);
+});
+
+test("selling a variant takes stock from the variant and the product", async (t) => {
+  const variantId = id();
+  const decrement = t.mock.method(Product, "findOneAndUpdate", async () => updatedProduct({
+    variants: [{ _id: variantId, sku: "CREAM-50", price: 30, stockQuantity: 4 }]
+  }));
+
+  assert.equal(await decrementStock([{ productId: id(), variantId, quantity: 2 }]), true);
+
+  const [[filter, update, options]] = argumentsOf(decrement);
+  assert.deepEqual(filter.$expr.$let.vars.variant.$arrayElemAt[0].$filter.cond, { $eq: ["$$this._id", variantId] });
+  assert.deepEqual(update.$inc, {
+    stockQuantity: -2,
+    unitsSold: 2,
+    "variants.$[variant].stockQuantity": -2,
+    "variants.$[variant].unitsSold": 2
+  });
+  assert.deepEqual(options.arrayFilters, [{ "variant._id": variantId }]);
+});
+
+test("committing turns the order's reservation into a stock decrement", async (t) => {
+  const commit = t.mock.method(Product, "findOneAndUpdate", async () => updatedProduct());
+  const checkout = order([{ productId: id(), quantity: 3 }]);
+
+  assert.equal(await commitReservation(checkout), true);
+
+  const [[filter, update]] = argumentsOf(commit);
+  assert.deepEqual(filter.reservations, { $elemMatch: { order: checkout._id, variant: null } });
+  assert.deepEqual(update.$inc, { stockQuantity: -3, reservedQuantity: -3, unitsSold: 3 });
+  assert.deepEqual(update.$pull, { reservations: { order: checkout._id, variant: null } });
+});
+
+test("committing fails once the reservation is gone", async (t) => {
+  t.mock.method(Product, "findOneAndUpdate", async () => null);
+
+  assert.equal(await commitReservation(order([{ productId: id(), quantity: 1 }])), false);
+});
+
+test("releasing only touches products still holding the order's reservation", async (t) => {
+  const release = t.mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+  const checkout = order([{ productId: id(), quantity: 4 }]);
+
+  await releaseReservation(checkout);
+
+  const [[filter, update]] = argumentsOf(release);
+  assert.deepEqual(filter.reservations, { $elemMatch: { order: checkout._id, variant: null } });
+  assert.deepEqual(update.$inc, { reservedQuantity: -4 });
+  assert.deepEqual(update.$pull, { reservations: { order: checkout._id, variant: null } });
+});
+
+test("expired reservations of pending orders are left for the lifecycle to cancel", async (t) => {
+  const pendingOrder = id();
+  const deletedOrder = id();
+  const past = new Date(Date.now() - 60 * 1000);
+  const future = new Date(Date.now() + 60 * 1000);
+  const product = {
+    _id: id(),
+    reservations: [
+      { _id: id(), order: pendingOrder, quantity: 1, expiresAt: past },
+      { _id: id(), order: deletedOrder, quantity: 2, expiresAt: past },
+      { _id: id(), order: id(), quantity: 3, expiresAt: future }
+    ]
+  };
+  t.mock.method(Product, "find", () => ({ select: async () => [product] }));
+  t.mock.method(Order, "find", () => ({ distinct: async () => [pendingOrder] }));
+  const release = t.mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await releaseOrphanedReservations(), 1);
+
+  const [[filter, update]] = argumentsOf(release);
+  assert.equal(filter["reservations._id"], product.reservations[1]._id);
+  assert.deepEqual(update.$inc, { reservedQuantity: -2 });
+});
@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const qs = require("qs");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Order = require("../models/order");
+const Payment = require("../models/payment");
+const zaloPayClient = require("../middleware/zaloPay");
+const { getProvider } = require("../middleware/paymentProviders");
+const { handleProviderCallback } = require("../middleware/payments");
+
+const KEY1 = "test-key-1";
+const KEY2 = "test-key-2";
+const zaloPay = getProvider("zalopay");
+
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest("hex");
+
+const callbackBody = (fields, key = KEY2) => {
+  const data = JSON.stringify({ app_id: 2553, app_trans_id: "240101_abc", zp_trans_id: 987, amount: 250000, ...fields });
+  return { data, mac: hmac(key, data), type: 1 };
+};
+
+test.beforeEach(() => {
+  process.env.ZALOPAY_APP_ID = "2553";
+  process.env.ZALOPAY_KEY1 = KEY1;
+  process.env.ZALOPAY_KEY2 = KEY2;
+  process.env.ZALOPAY_VND_RATE = "25000";
+});
+
+test.afterEach(() => {
+  ["ZALOPAY_APP_ID", "ZALOPAY_KEY1", "ZALOPAY_KEY2", "ZALOPAY_VND_RATE"].forEach(name => delete process.env[name]);
+});
+
+test("accepts a callback signed with key2", () => {
+  const notification = zaloPay.parseCallback(callbackBody({}));
+
+  assert.deepEqual(
+    [notification.providerReference, notification.providerTransactionId, notification.amount],
+    ["240101_abc", "987", 250000]
+  );
+});
+
+test("rejects callbacks with a bad, missing or foreign MAC", () => {
+  const body = callbackBody({});
+
+  assert.equal(zaloPay.parseCallback({ ...body, data: body.data.replace("250000", "1") }), null);
+  assert.equal(zaloPay.parseCallback({ ...body, mac: undefined }), null);
+  assert.equal(zaloPay.parseCallback({ ...body, mac: body.mac.slice(1) }), null);
+  assert.equal(zaloPay.parseCallback(callbackBody({}, KEY1)), null);
+  assert.equal(zaloPay.parseCallback({ data: { amount: 1 }, mac: body.mac }), null);
+  assert.equal(zaloPay.parseCallback(null), null);
+});
+
+test("rejects every callback while key2 is not configured", () => {
+  const body = callbackBody({});
+  delete process.env.ZALOPAY_KEY2;
+
+  assert.equal(zaloPay.parseCallback(body), null);
+  assert.equal(zaloPay.isAvailable(), false);
+});
+
+test("signs create and query requests with key1", async (t) => {
+  const requests = [];
+  t.mock.method(axios, "post", async (url, body) => {
+    requests.push({ url, params: qs.parse(body) });
+    return { data: { return_code: 1, order_url: "https://pay.example/x", zp_trans_token: "tok" } };
+  });
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    products: [
+      { productId: new mongoose.Types.ObjectId(), quantity: 1, price: 6 },
+      { productId: new mongoose.Types.ObjectId(), sku: "CREAM-50", quantity: 1, price: 4 }
+    ]
+  };
+
+  const created = await zaloPayClient.createZaloPayOrder(order, { amount: 10, appUser: "user-1" });
+  await zaloPayClient.queryZaloPayOrder(created.appTransId);
+
+  const [create, query] = requests;
+  assert.equal(created.amount, 250000);
+  assert.match(created.appTransId, new RegExp(`^\\d{6}_${order._id}$`));
+  assert.deepEqual(JSON.parse(create.params.item).map(line => line.sku), [undefined, "CREAM-50"]);
+  assert.equal(create.params.mac, hmac(KEY1, [
+    create.params.app_id, create.params.app_trans_id, create.params.app_user,
+    create.params.amount, create.params.app_time, create.params.embed_data, create.params.item
+  ].join("|")));
+  assert.equal(query.params.mac, hmac(KEY1, ["2553", created.appTransId, KEY1].join("|")));
+});
+
+test("a failed create request is reported with ZaloPay's message", async (t) => {
+  t.mock.method(axios, "post", async () => ({ data: { return_code: 2, return_message: "Giao dịch thất bại" } }));
+  const order = { _id: new mongoose.Types.ObjectId(), products: [] };
+
+  await assert.rejects(
+    zaloPayClient.createZaloPayOrder(order, { amount: 10, appUser: "user-1" }),
+    /ZaloPay create order failed: Giao dịch thất bại/
+  );
+});
+
+test("converts amounts to whole VND", () => {
+  assert.equal(zaloPayClient.toZaloPayAmount(10.5), 262500);
+  process.env.ZALOPAY_VND_RATE = "";
+  assert.equal(zaloPayClient.toZaloPayAmount(99999.6), 100000);
+});
+
+test("compares reported amounts in VND", () => {
+  assert.equal(zaloPay.amountMatches({ amount: 10 }, 250000), true);
+  assert.equal(zaloPay.amountMatches({ amount: 10 }, "250000"), true);
+  assert.equal(zaloPay.amountMatches({ amount: 10 }, 10), false);
+});
+
+test("acknowledges callbacks with ZaloPay return codes", () => {
+  assert.equal(zaloPay.acknowledgeCallback("invalid").return_code, -1);
+  assert.equal(zaloPay.acknowledgeCallback("duplicate").return_code, 2);
+  assert.equal(zaloPay.acknowledgeCallback("error").return_code, 0);
+  assert.equal(zaloPay.acknowledgeCallback("settled").return_code, 1);
+});
+
+/**
+ * In-memory Payment and Order for callback handling; the claim honours the
+ * same status filter MongoDB would, so only the first settlement wins
+ */
+const mockSettlement = (t, { orderStatus, paymentStatus = "pending" }) => {
+  const order = { _id: new mongoose.Types.ObjectId(), status: orderStatus };
+  const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    order: order._id,
+    provider: "zalopay",
+    providerReference: "240101_abc",
+    amount: 10,
+    status: paymentStatus,
+    requiresRefund: false
+  };
+
+  t.mock.method(mongoose.connection, "transaction", async (work) => work(null));
+  t.mock.method(Payment, "findOne", async () => ({ ...payment }));
+  t.mock.method(Payment, "updateOne", async (filter, update) => {
+    Object.assign(payment, update.$set || {});
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Payment, "findOneAndUpdate", async (filter, update) => {
+    if (!filter.status.$in.includes(payment.status)) {
+      return null;
+    }
+    Object.assign(payment, update.$set);
+    return { ...payment };
+  });
+  t.mock.method(Order, "findById", () => ({ session: async () => order }));
+
+  return { order, payment };
+};
+
+test("a repeated callback is acknowledged as a duplicate", async (t) => {
+  const { payment } = mockSettlement(t, { orderStatus: "cancelled" });
+
+  const first = await handleProviderCallback("zalopay", callbackBody({}));
+  const second = await handleProviderCallback("zalopay", callbackBody({}));
+
+  assert.equal(payment.status, "succeeded");
+  assert.equal(second.outcome, "duplicate");
+  assert.equal(first.outcome, "ignored");
+});
+
+test("money for a cancelled order is recorded and flagged for refund", async (t) => {
+  const { payment } = mockSettlement(t, { orderStatus: "cancelled", paymentStatus: "cancelled" });
+
+  const { outcome } = await handleProviderCallback("zalopay", callbackBody({}));
+
+  assert.equal(outcome, "ignored");
+  assert.equal(payment.status, "succeeded");
+  assert.equal(payment.providerTransactionId, "987");
+  assert.equal(payment.requiresRefund, true);
+});
+
+test("an invalid callback never touches the payment", async (t) => {
+  const { payment } = mockSettlement(t, { orderStatus: "pending_payment" });
+  const body = callbackBody({});
+
+  const { outcome } = await handleProviderCallback("zalopay", { ...body, mac: hmac("wrong", body.data) });
+
+  assert.equal(outcome, "invalid");
+  assert.equal(Payment.findOne.mock.callCount(), 0);
+  assert.equal(payment.status, "pending");
+});
+
+test("a callback for the wrong amount does not settle", async (t) => {
+  const { payment } = mockSettlement(t, { orderStatus: "pending_payment" });
+
+  const { outcome } = await handleProviderCallback("zalopay", callbackBody({ amount: 1000 }));
+
+  assert.equal(outcome, "ignored");
+  assert.equal(payment.status, "pending");
+  assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+});
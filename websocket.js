@@ -1,31 +1,117 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
 const ChatConversation = require('./models/chatConversation');
+const { getToken, verifyToken } = require('./middleware/auth');
+const { getPubSub } = require('./middleware/pubsub');
+const { STAFF_ROLES, ChatAssignmentError, assignWaitingChats } = require('./middleware/chatAssignment');
+const {
+  ChatMessageError,
+  serializeMessage,
+  getMessagesAfter,
+  addCustomerMessage,
+  addStaffMessage,
+  acknowledgeMessages
+} = require('./middleware/chatMessages');
+
+// Upgrade requests to this path on the HTTP server become WebSocket connections
+const WS_PATH = '/ws';
+
+// Messages for sockets that may be connected to any instance go through pub/sub
+const CHANNELS = {
+  session: 'chat:session',     // { sessionId, message } for one customer session
+  admins: 'chat:admins',       // { message, roles, userId? } for connected admins (or one of them)
+  broadcast: 'chat:broadcast'  // { message } for every socket
+};
+
+// Presence: which admins and customer sessions are connected, and to which instance.
+// Each instance refreshes its own entries; entries not refreshed within the TTL
+// (e.g. after a crash) are ignored and cleaned up.
+const ADMIN_PRESENCE_KEY = 'chat:presence:admins';
+const sessionPresenceKey = (sessionId) => `chat:presence:session:${sessionId}`;
+const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_TTL_SECONDS = 90;
+
+const logPubSubError = (action) => (error) => console.error(`❌ Pub/sub error while ${action}:`, error.message);
+
+// Chat protocol (JSON messages, see also middleware/chatMessages.js)
+//
+// Client -> server
+//   register        { sessionId, lastMessageId? }   customer joins a session (answered with sync)
+//   register_admin  {}                              admin socket
+//   resume          { sessionId, lastMessageId? }   messages missed since lastMessageId (answered with sync)
+//   message         { sessionId, content, clientMessageId? }
+//   ack             { sessionId, messageId }        other side's messages up to messageId received
+//   read            { sessionId, messageId }        ... and read
+//   typing          { sessionId, isTyping }
+//
+// Server -> client
+//   sync                 { sessionId, messages, lastMessageId, reset }  reset: lastMessageId unknown, full history sent
+//   message              { sessionId, message: { id, from, content, timestamp, ... } }
+//   ack                  { sessionId, clientMessageId, messageId, timestamp }  your message was stored
+//   delivered / read     { sessionId, messageIds, by, at }
+//   typing               { sessionId, from, isTyping }
+//   agent_joined         { sessionId, agent: { id, username } }
+//   conversation_closed  { sessionId, reason, closedBy, closedAt }
+//   conversation_reopened { sessionId, reopenedBy }
+//   error                { message, clientMessageId? }
+//   Admins only: admin_presence, queue_updated, chat_assigned, chat_unassigned, low_stock_alert
 
 class WebSocketManager {
-  constructor(server) {
+  // server: the HTTP server returned by app.listen
+  // options.pubsub: pub/sub adapter (defaults to PUBSUB_DRIVER, see middleware/pubsub.js)
+  constructor(server, { pubsub = getPubSub() } = {}) {
     this.wss = new WebSocket.Server({ 
-      port: 8080,
+      server,
+      path: WS_PATH,
       verifyClient: this.verifyClient.bind(this)
     });
     
-    // Store connections by sessionId for customers and by userId for admins
+    // Sockets connected to this instance, by sessionId for customers and by userId for admins
     this.customerConnections = new Map(); // sessionId -> { ws, userId, userRole }
-    this.adminConnections = new Map(); // userId -> { ws, userRole }
+    this.adminConnections = new Map(); // userId -> { ws, userRole, username, since }
+
+    this.pubsub = pubsub;
+    this.nodeId = crypto.randomUUID();
+    this.pubsub.subscribe(CHANNELS.session, ({ sessionId, message }) => this.deliverToSession(sessionId, message))
+      .catch(logPubSubError('subscribing to session messages'));
+    this.pubsub.subscribe(CHANNELS.admins, ({ message, roles, userId }) => this.deliverToAdmins(message, roles, userId))
+      .catch(logPubSubError('subscribing to admin messages'));
+    this.pubsub.subscribe(CHANNELS.broadcast, ({ message }) => this.deliverToAll(message))
+      .catch(logPubSubError('subscribing to broadcasts'));
+
+    this.heartbeat = setInterval(() => this.refreshPresence(), PRESENCE_HEARTBEAT_MS);
+    this.heartbeat.unref();
     
     this.wss.on('connection', this.handleConnection.bind(this));
-    console.log('🔗 WebSocket server running on port 8080');
+    console.log(`🔗 WebSocket server accepting connections on ${WS_PATH} (instance ${this.nodeId})`);
   }
 
-  // Verify client connection (optional authentication)
-  verifyClient(info) {
-    // For now, allow all connections
-    // You can add authentication here if needed
-    return true;
+  // Authenticate the handshake with the same token as the REST API:
+  // Authorization "Bearer <token>" or x-auth-token, or ?token= for browsers
+  // (which can't set headers on a WebSocket). No token connects as a guest;
+  // an invalid one is refused.
+  verifyClient(info, done) {
+    const { req } = info;
+    const token = getToken(req.headers) || new URL(req.url, 'http://localhost').searchParams.get('token');
+
+    req.user = null;
+    if (!token) {
+      return done(true);
+    }
+
+    try {
+      req.user = verifyToken(token);
+      done(true);
+    } catch (err) {
+      console.log('🔐 WebSocket token verification failed:', err.message);
+      done(false, 401, 'Token is not valid');
+    }
   }
 
   handleConnection(ws, req) {
-    console.log('🔌 New WebSocket connection established');
+    // Identity established during the handshake; never taken from messages
+    ws.user = req.user;
+    console.log(`🔌 New WebSocket connection established (${ws.user ? ws.user.role : 'guest'})`);
 
     ws.on('message', async (message) => {
       try {
@@ -40,23 +126,20 @@ class WebSocketManager {
       }
     });
 
-    ws.on('close', () => {
-      // Remove connection from customer tracking
-      for (const [sessionId, conn] of this.customerConnections.entries()) {
-        if (conn.ws === ws) {
-          this.customerConnections.delete(sessionId);
-          console.log(`🔌 Customer WebSocket disconnected for session: ${sessionId}`);
-          return;
-        }
+    ws.on('close', async () => {
+      // Only drop the entries that still point at this socket (another tab may have taken over)
+      if (ws.sessionId && this.customerConnections.get(ws.sessionId)?.ws === ws) {
+        this.customerConnections.delete(ws.sessionId);
+        await this.pubsub.removePresence(sessionPresenceKey(ws.sessionId), this.nodeId)
+          .catch(logPubSubError('removing session presence'));
+        console.log(`🔌 Customer WebSocket disconnected for session: ${ws.sessionId}`);
       }
-      
-      // Remove connection from admin tracking
-      for (const [userId, conn] of this.adminConnections.entries()) {
-        if (conn.ws === ws) {
-          this.adminConnections.delete(userId);
-          console.log(`🔌 Admin WebSocket disconnected for user: ${userId}`);
-          return;
-        }
+      if (ws.user && this.adminConnections.get(ws.user.id)?.ws === ws) {
+        this.adminConnections.delete(ws.user.id);
+        await this.pubsub.removePresence(ADMIN_PRESENCE_KEY, this.adminPresenceMember(ws.user.id))
+          .catch(logPubSubError('removing admin presence'));
+        console.log(`🔌 Admin WebSocket disconnected for user: ${ws.user.id}`);
+        await this.announceAdminPresence(ws.user.id, ws.user.role);
       }
     });
 
@@ -66,41 +149,160 @@ class WebSocketManager {
   }
 
   async handleMessage(ws, data) {
-    const { type, sessionId, content, token, userId } = data;
-
-    switch (type) {
-      case 'register':
-        await this.registerConnection(ws, sessionId, token);
-        break;
-      
-      case 'register_admin':
-        await this.registerAdminConnection(ws, userId, token);
-        break;
-      
-      case 'staff_message':
-        await this.handleStaffMessage(sessionId, content);
-        break;
+    const { type, sessionId } = data;
+
+    try {
+      switch (type) {
+        case 'register':
+          await this.registerConnection(ws, sessionId, data.lastMessageId);
+          break;
         
-      default:
-        console.log('❓ Unknown message type:', type);
+        case 'register_admin':
+          await this.registerAdminConnection(ws);
+          break;
+
+        case 'resume':
+          await this.resumeSession(ws, sessionId, data.lastMessageId);
+          break;
+
+        case 'message':
+          await this.handleChatMessage(ws, data);
+          break;
+
+        case 'ack':
+        case 'read':
+          await this.handleAcknowledgement(ws, sessionId, data.messageId, type === 'read');
+          break;
+
+        case 'typing':
+          await this.handleTyping(ws, sessionId, !!data.isTyping);
+          break;
+          
+        default:
+          console.log('❓ Unknown message type:', type);
+          ws.send(JSON.stringify({ type: 'error', message: `Unknown message type: ${type}` }));
+      }
+    } catch (error) {
+      // Problems the client can fix are reported to it; anything else is logged
+      const known = error instanceof ChatMessageError || error instanceof ChatAssignmentError;
+      if (!known) {
+        console.error(`❌ Error handling ${type} message:`, error);
+      }
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: known ? error.message : 'Request failed',
+        clientMessageId: data.clientMessageId
+      }));
+    }
+  }
+
+  // Which side of the conversation this socket speaks for: staff sockets act on
+  // the chats assigned to them, customer sockets on the session they registered.
+  async sideFor(ws, sessionId, { requireAssignment = true } = {}) {
+    if (this.isRegisteredAdmin(ws)) {
+      if (requireAssignment && !(await this.isAssignedAgent(ws.user, sessionId))) {
+        throw new ChatMessageError(403, 'This chat is not assigned to you');
+      }
+      return 'staff';
+    }
+    if (sessionId && ws.sessionId === sessionId) {
+      return 'customer';
+    }
+    throw new ChatMessageError(403, 'Register for this session first');
+  }
+
+  // Send the messages a client missed since lastMessageId
+  async syncSession(ws, sessionId, lastMessageId) {
+    const conversation = await ChatConversation.findOne({ sessionId });
+    const sync = conversation
+      ? getMessagesAfter(conversation, lastMessageId)
+      : { messages: [], lastMessageId: null, reset: !!lastMessageId };
+    ws.send(JSON.stringify({ type: 'sync', sessionId, ...sync }));
+  }
+
+  async resumeSession(ws, sessionId, lastMessageId) {
+    // Staff can catch up on any chat, as they can over REST
+    await this.sideFor(ws, sessionId, { requireAssignment: false });
+    await this.syncSession(ws, sessionId, lastMessageId);
+  }
+
+  async handleChatMessage(ws, { sessionId, content, clientMessageId }) {
+    const side = await this.sideFor(ws, sessionId, { requireAssignment: false });
+    const { conversation, message } = side === 'staff'
+      ? await addStaffMessage(sessionId, ws.user, content, this)
+      : await addCustomerMessage(sessionId, content);
+
+    ws.send(JSON.stringify({
+      type: 'ack',
+      sessionId,
+      clientMessageId,
+      messageId: String(message._id),
+      timestamp: message.timestamp
+    }));
+    await this.sendChatMessage(conversation, message);
+  }
+
+  async handleAcknowledgement(ws, sessionId, messageId, read) {
+    const side = await this.sideFor(ws, sessionId);
+    const { conversation, messageIds, at } = await acknowledgeMessages(sessionId, side, messageId, { read });
+    if (messageIds.length === 0) {
+      return;
+    }
+    const receipt = { type: read ? 'read' : 'delivered', sessionId, messageIds, by: side, at };
+    await (side === 'staff' ? this.sendToSession(sessionId, receipt) : this.sendToConversationStaff(conversation, receipt));
+  }
+
+  async handleTyping(ws, sessionId, isTyping) {
+    const side = await this.sideFor(ws, sessionId);
+    const event = { type: 'typing', sessionId, from: side, isTyping };
+    if (side === 'staff') {
+      await this.sendToSession(sessionId, event);
+    } else {
+      const conversation = await ChatConversation.findOne({ sessionId }).select('assignedStaff');
+      await this.sendToConversationStaff(conversation, event);
+    }
+  }
+
+  // A conversation that belongs to a user can only be joined by that user.
+  // New and guest conversations are reached with their session ID alone,
+  // as they are over the REST API.
+  async canJoinSession(user, sessionId) {
+    const conversation = await ChatConversation.findOne({ sessionId }).select('userId');
+    if (!conversation || !conversation.userId) {
+      return true;
     }
+    return !!user && String(conversation.userId) === String(user.id);
   }
 
-  async registerConnection(ws, sessionId, token) {
+  // Only the agent a staff chat is assigned to replies to it
+  async isAssignedAgent(user, sessionId) {
+    const conversation = await ChatConversation.findOne({ sessionId }).select('assignedStaff');
+    return !!conversation && !!conversation.assignedStaff && String(conversation.assignedStaff) === String(user.id);
+  }
+
+  async registerConnection(ws, sessionId, lastMessageId) {
     try {
-      let userId = null;
-      let userRole = 'anonymous';
-
-      // Try to extract user info from token if provided
-      if (token) {
-        try {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          userId = decoded.id;
-          userRole = decoded.role;
-        } catch (err) {
-          console.log('⚠️ Invalid token, treating as anonymous');
-        }
+      if (!sessionId || typeof sessionId !== 'string') {
+        ws.send(JSON.stringify({ type: 'error', message: 'sessionId is required' }));
+        return;
+      }
+
+      if (!(await this.canJoinSession(ws.user, sessionId))) {
+        console.log(`⚠️ Refused WebSocket registration for session ${sessionId}: not the owner`);
+        ws.send(JSON.stringify({ type: 'error', message: 'Not allowed to join this session' }));
+        return;
+      }
+
+      // A socket follows one session at a time
+      if (ws.sessionId && ws.sessionId !== sessionId && this.customerConnections.get(ws.sessionId)?.ws === ws) {
+        this.customerConnections.delete(ws.sessionId);
+        await this.pubsub.removePresence(sessionPresenceKey(ws.sessionId), this.nodeId)
+          .catch(logPubSubError('removing session presence'));
       }
+      ws.sessionId = sessionId;
+
+      const userId = ws.user ? ws.user.id : null;
+      const userRole = ws.user ? ws.user.role : 'anonymous';
 
       // Store the customer connection
       this.customerConnections.set(sessionId, {
@@ -108,15 +310,18 @@ class WebSocketManager {
         userId,
         userRole
       });
+      await this.pubsub.setPresence(sessionPresenceKey(sessionId), this.nodeId, { lastSeen: Date.now() }, PRESENCE_TTL_SECONDS)
+        .catch(logPubSubError('storing session presence'));
 
       console.log(`✅ Registered customer WebSocket connection: ${sessionId} (${userRole})`);
 
-      // Send confirmation
+      // Send confirmation, then whatever was missed while disconnected
       ws.send(JSON.stringify({
         type: 'registered',
         sessionId,
         status: 'connected'
       }));
+      await this.syncSession(ws, sessionId, lastMessageId);
 
     } catch (error) {
       console.error('❌ Error registering connection:', error);
@@ -127,56 +332,43 @@ class WebSocketManager {
     }
   }
 
-  async registerAdminConnection(ws, userId, token) {
+  async registerAdminConnection(ws) {
     try {
-      let userRole = 'admin';
-
-      // Verify admin token
-      if (token) {
-        try {
-          console.log('🔐 Verifying admin token...', {
-            tokenPresent: !!token,
-            tokenStart: token ? token.substring(0, 20) + '...' : 'N/A',
-            jwtSecretPresent: !!process.env.JWT_SECRET,
-            actualSecret: 'secret' // Use same as auth middleware
-          });
-          
-          const decoded = jwt.verify(token, "secret"); // Use same secret as auth middleware
-          console.log('🔓 Token decoded successfully:', {
-            id: decoded.user?.id,
-            role: decoded.user?.role,
-            username: decoded.user?.username
-          });
-          
-          if (!decoded.user || (decoded.user.role !== 'admin' && decoded.user.role !== 'staff')) {
-            throw new Error(`Insufficient permissions: role is ${decoded.user?.role}`);
-          }
-          userId = decoded.user.id;
-          userRole = decoded.user.role;
-        } catch (err) {
-          console.error('⚠️ Admin token verification failed:', err.message);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Authentication failed'
-          }));
-          return;
-        }
-      } else {
-        console.error('⚠️ No token provided for admin registration');
+      if (!ws.user) {
+        console.error('⚠️ Admin registration without an authenticated connection');
         ws.send(JSON.stringify({
           type: 'error',
           message: 'Token required'
         }));
         return;
       }
+      if (!STAFF_ROLES.includes(ws.user.role)) {
+        console.error(`⚠️ Admin registration refused: role is ${ws.user.role}`);
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'Authentication failed'
+        }));
+        return;
+      }
+
+      const userId = ws.user.id;
+      const userRole = ws.user.role;
+      const username = ws.user.username || null;
 
       // Store the admin connection
+      const since = Date.now();
       this.adminConnections.set(userId, {
         ws,
-        userRole
+        userRole,
+        username,
+        since
       });
+      await this.pubsub.setPresence(ADMIN_PRESENCE_KEY, this.adminPresenceMember(userId),
+        { userId, role: userRole, username, nodeId: this.nodeId, since, lastSeen: since }, PRESENCE_TTL_SECONDS)
+        .catch(logPubSubError('storing admin presence'));
 
       console.log(`✅ Registered admin WebSocket connection: ${userId} (${userRole})`);
+      await this.announceAdminPresence(userId, userRole);
 
       // Send confirmation
       ws.send(JSON.stringify({
@@ -185,6 +377,9 @@ class WebSocketManager {
         status: 'connected'
       }));
 
+      // Someone new can take queued chats
+      assignWaitingChats(this).catch(error => console.error('❌ Error assigning queued chats:', error));
+
     } catch (error) {
       console.error('❌ Error registering admin connection:', error);
       ws.send(JSON.stringify({
@@ -194,8 +389,79 @@ class WebSocketManager {
     }
   }
 
-  // Send message to a specific session (customer)
-  async sendToSession(sessionId, message) {
+  // True if this socket is registered as an admin connection
+  isRegisteredAdmin(ws) {
+    return !!ws.user && this.adminConnections.get(ws.user.id)?.ws === ws;
+  }
+
+  // Presence member for an admin connected to this instance
+  adminPresenceMember(userId) {
+    return `${userId}@${this.nodeId}`;
+  }
+
+  // Keep this instance's presence entries from expiring
+  async refreshPresence() {
+    const lastSeen = Date.now();
+    try {
+      for (const sessionId of this.customerConnections.keys()) {
+        await this.pubsub.setPresence(sessionPresenceKey(sessionId), this.nodeId, { lastSeen }, PRESENCE_TTL_SECONDS);
+      }
+      for (const [userId, connection] of this.adminConnections.entries()) {
+        await this.pubsub.setPresence(ADMIN_PRESENCE_KEY, this.adminPresenceMember(userId),
+          { userId, role: connection.userRole, username: connection.username, nodeId: this.nodeId, since: connection.since, lastSeen },
+          PRESENCE_TTL_SECONDS);
+      }
+    } catch (error) {
+      logPubSubError('refreshing presence')(error);
+    }
+  }
+
+  // Presence entries refreshed recently enough; stale ones are removed
+  async getFreshPresence(key) {
+    const members = await this.pubsub.getPresence(key);
+    const cutoff = Date.now() - PRESENCE_TTL_SECONDS * 1000;
+    const fresh = [];
+    for (const [member, info] of members.entries()) {
+      if (info.lastSeen >= cutoff) {
+        fresh.push(info);
+      } else {
+        await this.pubsub.removePresence(key, member);
+      }
+    }
+    return fresh;
+  }
+
+  // Admins connected to any instance: [{ userId, role, username, since, connections }]
+  async getOnlineAdmins() {
+    const byUser = new Map();
+    (await this.getFreshPresence(ADMIN_PRESENCE_KEY)).forEach(entry => {
+      const existing = byUser.get(entry.userId);
+      byUser.set(entry.userId, {
+        userId: entry.userId,
+        role: entry.role,
+        username: entry.username || null,
+        since: existing ? Math.min(existing.since, entry.since) : entry.since,
+        connections: (existing ? existing.connections : 0) + 1
+      });
+    });
+    return [...byUser.values()].map(admin => ({ ...admin, since: new Date(admin.since).toISOString() }));
+  }
+
+  // Tell admins that someone came online or went offline
+  async announceAdminPresence(userId, role) {
+    try {
+      const online = (await this.getOnlineAdmins()).some(admin => admin.userId === userId);
+      await this.pubsub.publish(CHANNELS.admins, {
+        message: { type: 'admin_presence', userId, role, online, timestamp: new Date().toISOString() },
+        roles: STAFF_ROLES
+      });
+    } catch (error) {
+      logPubSubError('announcing admin presence')(error);
+    }
+  }
+
+  // Deliver to a customer session if it is connected to this instance
+  deliverToSession(sessionId, message) {
     const connection = this.customerConnections.get(sessionId);
     if (connection && connection.ws.readyState === WebSocket.OPEN) {
       connection.ws.send(JSON.stringify(message));
@@ -204,87 +470,163 @@ class WebSocketManager {
     return false;
   }
 
-  // Send staff reply to customer via WebSocket
-  async sendStaffReply(sessionId, content) {
-    const message = {
-      type: 'staff_reply',
-      message: content,
-      timestamp: new Date().toISOString()
-    };
-
-    const sent = await this.sendToSession(sessionId, message);
-    if (sent) {
-      console.log(`📤 Sent staff message via WebSocket to session: ${sessionId}`);
-    } else {
-      console.log(`⚠️ Could not send via WebSocket to session: ${sessionId} (not connected)`);
+  // Deliver to the admins connected to this instance whose role is listed (only userId, if given)
+  deliverToAdmins(message, roles = STAFF_ROLES, userId = null) {
+    let sent = 0;
+    for (const [connectedId, connection] of this.adminConnections.entries()) {
+      if (userId && connectedId !== userId) {
+        continue;
+      }
+      if (roles.includes(connection.userRole) && connection.ws.readyState === WebSocket.OPEN) {
+        connection.ws.send(JSON.stringify(message));
+        sent++;
+      }
     }
     return sent;
   }
 
-  // Handle incoming staff messages (when staff replies via admin interface)
-  async handleStaffMessage(sessionId, content) {
-    // This would be called when staff sends a message
-    // The message should already be saved to DB by the staff reply endpoint
-    // We just need to notify the customer via WebSocket
-    await this.sendStaffReply(sessionId, content);
+  // Deliver to every socket connected to this instance
+  deliverToAll(message) {
+    this.wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+      }
+    });
   }
 
-  // Send customer message to all connected admins
-  async broadcastCustomerMessage(sessionId, message, customerName = 'Customer') {
-    const adminMessage = {
-      type: 'customer_message',
-      sessionId,
-      message,
-      customerName,
+  // Send message to a specific session (customer) on whichever instance it is connected to
+  // Resolves to whether the session is connected anywhere.
+  async sendToSession(sessionId, message) {
+    try {
+      await this.pubsub.publish(CHANNELS.session, { sessionId, message });
+      return await this.isSessionConnected(sessionId);
+    } catch (error) {
+      logPubSubError('sending to a session')(error);
+      // Still reach the customer if they are connected here
+      return this.deliverToSession(sessionId, message);
+    }
+  }
+
+  // Send an event to the staff side of a conversation: its agent, or every
+  // admin and staff member while it is queued. Resolves to whether anyone got it.
+  async sendToConversationStaff(conversation, message) {
+    if (conversation && conversation.assignedStaff) {
+      return this.sendToAdmin(conversation.assignedStaff, message);
+    }
+    return (await this.sendToAdmins(message, STAFF_ROLES)) > 0;
+  }
+
+  // Send a stored staff chat message to both sides
+  // Resolves to { customer, staff }: whether each side was connected.
+  async sendChatMessage(conversation, message) {
+    const event = { type: 'message', sessionId: conversation.sessionId, message: serializeMessage(message) };
+    const [customer, staff] = await Promise.all([
+      this.sendToSession(conversation.sessionId, event),
+      this.sendToConversationStaff(conversation, event)
+    ]);
+    console.log(`📤 Chat message ${event.message.id} for session ${conversation.sessionId} (customer: ${customer ? 'connected' : 'offline'}, staff: ${staff ? 'connected' : 'offline'})`);
+    return { customer, staff };
+  }
+
+  // Tell the customer an agent picked up the conversation (the agent gets chat_assigned)
+  async sendAgentJoined(conversation, agent) {
+    await this.sendToSession(conversation.sessionId, {
+      type: 'agent_joined',
+      sessionId: conversation.sessionId,
+      agent,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Tell both sides the conversation has ended
+  async sendConversationClosed(conversation, reason) {
+    const event = {
+      type: 'conversation_closed',
+      sessionId: conversation.sessionId,
+      reason,
+      closedBy: conversation.closedBy || null,
+      closedAt: (conversation.closedAt || new Date()).toISOString()
+    };
+    await Promise.all([
+      this.sendToSession(conversation.sessionId, event),
+      this.sendToConversationStaff(conversation, event)
+    ]);
+  }
+
+  // Tell both sides a closed conversation is open again
+  async sendConversationReopened(conversation, reopenedBy) {
+    const event = {
+      type: 'conversation_reopened',
+      sessionId: conversation.sessionId,
+      reopenedBy,
       timestamp: new Date().toISOString()
     };
+    await Promise.all([
+      this.sendToSession(conversation.sessionId, event),
+      this.sendToConversationStaff(conversation, event)
+    ]);
+  }
 
-    let sent = 0;
-    for (const [userId, connection] of this.adminConnections.entries()) {
-      if (connection.ws.readyState === WebSocket.OPEN) {
-        connection.ws.send(JSON.stringify(adminMessage));
-        sent++;
-      }
+  // Send a message to connected admins (and staff too if listed in roles) on every instance
+  // Resolves to the number of matching admins online.
+  async sendToAdmins(message, roles = ['admin']) {
+    try {
+      await this.pubsub.publish(CHANNELS.admins, { message, roles });
+      const sent = (await this.getOnlineAdmins()).filter(admin => roles.includes(admin.role)).length;
+      console.log(`📤 Sent ${message.type} to ${sent} admin(s)`);
+      return sent;
+    } catch (error) {
+      logPubSubError('sending to admins')(error);
+      return this.deliverToAdmins(message, roles);
     }
+  }
 
-    console.log(`📤 Broadcasted customer message to ${sent} admin(s) for session: ${sessionId}`);
-    return sent > 0;
+  // Send a message to one admin on whichever instance they are connected to
+  // Resolves to whether they are online.
+  async sendToAdmin(userId, message) {
+    const id = String(userId);
+    try {
+      await this.pubsub.publish(CHANNELS.admins, { message, roles: STAFF_ROLES, userId: id });
+      return await this.isAdminConnected(id);
+    } catch (error) {
+      logPubSubError('sending to an admin')(error);
+      return this.deliverToAdmins(message, STAFF_ROLES, id) > 0;
+    }
   }
 
-  // Get connection status for a customer session
-  isSessionConnected(sessionId) {
-    const connection = this.customerConnections.get(sessionId);
-    return connection && connection.ws.readyState === WebSocket.OPEN;
+  // Get connection status for a customer session (on any instance)
+  async isSessionConnected(sessionId) {
+    return (await this.getFreshPresence(sessionPresenceKey(sessionId))).length > 0;
   }
 
-  // Get connection status for an admin
-  isAdminConnected(userId) {
-    const connection = this.adminConnections.get(userId);
-    return connection && connection.ws.readyState === WebSocket.OPEN;
+  // Get connection status for an admin (on any instance)
+  async isAdminConnected(userId) {
+    return (await this.getOnlineAdmins()).some(admin => admin.userId === String(userId));
   }
 
-  // Get number of connected admins
-  getConnectedAdminCount() {
-    let count = 0;
-    for (const connection of this.adminConnections.values()) {
-      if (connection.ws.readyState === WebSocket.OPEN) {
-        count++;
-      }
-    }
-    return count;
+  // Get number of connected admins (on any instance)
+  async getConnectedAdminCount() {
+    return (await this.getOnlineAdmins()).length;
   }
 
-  // Broadcast to all connections (if needed)
-  broadcast(message) {
-    this.wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(message));
-      }
-    });
+  // Broadcast to all connections on every instance
+  async broadcast(message) {
+    await this.pubsub.publish(CHANNELS.broadcast, { message });
   }
 
-  // Close all connections
-  close() {
+  // Close all connections and drop this instance's presence
+  async close() {
+    clearInterval(this.heartbeat);
+    try {
+      for (const sessionId of this.customerConnections.keys()) {
+        await this.pubsub.removePresence(sessionPresenceKey(sessionId), this.nodeId);
+      }
+      for (const userId of this.adminConnections.keys()) {
+        await this.pubsub.removePresence(ADMIN_PRESENCE_KEY, this.adminPresenceMember(userId));
+      }
+    } catch (error) {
+      logPubSubError('removing presence on close')(error);
+    }
     this.wss.close();
   }
 }